@@ -0,0 +1,21 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Company details printed on invoices, quotations and other customer documents
+const company = {
+  name: process.env.COMPANY_NAME || 'Kayvan Investment',
+  address: process.env.COMPANY_ADDRESS || 'Nairobi, Kenya',
+  phone: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || '',
+  website: process.env.COMPANY_WEBSITE || '',
+  kraPin: process.env.COMPANY_KRA_PIN || '',
+  fiscalAuthority: process.env.COMPANY_FISCAL_AUTHORITY || 'KRA eTIMS',
+  logoPath: process.env.COMPANY_LOGO_PATH || path.join(__dirname, '..', 'assets', 'logo.png'),
+  brandColor: process.env.COMPANY_BRAND_COLOR || '#1f4e79',
+  // Shown to customers accepting a quotation that has no terms of its own
+  quotationTerms: process.env.COMPANY_QUOTATION_TERMS || 'Prices are valid until the date shown on the quotation. Work is scheduled once the quotation is accepted. Materials remain the property of the company until paid for in full.'
+};
+
+module.exports = company;
\ No newline at end of file
@@ -0,0 +1,358 @@
+const pool = require('../config/database');
+const {
+    validateMapping,
+    importStatement,
+    confirmLine,
+    rejectLine
+} = require('../services/bankImportService');
+
+// Helper function to parse JSON columns and request fields
+const parseJson = (value) => {
+    if (!value) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// ==================== IMPORT PROFILES ====================
+
+/**
+ * GET /api/bank-imports/profiles
+ * Get column mappings for each bank
+ */
+const getProfiles = async (req, res) => {
+    try {
+        const [profiles] = await pool.query(
+            'SELECT * FROM bank_import_profiles ORDER BY name ASC'
+        );
+
+        res.json(profiles.map(profile => ({ ...profile, mapping: parseJson(profile.mapping) })));
+    } catch (error) {
+        console.error('Error fetching bank import profiles:', error);
+        res.status(500).json({
+            message: 'Error fetching bank import profiles',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/bank-imports/profiles
+ * Create a column mapping for a bank
+ */
+const createProfile = async (req, res) => {
+    try {
+        const { name, mapping } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ message: 'Profile name is required' });
+        }
+
+        const validationError = validateMapping(mapping);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const [result] = await pool.query(`
+            INSERT INTO bank_import_profiles (name, mapping, created_by)
+            VALUES (?, ?, ?)
+        `, [name, JSON.stringify(mapping), req.user?.id || null]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Bank import profile created successfully',
+            profile: { id: result.insertId, name, mapping }
+        });
+
+    } catch (error) {
+        console.error('Error creating bank import profile:', error);
+        res.status(500).json({
+            message: 'Error creating bank import profile',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * PUT /api/bank-imports/profiles/:id
+ * Update a bank's column mapping
+ */
+const updateProfile = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, mapping } = req.body;
+
+        if (mapping !== undefined) {
+            const validationError = validateMapping(mapping);
+            if (validationError) {
+                return res.status(400).json({ message: validationError });
+            }
+        }
+
+        const [result] = await pool.query(`
+            UPDATE bank_import_profiles
+            SET name = COALESCE(?, name), mapping = COALESCE(?, mapping), updated_at = NOW()
+            WHERE id = ?
+        `, [name || null, mapping ? JSON.stringify(mapping) : null, id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Bank import profile not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Bank import profile updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Error updating bank import profile:', error);
+        res.status(500).json({
+            message: 'Error updating bank import profile',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * DELETE /api/bank-imports/profiles/:id
+ * Delete a bank's column mapping (past imports are kept)
+ */
+const deleteProfile = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM bank_import_profiles WHERE id = ?',
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Bank import profile not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Bank import profile deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting bank import profile:', error);
+        res.status(500).json({
+            message: 'Error deleting bank import profile',
+            error: error.message
+        });
+    }
+};
+
+// ==================== IMPORTS ====================
+
+/**
+ * POST /api/bank-imports
+ * Upload a statement CSV (multipart field "file") with a profile_id
+ * or an explicit mapping, and get proposed matches back
+ */
+const uploadStatement = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'Statement file is required' });
+        }
+
+        const { profile_id } = req.body;
+        let mapping = null;
+
+        try {
+            mapping = parseJson(req.body.mapping);
+        } catch {
+            return res.status(400).json({ message: 'Mapping must be valid JSON' });
+        }
+
+        if (!mapping && profile_id) {
+            const [profiles] = await pool.query(
+                'SELECT * FROM bank_import_profiles WHERE id = ?',
+                [profile_id]
+            );
+
+            if (profiles.length === 0) {
+                return res.status(404).json({ message: 'Bank import profile not found' });
+            }
+
+            mapping = parseJson(profiles[0].mapping);
+        }
+
+        const validationError = validateMapping(mapping);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const importId = await importStatement({
+            text: req.file.buffer.toString('utf8'),
+            fileName: req.file.originalname,
+            profileId: profile_id || null,
+            mapping
+        }, req.user?.id || null);
+
+        const statementImport = await getImportDetails(importId);
+
+        res.status(201).json({
+            success: true,
+            message: `Imported ${statementImport.line_count} line(s), ${statementImport.matched_count} matched`,
+            import: statementImport
+        });
+
+    } catch (error) {
+        console.error('Error importing bank statement:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error importing bank statement',
+            error: error.message
+        });
+    }
+};
+
+// Helper function to load an import with its lines
+const getImportDetails = async (importId, status = null) => {
+    const [imports] = await pool.query(`
+        SELECT
+            b.*,
+            p.name as profile_name,
+            DATE_FORMAT(b.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+        FROM bank_imports b
+        LEFT JOIN bank_import_profiles p ON b.profile_id = p.id
+        WHERE b.id = ?
+    `, [importId]);
+
+    if (imports.length === 0) {
+        return null;
+    }
+
+    const statementImport = imports[0];
+
+    let query = `
+        SELECT
+            l.*,
+            DATE_FORMAT(l.transaction_date, '%Y-%m-%d') as formatted_transaction_date,
+            i.invoice_number,
+            i.customer_name,
+            i.balance_due
+        FROM bank_import_lines l
+        LEFT JOIN invoices i ON l.invoice_id = i.id
+        WHERE l.import_id = ?
+    `;
+    const params = [importId];
+
+    if (status && status !== 'all') {
+        query += ` AND l.status = ?`;
+        params.push(status);
+    }
+
+    query += ` ORDER BY l.line_number ASC`;
+
+    const [lines] = await pool.query(query, params);
+    statementImport.lines = lines.map(line => ({ ...line, match_reasons: parseJson(line.match_reasons) || [] }));
+
+    return statementImport;
+};
+
+/**
+ * GET /api/bank-imports
+ * Get all statement imports
+ */
+const getAllImports = async (req, res) => {
+    try {
+        const [imports] = await pool.query(`
+            SELECT
+                b.*,
+                p.name as profile_name,
+                DATE_FORMAT(b.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+            FROM bank_imports b
+            LEFT JOIN bank_import_profiles p ON b.profile_id = p.id
+            ORDER BY b.created_at DESC
+        `);
+
+        res.json(imports);
+    } catch (error) {
+        console.error('Error fetching bank imports:', error);
+        res.status(500).json({
+            message: 'Error fetching bank imports',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/bank-imports/:id?status=proposed
+ * Get an import with its lines and proposed matches
+ */
+const getImportById = async (req, res) => {
+    try {
+        const statementImport = await getImportDetails(req.params.id, req.query.status);
+
+        if (!statementImport) {
+            return res.status(404).json({ message: 'Bank import not found' });
+        }
+
+        res.json(statementImport);
+    } catch (error) {
+        console.error('Error fetching bank import:', error);
+        res.status(500).json({
+            message: 'Error fetching bank import',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/bank-imports/:id/lines/:lineId/confirm
+ * Confirm a line (optionally against a different invoice) and record the payment
+ */
+const confirmImportLine = async (req, res) => {
+    try {
+        const { id, lineId } = req.params;
+
+        const payment = await confirmLine(id, lineId, req.body, req.user?.id || null);
+
+        res.json({
+            success: true,
+            message: 'Payment recorded successfully',
+            payment
+        });
+
+    } catch (error) {
+        console.error('Error confirming bank import line:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error confirming bank import line',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/bank-imports/:id/lines/:lineId/reject
+ * Reject a proposed match
+ */
+const rejectImportLine = async (req, res) => {
+    try {
+        const { id, lineId } = req.params;
+
+        await rejectLine(id, lineId, req.user?.id || null);
+
+        res.json({
+            success: true,
+            message: 'Match rejected'
+        });
+
+    } catch (error) {
+        console.error('Error rejecting bank import line:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error rejecting bank import line',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getProfiles,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    uploadStatement,
+    getAllImports,
+    getImportById,
+    confirmImportLine,
+    rejectImportLine
+};
\ No newline at end of file
@@ -0,0 +1,212 @@
+const pool = require('../config/database');
+const {
+    createCreditNote,
+    getCreditNoteDetails
+} = require('../services/creditNoteService');
+const {
+    queueCreditNote,
+    submitCreditNoteInBackground,
+    retryCreditNoteSubmission
+} = require('../services/fiscalService');
+
+// ==================== CREDIT NOTES ====================
+
+/**
+ * GET /api/credit-notes
+ * Get all credit notes with filters
+ */
+const getAllCreditNotes = async (req, res) => {
+    try {
+        const { search, from, to, invoice } = req.query;
+
+        let query = `
+            SELECT
+                cn.*,
+                i.invoice_number,
+                i.customer_name,
+                i.customer_email,
+                i.customer_company,
+                COUNT(cni.id) as item_count,
+                DATE_FORMAT(cn.issue_date, '%Y-%m-%d') as formatted_issue_date,
+                DATE_FORMAT(cn.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+            FROM credit_notes cn
+            JOIN invoices i ON cn.invoice_id = i.id
+            LEFT JOIN credit_note_items cni ON cn.id = cni.credit_note_id
+            WHERE 1=1
+        `;
+
+        const params = [];
+
+        if (search) {
+            query += ` AND (
+                cn.credit_note_number LIKE ? OR
+                i.invoice_number LIKE ? OR
+                i.customer_name LIKE ? OR
+                i.customer_email LIKE ?
+            )`;
+            const searchTerm = `%${search}%`;
+            params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+        }
+
+        if (invoice) {
+            query += ` AND cn.invoice_id = ?`;
+            params.push(invoice);
+        }
+
+        if (from) {
+            query += ` AND DATE(cn.issue_date) >= ?`;
+            params.push(from);
+        }
+
+        if (to) {
+            query += ` AND DATE(cn.issue_date) <= ?`;
+            params.push(to);
+        }
+
+        query += ` GROUP BY cn.id ORDER BY cn.created_at DESC`;
+
+        const [creditNotes] = await pool.query(query, params);
+
+        res.json(creditNotes);
+    } catch (error) {
+        console.error('Error fetching credit notes:', error);
+        res.status(500).json({
+            message: 'Error fetching credit notes',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/credit-notes/:id
+ * Get single credit note with items
+ */
+const getCreditNoteById = async (req, res) => {
+    try {
+        const creditNote = await getCreditNoteDetails(pool, req.params.id);
+
+        if (!creditNote) {
+            return res.status(404).json({ message: 'Credit note not found' });
+        }
+
+        res.json(creditNote);
+    } catch (error) {
+        console.error('Error fetching credit note:', error);
+        res.status(500).json({
+            message: 'Error fetching credit note',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/invoices/:id/credit-notes
+ * Get credit notes issued against an invoice
+ */
+const getInvoiceCreditNotes = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [creditNotes] = await pool.query(`
+            SELECT
+                cn.*,
+                DATE_FORMAT(cn.issue_date, '%Y-%m-%d') as formatted_issue_date
+            FROM credit_notes cn
+            WHERE cn.invoice_id = ?
+            ORDER BY cn.created_at DESC
+        `, [id]);
+
+        for (const creditNote of creditNotes) {
+            const [items] = await pool.query(`
+                SELECT * FROM credit_note_items
+                WHERE credit_note_id = ?
+                ORDER BY sort_order ASC, id ASC
+            `, [creditNote.id]);
+            creditNote.items = items;
+        }
+
+        res.json(creditNotes);
+    } catch (error) {
+        console.error('Error fetching invoice credit notes:', error);
+        res.status(500).json({
+            message: 'Error fetching invoice credit notes',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/invoices/:id/credit-notes
+ * Issue a credit note against an invoice (returns, corrections)
+ */
+const createInvoiceCreditNote = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const creditNoteId = await createCreditNote(
+            connection,
+            req.params.id,
+            req.body,
+            req.user?.id || null
+        );
+
+        // Refunds of fiscalised invoices are registered too
+        const queued = await queueCreditNote(connection, req.params.id, creditNoteId);
+
+        await connection.commit();
+
+        if (queued) submitCreditNoteInBackground(creditNoteId);
+
+        const creditNote = await getCreditNoteDetails(connection, creditNoteId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Credit note issued successfully',
+            credit_note: creditNote
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error creating credit note:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error creating credit note',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * POST /api/credit-notes/:id/fiscal/retry
+ * Retry registering the credit note with the tax authority now
+ */
+const retryCreditNoteFiscal = async (req, res) => {
+    try {
+        const submission = await retryCreditNoteSubmission(req.params.id);
+        const submitted = submission?.status === 'submitted';
+
+        res.status(submitted ? 200 : 502).json({
+            success: submitted,
+            message: submitted
+                ? `Credit note registered as ${submission.cu_invoice_number}`
+                : 'Credit note could not be registered with the tax authority',
+            submission
+        });
+    } catch (error) {
+        console.error('Error retrying credit note fiscal submission:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error retrying fiscal submission',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAllCreditNotes,
+    getCreditNoteById,
+    getInvoiceCreditNotes,
+    createInvoiceCreditNote,
+    retryCreditNoteFiscal
+};
\ No newline at end of file
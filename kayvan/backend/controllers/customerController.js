@@ -0,0 +1,768 @@
+const pool = require('../config/database');
+const {
+    normaliseEmail,
+    parseTags,
+    formatCustomer,
+    getCustomer
+} = require('../services/customerService');
+const { getStatement, recordStatement } = require('../services/statementService');
+const { renderStatementPdf } = require('../services/pdfService');
+const { parseRecipients, deliverDocument } = require('../services/documentDeliveryService');
+const { statementEmail } = require('../services/emailTemplates');
+const { httpError } = require('../services/httpError');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CUSTOMER_FIELDS = [
+    'name', 'company_name', 'email', 'phone', 'tax_id',
+    'payment_terms', 'credit_limit', 'currency_code', 'tags', 'notes', 'is_active'
+];
+const CONTACT_FIELDS = ['name', 'email', 'phone', 'job_title', 'is_primary'];
+const ADDRESS_FIELDS = [
+    'address_type', 'label', 'address_line1', 'address_line2',
+    'city', 'region', 'postal_code', 'country', 'is_default'
+];
+
+// Helper function to check and normalise customer fields before saving
+const cleanCustomer = (data, { partial = false } = {}) => {
+    const values = {};
+
+    CUSTOMER_FIELDS.forEach(field => {
+        if (data[field] !== undefined) values[field] = data[field];
+    });
+
+    if ((!partial || values.name !== undefined) && !String(values.name || '').trim()) {
+        throw httpError(400, 'Customer name is required');
+    }
+    if (values.name !== undefined) values.name = String(values.name).trim();
+
+    if (values.email !== undefined) {
+        values.email = normaliseEmail(values.email);
+        if (values.email && !EMAIL_PATTERN.test(values.email)) {
+            throw httpError(400, `Invalid email address: ${values.email}`);
+        }
+    }
+
+    if (values.payment_terms !== undefined && values.payment_terms !== null) {
+        values.payment_terms = parseInt(values.payment_terms, 10);
+        if (isNaN(values.payment_terms) || values.payment_terms < 0) {
+            throw httpError(400, 'Payment terms must be a number of days');
+        }
+    }
+
+    if (values.credit_limit !== undefined && values.credit_limit !== null) {
+        values.credit_limit = Number(values.credit_limit);
+        if (isNaN(values.credit_limit) || values.credit_limit < 0) {
+            throw httpError(400, 'Credit limit must be a positive amount');
+        }
+    }
+
+    if (values.currency_code) values.currency_code = String(values.currency_code).toUpperCase();
+    if (values.tags !== undefined) values.tags = JSON.stringify(parseTags(values.tags));
+    if (values.is_active !== undefined) values.is_active = !!values.is_active;
+
+    return values;
+};
+
+// Helper function to pick the allowed fields of a contact or address
+const pickFields = (data, fields) => {
+    const values = {};
+    fields.forEach(field => {
+        if (data[field] !== undefined) values[field] = data[field];
+    });
+    return values;
+};
+
+// Helper function to insert a row from a field map
+const insertRow = async (connection, table, values) => {
+    const columns = Object.keys(values);
+    const [result] = await connection.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => values[column])
+    );
+    return result.insertId;
+};
+
+// Helper function to add a contact, keeping a single primary contact
+const addContact = async (connection, customerId, data) => {
+    const values = pickFields(data, CONTACT_FIELDS);
+
+    if (!String(values.name || '').trim()) {
+        throw httpError(400, 'Contact name is required');
+    }
+
+    if (values.is_primary) {
+        await connection.query('UPDATE customer_contacts SET is_primary = false WHERE customer_id = ?', [customerId]);
+    }
+
+    return insertRow(connection, 'customer_contacts', { ...values, is_primary: !!values.is_primary, customer_id: customerId });
+};
+
+// Helper function to add an address, keeping one default per address type
+const addAddress = async (connection, customerId, data) => {
+    const values = pickFields(data, ADDRESS_FIELDS);
+    values.address_type = values.address_type || 'billing';
+
+    if (!['billing', 'delivery'].includes(values.address_type)) {
+        throw httpError(400, 'Address type must be billing or delivery');
+    }
+    if (!String(values.address_line1 || '').trim()) {
+        throw httpError(400, 'Address line 1 is required');
+    }
+
+    if (values.is_default) {
+        await connection.query(
+            'UPDATE customer_addresses SET is_default = false WHERE customer_id = ? AND address_type = ?',
+            [customerId, values.address_type]
+        );
+    }
+
+    return insertRow(connection, 'customer_addresses', { ...values, is_default: !!values.is_default, customer_id: customerId });
+};
+
+// Helper function to report a duplicate email as a 409 error
+const duplicateEmailError = (error) => (error.code === 'ER_DUP_ENTRY'
+    ? httpError(409, 'A customer with this email already exists')
+    : error);
+
+// ==================== CUSTOMERS ====================
+
+/**
+ * GET /api/customers
+ * Get all customers with document counts and outstanding balance
+ * ?search, ?tag, ?status=active|inactive|all (default active)
+ */
+const getAllCustomers = async (req, res) => {
+    try {
+        const { search, tag, status = 'active' } = req.query;
+
+        let query = `
+            SELECT
+                c.*,
+                (SELECT COUNT(*) FROM invoices i
+                 WHERE i.customer_id = c.id AND i.status != 'draft') as invoice_count,
+                (SELECT COUNT(*) FROM quotations q WHERE q.customer_id = c.id) as quotation_count,
+                (SELECT COALESCE(SUM(i.balance_due * i.exchange_rate), 0) FROM invoices i
+                 WHERE i.customer_id = c.id AND i.status IN ('issued', 'partially_paid', 'overdue')) as outstanding_balance,
+                (SELECT DATE_FORMAT(MAX(i.issue_date), '%Y-%m-%d') FROM invoices i
+                 WHERE i.customer_id = c.id AND i.status != 'draft') as last_invoice_date
+            FROM customers c
+            WHERE 1=1
+        `;
+
+        const params = [];
+
+        if (status === 'active') {
+            query += ` AND c.is_active = true`;
+        } else if (status === 'inactive') {
+            query += ` AND c.is_active = false`;
+        }
+
+        if (search) {
+            query += ` AND (
+                c.name LIKE ? OR
+                c.company_name LIKE ? OR
+                c.email LIKE ? OR
+                c.phone LIKE ? OR
+                c.tax_id LIKE ?
+            )`;
+            const searchTerm = `%${search}%`;
+            params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
+        }
+
+        if (tag) {
+            query += ` AND JSON_CONTAINS(c.tags, JSON_QUOTE(?))`;
+            params.push(String(tag).trim().toLowerCase());
+        }
+
+        query += ` ORDER BY c.name ASC`;
+
+        const [customers] = await pool.query(query, params);
+
+        res.json(customers.map(formatCustomer));
+    } catch (error) {
+        console.error('Error fetching customers:', error);
+        res.status(500).json({
+            message: 'Error fetching customers',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/customers/:id
+ * Get a customer with contacts, addresses, balances and recent documents
+ */
+const getCustomerById = async (req, res) => {
+    try {
+        const customer = await getCustomer(pool, req.params.id);
+
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const [summary] = await pool.query(`
+            SELECT
+                COUNT(*) as invoice_count,
+                COALESCE(SUM(total * exchange_rate), 0) as total_invoiced,
+                COALESCE(SUM(amount_paid * exchange_rate), 0) as total_paid,
+                COALESCE(SUM(CASE WHEN status IN ('issued', 'partially_paid', 'overdue')
+                    THEN balance_due * exchange_rate ELSE 0 END), 0) as outstanding_balance,
+                COALESCE(SUM(CASE WHEN status = 'overdue'
+                    THEN balance_due * exchange_rate ELSE 0 END), 0) as overdue_balance
+            FROM invoices
+            WHERE customer_id = ? AND status NOT IN ('draft', 'void')
+        `, [customer.id]);
+
+        const [invoices] = await pool.query(`
+            SELECT
+                id, invoice_number, status, currency_code, total, balance_due,
+                DATE_FORMAT(issue_date, '%Y-%m-%d') as formatted_issue_date,
+                DATE_FORMAT(due_date, '%Y-%m-%d') as formatted_due_date
+            FROM invoices
+            WHERE customer_id = ?
+            ORDER BY issue_date DESC, id DESC
+            LIMIT 10
+        `, [customer.id]);
+
+        const [quotations] = await pool.query(`
+            SELECT
+                id, quotation_id, status, currency_code, total,
+                DATE_FORMAT(created_at, '%Y-%m-%d') as formatted_date
+            FROM quotations
+            WHERE customer_id = ?
+            ORDER BY created_at DESC
+            LIMIT 10
+        `, [customer.id]);
+
+        const balances = summary[0];
+        customer.summary = {
+            ...balances,
+            available_credit: customer.credit_limit !== null
+                ? Number(customer.credit_limit) - Number(balances.outstanding_balance)
+                : null
+        };
+        customer.recent_invoices = invoices;
+        customer.recent_quotations = quotations;
+
+        res.json(customer);
+    } catch (error) {
+        console.error('Error fetching customer:', error);
+        res.status(500).json({
+            message: 'Error fetching customer',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/customers
+ * Create a customer, optionally with contacts and addresses
+ */
+const createCustomer = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { contacts = [], addresses = [] } = req.body;
+        const values = cleanCustomer(req.body);
+
+        const customerId = await insertRow(connection, 'customers', {
+            ...values,
+            created_by: req.user?.id || null
+        }).catch(error => { throw duplicateEmailError(error); });
+
+        for (const contact of contacts) {
+            await addContact(connection, customerId, contact);
+        }
+
+        for (const address of addresses) {
+            await addAddress(connection, customerId, address);
+        }
+
+        await connection.commit();
+
+        const customer = await getCustomer(connection, customerId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Customer created successfully',
+            customer
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error creating customer:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error creating customer',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * PUT /api/customers/:id
+ * Update a customer's details. Documents already issued keep the details
+ * they were issued with.
+ */
+const updateCustomer = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const values = cleanCustomer(req.body, { partial: true });
+        const columns = Object.keys(values);
+
+        if (columns.length === 0) {
+            return res.status(400).json({ message: 'No changes provided' });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE customers SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+            [...columns.map(column => values[column]), id]
+        ).catch(error => { throw duplicateEmailError(error); });
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const customer = await getCustomer(pool, id);
+
+        res.json({
+            success: true,
+            message: 'Customer updated successfully',
+            customer
+        });
+
+    } catch (error) {
+        console.error('Error updating customer:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error updating customer',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * DELETE /api/customers/:id
+ * Delete a customer. Customers with quotations, invoices or recurring
+ * invoices are deactivated instead so their documents stay linked.
+ */
+const deleteCustomer = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [customers] = await pool.query('SELECT id FROM customers WHERE id = ?', [id]);
+
+        if (customers.length === 0) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const [documents] = await pool.query(`
+            SELECT
+                (SELECT COUNT(*) FROM invoices WHERE customer_id = ?) +
+                (SELECT COUNT(*) FROM quotations WHERE customer_id = ?) +
+                (SELECT COUNT(*) FROM recurring_invoices WHERE customer_id = ?) as count
+        `, [id, id, id]);
+
+        if (Number(documents[0].count) > 0) {
+            await pool.query('UPDATE customers SET is_active = false, updated_at = NOW() WHERE id = ?', [id]);
+
+            return res.json({
+                success: true,
+                deactivated: true,
+                message: 'Customer has documents, so it was deactivated instead of deleted'
+            });
+        }
+
+        await pool.query('DELETE FROM customers WHERE id = ?', [id]);
+
+        res.json({
+            success: true,
+            message: 'Customer deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting customer:', error);
+        res.status(500).json({
+            message: 'Error deleting customer',
+            error: error.message
+        });
+    }
+};
+
+// ==================== CONTACTS ====================
+
+/**
+ * POST /api/customers/:id/contacts
+ * Add a contact person
+ */
+const createContact = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [customers] = await connection.query('SELECT id FROM customers WHERE id = ?', [req.params.id]);
+
+        if (customers.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const contactId = await addContact(connection, customers[0].id, req.body);
+
+        await connection.commit();
+
+        const [contacts] = await connection.query('SELECT * FROM customer_contacts WHERE id = ?', [contactId]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Contact added successfully',
+            contact: contacts[0]
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error adding contact:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error adding contact',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * PUT /api/customers/:id/contacts/:contactId
+ * Update a contact person
+ */
+const updateContact = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { id, contactId } = req.params;
+        const values = pickFields(req.body, CONTACT_FIELDS);
+        const columns = Object.keys(values);
+
+        if (columns.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'No changes provided' });
+        }
+
+        if (values.name !== undefined && !String(values.name).trim()) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Contact name is required' });
+        }
+
+        if (values.is_primary) {
+            await connection.query('UPDATE customer_contacts SET is_primary = false WHERE customer_id = ?', [id]);
+        }
+        if (values.is_primary !== undefined) values.is_primary = !!values.is_primary;
+
+        const [result] = await connection.query(
+            `UPDATE customer_contacts SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() WHERE id = ? AND customer_id = ?`,
+            [...columns.map(column => values[column]), contactId, id]
+        );
+
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Contact not found' });
+        }
+
+        await connection.commit();
+
+        const [contacts] = await connection.query('SELECT * FROM customer_contacts WHERE id = ?', [contactId]);
+
+        res.json({
+            success: true,
+            message: 'Contact updated successfully',
+            contact: contacts[0]
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating contact:', error);
+        res.status(500).json({
+            message: 'Error updating contact',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * DELETE /api/customers/:id/contacts/:contactId
+ * Remove a contact person
+ */
+const deleteContact = async (req, res) => {
+    try {
+        const { id, contactId } = req.params;
+
+        const [result] = await pool.query(
+            'DELETE FROM customer_contacts WHERE id = ? AND customer_id = ?',
+            [contactId, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Contact not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Contact deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting contact:', error);
+        res.status(500).json({
+            message: 'Error deleting contact',
+            error: error.message
+        });
+    }
+};
+
+// ==================== ADDRESSES ====================
+
+/**
+ * POST /api/customers/:id/addresses
+ * Add a billing or delivery address
+ */
+const createAddress = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [customers] = await connection.query('SELECT id FROM customers WHERE id = ?', [req.params.id]);
+
+        if (customers.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const addressId = await addAddress(connection, customers[0].id, req.body);
+
+        await connection.commit();
+
+        const [addresses] = await connection.query('SELECT * FROM customer_addresses WHERE id = ?', [addressId]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Address added successfully',
+            address: addresses[0]
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error adding address:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error adding address',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * PUT /api/customers/:id/addresses/:addressId
+ * Update an address
+ */
+const updateAddress = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { id, addressId } = req.params;
+        const values = pickFields(req.body, ADDRESS_FIELDS);
+        const columns = Object.keys(values);
+
+        const [existing] = await connection.query(
+            'SELECT * FROM customer_addresses WHERE id = ? AND customer_id = ?',
+            [addressId, id]
+        );
+
+        if (existing.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Address not found' });
+        }
+
+        if (columns.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'No changes provided' });
+        }
+
+        const addressType = values.address_type ?? existing[0].address_type;
+
+        if (!['billing', 'delivery'].includes(addressType)) {
+            throw httpError(400, 'Address type must be billing or delivery');
+        }
+        if (values.address_line1 !== undefined && !String(values.address_line1).trim()) {
+            throw httpError(400, 'Address line 1 is required');
+        }
+
+        if (values.is_default) {
+            await connection.query(
+                'UPDATE customer_addresses SET is_default = false WHERE customer_id = ? AND address_type = ?',
+                [id, addressType]
+            );
+        }
+        if (values.is_default !== undefined) values.is_default = !!values.is_default;
+
+        await connection.query(
+            `UPDATE customer_addresses SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+            [...columns.map(column => values[column]), addressId]
+        );
+
+        await connection.commit();
+
+        const [addresses] = await connection.query('SELECT * FROM customer_addresses WHERE id = ?', [addressId]);
+
+        res.json({
+            success: true,
+            message: 'Address updated successfully',
+            address: addresses[0]
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating address:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error updating address',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * DELETE /api/customers/:id/addresses/:addressId
+ * Remove an address
+ */
+const deleteAddress = async (req, res) => {
+    try {
+        const { id, addressId } = req.params;
+
+        const [result] = await pool.query(
+            'DELETE FROM customer_addresses WHERE id = ? AND customer_id = ?',
+            [addressId, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Address not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Address deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting address:', error);
+        res.status(500).json({
+            message: 'Error deleting address',
+            error: error.message
+        });
+    }
+};
+
+// ==================== STATEMENTS ====================
+
+
+/**
+ * GET /api/customers/:id/statement
+ * Statement of account: opening balance, invoices, payments and credits in
+ * the period with a running balance, and closing balance.
+ * ?from=YYYY-MM-DD&to=YYYY-MM-DD&currency=KES, ?format=json|pdf
+ */
+const getCustomerStatement = async (req, res) => {
+    try {
+        const { from, to, currency, format = 'json' } = req.query;
+
+        if (!['json', 'pdf'].includes(format)) {
+            return res.status(400).json({ message: 'Format must be json or pdf' });
+        }
+
+        const statement = await getStatement(pool, req.params.id, { from, to, currency });
+
+        if (format === 'pdf') {
+            const pdf = await renderStatementPdf(statement);
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="statement-${statement.to}.pdf"`);
+            return res.send(pdf);
+        }
+
+        res.json(statement);
+    } catch (error) {
+        console.error('Error building customer statement:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error building customer statement',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/customers/:id/statement/send
+ * Email the statement PDF to the customer (from, to, currency, optional
+ * subject, message and cc).
+ */
+const sendCustomerStatement = async (req, res) => {
+    try {
+        const { from, to, currency, subject, message } = req.body;
+        const cc = parseRecipients(req.body.cc);
+
+        const statement = await getStatement(pool, req.params.id, { from, to, currency });
+
+        if (!statement.customer.email) {
+            return res.status(400).json({ message: 'Customer has no email address' });
+        }
+
+        const pdf = await renderStatementPdf(statement);
+        const statementId = await recordStatement(pool, statement, req.user?.id || null);
+
+        const delivery = await deliverDocument({
+            documentType: 'statement',
+            documentId: statementId,
+            documentNumber: `STATEMENT-${statement.to}`,
+            to: statement.customer.email,
+            cc,
+            email: statementEmail(statement, { subject, message }),
+            message,
+            pdf
+        }, req.user?.id || null);
+
+        res.json({
+            success: true,
+            message: `Statement sent to ${statement.customer.email}`,
+            statement_id: statementId,
+            closing_balance: statement.closing_balance,
+            delivery
+        });
+    } catch (error) {
+        console.error('Error sending customer statement:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error sending customer statement',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAllCustomers,
+    getCustomerById,
+    createCustomer,
+    updateCustomer,
+    deleteCustomer,
+    createContact,
+    updateContact,
+    deleteContact,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    getCustomerStatement,
+    sendCustomerStatement
+};
\ No newline at end of file
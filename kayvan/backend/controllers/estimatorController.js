@@ -0,0 +1,74 @@
+const pool = require('../config/database');
+const {
+    SUBSTRATE_FACTORS,
+    DEFAULT_WASTE_PERCENT,
+    readCoverage,
+    readPacks,
+    estimateMaterials
+} = require('../services/estimatorService');
+
+// ==================== ESTIMATOR ====================
+
+/**
+ * GET /api/estimator/products
+ * Published products with a coverage rate, for choosing a system, with the
+ * substrate conditions and default waste
+ */
+const getEstimatorProducts = async (req, res) => {
+    try {
+        const [products] = await pool.query(`
+            SELECT id, name, category, price, image_url, technical_specs, variants, weight_unit
+            FROM products
+            WHERE is_published = true AND technical_specs IS NOT NULL
+            ORDER BY category, name
+        `);
+
+        res.json({
+            substrates: Object.keys(SUBSTRATE_FACTORS),
+            waste_percent: DEFAULT_WASTE_PERCENT,
+            products: products
+                .map(product => ({ product, coverage: readCoverage(product) }))
+                .filter(({ coverage }) => coverage)
+                .map(({ product, coverage }) => ({
+                    id: product.id,
+                    name: product.name,
+                    category: product.category,
+                    price: product.price,
+                    image_url: product.image_url,
+                    ...coverage,
+                    packs: readPacks(product, coverage.unit)
+                }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching estimator products:', error);
+        res.status(500).json({ 
+            message: 'Error fetching estimator products',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * POST /api/estimator/estimate
+ * Estimate the materials for a coating system: area_m2, substrate, optional
+ * waste_percent and a system ({ primer, body_coat, topcoat }) or layers.
+ * Returns quotation lines and cart items rounded up to whole packs.
+ */
+const estimate = async (req, res) => {
+    try {
+        res.json(await estimateMaterials(pool, req.body));
+
+    } catch (error) {
+        console.error('Error estimating materials:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error estimating materials',
+            error: error.message 
+        });
+    }
+};
+
+module.exports = {
+    getEstimatorProducts,
+    estimate
+};
\ No newline at end of file
@@ -0,0 +1,201 @@
+const pool = require('../config/database');
+const {
+    BASE_CURRENCY,
+    CURRENCIES,
+    saveRate,
+    importRates
+} = require('../services/currencyService');
+
+// ==================== CURRENCIES ====================
+
+/**
+ * GET /api/exchange-rates/currencies
+ * Get supported currencies and the base currency
+ */
+const getCurrencies = (req, res) => {
+    res.json({
+        base_currency: BASE_CURRENCY,
+        currencies: Object.entries(CURRENCIES).map(([code, currency]) => ({ code, ...currency }))
+    });
+};
+
+// ==================== EXCHANGE RATES ====================
+
+/**
+ * GET /api/exchange-rates
+ * Get exchange rates with filters
+ */
+const getExchangeRates = async (req, res) => {
+    try {
+        const { currency, from, to } = req.query;
+
+        let query = `
+            SELECT
+                r.*,
+                DATE_FORMAT(r.effective_date, '%Y-%m-%d') as formatted_effective_date
+            FROM exchange_rates r
+            WHERE 1=1
+        `;
+
+        const params = [];
+
+        if (currency) {
+            query += ` AND r.currency_code = ?`;
+            params.push(String(currency).toUpperCase());
+        }
+
+        if (from) {
+            query += ` AND r.effective_date >= ?`;
+            params.push(from);
+        }
+
+        if (to) {
+            query += ` AND r.effective_date <= ?`;
+            params.push(to);
+        }
+
+        query += ` ORDER BY r.effective_date DESC, r.currency_code ASC`;
+
+        const [rates] = await pool.query(query, params);
+
+        res.json(rates);
+    } catch (error) {
+        console.error('Error fetching exchange rates:', error);
+        res.status(500).json({
+            message: 'Error fetching exchange rates',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/exchange-rates/latest
+ * Get the current rate of every currency
+ */
+const getLatestRates = async (req, res) => {
+    try {
+        const [rates] = await pool.query(`
+            SELECT
+                r.currency_code,
+                r.rate,
+                DATE_FORMAT(r.effective_date, '%Y-%m-%d') as effective_date,
+                r.source
+            FROM exchange_rates r
+            WHERE r.effective_date = (
+                SELECT MAX(r2.effective_date)
+                FROM exchange_rates r2
+                WHERE r2.currency_code = r.currency_code
+                AND r2.effective_date <= CURDATE()
+            )
+            ORDER BY r.currency_code ASC
+        `);
+
+        res.json({
+            base_currency: BASE_CURRENCY,
+            rates
+        });
+    } catch (error) {
+        console.error('Error fetching latest exchange rates:', error);
+        res.status(500).json({
+            message: 'Error fetching latest exchange rates',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/exchange-rates
+ * Enter a rate (base currency units per one unit of the currency)
+ */
+const createExchangeRate = async (req, res) => {
+    try {
+        const rate = await saveRate(pool, req.body, 'manual', req.user?.id || null);
+
+        res.status(201).json({
+            success: true,
+            message: `${rate.currency_code} rate saved for ${rate.effective_date}`,
+            rate
+        });
+
+    } catch (error) {
+        console.error('Error saving exchange rate:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error saving exchange rate',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/exchange-rates/import
+ * Import rates from a CSV (multipart field "file") with
+ * currency_code, rate and effective_date columns
+ */
+const importExchangeRates = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'CSV file is required' });
+        }
+
+        await connection.beginTransaction();
+
+        const rates = await importRates(connection, req.file.buffer.toString('utf8'), req.user?.id || null);
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `Imported ${rates.length} exchange rate(s)`,
+            rates
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error importing exchange rates:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error importing exchange rates',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * DELETE /api/exchange-rates/:id
+ * Delete a rate (documents keep the rate they were issued with)
+ */
+const deleteExchangeRate = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM exchange_rates WHERE id = ?',
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Exchange rate not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Exchange rate deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting exchange rate:', error);
+        res.status(500).json({
+            message: 'Error deleting exchange rate',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getCurrencies,
+    getExchangeRates,
+    getLatestRates,
+    createExchangeRate,
+    importExchangeRates,
+    deleteExchangeRate
+};
\ No newline at end of file
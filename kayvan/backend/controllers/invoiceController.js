@@ -1,20 +1,183 @@
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const {
+    calculateInvoiceTotals,
+    insertInvoiceItems,
+    createInvoiceRecord,
+    getInvoiceDetails
+} = require('../services/invoiceService');
+const { renderInvoicePdf } = require('../services/pdfService');
+const { getNextNumber } = require('../services/numberingService');
+const { getWithholdingRemaining, applyPayment } = require('../services/paymentService');
+const { BASE_CURRENCY, snapshotRate } = require('../services/currencyService');
+const { roundMoney } = require('../services/taxService');
+const {
+    fillCataloguePrices,
+    findMismatches,
+    checkMismatches
+} = require('../services/pricingService');
+const { STAGES, sendReminder } = require('../services/dunningService');
+const { parseRecipients, deliverDocument } = require('../services/documentDeliveryService');
+const { invoiceEmail } = require('../services/emailTemplates');
+const {
+    OPEN_STATUSES,
+    EDITABLE_AFTER_ISSUE,
+    recordStatusChange,
+    transitionInvoice
+} = require('../services/invoiceStateService');
+const {
+    queueInvoice,
+    cancelSubmission,
+    getSubmission,
+    submitInvoice,
+    submitInBackground,
+    retrySubmission
+} = require('../services/fiscalService');
+const { resolveDocumentCustomer } = require('../services/customerService');
+const { httpError } = require('../services/httpError');
+
+// Helper function to issue a draft and queue it for the tax authority.
+// The rate is snapshotted again on the day of issue unless one is confirmed.
+const issueDraft = async (connection, invoice, userId, exchangeRate = null) => {
+    const [items] = await connection.query(
+        'SELECT COUNT(*) as count FROM invoice_items WHERE invoice_id = ?',
+        [invoice.id]
+    );
+
+    if (Number(items[0].count) === 0) {
+        throw httpError(400, 'Add at least one item before issuing the invoice');
+    }
+
+    if (invoice.price_review_required) {
+        throw httpError(400, 'Review the invoice prices before issuing it');
+    }
+
+    const { exchange_rate, exchange_rate_date } = await snapshotRate(
+        connection, invoice.currency_code, new Date(), exchangeRate
+    );
 
-// Helper function to generate unique invoice number
-const generateInvoiceNumber = () => {
-    const prefix = 'INV';
-    const year = new Date().getFullYear();
-    const timestamp = Date.now().toString().slice(-6);
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `${prefix}-${year}${timestamp}${random}`;
+    await transitionInvoice(connection, invoice, 'issued', {
+        userId,
+        fields: { exchange_rate, exchange_rate_date }
+    });
+    return queueInvoice(connection, invoice.id);
 };
 
-// Helper function to calculate due date (default: 30 days)
-const calculateDueDate = (issueDate, terms = 30) => {
-    const date = new Date(issueDate);
-    date.setDate(date.getDate() + terms);
-    return date;
+// Helper function to copy an invoice and its items into a new draft.
+// The copy is priced like a new invoice as of today; if that no longer
+// gives the original's totals, or the original was awaiting a price
+// review, the copy is flagged for review too.
+const copyInvoice = async (connection, original, { quotationId = null, quotationReference, notes, revisionOf = null, userId = null }) => {
+    // Take the next number in the invoice series
+    const newInvoiceNumber = await getNextNumber(connection, 'invoice');
+
+    // Same currency, today's rate
+    const currency = await snapshotRate(connection, original.currency_code, new Date());
+
+    const [originalItems] = await connection.query(`
+        SELECT * FROM invoice_items
+        WHERE invoice_id = ?
+        ORDER BY sort_order ASC, id ASC
+    `, [original.id]);
+
+    const items = await fillCataloguePrices(
+        connection,
+        originalItems.map(item => ({ ...item, quotation_item_id: null })),
+        { currency: currency.currency_code, exchangeRate: currency.exchange_rate }
+    );
+
+    const totals = await calculateInvoiceTotals(connection, {
+        customer_email: original.customer_email,
+        issue_date: new Date(),
+        currency_code: currency.currency_code,
+        discount_type: original.discount_type,
+        discount_value: original.discount_value,
+        shipping_amount: original.shipping_amount,
+        prices_include_tax: !!original.prices_include_tax,
+        withholding_vat: !!original.withholding_vat,
+        items
+    });
+
+    const mismatches = findMismatches([], {
+        subtotal: original.subtotal,
+        tax_amount: original.tax_amount,
+        total: original.total
+    }, totals, currency.currency_code);
+    const priceReview = checkMismatches(mismatches, 'The copied invoice no longer adds up to the original totals')
+        || !!original.price_review_required;
+
+    const [result] = await connection.query(`
+        INSERT INTO invoices (
+            invoice_number, quotation_id, quotation_reference,
+            status, payment_status, revision_of_invoice_id, customer_id,
+            customer_name, customer_email, customer_phone,
+            customer_company, customer_address, customer_tax_id,
+            issue_date, due_date,
+            currency_code, exchange_rate, exchange_rate_date,
+            subtotal, tax_rate, tax_amount,
+            discount_type, discount_value, discount_amount,
+            shipping_amount, total, amount_paid, balance_due,
+            prices_include_tax, withholding_vat, withholding_vat_amount,
+            tax_exemption_id, tax_summary,
+            submitted_total, price_review_required, pricing_mismatches,
+            notes, terms_conditions, admin_notes, created_by
+        ) SELECT 
+            ?, ?, ?,
+            'draft', 'unpaid', ?, customer_id,
+            customer_name, customer_email, customer_phone,
+            customer_company, customer_address, customer_tax_id,
+            CURDATE(), DATE_ADD(CURDATE(), INTERVAL 30 DAY),
+            ?, ?, ?,
+            ?, ?, ?,
+            discount_type, discount_value, ?,
+            ?, ?, 0, ?,
+            ?, ?, ?,
+            ?, ?,
+            COALESCE(?, submitted_total), ?, COALESCE(?, pricing_mismatches),
+            ?, terms_conditions, admin_notes, ?
+        FROM invoices WHERE id = ?
+    `, [
+        newInvoiceNumber, quotationId, quotationReference || null,
+        revisionOf,
+        currency.currency_code, currency.exchange_rate, currency.exchange_rate_date,
+        totals.subtotal, totals.tax_rate, totals.tax_amount,
+        totals.discount_amount,
+        totals.shipping_amount, totals.total, totals.total,
+        totals.prices_include_tax, totals.withholding_vat, totals.withholding_vat_amount,
+        totals.tax_exemption ? totals.tax_exemption.id : null, JSON.stringify(totals.tax_summary),
+        mismatches.length > 0 ? original.total : null,
+        priceReview,
+        mismatches.length > 0 ? JSON.stringify(mismatches) : null,
+        notes || null, userId,
+        original.id
+    ]);
+
+    const newInvoiceId = result.insertId;
+
+    await insertInvoiceItems(connection, newInvoiceId, totals.items);
+
+    await recordStatusChange(connection, newInvoiceId, null, 'draft', {
+        reason: revisionOf ? `Revision of ${original.invoice_number}` : null,
+        userId
+    });
+
+    return newInvoiceId;
+};
+
+// Helper function to void a locked invoice that has nothing paid against it
+const voidLockedInvoice = async (connection, invoice, reason, userId) => {
+    if (Number(invoice.amount_paid) > 0) {
+        throw httpError(400, 'Payments have been recorded on this invoice. Refund them with a credit note before voiding it.');
+    }
+
+    // Refuses once the invoice is registered with the tax authority
+    await cancelSubmission(connection, invoice.id);
+
+    await transitionInvoice(connection, invoice, 'void', {
+        reason,
+        userId,
+        fields: { balance_due: 0 }
+    });
 };
 
 // ==================== INVOICE CRUD OPERATIONS ====================
@@ -25,19 +188,13 @@ const calculateDueDate = (issueDate, terms = 30) => {
  */
 const getAllInvoices = async (req, res) => {
     try {
-        const { status, search, from, to, customer } = req.query;
+        const { status, search, from, to, customer, customer_id } = req.query;
 
         let query = `
             SELECT 
                 i.*,
                 COUNT(ii.id) as item_count,
                 DATEDIFF(i.due_date, CURDATE()) as days_until_due,
-                CASE 
-                    WHEN i.status = 'paid' THEN 'paid'
-                    WHEN i.due_date < CURDATE() AND i.balance_due > 0 THEN 'overdue'
-                    WHEN i.status = 'draft' THEN 'draft'
-                    ELSE i.status
-                END as calculated_status,
                 DATE_FORMAT(i.issue_date, '%Y-%m-%d') as formatted_issue_date,
                 DATE_FORMAT(i.due_date, '%Y-%m-%d') as formatted_due_date,
                 DATE_FORMAT(i.paid_date, '%Y-%m-%d') as formatted_paid_date,
@@ -50,12 +207,8 @@ const getAllInvoices = async (req, res) => {
         const params = [];
 
         if (status && status !== 'all') {
-            if (status === 'overdue') {
-                query += ` AND i.due_date < CURDATE() AND i.balance_due > 0 AND i.status != 'paid'`;
-            } else {
-                query += ` AND i.status = ?`;
-                params.push(status);
-            }
+            query += ` AND i.status = ?`;
+            params.push(status);
         }
 
         if (search) {
@@ -74,6 +227,11 @@ const getAllInvoices = async (req, res) => {
             params.push(customer);
         }
 
+        if (customer_id) {
+            query += ` AND i.customer_id = ?`;
+            params.push(customer_id);
+        }
+
         if (from) {
             query += ` AND DATE(i.issue_date) >= ?`;
             params.push(from);
@@ -124,40 +282,12 @@ const getInvoiceById = async (req, res) => {
     try {
         const { id } = req.params;
 
-        const [invoices] = await pool.query(`
-            SELECT 
-                i.*,
-                DATEDIFF(i.due_date, CURDATE()) as days_until_due,
-                DATE_FORMAT(i.issue_date, '%Y-%m-%d') as formatted_issue_date,
-                DATE_FORMAT(i.due_date, '%Y-%m-%d') as formatted_due_date,
-                DATE_FORMAT(i.paid_date, '%Y-%m-%d') as formatted_paid_date,
-                DATE_FORMAT(i.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
-            FROM invoices i
-            WHERE i.id = ?
-        `, [id]);
+        const invoice = await getInvoiceDetails(pool, id);
 
-        if (invoices.length === 0) {
+        if (!invoice) {
             return res.status(404).json({ message: 'Invoice not found' });
         }
 
-        const invoice = invoices[0];
-
-        // Get items
-        const [items] = await pool.query(`
-            SELECT * FROM invoice_items 
-            WHERE invoice_id = ? 
-            ORDER BY sort_order ASC, id ASC
-        `, [id]);
-        invoice.items = items;
-
-        // Get payment history
-        const [payments] = await pool.query(`
-            SELECT * FROM invoice_payments 
-            WHERE invoice_id = ? 
-            ORDER BY payment_date DESC
-        `, [id]);
-        invoice.payments = payments;
-
         // Mark as viewed if not already
         if (!invoice.viewed_at) {
             await pool.query(
@@ -209,146 +339,16 @@ const createInvoice = async (req, res) => {
     try {
         await connection.beginTransaction();
 
-        const {
-            // From quotation conversion
-            quotation_id,
-            quotation_reference,
-            
-            // Customer info
-            customer_name,
-            customer_email,
-            customer_phone,
-            customer_company,
-            customer_address,
-            customer_tax_id,
-            
-            // Invoice details
-            issue_date = new Date(),
-            due_date,
-            payment_terms = 30,
-            
-            // Financial
-            subtotal,
-            tax_rate = 16.00,
-            tax_amount,
-            discount_type,
-            discount_value = 0,
-            shipping_amount = 0,
-            total,
-            
-            // Items
-            items = [],
-            
-            // Notes
-            notes,
-            terms_conditions,
-            
-            // Status
-            status = 'draft'
-        } = req.body;
-
-        // Generate invoice number
-        const invoiceNumber = generateInvoiceNumber();
-
-        // Calculate dates
-        const issueDate = new Date(issue_date);
-        const dueDate = due_date || calculateDueDate(issueDate, payment_terms);
-
-        // Calculate discount amount
-        let discountAmount = 0;
-        if (discount_type === 'percentage') {
-            discountAmount = (subtotal * discount_value) / 100;
-        } else if (discount_type === 'fixed') {
-            discountAmount = discount_value;
-        }
-
-        // Calculate tax if not provided
-        const calculatedTaxAmount = tax_amount || (subtotal - discountAmount + shippingAmount) * (tax_rate / 100);
-        
-        // Calculate total if not provided
-        const calculatedTotal = total || (subtotal - discountAmount + shippingAmount + calculatedTaxAmount);
-        
-        // Calculate balance due
-        const balanceDue = calculatedTotal;
-
-        // Insert invoice
-        const [result] = await connection.query(`
-            INSERT INTO invoices (
-                invoice_number, quotation_id, quotation_reference,
-                status, payment_status,
-                customer_name, customer_email, customer_phone,
-                customer_company, customer_address, customer_tax_id,
-                issue_date, due_date,
-                subtotal, tax_rate, tax_amount,
-                discount_type, discount_value, discount_amount,
-                shipping_amount, total, amount_paid, balance_due,
-                notes, terms_conditions, created_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            invoiceNumber, quotation_id || null, quotation_reference || null,
-            status, 'unpaid',
-            customer_name, customer_email, customer_phone || null,
-            customer_company || null, customer_address || null, customer_tax_id || null,
-            issueDate, dueDate,
-            subtotal, tax_rate, calculatedTaxAmount,
-            discount_type || null, discount_value || 0, discountAmount,
-            shipping_amount, calculatedTotal, 0, balanceDue,
-            notes || null, terms_conditions || null, req.user?.id || null
-        ]);
-
-        const invoiceId = result.insertId;
-
-        // Insert invoice items
-        for (let i = 0; i < items.length; i++) {
-            const item = items[i];
-            
-            // Calculate item tax
-            const itemTaxAmount = (item.unit_price * item.quantity) * (item.tax_rate || tax_rate) / 100;
-            
-            // Calculate item total
-            const itemTotal = (item.unit_price * item.quantity) + itemTaxAmount;
+        const invoiceId = await createInvoiceRecord(connection, req.body, req.user?.id || null);
 
-            await connection.query(`
-                INSERT INTO invoice_items (
-                    invoice_id, product_id, quotation_item_id,
-                    item_type, item_name, description,
-                    quantity, unit, unit_price,
-                    discount_percent, discount_amount,
-                    tax_rate, tax_amount, total,
-                    sort_order
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                invoiceId,
-                item.product_id || null,
-                item.quotation_item_id || null,
-                item.item_type || 'product',
-                item.item_name,
-                item.description || null,
-                item.quantity,
-                item.unit || 'unit',
-                item.unit_price,
-                item.discount_percent || 0,
-                item.discount_amount || 0,
-                item.tax_rate || tax_rate,
-                itemTaxAmount,
-                itemTotal,
-                i
-            ]);
-        }
-
-        // If this invoice is created from a quotation, update the quotation status
-        if (quotation_id) {
-            await connection.query(`
-                UPDATE quotations 
-                SET status = 'converted', 
-                    converted_at = NOW(),
-                    converted_to_invoice_id = ?
-                WHERE id = ?
-            `, [invoiceId, quotation_id]);
-        }
+        // Invoices created already issued are registered with the tax authority
+        const queued = req.body.status === 'issued'
+            && await queueInvoice(connection, invoiceId);
 
         await connection.commit();
 
+        if (queued) submitInBackground(invoiceId);
+
         // Fetch and return the created invoice
         const [newInvoice] = await connection.query(
             'SELECT * FROM invoices WHERE id = ?',
@@ -364,8 +364,8 @@ const createInvoice = async (req, res) => {
     } catch (error) {
         await connection.rollback();
         console.error('Error creating invoice:', error);
-        res.status(500).json({ 
-            message: 'Error creating invoice',
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error creating invoice',
             error: error.message 
         });
     } finally {
@@ -397,23 +397,49 @@ const updateInvoice = async (req, res) => {
 
         const invoice = existing[0];
 
-        // Don't allow updating paid invoices
-        if (invoice.status === 'paid') {
+        // Status only changes through the issue, void and payment actions
+        if (updates.status !== undefined && updates.status !== invoice.status) {
             return res.status(400).json({ 
-                message: 'Cannot update a paid invoice' 
+                message: 'Use the issue, void or payment actions to change the status of an invoice' 
             });
         }
 
         // Build update query dynamically
         const allowedFields = [
-            'status', 'customer_name', 'customer_email', 'customer_phone',
+            'customer_id', 'customer_name', 'customer_email', 'customer_phone',
             'customer_company', 'customer_address', 'customer_tax_id',
-            'issue_date', 'due_date', 'subtotal', 'tax_rate', 'tax_amount',
-            'discount_type', 'discount_value', 'discount_amount',
-            'shipping_amount', 'total', 'notes', 'terms_conditions',
-            'admin_notes'
+            'issue_date', 'due_date', 'notes', 'terms_conditions',
+            'admin_notes', 'reminders_enabled'
+        ];
+
+        // Fields the totals depend on (the customer and date decide exemptions,
+        // the currency how amounts are rounded)
+        const taxFields = [
+            'items', 'tax_code', 'tax_rate', 'discount_type', 'discount_value',
+            'shipping_amount', 'shipping_tax_code', 'prices_include_tax',
+            'withholding_vat', 'customer_email', 'issue_date', 'currency_code'
         ];
 
+        // Issued invoices are fixed; corrections go through a credit note or a revision
+        if (invoice.status !== 'draft') {
+            const locked = [...allowedFields, ...taxFields, 'currency_code', 'exchange_rate']
+                .filter(field => updates[field] !== undefined && !EDITABLE_AFTER_ISSUE.includes(field));
+
+            if (locked.length > 0) {
+                return res.status(400).json({ 
+                    message: `Issued invoices cannot be edited (${[...new Set(locked)].join(', ')}). Issue a credit note or a revision instead.` 
+                });
+            }
+        }
+
+        // Picking a customer fills in any of their details not given
+        if (updates.customer_id) {
+            const customer = await resolveDocumentCustomer(connection, { customer_id: updates.customer_id });
+            allowedFields.filter(field => field.startsWith('customer_')).forEach(field => {
+                if (updates[field] === undefined) updates[field] = customer[field] ?? null;
+            });
+        }
+
         const updateFields = [];
         const updateValues = [];
 
@@ -424,29 +450,84 @@ const updateInvoice = async (req, res) => {
             }
         });
 
-        // Recalculate balance due if total or amount paid changed
-        if (updates.total !== undefined || updates.amount_paid !== undefined) {
-            const newTotal = updates.total !== undefined ? updates.total : invoice.total;
-            const newAmountPaid = updates.amount_paid !== undefined ? updates.amount_paid : invoice.amount_paid;
-            const newBalanceDue = newTotal - newAmountPaid;
-            
-            updateFields.push(`balance_due = ?`);
-            updateValues.push(newBalanceDue);
-            
-            // Update payment status
-            if (newBalanceDue <= 0) {
-                updateFields.push(`payment_status = 'paid'`);
-                updateFields.push(`paid_date = NOW()`);
-                updateFields.push(`status = 'paid'`);
-            } else if (newAmountPaid > 0) {
-                updateFields.push(`payment_status = 'partial'`);
-            }
+        // Changing the currency takes a new rate snapshot
+        let currencyCode = invoice.currency_code;
+        let exchangeRate = invoice.exchange_rate;
+        if (updates.currency_code !== undefined || updates.exchange_rate !== undefined) {
+            const currency = await snapshotRate(
+                connection,
+                updates.currency_code ?? invoice.currency_code,
+                updates.issue_date ?? invoice.issue_date,
+                updates.exchange_rate
+            );
+
+            updateFields.push('currency_code = ?', 'exchange_rate = ?', 'exchange_rate_date = ?');
+            updateValues.push(currency.currency_code, currency.exchange_rate, currency.exchange_rate_date);
+            currencyCode = currency.currency_code;
+            exchangeRate = currency.exchange_rate;
         }
 
-        if (updates.status === 'paid' && invoice.status !== 'paid') {
-            updateFields.push(`paid_date = NOW()`);
-            updateFields.push(`payment_status = 'paid'`);
-            updateFields.push(`balance_due = 0`);
+        // Recalculate totals through the tax engine
+        let totals = null;
+        if (taxFields.some(field => updates[field] !== undefined)) {
+            const [currentItems] = await connection.query(`
+                SELECT * FROM invoice_items
+                WHERE invoice_id = ?
+                ORDER BY sort_order ASC, id ASC
+            `, [id]);
+
+            // Replacement lines are priced like a new invoice's
+            const items = Array.isArray(updates.items)
+                ? await fillCataloguePrices(connection, updates.items, { currency: currencyCode, exchangeRate })
+                : currentItems;
+
+            totals = await calculateInvoiceTotals(connection, {
+                customer_email: updates.customer_email ?? invoice.customer_email,
+                issue_date: updates.issue_date ?? invoice.issue_date,
+                currency_code: currencyCode,
+                tax_code: updates.tax_code,
+                tax_rate: updates.tax_rate,
+                discount_type: updates.discount_type !== undefined ? updates.discount_type : invoice.discount_type,
+                discount_value: updates.discount_value ?? invoice.discount_value,
+                shipping_amount: updates.shipping_amount ?? invoice.shipping_amount,
+                shipping_tax_code: updates.shipping_tax_code,
+                prices_include_tax: updates.prices_include_tax ?? !!invoice.prices_include_tax,
+                withholding_vat: updates.withholding_vat ?? !!invoice.withholding_vat,
+                items
+            });
+
+            // Totals sent with the request are only checked, never stored as
+            // the totals; a mismatch flags the draft until its prices are reviewed
+            const mismatches = findMismatches([], {
+                subtotal: updates.subtotal,
+                tax_amount: updates.tax_amount,
+                total: updates.total
+            }, totals, currencyCode);
+            if (checkMismatches(mismatches, 'Submitted totals do not match the calculated totals')) {
+                updateFields.push('submitted_total = ?', 'price_review_required = ?', 'pricing_mismatches = ?');
+                updateValues.push(updates.total, true, JSON.stringify(mismatches));
+            }
+
+            const newBalanceDue = roundMoney(
+                totals.total - Number(invoice.amount_paid) - Number(invoice.credited_amount || 0),
+                currencyCode
+            );
+
+            updateFields.push(
+                'subtotal = ?', 'tax_rate = ?', 'tax_amount = ?',
+                'discount_type = ?', 'discount_value = ?', 'discount_amount = ?',
+                'shipping_amount = ?', 'total = ?', 'balance_due = ?',
+                'prices_include_tax = ?', 'withholding_vat = ?', 'withholding_vat_amount = ?',
+                'tax_exemption_id = ?', 'tax_summary = ?'
+            );
+            updateValues.push(
+                totals.subtotal, totals.tax_rate, totals.tax_amount,
+                updates.discount_type !== undefined ? updates.discount_type || null : invoice.discount_type,
+                updates.discount_value ?? invoice.discount_value, totals.discount_amount,
+                totals.shipping_amount, totals.total, newBalanceDue,
+                totals.prices_include_tax, totals.withholding_vat, totals.withholding_vat_amount,
+                totals.tax_exemption ? totals.tax_exemption.id : null, JSON.stringify(totals.tax_summary)
+            );
         }
 
         updateFields.push(`updated_at = NOW()`);
@@ -459,45 +540,14 @@ const updateInvoice = async (req, res) => {
             );
         }
 
-        // Update items if provided
-        if (updates.items && Array.isArray(updates.items)) {
-            // Delete existing items
+        // Replace items if provided
+        if (Array.isArray(updates.items)) {
             await connection.query(
                 'DELETE FROM invoice_items WHERE invoice_id = ?',
                 [id]
             );
 
-            // Insert new items
-            for (let i = 0; i < updates.items.length; i++) {
-                const item = updates.items[i];
-                
-                const itemTaxAmount = (item.unit_price * item.quantity) * (item.tax_rate || invoice.tax_rate) / 100;
-                const itemTotal = (item.unit_price * item.quantity) + itemTaxAmount;
-
-                await connection.query(`
-                    INSERT INTO invoice_items (
-                        invoice_id, product_id, item_type, item_name,
-                        description, quantity, unit, unit_price,
-                        discount_percent, discount_amount,
-                        tax_rate, tax_amount, total, sort_order
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `, [
-                    id,
-                    item.product_id || null,
-                    item.item_type || 'product',
-                    item.item_name,
-                    item.description || null,
-                    item.quantity,
-                    item.unit || 'unit',
-                    item.unit_price,
-                    item.discount_percent || 0,
-                    item.discount_amount || 0,
-                    item.tax_rate || invoice.tax_rate,
-                    itemTaxAmount,
-                    itemTotal,
-                    i
-                ]);
-            }
+            await insertInvoiceItems(connection, id, totals.items);
         }
 
         await connection.commit();
@@ -517,8 +567,8 @@ const updateInvoice = async (req, res) => {
     } catch (error) {
         await connection.rollback();
         console.error('Error updating invoice:', error);
-        res.status(500).json({ 
-            message: 'Error updating invoice',
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error updating invoice',
             error: error.message 
         });
     } finally {
@@ -528,127 +578,266 @@ const updateInvoice = async (req, res) => {
 
 /**
  * DELETE /api/invoices/:id
- * Delete invoice (only drafts)
+ * Discard a draft. Drafts already hold a number from the series, so the
+ * draft is voided (optional reason) rather than deleted and the series
+ * stays continuous.
  */
 const deleteInvoice = async (req, res) => {
+    const connection = await pool.getConnection();
     try {
-        const { id } = req.params;
+        await connection.beginTransaction();
 
-        // Check if invoice exists and is draft
-        const [invoice] = await pool.query(
-            'SELECT status FROM invoices WHERE id = ?',
-            [id]
+        const [invoices] = await connection.query(
+            'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+            [req.params.id]
         );
 
-        if (invoice.length === 0) {
+        if (invoices.length === 0) {
+            await connection.rollback();
             return res.status(404).json({ message: 'Invoice not found' });
         }
 
-        if (invoice[0].status !== 'draft') {
+        if (invoices[0].status !== 'draft') {
+            await connection.rollback();
             return res.status(400).json({ 
-                message: 'Only draft invoices can be deleted' 
+                message: 'Only draft invoices can be discarded. Void or credit issued invoices instead.' 
             });
         }
 
-        const [result] = await pool.query(
-            'DELETE FROM invoices WHERE id = ?',
-            [id]
-        );
+        await voidLockedInvoice(connection, invoices[0], req.body?.reason || 'Draft discarded', req.user?.id || null);
+
+        await connection.commit();
 
         res.json({ 
             success: true,
-            message: 'Invoice deleted successfully' 
+            message: `Draft ${invoices[0].invoice_number} discarded; its number is kept as void` 
         });
 
     } catch (error) {
-        console.error('Error deleting invoice:', error);
-        res.status(500).json({ 
-            message: 'Error deleting invoice',
+        await connection.rollback();
+        console.error('Error discarding invoice:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error discarding invoice',
             error: error.message 
         });
+    } finally {
+        connection.release();
     }
 };
 
-// ==================== PAYMENT OPERATIONS ====================
+// ==================== LIFECYCLE ====================
 
 /**
- * POST /api/invoices/:id/payments
- * Record a payment for an invoice
+ * POST /api/invoices/:id/issue
+ * Finalize a draft. From here on its lines and totals are fixed.
+ * Body may carry an agreed exchange_rate; otherwise today's rate is used.
  */
-const recordPayment = async (req, res) => {
+const issueInvoice = async (req, res) => {
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
 
-        const { id } = req.params;
-        const {
-            payment_date,
-            amount,
-            payment_method,
-            reference_number,
-            notes
-        } = req.body;
+        const [invoices] = await connection.query(
+            'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+            [req.params.id]
+        );
+
+        if (invoices.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        const queued = await issueDraft(connection, invoices[0], req.user?.id || null, req.body?.exchange_rate);
+
+        await connection.commit();
+
+        if (queued) submitInBackground(invoices[0].id);
+
+        res.json({
+            success: true,
+            message: `Invoice ${invoices[0].invoice_number} issued`,
+            invoice: await getInvoiceDetails(pool, invoices[0].id)
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error issuing invoice:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error issuing invoice',
+            error: error.message 
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * POST /api/invoices/:id/void
+ * Void an invoice (reason required). It keeps its number and stays on file.
+ */
+const voidInvoice = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
 
-        // Get invoice
         const [invoices] = await connection.query(
-            'SELECT * FROM invoices WHERE id = ?',
-            [id]
+            'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+            [req.params.id]
         );
 
         if (invoices.length === 0) {
+            await connection.rollback();
             return res.status(404).json({ message: 'Invoice not found' });
         }
 
-        const invoice = invoices[0];
+        await voidLockedInvoice(connection, invoices[0], req.body.reason, req.user?.id || null);
 
-        // Check if payment amount is valid
-        if (amount <= 0) {
-            return res.status(400).json({ message: 'Payment amount must be greater than 0' });
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Invoice ${invoices[0].invoice_number} voided`,
+            invoice: await getInvoiceDetails(pool, invoices[0].id)
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error voiding invoice:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error voiding invoice',
+            error: error.message 
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * POST /api/invoices/:id/revise
+ * Void an issued invoice (reason required) and open a new draft copied from
+ * it, for corrections a credit note cannot express.
+ */
+const reviseInvoice = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [invoices] = await connection.query(
+            'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+            [req.params.id]
+        );
+
+        if (invoices.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Invoice not found' });
         }
 
-        if (amount > invoice.balance_due) {
-            return res.status(400).json({ 
-                message: 'Payment amount exceeds balance due' 
-            });
+        const original = invoices[0];
+        const userId = req.user?.id || null;
+
+        if (original.status === 'draft') {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Draft invoices can be edited directly' });
         }
 
-        // Record payment
-        const [paymentResult] = await connection.query(`
-            INSERT INTO invoice_payments (
-                invoice_id, payment_date, amount,
-                payment_method, reference_number, notes,
-                received_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [
-            id,
-            payment_date || new Date(),
-            amount,
-            payment_method,
-            reference_number || null,
-            notes || null,
-            req.user?.id || null
-        ]);
+        await voidLockedInvoice(connection, original, req.body.reason, userId);
 
-        // Update invoice
-        const newAmountPaid = invoice.amount_paid + amount;
-        const newBalanceDue = invoice.total - newAmountPaid;
-        
-        let updateFields = 'amount_paid = ?, balance_due = ?';
-        const updateValues = [newAmountPaid, newBalanceDue];
+        const revisionId = await copyInvoice(connection, original, {
+            quotationId: original.quotation_id,
+            quotationReference: original.quotation_reference,
+            notes: original.notes,
+            revisionOf: original.id,
+            userId
+        });
 
-        if (newBalanceDue <= 0) {
-            updateFields += ', payment_status = ?, status = ?, paid_date = ?';
-            updateValues.push('paid', 'paid', payment_date || new Date());
-        } else if (newAmountPaid > 0) {
-            updateFields += ', payment_status = ?';
-            updateValues.push('partial');
+        // The quotation now leads to the revision
+        if (original.quotation_id) {
+            await connection.query(`
+                UPDATE quotations
+                SET converted_to_invoice_id = ?
+                WHERE id = ? AND converted_to_invoice_id = ?
+            `, [revisionId, original.quotation_id, original.id]);
         }
 
-        updateValues.push(id);
+        await connection.commit();
 
-        await connection.query(
-            `UPDATE invoices SET ${updateFields} WHERE id = ?`,
-            updateValues
+        res.status(201).json({
+            success: true,
+            message: `Invoice ${original.invoice_number} voided and revised`,
+            invoice: await getInvoiceDetails(pool, revisionId)
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error revising invoice:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error revising invoice',
+            error: error.message 
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * PUT /api/invoices/:id/price-review
+ * Confirm the prices of an invoice flagged for review, so it can be issued
+ */
+const reviewInvoicePricing = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [invoices] = await pool.query(
+            'SELECT id, price_review_required FROM invoices WHERE id = ?',
+            [id]
+        );
+
+        if (invoices.length === 0) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (!invoices[0].price_review_required) {
+            return res.status(400).json({ message: 'Invoice prices are not awaiting review' });
+        }
+
+        await pool.query(`
+            UPDATE invoices
+            SET price_review_required = false,
+                price_reviewed_by = ?,
+                price_reviewed_at = NOW()
+            WHERE id = ?
+        `, [req.user?.id || null, id]);
+
+        res.json({
+            success: true,
+            message: 'Invoice prices confirmed'
+        });
+
+    } catch (error) {
+        console.error('Error confirming invoice prices:', error);
+        res.status(500).json({
+            message: 'Error confirming invoice prices',
+            error: error.message
+        });
+    }
+};
+
+// ==================== PAYMENT OPERATIONS ====================
+
+/**
+ * POST /api/invoices/:id/payments
+ * Record a payment for an invoice
+ */
+const recordPayment = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const payment = await applyPayment(
+            connection,
+            req.params.id,
+            req.body,
+            req.user?.id || null
         );
 
         await connection.commit();
@@ -656,18 +845,14 @@ const recordPayment = async (req, res) => {
         res.json({
             success: true,
             message: 'Payment recorded successfully',
-            payment: {
-                id: paymentResult.insertId,
-                amount,
-                balance_due: newBalanceDue
-            }
+            payment
         });
 
     } catch (error) {
         await connection.rollback();
         console.error('Error recording payment:', error);
-        res.status(500).json({ 
-            message: 'Error recording payment',
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error recording payment',
             error: error.message 
         });
     } finally {
@@ -707,33 +892,82 @@ const getPayments = async (req, res) => {
 
 /**
  * POST /api/invoices/:id/send
- * Mark invoice as sent
+ * Email the invoice PDF to the customer (optional subject, message and cc).
+ * Only issued invoices are sent: issue a draft with POST /:id/issue first,
+ * so a failed email never leaves an invoice issued as a side effect.
  */
-const markAsSent = async (req, res) => {
+const sendInvoice = async (req, res) => {
     try {
         const { id } = req.params;
+        const { subject, message } = req.body;
+        const cc = parseRecipients(req.body.cc);
 
-        const [result] = await pool.query(`
-            UPDATE invoices 
-            SET sent_at = NOW(), status = 'pending' 
-            WHERE id = ? AND status = 'draft'
-        `, [id]);
+        let invoice = await getInvoiceDetails(pool, id);
 
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ 
-                message: 'Invoice not found or already sent' 
-            });
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: 'Cannot send a void invoice' });
+        }
+
+        if (invoice.status === 'draft') {
+            return res.status(400).json({ message: 'Issue the invoice before sending it' });
+        }
+
+        if (!invoice.customer_email) {
+            return res.status(400).json({ message: 'Invoice has no customer email' });
+        }
+
+        // The invoice must carry the tax authority's control number before it
+        // goes out, so register it now if that has not happened yet
+        if (await queueInvoice(pool, invoice.id)) {
+            const fiscal = await submitInvoice(invoice.id);
+
+            if (fiscal?.status !== 'submitted') {
+                return res.status(502).json({
+                    message: 'Invoice could not be registered with the tax authority. It will be retried automatically; send it again once registered.',
+                    error: fiscal?.last_error || null
+                });
+            }
+
+            // Render from the stored invoice, now carrying its control number
+            invoice = await getInvoiceDetails(pool, id);
         }
 
+        const pdf = await renderInvoicePdf(invoice, {
+            cache: process.env.INVOICE_PDF_CACHE !== 'false'
+        });
+
+        const delivery = await deliverDocument({
+            documentType: 'invoice',
+            documentId: invoice.id,
+            documentNumber: invoice.invoice_number,
+            to: invoice.customer_email,
+            cc,
+            email: invoiceEmail(invoice, { subject, message }),
+            message,
+            pdf
+        }, req.user?.id || null);
+
+        await pool.query(`
+            UPDATE invoices
+            SET sent_at = NOW(), updated_at = NOW()
+            WHERE id = ?
+        `, [id]);
+
         res.json({ 
             success: true,
-            message: 'Invoice marked as sent' 
+            message: `Invoice sent to ${invoice.customer_email}`,
+            status: invoice.status,
+            delivery
         });
 
     } catch (error) {
-        console.error('Error marking invoice as sent:', error);
-        res.status(500).json({ 
-            message: 'Error marking invoice as sent',
+        console.error('Error sending invoice:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error sending invoice',
             error: error.message 
         });
     }
@@ -749,7 +983,7 @@ const markAsPaid = async (req, res) => {
         await connection.beginTransaction();
 
         const { id } = req.params;
-        const { payment_method, reference_number, payment_date } = req.body;
+        const { payment_method, reference_number, payment_date, withholding_certificate } = req.body;
 
         // Get invoice
         const [invoices] = await connection.query(
@@ -763,34 +997,18 @@ const markAsPaid = async (req, res) => {
 
         const invoice = invoices[0];
 
-        // Record full payment
-        await connection.query(`
-            INSERT INTO invoice_payments (
-                invoice_id, payment_date, amount,
-                payment_method, reference_number, notes,
-                received_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [
-            id,
-            payment_date || new Date(),
-            invoice.balance_due,
-            payment_method || 'other',
-            reference_number || null,
-            'Full payment recorded',
-            req.user?.id || null
-        ]);
-
-        // Update invoice status
-        await connection.query(`
-            UPDATE invoices 
-            SET status = 'paid', 
-                payment_status = 'paid',
-                paid_date = ?,
-                amount_paid = total,
-                balance_due = 0,
-                updated_at = NOW()
-            WHERE id = ?
-        `, [payment_date || new Date(), id]);
+        // Record full payment; withholding VAT customers settle part by certificate
+        const withholding = await getWithholdingRemaining(connection, invoice);
+
+        await applyPayment(connection, id, {
+            payment_date,
+            amount: roundMoney(invoice.balance_due - withholding, invoice.currency_code),
+            payment_method: payment_method || 'other',
+            reference_number,
+            notes: 'Full payment recorded',
+            withholding_amount: withholding,
+            withholding_certificate
+        }, req.user?.id || null);
 
         await connection.commit();
 
@@ -802,8 +1020,8 @@ const markAsPaid = async (req, res) => {
     } catch (error) {
         await connection.rollback();
         console.error('Error marking invoice as paid:', error);
-        res.status(500).json({ 
-            message: 'Error marking invoice as paid',
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error marking invoice as paid',
             error: error.message 
         });
     } finally {
@@ -834,53 +1052,11 @@ const duplicateInvoice = async (req, res) => {
 
         const original = invoices[0];
 
-        // Generate new invoice number
-        const newInvoiceNumber = generateInvoiceNumber();
-
-        // Create duplicate
-        const [result] = await connection.query(`
-            INSERT INTO invoices (
-                invoice_number, quotation_id, quotation_reference,
-                status, payment_status,
-                customer_name, customer_email, customer_phone,
-                customer_company, customer_address, customer_tax_id,
-                issue_date, due_date,
-                subtotal, tax_rate, tax_amount,
-                discount_type, discount_value, discount_amount,
-                shipping_amount, total, amount_paid, balance_due,
-                notes, terms_conditions, admin_notes
-            ) SELECT 
-                ?, NULL, CONCAT('Copy of ', invoice_number),
-                'draft', 'unpaid',
-                customer_name, customer_email, customer_phone,
-                customer_company, customer_address, customer_tax_id,
-                CURDATE(), DATE_ADD(CURDATE(), INTERVAL 30 DAY),
-                subtotal, tax_rate, tax_amount,
-                discount_type, discount_value, discount_amount,
-                shipping_amount, total, 0, total,
-                CONCAT('Duplicated from ', invoice_number, '\n\n', notes),
-                terms_conditions, admin_notes
-            FROM invoices WHERE id = ?
-        `, [newInvoiceNumber, id]);
-
-        const newInvoiceId = result.insertId;
-
-        // Duplicate items
-        await connection.query(`
-            INSERT INTO invoice_items (
-                invoice_id, product_id, item_type, item_name,
-                description, quantity, unit, unit_price,
-                discount_percent, discount_amount,
-                tax_rate, tax_amount, total, sort_order
-            )
-            SELECT 
-                ?, product_id, item_type, item_name,
-                description, quantity, unit, unit_price,
-                discount_percent, discount_amount,
-                tax_rate, tax_amount, total, sort_order
-            FROM invoice_items
-            WHERE invoice_id = ?
-        `, [newInvoiceId, id]);
+        const newInvoiceId = await copyInvoice(connection, original, {
+            quotationReference: `Copy of ${original.invoice_number}`,
+            notes: `Duplicated from ${original.invoice_number}${original.notes ? `\n\n${original.notes}` : ''}`,
+            userId: req.user?.id || null
+        });
 
         await connection.commit();
 
@@ -898,8 +1074,8 @@ const duplicateInvoice = async (req, res) => {
     } catch (error) {
         await connection.rollback();
         console.error('Error duplicating invoice:', error);
-        res.status(500).json({ 
-            message: 'Error duplicating invoice',
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error duplicating invoice',
             error: error.message 
         });
     } finally {
@@ -907,6 +1083,318 @@ const duplicateInvoice = async (req, res) => {
     }
 };
 
+/**
+ * GET /api/invoices/:id/pdf
+ * Download the invoice as a PDF
+ */
+const getInvoicePdf = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const invoice = await getInvoiceDetails(pool, id);
+
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        const pdf = await renderInvoicePdf(invoice, {
+            cache: process.env.INVOICE_PDF_CACHE !== 'false'
+        });
+
+        const disposition = req.query.download ? 'attachment' : 'inline';
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `${disposition}; filename="${invoice.invoice_number}.pdf"`);
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Error generating invoice PDF:', error);
+        res.status(500).json({ 
+            message: 'Error generating invoice PDF',
+            error: error.message 
+        });
+    }
+};
+
+// ==================== PAYMENT REMINDERS ====================
+
+/**
+ * PUT /api/invoices/:id/reminders
+ * Turn automatic payment reminders on or off for an invoice
+ */
+const updateInvoiceReminders = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { enabled } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ message: 'enabled must be true or false' });
+        }
+
+        const [result] = await pool.query(`
+            UPDATE invoices
+            SET reminders_enabled = ?, updated_at = NOW()
+            WHERE id = ?
+        `, [enabled, id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Payment reminders ${enabled ? 'enabled' : 'disabled'}`,
+            reminders_enabled: enabled
+        });
+
+    } catch (error) {
+        console.error('Error updating invoice reminders:', error);
+        res.status(500).json({ 
+            message: 'Error updating invoice reminders',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * POST /api/invoices/:id/reminders
+ * Send a payment reminder now (optionally for a specific dunning stage)
+ */
+const sendInvoiceReminder = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const stage = req.body.stage || 'manual';
+
+        if (stage !== 'manual' && !STAGES.some(s => s.stage === stage)) {
+            return res.status(400).json({ message: 'Invalid reminder stage' });
+        }
+
+        const [invoices] = await pool.query(
+            'SELECT * FROM invoices WHERE id = ?',
+            [id]
+        );
+
+        if (invoices.length === 0) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        const invoice = invoices[0];
+
+        if (!invoice.customer_email) {
+            return res.status(400).json({ message: 'Invoice has no customer email' });
+        }
+
+        if (Number(invoice.balance_due) <= 0 || !OPEN_STATUSES.includes(invoice.status)) {
+            return res.status(400).json({ message: `Cannot send a reminder for a ${invoice.status} invoice` });
+        }
+
+        const reminderId = await sendReminder(invoice, stage, req.user?.id || null);
+
+        const [reminders] = await pool.query(
+            'SELECT * FROM invoice_reminders WHERE id = ?',
+            [reminderId]
+        );
+
+        res.json({
+            success: true,
+            message: `Reminder sent to ${invoice.customer_email}`,
+            reminder: reminders[0]
+        });
+
+    } catch (error) {
+        console.error('Error sending invoice reminder:', error);
+        res.status(error.statusCode || 502).json({ 
+            message: error.statusCode ? error.message : 'Error sending invoice reminder',
+            error: error.message 
+        });
+    }
+};
+
+// ==================== FISCALISATION ====================
+
+/**
+ * GET /api/invoices/fiscal-submissions
+ * Get tax authority submissions, e.g. ?status=failed for the ones needing attention
+ */
+const getFiscalSubmissions = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        let query = `
+            SELECT
+                f.*,
+                i.invoice_number,
+                i.customer_name,
+                i.total,
+                cn.credit_note_number,
+                cn.total as credit_note_total,
+                DATE_FORMAT(f.submitted_at, '%Y-%m-%d %H:%i') as formatted_submitted_at
+            FROM fiscal_submissions f
+            JOIN invoices i ON f.invoice_id = i.id
+            LEFT JOIN credit_notes cn ON f.credit_note_id = cn.id
+            WHERE 1=1
+        `;
+
+        const params = [];
+
+        if (status && status !== 'all') {
+            query += ` AND f.status = ?`;
+            params.push(status);
+        }
+
+        query += ` ORDER BY f.updated_at DESC LIMIT 200`;
+
+        const [submissions] = await pool.query(query, params);
+
+        res.json(submissions);
+    } catch (error) {
+        console.error('Error fetching fiscal submissions:', error);
+        res.status(500).json({ 
+            message: 'Error fetching fiscal submissions',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * GET /api/invoices/:id/fiscal
+ * Get the invoice's registration with the tax authority
+ */
+const getInvoiceFiscal = async (req, res) => {
+    try {
+        const submission = await getSubmission(pool, req.params.id);
+
+        if (!submission) {
+            return res.status(404).json({ message: 'Invoice has not been queued for fiscalisation' });
+        }
+
+        res.json(submission);
+    } catch (error) {
+        console.error('Error fetching fiscal submission:', error);
+        res.status(500).json({ 
+            message: 'Error fetching fiscal submission',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * POST /api/invoices/:id/fiscal/retry
+ * Retry registering the invoice with the tax authority now
+ */
+const retryInvoiceFiscal = async (req, res) => {
+    try {
+        const submission = await retrySubmission(req.params.id);
+        const submitted = submission?.status === 'submitted';
+
+        res.status(submitted ? 200 : 502).json({
+            success: submitted,
+            message: submitted
+                ? `Invoice registered as ${submission.cu_invoice_number}`
+                : 'Invoice could not be registered with the tax authority',
+            submission
+        });
+    } catch (error) {
+        console.error('Error retrying fiscal submission:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error retrying fiscal submission',
+            error: error.message 
+        });
+    }
+};
+
+// ==================== NOTIFICATIONS ====================
+
+/**
+ * GET /api/invoices/notifications
+ * Get invoice notifications (overdue, etc.)
+ */
+const getInvoiceNotifications = async (req, res) => {
+    try {
+        const [notifications] = await pool.query(`
+            SELECT 
+                n.*,
+                i.invoice_number,
+                i.customer_name,
+                i.balance_due,
+                DATE_FORMAT(n.created_at, '%Y-%m-%d %H:%i') as formatted_date
+            FROM invoice_notifications n
+            JOIN invoices i ON n.invoice_id = i.id
+            ORDER BY n.created_at DESC
+            LIMIT 50
+        `);
+
+        // Get unread count
+        const [unreadCount] = await pool.query(`
+            SELECT COUNT(*) as count
+            FROM invoice_notifications
+            WHERE is_read = false
+        `);
+
+        res.json({
+            notifications,
+            unread_count: unreadCount[0].count
+        });
+
+    } catch (error) {
+        console.error('Error fetching invoice notifications:', error);
+        res.status(500).json({ 
+            message: 'Error fetching invoice notifications',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * POST /api/invoices/notifications/:id/read
+ * Mark an invoice notification as read
+ */
+const markInvoiceNotificationRead = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        await pool.query(`
+            UPDATE invoice_notifications 
+            SET is_read = true 
+            WHERE id = ?
+        `, [id]);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Error marking invoice notification as read:', error);
+        res.status(500).json({ 
+            message: 'Error marking invoice notification as read',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * POST /api/invoices/notifications/read-all
+ * Mark all invoice notifications as read
+ */
+const markAllInvoiceNotificationsRead = async (req, res) => {
+    try {
+        await pool.query(`
+            UPDATE invoice_notifications 
+            SET is_read = true 
+            WHERE is_read = false
+        `);
+
+        res.json({ 
+            success: true,
+            message: 'All notifications marked as read' 
+        });
+
+    } catch (error) {
+        console.error('Error marking all invoice notifications as read:', error);
+        res.status(500).json({ 
+            message: 'Error marking all invoice notifications as read',
+            error: error.message 
+        });
+    }
+};
+
 // ==================== STATISTICS ====================
 
 /**
@@ -915,53 +1403,85 @@ const duplicateInvoice = async (req, res) => {
  */
 const getInvoiceStats = async (req, res) => {
     try {
+        // Amounts are converted to the base currency with each invoice's rate snapshot
         const [stats] = await pool.query(`
             SELECT 
                 COUNT(*) as total,
                 SUM(CASE WHEN status = 'draft' THEN 1 ELSE 0 END) as draft,
-                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+                SUM(CASE WHEN status = 'issued' THEN 1 ELSE 0 END) as issued,
+                SUM(CASE WHEN status = 'partially_paid' THEN 1 ELSE 0 END) as partially_paid,
                 SUM(CASE WHEN status = 'paid' THEN 1 ELSE 0 END) as paid,
                 SUM(CASE WHEN status = 'overdue' THEN 1 ELSE 0 END) as overdue,
-                SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
-                SUM(CASE WHEN due_date < CURDATE() AND status != 'paid' AND status != 'cancelled' THEN 1 ELSE 0 END) as overdue_calculated,
-                SUM(total) as total_amount,
-                SUM(CASE WHEN status = 'paid' THEN total ELSE 0 END) as paid_amount,
-                SUM(CASE WHEN status != 'paid' AND status != 'cancelled' THEN total ELSE 0 END) as outstanding_amount,
-                SUM(balance_due) as total_balance_due,
-                AVG(total) as average_invoice_value,
+                SUM(CASE WHEN status = 'void' THEN 1 ELSE 0 END) as void,
+                SUM(CASE WHEN status != 'void' THEN total * exchange_rate ELSE 0 END) as total_amount,
+                SUM(CASE WHEN status = 'paid' THEN total * exchange_rate ELSE 0 END) as paid_amount,
+                SUM(CASE WHEN status IN ('issued', 'partially_paid', 'overdue') THEN total * exchange_rate ELSE 0 END) as outstanding_amount,
+                SUM(CASE WHEN status != 'void' THEN balance_due * exchange_rate ELSE 0 END) as total_balance_due,
+                AVG(total * exchange_rate) as average_invoice_value,
                 MIN(issue_date) as first_invoice_date,
                 MAX(issue_date) as latest_invoice_date
             FROM invoices
         `);
 
+        // Totals per document currency, in that currency
+        const [byCurrency] = await pool.query(`
+            SELECT 
+                currency_code,
+                COUNT(*) as count,
+                SUM(total) as total_amount,
+                SUM(balance_due) as total_balance_due,
+                SUM(total * exchange_rate) as base_total_amount
+            FROM invoices
+            GROUP BY currency_code
+            ORDER BY base_total_amount DESC
+        `);
+
         // Get monthly totals for the last 6 months
         const [monthly] = await pool.query(`
             SELECT 
                 DATE_FORMAT(issue_date, '%Y-%m') as month,
                 COUNT(*) as count,
-                SUM(total) as total
+                SUM(total * exchange_rate) as total
             FROM invoices
             WHERE issue_date >= DATE_SUB(CURDATE(), INTERVAL 6 MONTH)
             GROUP BY DATE_FORMAT(issue_date, '%Y-%m')
             ORDER BY month DESC
         `);
 
+        // Credit notes and refunds
+        const [credits] = await pool.query(`
+            SELECT 
+                COUNT(*) as credit_note_count,
+                COALESCE(SUM(cn.total * i.exchange_rate), 0) as credited_amount,
+                COALESCE(SUM(cn.tax_amount * i.exchange_rate), 0) as credited_tax_amount,
+                COALESCE(SUM(cn.refund_amount * i.exchange_rate), 0) as refunded_amount
+            FROM credit_notes cn
+            JOIN invoices i ON cn.invoice_id = i.id
+            WHERE cn.status = 'issued'
+        `);
+
         // Get top customers by revenue
         const [topCustomers] = await pool.query(`
             SELECT 
-                customer_name,
-                customer_email,
+                i.customer_id,
+                COALESCE(c.name, MAX(i.customer_name)) as customer_name,
+                COALESCE(c.email, MAX(i.customer_email)) as customer_email,
                 COUNT(*) as invoice_count,
-                SUM(total) as total_spent
-            FROM invoices
-            WHERE status = 'paid'
-            GROUP BY customer_name, customer_email
+                SUM(i.total * i.exchange_rate) as total_spent
+            FROM invoices i
+            LEFT JOIN customers c ON i.customer_id = c.id
+            WHERE i.status = 'paid'
+            GROUP BY i.customer_id, c.name, c.email, IF(i.customer_id IS NULL, i.customer_email, NULL)
             ORDER BY total_spent DESC
             LIMIT 5
         `);
 
         res.json({
+            base_currency: BASE_CURRENCY,
             ...stats[0],
+            ...credits[0],
+            net_amount: Number(stats[0].total_amount || 0) - Number(credits[0].credited_amount),
+            by_currency: byCurrency,
             monthly,
             top_customers: topCustomers
         });
@@ -984,14 +1504,35 @@ module.exports = {
     updateInvoice,
     deleteInvoice,
     
+    // Lifecycle
+    issueInvoice,
+    voidInvoice,
+    reviseInvoice,
+    reviewInvoicePricing,
+    
     // Payments
     recordPayment,
     getPayments,
     
     // Actions
-    markAsSent,
+    sendInvoice,
     markAsPaid,
     duplicateInvoice,
+    getInvoicePdf,
+    
+    // Tax authority registration
+    getFiscalSubmissions,
+    getInvoiceFiscal,
+    retryInvoiceFiscal,
+    
+    // Payment reminders
+    updateInvoiceReminders,
+    sendInvoiceReminder,
+    
+    // Notifications
+    getInvoiceNotifications,
+    markInvoiceNotificationRead,
+    markAllInvoiceNotificationsRead,
     
     // Stats
     getInvoiceStats
@@ -0,0 +1,114 @@
+const pool = require('../config/database');
+const {
+    hasJob,
+    runJob,
+    getJobStatus
+} = require('../services/scheduler');
+
+// ==================== BACKGROUND JOBS ====================
+
+/**
+ * GET /api/admin/jobs
+ * Get the status of every background job with its most recent runs
+ */
+const getJobs = async (req, res) => {
+    try {
+        const jobs = getJobStatus();
+
+        for (const job of jobs) {
+            const [runs] = await pool.query(`
+                SELECT
+                    id, status, result, error_message,
+                    DATE_FORMAT(started_at, '%Y-%m-%d %H:%i:%s') as started_at,
+                    DATE_FORMAT(finished_at, '%Y-%m-%d %H:%i:%s') as finished_at
+                FROM scheduled_job_runs
+                WHERE job_name = ?
+                ORDER BY id DESC
+                LIMIT 5
+            `, [job.name]);
+            job.recent_runs = runs;
+        }
+
+        res.json({
+            scheduler_enabled: process.env.DISABLE_SCHEDULER !== 'true',
+            jobs
+        });
+    } catch (error) {
+        console.error('Error fetching job status:', error);
+        res.status(500).json({
+            message: 'Error fetching job status',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/admin/jobs/:name/runs
+ * Get the run history of a job
+ */
+const getJobRuns = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+        if (!hasJob(name)) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        const [runs] = await pool.query(`
+            SELECT
+                *,
+                TIMESTAMPDIFF(SECOND, started_at, finished_at) as duration_seconds
+            FROM scheduled_job_runs
+            WHERE job_name = ?
+            ORDER BY id DESC
+            LIMIT ?
+        `, [name, limit]);
+
+        res.json(runs);
+    } catch (error) {
+        console.error('Error fetching job runs:', error);
+        res.status(500).json({
+            message: 'Error fetching job runs',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Run a background job immediately
+ */
+const triggerJob = async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        if (!hasJob(name)) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        const result = await runJob(name);
+
+        if (result === null) {
+            return res.status(409).json({ message: 'Job is already running' });
+        }
+
+        res.json({
+            success: true,
+            message: `Job ${name} completed`,
+            result
+        });
+    } catch (error) {
+        console.error('Error running job:', error);
+        res.status(500).json({
+            message: 'Error running job',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getJobs,
+    getJobRuns,
+    triggerJob
+};
\ No newline at end of file
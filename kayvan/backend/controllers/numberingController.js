@@ -0,0 +1,109 @@
+const pool = require('../config/database');
+const {
+    describeSequence,
+    updateSequence
+} = require('../services/numberingService');
+
+// ==================== DOCUMENT NUMBERING ====================
+
+/**
+ * GET /api/admin/numbering
+ * List all numbering series with the next number each will issue
+ */
+const getSequences = async (req, res) => {
+    try {
+        const [sequences] = await pool.query(`
+            SELECT * FROM document_sequences ORDER BY series ASC
+        `);
+
+        res.json(sequences.map(sequence => describeSequence(sequence)));
+    } catch (error) {
+        console.error('Error fetching numbering series:', error);
+        res.status(500).json({ 
+            message: 'Error fetching numbering series',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * GET /api/admin/numbering/:series
+ * Get a single numbering series
+ */
+const getSequenceBySeries = async (req, res) => {
+    try {
+        const { series } = req.params;
+
+        const [sequences] = await pool.query(
+            'SELECT * FROM document_sequences WHERE series = ?',
+            [series]
+        );
+
+        if (sequences.length === 0) {
+            return res.status(404).json({ message: 'Numbering series not found' });
+        }
+
+        res.json(describeSequence(sequences[0]));
+    } catch (error) {
+        console.error('Error fetching numbering series:', error);
+        res.status(500).json({ 
+            message: 'Error fetching numbering series',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * PUT /api/admin/numbering/:series
+ * Set the pattern, reset period or next number of a series
+ */
+const updateSequenceBySeries = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { series } = req.params;
+        const { pattern, reset_period, next_number } = req.body;
+
+        const [sequences] = await connection.query(
+            'SELECT id FROM document_sequences WHERE series = ?',
+            [series]
+        );
+
+        if (sequences.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Numbering series not found' });
+        }
+
+        const sequence = await updateSequence(
+            connection,
+            series,
+            { pattern, reset_period, next_number },
+            req.user?.id || null
+        );
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Numbering for ${series} updated successfully`,
+            sequence
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating numbering series:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error updating numbering series',
+            error: error.message 
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = {
+    getSequences,
+    getSequenceBySeries,
+    updateSequenceBySeries
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const {
+    requestPayment,
+    handleCallback
+} = require('../services/paymentRequestService');
+
+// ==================== PAYMENT REQUESTS ====================
+
+/**
+ * POST /api/invoices/:id/payment-requests
+ * Prompt the customer to pay through a provider (default: M-Pesa STK push)
+ */
+const createPaymentRequest = async (req, res) => {
+    try {
+        const paymentRequest = await requestPayment(
+            req.params.id,
+            req.body,
+            req.user?.id || null
+        );
+
+        res.status(201).json({
+            success: true,
+            message: paymentRequest.customer_message || 'Payment request sent',
+            payment_request: paymentRequest
+        });
+
+    } catch (error) {
+        console.error('Error requesting payment:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error requesting payment',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/invoices/:id/payment-requests
+ * Get payment requests sent for an invoice
+ */
+const getInvoicePaymentRequests = async (req, res) => {
+    try {
+        const [paymentRequests] = await pool.query(`
+            SELECT
+                pr.*,
+                DATE_FORMAT(pr.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+            FROM payment_requests pr
+            WHERE pr.invoice_id = ?
+            ORDER BY pr.created_at DESC, pr.id DESC
+        `, [req.params.id]);
+
+        res.json(paymentRequests);
+    } catch (error) {
+        console.error('Error fetching payment requests:', error);
+        res.status(500).json({
+            message: 'Error fetching payment requests',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/payments/requests/:id
+ * Get a single payment request (poll until it is no longer pending)
+ */
+const getPaymentRequestById = async (req, res) => {
+    try {
+        const [paymentRequests] = await pool.query(`
+            SELECT
+                pr.*,
+                i.invoice_number,
+                i.balance_due
+            FROM payment_requests pr
+            JOIN invoices i ON pr.invoice_id = i.id
+            WHERE pr.id = ?
+        `, [req.params.id]);
+
+        if (paymentRequests.length === 0) {
+            return res.status(404).json({ message: 'Payment request not found' });
+        }
+
+        res.json(paymentRequests[0]);
+    } catch (error) {
+        console.error('Error fetching payment request:', error);
+        res.status(500).json({
+            message: 'Error fetching payment request',
+            error: error.message
+        });
+    }
+};
+
+// ==================== PROVIDER CALLBACKS ====================
+
+/**
+ * POST /api/payments/:provider/callback
+ * Public callback from the payment provider. Protected by a shared token in
+ * the callback URL (?token=...); callbacks are refused until
+ * PAYMENT_CALLBACK_TOKEN is set.
+ */
+const paymentCallback = async (req, res) => {
+    try {
+        const expectedToken = process.env.PAYMENT_CALLBACK_TOKEN;
+        if (!expectedToken) {
+            console.error('❌ Payment callback refused: PAYMENT_CALLBACK_TOKEN is not set');
+            return res.status(503).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+        }
+
+        const token = Buffer.from(String(req.query.token || ''));
+        const expected = Buffer.from(expectedToken);
+        if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+            return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+        }
+
+        const result = await handleCallback(req.params.provider, req.body);
+
+        if (result.outcome === 'unknown') {
+            console.warn(`⚠️ Payment callback for unknown request ${result.request_id}`);
+        }
+
+        // Acknowledge in the format Daraja expects
+        res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    } catch (error) {
+        console.error('Error handling payment callback:', error);
+        res.status(error.statusCode || 500).json({
+            ResultCode: 1,
+            ResultDesc: error.statusCode ? error.message : 'Error handling callback'
+        });
+    }
+};
+
+module.exports = {
+    createPaymentRequest,
+    getInvoicePaymentRequests,
+    getPaymentRequestById,
+    paymentCallback
+};
\ No newline at end of file
@@ -0,0 +1,671 @@
+const pool = require('../config/database');
+const { getInvoiceDetails } = require('../services/invoiceService');
+const { renderInvoicePdf, renderQuotationPdf } = require('../services/pdfService');
+const { createLoginLink, redeemLoginToken } = require('../services/portalService');
+const {
+    getQuotationTerms,
+    isOpenForResponse,
+    hashQuotationContent,
+    checkContentHash,
+    respondToQuotation
+} = require('../services/quotationResponseService');
+const { getItemGroups, selectOptions } = require('../services/quotationService');
+const { requestPayment } = require('../services/paymentRequestService');
+const { getCustomer } = require('../services/customerService');
+const { sendMail } = require('../services/mailer');
+const { portalLoginEmail } = require('../services/emailTemplates');
+
+// Customer-facing API. Every handler after sign-in reads req.customer (set by
+// protectCustomer) and only returns documents linked to that customer.
+// Internal fields (admin notes, pricing audits, delivery logs) are never
+// returned.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Quotation columns shown to customers
+const QUOTATION_FIELDS = `
+    q.id, q.quotation_id, q.revision_number, q.status,
+    q.customer_name, q.customer_email, q.customer_phone, q.customer_company,
+    q.customer_project_name, q.customer_delivery_address,
+    q.currency_code, q.subtotal, q.vat, q.total, q.prices_include_tax,
+    q.decline_reason, q.terms_conditions,
+    DATE_FORMAT(q.created_at, '%Y-%m-%d') as date,
+    DATE_FORMAT(q.valid_until, '%Y-%m-%d') as valid_until,
+    DATE_FORMAT(q.accepted_at, '%Y-%m-%d %H:%i') as accepted_at,
+    DATE_FORMAT(q.declined_at, '%Y-%m-%d %H:%i') as declined_at
+`;
+
+// Invoice columns shown to customers
+const INVOICE_FIELDS = [
+    'id', 'invoice_number', 'quotation_reference', 'status',
+    'customer_name', 'customer_email', 'customer_phone', 'customer_company',
+    'customer_address', 'customer_tax_id',
+    'formatted_issue_date', 'formatted_due_date', 'formatted_paid_date', 'days_until_due',
+    'currency_code', 'subtotal', 'tax_amount', 'discount_amount', 'shipping_amount',
+    'total', 'amount_paid', 'credited_amount', 'balance_due',
+    'prices_include_tax', 'withholding_vat', 'withholding_vat_amount', 'tax_summary',
+    'notes', 'terms_conditions', 'void_reason'
+];
+
+// Helper function to get the client's IP address for the sign-in and response logs
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+// Helper function to load one of the customer's quotations, or null
+const findQuotation = async (connection, customerId, id, { lock = false } = {}) => {
+    const [quotations] = await connection.query(
+        `SELECT * FROM quotations WHERE id = ? AND customer_id = ?${lock ? ' FOR UPDATE' : ''}`,
+        [id, customerId]
+    );
+    return quotations[0] || null;
+};
+
+// Helper function to load one of the customer's issued invoices, or null
+const findInvoice = async (customerId, id) => {
+    const [invoices] = await pool.query(
+        `SELECT id FROM invoices WHERE id = ? AND customer_id = ? AND status != 'draft'`,
+        [id, customerId]
+    );
+    return invoices.length > 0 ? getInvoiceDetails(pool, invoices[0].id) : null;
+};
+
+// Helper function to keep only the invoice details a customer may see
+const publicInvoice = (invoice) => ({
+    ...Object.fromEntries(INVOICE_FIELDS.map(field => [field, invoice[field]])),
+    items: invoice.items.map(item => ({
+        item_name: item.item_name,
+        description: item.description,
+        quantity: item.quantity,
+        unit: item.unit,
+        unit_price: item.unit_price,
+        discount_amount: item.discount_amount,
+        tax_rate: item.tax_rate,
+        tax_amount: item.tax_amount,
+        total: item.total
+    })),
+    payments: invoice.payments.map(payment => ({
+        payment_date: payment.payment_date,
+        amount: payment.amount,
+        payment_method: payment.payment_method,
+        reference_number: payment.reference_number
+    })),
+    credit_notes: invoice.credit_notes
+        .filter(creditNote => creditNote.status === 'issued')
+        .map(creditNote => ({
+            credit_note_number: creditNote.credit_note_number,
+            issue_date: creditNote.issue_date,
+            total: creditNote.total,
+            reason: creditNote.reason
+        })),
+    can_pay: ['issued', 'partially_paid', 'overdue'].includes(invoice.status) && Number(invoice.balance_due) > 0
+});
+
+// ==================== SIGN-IN ====================
+
+/**
+ * POST /api/portal/login
+ * Email a single-use sign-in link to a customer (email).
+ * Always answers the same way so it cannot be used to find customers.
+ */
+const requestLoginLink = async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim();
+
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ message: 'A valid email address is required' });
+        }
+
+        const link = await createLoginLink(pool, email, { ip: clientIp(req) });
+
+        if (link) {
+            try {
+                await sendMail({ to: link.customer.email, ...portalLoginEmail(link.customer, link) });
+            } catch (mailError) {
+                console.error('Error sending portal sign-in link:', mailError);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If this email belongs to a customer account, a sign-in link is on its way.'
+        });
+
+    } catch (error) {
+        console.error('Error creating portal sign-in link:', error);
+        res.status(500).json({
+            message: 'Error creating sign-in link',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/portal/verify
+ * Exchange a sign-in link token for a portal session token
+ */
+const verifyLoginLink = async (req, res) => {
+    try {
+        const session = await redeemLoginToken(pool, req.body.token, { ip: clientIp(req) });
+
+        res.json({
+            success: true,
+            token: session.token,
+            expires_in: session.expires_in,
+            customer: {
+                id: session.customer.id,
+                name: session.customer.name,
+                company_name: session.customer.company_name,
+                email: session.customer.email
+            }
+        });
+
+    } catch (error) {
+        console.error('Error verifying portal sign-in link:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error verifying sign-in link',
+            error: error.message
+        });
+    }
+};
+
+// ==================== ACCOUNT ====================
+
+/**
+ * GET /api/portal/me
+ * The signed-in customer's details and balance
+ */
+const getProfile = async (req, res) => {
+    try {
+        const customer = await getCustomer(pool, req.customer.id);
+
+        const [balances] = await pool.query(`
+            SELECT
+                currency_code,
+                COUNT(*) as open_invoices,
+                SUM(balance_due) as balance_due,
+                SUM(CASE WHEN status = 'overdue' THEN balance_due ELSE 0 END) as overdue
+            FROM invoices
+            WHERE customer_id = ? AND status IN ('issued', 'partially_paid', 'overdue')
+            GROUP BY currency_code
+        `, [req.customer.id]);
+
+        res.json({
+            id: customer.id,
+            name: customer.name,
+            company_name: customer.company_name,
+            email: customer.email,
+            phone: customer.phone,
+            tax_id: customer.tax_id,
+            payment_terms: customer.payment_terms,
+            contacts: customer.contacts.map(({ name, email, phone, job_title }) => ({ name, email, phone, job_title })),
+            addresses: customer.addresses.map(address => ({
+                address_type: address.address_type,
+                label: address.label,
+                address: address.formatted,
+                is_default: address.is_default
+            })),
+            balances
+        });
+
+    } catch (error) {
+        console.error('Error fetching portal profile:', error);
+        res.status(500).json({
+            message: 'Error fetching your account',
+            error: error.message
+        });
+    }
+};
+
+// ==================== QUOTATIONS ====================
+
+/**
+ * GET /api/portal/quotations
+ * The customer's quotations, newest first (?status)
+ */
+const getQuotations = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        let query = `
+            SELECT ${QUOTATION_FIELDS}
+            FROM quotations q
+            WHERE q.customer_id = ?
+        `;
+        const params = [req.customer.id];
+
+        if (status && status !== 'all') {
+            query += ` AND q.status = ?`;
+            params.push(status);
+        } else {
+            // Only the latest revision of each quotation
+            query += ` AND q.status != 'superseded'`;
+        }
+
+        query += ` ORDER BY q.created_at DESC`;
+
+        const [quotations] = await pool.query(query, params);
+
+        res.json(quotations.map(({ terms_conditions, ...quotation }) => ({
+            ...quotation,
+            can_respond: isOpenForResponse(quotation)
+        })));
+
+    } catch (error) {
+        console.error('Error fetching portal quotations:', error);
+        res.status(500).json({
+            message: 'Error fetching quotations',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/portal/quotations/:id
+ * One of the customer's quotations with its items
+ */
+const getQuotation = async (req, res) => {
+    try {
+        const [quotations] = await pool.query(`
+            SELECT ${QUOTATION_FIELDS}, q.converted_to_invoice_id
+            FROM quotations q
+            WHERE q.id = ? AND q.customer_id = ?
+        `, [req.params.id, req.customer.id]);
+
+        if (quotations.length === 0) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const { terms_conditions, ...quotation } = quotations[0];
+
+        const [items] = await pool.query(`
+            SELECT id, group_id, line_type, layer, product_name, description, quantity, unit, unit_price,
+                total, tax_rate, tax_amount, is_optional, is_selected
+            FROM quotation_items
+            WHERE quotation_id = ?
+        `, [quotation.id]);
+
+        const groups = await getItemGroups(pool, quotation.id);
+
+        res.json({
+            ...quotation,
+            items,
+            groups: groups.map(group => ({
+                id: group.id,
+                name: group.name,
+                description: group.description,
+                group_type: group.group_type,
+                alternative_set: group.alternative_set,
+                is_selected: group.is_selected,
+                subtotal: group.subtotal,
+                vat: group.vat,
+                total: group.total
+            })),
+            terms: getQuotationTerms(quotations[0]),
+            content_hash: hashQuotationContent(quotations[0], items),
+            can_respond: isOpenForResponse(quotation)
+        });
+
+    } catch (error) {
+        console.error('Error fetching portal quotation:', error);
+        res.status(500).json({
+            message: 'Error fetching quotation',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/portal/quotations/:id/pdf
+ * Download one of the customer's quotations
+ */
+const getQuotationPdf = async (req, res) => {
+    try {
+        const quotation = await findQuotation(pool, req.customer.id, req.params.id);
+
+        if (!quotation) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const [items] = await pool.query(`
+            SELECT * FROM quotation_items WHERE quotation_id = ?
+        `, [quotation.id]);
+        quotation.items = items;
+        quotation.groups = await getItemGroups(pool, quotation.id);
+
+        const pdf = await renderQuotationPdf(quotation);
+
+        const disposition = req.query.download ? 'attachment' : 'inline';
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `${disposition}; filename="${quotation.quotation_id}.pdf"`);
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Error generating portal quotation PDF:', error);
+        res.status(500).json({
+            message: 'Error generating quotation PDF',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * PUT /api/portal/quotations/:id/options
+ * Choose the options of an open quotation (selected_groups: optional
+ * groups to include and alternatives chosen; selected_items: optional
+ * items to include)
+ */
+const selectQuotationOptions = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const quotation = await findQuotation(connection, req.customer.id, req.params.id, { lock: true });
+
+        if (!quotation) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const totals = await selectOptions(connection, quotation, {
+            items: req.body.selected_items,
+            groups: req.body.selected_groups
+        });
+
+        const [items] = await connection.query(`
+            SELECT * FROM quotation_items WHERE quotation_id = ?
+        `, [quotation.id]);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            ...totals,
+            content_hash: hashQuotationContent({ ...quotation, ...totals }, items)
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error selecting quotation options:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error updating quotation options',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+// Confirmation shown after each kind of response
+const RESPONSE_MESSAGES = {
+    accepted: (reference) => `Thank you, quotation ${reference} has been accepted. We will be in touch shortly.`,
+    declined: (reference) => `Quotation ${reference} has been declined.`,
+    changes_requested: (reference) => `Thank you, we have your requested changes to quotation ${reference} and will send a revised quotation.`
+};
+
+// Helper function to build the accept, decline and change request handlers
+const respondHandler = (response) => async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const quotation = await findQuotation(connection, req.customer.id, req.params.id, { lock: true });
+
+        if (!quotation) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        if (response === 'accepted' && req.body.agree_terms !== true) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Please agree to the terms to accept the quotation' });
+        }
+
+        // Options chosen on acceptance apply to the content that was reviewed
+        const { selected_groups, selected_items } = req.body;
+        let responded = quotation;
+        let contentHash = req.body.content_hash;
+        if (response === 'accepted' && (selected_groups !== undefined || selected_items !== undefined)) {
+            await checkContentHash(connection, quotation, contentHash);
+            const { subtotal, vat, total } = await selectOptions(connection, quotation, {
+                items: selected_items,
+                groups: selected_groups
+            });
+            responded = { ...quotation, subtotal, vat, total };
+            contentHash = null;
+        }
+
+        const result = await respondToQuotation(connection, responded, response, {
+            source: 'portal',
+            signerName: req.body.signer_name || req.customer.name,
+            signerEmail: req.customer.email,
+            signature: req.body.signature,
+            comments: req.body.comments ?? req.body.reason,
+            contentHash,
+            ip: clientIp(req),
+            userAgent: req.get('user-agent')
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: RESPONSE_MESSAGES[response](quotation.quotation_id),
+            status: response,
+            response_id: result.id
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error(`Error recording quotation ${response}:`, error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error updating quotation',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * POST /api/portal/quotations/:id/accept
+ * Accept an open quotation (agree_terms, optional signer_name, signature
+ * image as a data URL, options chosen as for /options and the content_hash
+ * of the version reviewed)
+ */
+const acceptQuotation = respondHandler('accepted');
+
+/**
+ * POST /api/portal/quotations/:id/decline
+ * Decline an open quotation (optional reason)
+ */
+const declineQuotation = respondHandler('declined');
+
+/**
+ * POST /api/portal/quotations/:id/request-changes
+ * Ask for changes to an open quotation (comments)
+ */
+const requestQuotationChanges = respondHandler('changes_requested');
+
+// ==================== INVOICES & PAYMENTS ====================
+
+/**
+ * GET /api/portal/invoices
+ * The customer's issued invoices, newest first (?status)
+ */
+const getInvoices = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        let query = `
+            SELECT
+                id, invoice_number, quotation_reference, status, currency_code,
+                total, amount_paid, balance_due,
+                DATE_FORMAT(issue_date, '%Y-%m-%d') as formatted_issue_date,
+                DATE_FORMAT(due_date, '%Y-%m-%d') as formatted_due_date,
+                DATE_FORMAT(paid_date, '%Y-%m-%d') as formatted_paid_date
+            FROM invoices
+            WHERE customer_id = ? AND status != 'draft'
+        `;
+        const params = [req.customer.id];
+
+        if (status && status !== 'all') {
+            query += ` AND status = ?`;
+            params.push(status);
+        }
+
+        query += ` ORDER BY issue_date DESC, id DESC`;
+
+        const [invoices] = await pool.query(query, params);
+
+        res.json(invoices);
+
+    } catch (error) {
+        console.error('Error fetching portal invoices:', error);
+        res.status(500).json({
+            message: 'Error fetching invoices',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/portal/invoices/:id
+ * One of the customer's invoices with items, payments and credit notes
+ */
+const getInvoice = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req.customer.id, req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        res.json(publicInvoice(invoice));
+
+    } catch (error) {
+        console.error('Error fetching portal invoice:', error);
+        res.status(500).json({
+            message: 'Error fetching invoice',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/portal/invoices/:id/pdf
+ * Download one of the customer's invoices
+ */
+const getInvoicePdf = async (req, res) => {
+    try {
+        const invoice = await findInvoice(req.customer.id, req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        const pdf = await renderInvoicePdf(invoice, {
+            cache: process.env.INVOICE_PDF_CACHE !== 'false'
+        });
+
+        const disposition = req.query.download ? 'attachment' : 'inline';
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `${disposition}; filename="${invoice.invoice_number}.pdf"`);
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Error generating portal invoice PDF:', error);
+        res.status(500).json({
+            message: 'Error generating invoice PDF',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/portal/invoices/:id/pay
+ * Start a payment for one of the customer's invoices (M-Pesa prompt to
+ * phone, optional amount; defaults to the balance due)
+ */
+const payInvoice = async (req, res) => {
+    try {
+        const { provider, phone, amount } = req.body;
+
+        const [invoices] = await pool.query(
+            `SELECT id FROM invoices WHERE id = ? AND customer_id = ? AND status != 'draft'`,
+            [req.params.id, req.customer.id]
+        );
+
+        if (invoices.length === 0) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        const paymentRequest = await requestPayment(invoices[0].id, { provider, phone, amount });
+
+        res.status(201).json({
+            success: true,
+            message: paymentRequest.customer_message || 'Check your phone to complete the payment',
+            payment_request: {
+                id: paymentRequest.id,
+                provider: paymentRequest.provider,
+                phone: paymentRequest.phone,
+                amount: paymentRequest.amount,
+                status: paymentRequest.status
+            }
+        });
+
+    } catch (error) {
+        console.error('Error starting portal payment:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error starting payment',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/portal/payments
+ * Payments received from the customer, newest first
+ */
+const getPayments = async (req, res) => {
+    try {
+        const [payments] = await pool.query(`
+            SELECT
+                p.id, p.amount, p.payment_method, p.reference_number,
+                DATE_FORMAT(p.payment_date, '%Y-%m-%d') as payment_date,
+                i.id as invoice_id, i.invoice_number, i.currency_code
+            FROM invoice_payments p
+            JOIN invoices i ON p.invoice_id = i.id
+            WHERE i.customer_id = ? AND i.status != 'draft'
+            ORDER BY p.payment_date DESC, p.id DESC
+        `, [req.customer.id]);
+
+        res.json(payments);
+
+    } catch (error) {
+        console.error('Error fetching portal payments:', error);
+        res.status(500).json({
+            message: 'Error fetching payments',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    // Sign-in
+    requestLoginLink,
+    verifyLoginLink,
+
+    // Account
+    getProfile,
+    getQuotations,
+    getQuotation,
+    getQuotationPdf,
+    selectQuotationOptions,
+    acceptQuotation,
+    declineQuotation,
+    requestQuotationChanges,
+    getInvoices,
+    getInvoice,
+    getInvoicePdf,
+    payInvoice,
+    getPayments
+};
\ No newline at end of file
@@ -1,13 +1,93 @@
 const pool = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
-
-// Helper function to generate unique quotation ID
-const generateQuotationId = () => {
-    const prefix = 'KAY';
-    const timestamp = Date.now().toString().slice(-6);
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `${prefix}-${timestamp}${random}`;
-};
+const {
+    createInvoiceRecord,
+    getInvoiceDetails
+} = require('../services/invoiceService');
+const { getNextNumber } = require('../services/numberingService');
+const { renderQuotationPdf } = require('../services/pdfService');
+const { snapshotRate } = require('../services/currencyService');
+const { calculateDocumentTaxes } = require('../services/taxService');
+const {
+    priceCartItems,
+    findMismatches,
+    checkMismatches
+} = require('../services/pricingService');
+const {
+    parseRecipients,
+    deliverDocument,
+    getDeliveries
+} = require('../services/documentDeliveryService');
+const { quotationEmail } = require('../services/emailTemplates');
+const { queueInvoice, submitInBackground } = require('../services/fiscalService');
+const { findOrCreateCustomer, resolveDocumentCustomer } = require('../services/customerService');
+const {
+    getQuotationTerms,
+    isOpenForResponse,
+    hashQuotationContent,
+    checkContentHash,
+    respondToQuotation,
+    getResponses,
+    getSignatureFile
+} = require('../services/quotationResponseService');
+const {
+    isIncluded,
+    buildSurveyLines,
+    buildItemGroups,
+    priceStaffItems,
+    priceQuotationLines,
+    insertItemGroups,
+    getItemGroups,
+    insertQuotationItems,
+    findLatestRevision,
+    getRevisions,
+    diffRevisions,
+    createRevision,
+    selectOptions
+} = require('../services/quotationService');
+const { estimateMaterials } = require('../services/estimatorService');
+const {
+    logActivity,
+    assignQuotation,
+    scheduleFollowUp,
+    updateFollowUp,
+    completeFollowUp,
+    markLost,
+    getFollowUps,
+    getActivities,
+    listFollowUps
+} = require('../services/followUpService');
+
+// Helper function to pick the fields of a quotation line shown on public pages
+const publicItem = (item) => ({
+    id: item.id,
+    group_id: item.group_id,
+    line_type: item.line_type,
+    layer: item.layer,
+    product_name: item.product_name,
+    description: item.description,
+    quantity: item.quantity,
+    unit: item.unit,
+    unit_price: item.unit_price,
+    total: item.total,
+    tax_rate: item.tax_rate,
+    tax_amount: item.tax_amount,
+    is_optional: item.is_optional,
+    is_selected: item.is_selected
+});
+
+// Helper function to pick the fields of an item group shown on public pages
+const publicGroup = (group) => ({
+    id: group.id,
+    name: group.name,
+    description: group.description,
+    group_type: group.group_type,
+    alternative_set: group.alternative_set,
+    is_selected: group.is_selected,
+    subtotal: group.subtotal,
+    vat: group.vat,
+    total: group.total
+});
 
 // ==================== PUBLIC ROUTES ====================
 
@@ -26,6 +106,8 @@ const submitQuotation = async (req, res) => {
             subtotal,
             vat,
             total,
+            currency_code,
+            prices_include_tax = false,
             notes
         } = req.body;
 
@@ -42,8 +124,42 @@ const submitQuotation = async (req, res) => {
             });
         }
 
-        // Generate unique quotation ID
-        const quotationId = generateQuotationId();
+        // Prices are in the quotation's currency; snapshot today's rate
+        const currency = await snapshotRate(connection, currency_code, new Date());
+
+        // Prices and totals from the cart are only kept for audit; every
+        // catalogue line is re-priced and the totals recalculated here
+        const lines = await priceCartItems(connection, items, {
+            currency: currency.currency_code,
+            exchangeRate: currency.exchange_rate
+        });
+
+        const totals = await calculateDocumentTaxes(connection, {
+            prices_include_tax,
+            items: lines
+        }, { customerEmail: customer.email, currency: currency.currency_code });
+
+        const mismatches = findMismatches(
+            totals.items,
+            { subtotal, tax_amount: vat, total },
+            totals,
+            currency.currency_code
+        );
+        const priceReview = checkMismatches(
+            mismatches,
+            'Prices in your cart have changed. Please refresh your cart and try again.'
+        ) || totals.items.some(line => line.price_source !== 'catalogue');
+
+        // Link the quotation to the customer's record (created on first quote)
+        const customerId = await findOrCreateCustomer(connection, {
+            name: customer.name,
+            email: customer.email,
+            phone: customer.phone,
+            company_name: customer.company
+        });
+
+        // Take the next number in the quotation series
+        const quotationId = await getNextNumber(connection, 'quotation');
         
         // Calculate valid until date (30 days from now)
         const validUntil = new Date();
@@ -52,42 +168,33 @@ const submitQuotation = async (req, res) => {
         // Insert quotation
         const [quotationResult] = await connection.query(`
             INSERT INTO quotations (
-                quotation_id, status,
+                quotation_id, base_reference, status, customer_id,
                 customer_name, customer_email, customer_phone,
                 customer_company, customer_project_name,
                 customer_delivery_address, customer_notes,
-                subtotal, vat, total, valid_until
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                currency_code, exchange_rate, exchange_rate_date,
+                subtotal, vat, total, prices_include_tax, tax_summary,
+                submitted_subtotal, submitted_vat, submitted_total,
+                price_review_required, pricing_mismatches,
+                valid_until
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
-            quotationId, 'pending',
+            quotationId, quotationId, 'pending', customerId,
             customer.name, customer.email, customer.phone || null,
             customer.company || null, customer.projectName || null,
             customer.deliveryAddress || null, customer.notes || null,
-            subtotal, vat, total, validUntil
+            currency.currency_code, currency.exchange_rate, currency.exchange_rate_date,
+            totals.subtotal, totals.tax_amount, totals.total,
+            totals.prices_include_tax, JSON.stringify(totals.tax_summary),
+            subtotal ?? null, vat ?? null, total ?? null,
+            priceReview, mismatches.length > 0 ? JSON.stringify(mismatches) : null,
+            validUntil
         ]);
 
         const quotationDbId = quotationResult.insertId;
 
         // Insert quotation items
-        for (const item of items) {
-            await connection.query(`
-                INSERT INTO quotation_items (
-                    quotation_id, product_id, product_name, description,
-                    quantity, unit, unit_price, total, is_service, category
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                quotationDbId,
-                item.id || null,
-                item.name,
-                item.description || null,
-                item.quantity,
-                item.unit || 'unit',
-                item.price,
-                item.total,
-                item.isService || false,
-                item.category || null
-            ]);
-        }
+        await insertQuotationItems(connection, quotationDbId, totals.items);
 
         // Create notification for admin
         await connection.query(`
@@ -102,15 +209,19 @@ const submitQuotation = async (req, res) => {
             success: true,
             message: 'Quotation submitted successfully',
             quotationId: quotationId,
-            validUntil: validUntil
+            validUntil: validUntil,
+            subtotal: totals.subtotal,
+            vat: totals.tax_amount,
+            total: totals.total
         });
 
     } catch (error) {
         await connection.rollback();
         console.error('Error submitting quotation:', error);
-        res.status(500).json({ 
-            message: 'Error submitting quotation',
-            error: error.message 
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error submitting quotation',
+            error: error.message,
+            mismatches: error.mismatches
         });
     } finally {
         connection.release();
@@ -119,60 +230,406 @@ const submitQuotation = async (req, res) => {
 
 /**
  * GET /api/quotations/track/:reference
- * Track a quotation by reference number
+ * Track a quotation by reference number. Any reference in a series of
+ * revisions shows the latest revision, with the history of what changed.
+ * Anyone with a reference can call this, so only customer-facing fields
+ * are returned.
  */
 const trackQuotation = async (req, res) => {
     try {
         const { reference } = req.params;
 
-        const [quotations] = await pool.query(`
-            SELECT 
-                q.*,
-                DATE_FORMAT(q.created_at, '%Y-%m-%d') as date,
-                DATE_FORMAT(q.valid_until, '%Y-%m-%d') as valid_until_formatted,
-                DATEDIFF(q.valid_until, NOW()) as days_remaining
-            FROM quotations q
-            WHERE q.quotation_id = ?
-        `, [reference]);
+        const quotation = await findLatestRevision(pool, reference);
 
-        if (quotations.length === 0) {
+        if (!quotation) {
             return res.status(404).json({ 
                 message: 'Quotation not found' 
             });
         }
 
-        const quotation = quotations[0];
+        const revisions = await getRevisions(pool, quotation);
+        const latest = revisions.find(revision => revision.id === quotation.id);
+
+        res.json({
+            quotation_id: quotation.quotation_id,
+            revision_number: quotation.revision_number,
+            status: quotation.status,
+            date: quotation.date,
+            customer_name: quotation.customer_name,
+            customer_company: quotation.customer_company,
+            customer_project_name: quotation.customer_project_name,
+            customer_delivery_address: quotation.customer_delivery_address,
+            currency_code: quotation.currency_code,
+            prices_include_tax: quotation.prices_include_tax,
+            subtotal: quotation.subtotal,
+            vat: quotation.vat,
+            total: quotation.total,
+            valid_until: quotation.valid_until,
+            valid_until_formatted: quotation.valid_until_formatted,
+            days_remaining: quotation.days_remaining,
+            items: (latest ? latest.items : []).map(publicItem),
+            groups: (await getItemGroups(pool, quotation.id)).map(publicGroup),
+            requested_reference: reference,
+            revisions: revisions.map((revision, index) => ({
+                quotation_id: revision.quotation_id,
+                revision_number: revision.revision_number,
+                date: revision.formatted_date,
+                note: revision.revision_note,
+                total: revision.total,
+                changes: index > 0 ? diffRevisions(revisions[index - 1], revision).summary : []
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error tracking quotation:', error);
+        res.status(500).json({ 
+            message: 'Error tracking quotation',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * GET /api/quotations/track/:reference/review
+ * Everything a customer reviews before accepting: the quotation, its lines,
+ * the terms and a hash of the content to send back with the response
+ */
+const reviewQuotation = async (req, res) => {
+    try {
+        // Earlier revisions are answered on the latest one
+        const quotation = await findLatestRevision(pool, req.params.reference);
+
+        if (!quotation) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
 
-        // Get items
         const [items] = await pool.query(`
-            SELECT *
-            FROM quotation_items
+            SELECT * FROM quotation_items WHERE quotation_id = ?
+        `, [quotation.id]);
+
+        const [latest] = await pool.query(`
+            SELECT response, signer_name, comments,
+                DATE_FORMAT(created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+            FROM quotation_responses
             WHERE quotation_id = ?
+            ORDER BY created_at DESC, id DESC
+            LIMIT 1
         `, [quotation.id]);
 
         res.json({
-            ...quotation,
-            items
+            quotation_id: quotation.quotation_id,
+            revision_number: quotation.revision_number,
+            status: quotation.status,
+            customer_name: quotation.customer_name,
+            customer_company: quotation.customer_company,
+            customer_project_name: quotation.customer_project_name,
+            customer_delivery_address: quotation.customer_delivery_address,
+            currency_code: quotation.currency_code,
+            subtotal: quotation.subtotal,
+            vat: quotation.vat,
+            total: quotation.total,
+            valid_until: quotation.valid_until,
+            items: items.map(publicItem),
+            groups: (await getItemGroups(pool, quotation.id)).map(publicGroup),
+            terms: getQuotationTerms(quotation),
+            content_hash: hashQuotationContent(quotation, items),
+            can_respond: isOpenForResponse(quotation),
+            last_response: latest[0] || null
         });
 
     } catch (error) {
-        console.error('Error tracking quotation:', error);
+        console.error('Error loading quotation for review:', error);
         res.status(500).json({ 
-            message: 'Error tracking quotation',
+            message: 'Error loading quotation',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * PUT /api/quotations/track/:reference/options
+ * Choose options before responding. The customer confirms the quotation's
+ * email; selected_groups lists the optional groups to include and the
+ * alternatives chosen, selected_items the optional items to include.
+ * Returns the new totals and content hash.
+ */
+const selectQuotationOptions = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { email, selected_items, selected_groups } = req.body;
+
+        const quotation = await findLatestRevision(connection, req.params.reference, { lock: true });
+
+        // Same answer for an unknown reference and a wrong email
+        if (!quotation || !email || String(email).trim().toLowerCase() !== String(quotation.customer_email || '').trim().toLowerCase()) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'No quotation found for this reference and email' });
+        }
+
+        const totals = await selectOptions(connection, quotation, {
+            items: selected_items,
+            groups: selected_groups
+        });
+
+        const [items] = await connection.query(`
+            SELECT * FROM quotation_items WHERE quotation_id = ?
+        `, [quotation.id]);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            ...totals,
+            content_hash: hashQuotationContent({ ...quotation, ...totals }, items)
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error selecting quotation options:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error updating quotation options',
+            error: error.message 
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * POST /api/quotations/track/:reference/respond
+ * Accept a quotation or ask for changes. The customer confirms the email
+ * the quotation was sent to. Accepting needs signer_name and agree_terms,
+ * and may include a drawn signature (image data URL) and the options
+ * chosen (selected_groups, selected_items as for the options endpoint);
+ * requesting changes needs comments. content_hash from the review must
+ * still match.
+ */
+const respondToQuotationPublic = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const {
+            action, email, signer_name, signature, comments, content_hash, agree_terms,
+            selected_groups, selected_items
+        } = req.body;
+        const responses = { accept: 'accepted', request_changes: 'changes_requested' };
+
+        if (!responses[action]) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Action must be accept or request_changes' });
+        }
+
+        const quotation = await findLatestRevision(connection, req.params.reference, { lock: true });
+
+        // Same answer for an unknown reference and a wrong email
+        if (!quotation || !email || String(email).trim().toLowerCase() !== String(quotation.customer_email || '').trim().toLowerCase()) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'No quotation found for this reference and email' });
+        }
+
+        if (action === 'accept' && agree_terms !== true) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Please agree to the terms to accept the quotation' });
+        }
+
+        // Options chosen on acceptance apply to the content that was reviewed
+        let accepted = quotation;
+        let contentHash = content_hash;
+        if (action === 'accept' && (selected_groups !== undefined || selected_items !== undefined)) {
+            await checkContentHash(connection, quotation, content_hash);
+            const { subtotal, vat, total } = await selectOptions(connection, quotation, {
+                items: selected_items,
+                groups: selected_groups
+            });
+            accepted = { ...quotation, subtotal, vat, total };
+            contentHash = null;
+        }
+
+        const result = await respondToQuotation(connection, accepted, responses[action], {
+            source: 'public',
+            signerName: signer_name,
+            signerEmail: String(email).trim(),
+            signature,
+            comments,
+            contentHash,
+            ip: req.ip || req.socket?.remoteAddress || null,
+            userAgent: req.get('user-agent')
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: action === 'accept'
+                ? `Thank you, quotation ${quotation.quotation_id} has been accepted. We will be in touch shortly.`
+                : `Thank you, we have your requested changes to quotation ${quotation.quotation_id} and will send a revised quotation.`,
+            status: result.response,
+            response_id: result.id
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error recording quotation response:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error recording your response',
             error: error.message 
         });
+    } finally {
+        connection.release();
     }
 };
 
 // ==================== ADMIN ROUTES ====================
 
+/**
+ * POST /api/quotations
+ * Create a quotation after a site visit. Takes customer_id or customer
+ * details (customer_name, customer_email, ...), project details, survey
+ * (survey_date, area_m2, coating_system, notes) and its lines: layers
+ * (material per coating layer, worked out from the surveyed area), labour,
+ * mobilization and items. An estimate (substrate, system, waste_percent as
+ * for POST /api/estimator/estimate) adds material lines rounded up to whole
+ * packs for the surveyed area. groups ([{ name, type: required, optional or
+ * alternative, alternative_set, selected, items, layers, ... }]) group lines
+ * with their own subtotals. Lines marked is_optional, optional groups and
+ * the alternatives not chosen are left out of the totals until the customer
+ * chooses them.
+ */
+const createQuotation = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const {
+            survey = {},
+            currency_code,
+            prices_include_tax = false,
+            valid_until,
+            status = 'processing'
+        } = req.body;
+
+        if (!req.body.customer_id && !req.body.customer_name) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Customer is required' });
+        }
+
+        if (!['pending', 'processing'].includes(status)) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'A new quotation must be pending or processing' });
+        }
+
+        if (survey.area_m2 !== undefined && survey.area_m2 !== null && !(Number(survey.area_m2) > 0)) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Surveyed area must be greater than 0' });
+        }
+
+        // Missing details (contact, delivery address, currency) come from the customer record
+        const data = await resolveDocumentCustomer(connection, {
+            ...req.body,
+            currency_code
+        }, req.user?.id || null);
+
+        // Material lines can come straight from the estimator
+        const estimated = req.body.estimate
+            ? (await estimateMaterials(connection, { area_m2: survey.area_m2, ...req.body.estimate })).lines
+            : [];
+
+        const grouped = buildItemGroups(req.body.groups || [], survey.area_m2);
+
+        const input = [...estimated, ...buildSurveyLines(req.body, survey.area_m2), ...grouped.lines];
+
+        if (input.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Quotation must have at least one item' });
+        }
+
+        const currency = await snapshotRate(connection, data.currency_code, new Date());
+
+        const lines = await priceStaffItems(connection, input, {
+            currency: currency.currency_code,
+            exchangeRate: currency.exchange_rate
+        });
+
+        const totals = await priceQuotationLines(connection, lines, {
+            pricesIncludeTax: prices_include_tax,
+            customerEmail: data.customer_email,
+            currency: currency.currency_code
+        });
+
+        const quotationId = await getNextNumber(connection, 'quotation');
+
+        // Valid for 30 days unless a date is given
+        let validUntil = valid_until;
+        if (!validUntil) {
+            validUntil = new Date();
+            validUntil.setDate(validUntil.getDate() + 30);
+        }
+
+        const [quotationResult] = await connection.query(`
+            INSERT INTO quotations (
+                quotation_id, base_reference, status, source, created_by, customer_id,
+                customer_name, customer_email, customer_phone,
+                customer_company, customer_project_name,
+                customer_delivery_address, customer_notes, terms_conditions,
+                survey_date, survey_area_m2, coating_system, survey_notes,
+                currency_code, exchange_rate, exchange_rate_date,
+                subtotal, vat, total, prices_include_tax, tax_summary,
+                price_review_required, valid_until, admin_notes
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            quotationId, quotationId, status, 'admin', req.user?.id || null, data.customer_id,
+            data.customer_name, data.customer_email || null, data.customer_phone || null,
+            data.customer_company || null, data.customer_project_name || null,
+            data.customer_delivery_address || null, data.customer_notes || null, data.terms_conditions || null,
+            survey.survey_date || null, survey.area_m2 ?? null, survey.coating_system || null, survey.notes || null,
+            currency.currency_code, currency.exchange_rate, currency.exchange_rate_date,
+            totals.subtotal, totals.tax_amount, totals.total,
+            totals.prices_include_tax, JSON.stringify(totals.tax_summary),
+            false, validUntil, data.admin_notes || null
+        ]);
+
+        const quotationDbId = quotationResult.insertId;
+
+        await insertItemGroups(connection, quotationDbId, grouped.groups, totals.items, currency.currency_code);
+        await insertQuotationItems(connection, quotationDbId, totals.items);
+
+        await connection.commit();
+
+        const [quotations] = await pool.query(`
+            SELECT * FROM quotations WHERE id = ?
+        `, [quotationDbId]);
+        const [items] = await pool.query(`
+            SELECT * FROM quotation_items WHERE quotation_id = ?
+        `, [quotationDbId]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Quotation created successfully',
+            quotation: { ...quotations[0], items, groups: await getItemGroups(pool, quotationDbId) }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error creating quotation:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error creating quotation',
+            error: error.message 
+        });
+    } finally {
+        connection.release();
+    }
+};
+
 /**
  * GET /api/quotations
  * Get all quotations with filters
  */
 const getAllQuotations = async (req, res) => {
     try {
-        const { status, search, from, to } = req.query;
+        const { status, search, from, to, customer_id, assigned_to } = req.query;
 
         let query = `
             SELECT 
@@ -180,6 +637,11 @@ const getAllQuotations = async (req, res) => {
                 COUNT(qi.id) as item_count,
                 (SELECT COUNT(*) FROM quotation_notifications n 
                  WHERE n.quotation_id = q.id AND n.is_read = false) as unread_count,
+                (SELECT u.name FROM admin_users u WHERE u.id = q.assigned_to) as assigned_to_name,
+                (SELECT DATE_FORMAT(MIN(f.due_at), '%Y-%m-%d %H:%i')
+                 FROM quotation_follow_ups f
+                 JOIN quotations fq ON f.quotation_id = fq.id
+                 WHERE fq.base_reference = q.base_reference AND f.status = 'open') as next_follow_up_at,
                 DATE_FORMAT(q.created_at, '%Y-%m-%d %H:%i') as formatted_date,
                 DATE_FORMAT(q.valid_until, '%Y-%m-%d') as valid_until_formatted,
                 DATEDIFF(q.valid_until, NOW()) as days_remaining
@@ -193,6 +655,9 @@ const getAllQuotations = async (req, res) => {
         if (status && status !== 'all') {
             query += ` AND q.status = ?`;
             params.push(status);
+        } else if (req.query.include_superseded !== 'true') {
+            // Earlier revisions are listed under their latest one
+            query += ` AND q.status != 'superseded'`;
         }
 
         if (search) {
@@ -206,6 +671,22 @@ const getAllQuotations = async (req, res) => {
             params.push(searchTerm, searchTerm, searchTerm, searchTerm);
         }
 
+        if (customer_id) {
+            query += ` AND q.customer_id = ?`;
+            params.push(customer_id);
+        }
+
+        if (assigned_to === 'unassigned') {
+            query += ` AND q.assigned_to IS NULL`;
+        } else if (assigned_to) {
+            query += ` AND q.assigned_to = ?`;
+            params.push(assigned_to === 'me' ? req.user?.id : assigned_to);
+        }
+
+        if (req.query.price_review === 'true') {
+            query += ` AND q.price_review_required = true`;
+        }
+
         if (from) {
             query += ` AND DATE(q.created_at) >= ?`;
             params.push(from);
@@ -268,10 +749,12 @@ const getQuotationById = async (req, res) => {
         const [quotations] = await pool.query(`
             SELECT 
                 q.*,
+                u.name as assigned_to_name,
                 DATE_FORMAT(q.created_at, '%Y-%m-%d %H:%i') as formatted_date,
                 DATE_FORMAT(q.valid_until, '%Y-%m-%d') as valid_until_formatted,
                 DATEDIFF(q.valid_until, NOW()) as days_remaining
             FROM quotations q
+            LEFT JOIN admin_users u ON q.assigned_to = u.id
             WHERE q.id = ?
         `, [id]);
 
@@ -288,6 +771,30 @@ const getQuotationById = async (req, res) => {
 
         quotation.items = items;
 
+        // Get item groups with their subtotals
+        quotation.groups = await getItemGroups(pool, id);
+
+        // Get emails of the quotation
+        quotation.deliveries = await getDeliveries(pool, 'quotation', id);
+
+        // Get customer acceptances, declines and change requests
+        quotation.responses = await getResponses(pool, id);
+
+        // Get follow-ups and the activity log of the series
+        quotation.follow_ups = await getFollowUps(pool, quotation);
+        quotation.activities = await getActivities(pool, quotation);
+
+        // Get the other revisions in the series
+        quotation.revisions = (await getRevisions(pool, quotation)).map(revision => ({
+            id: revision.id,
+            quotation_id: revision.quotation_id,
+            revision_number: revision.revision_number,
+            status: revision.status,
+            total: revision.total,
+            revision_note: revision.revision_note,
+            formatted_date: revision.formatted_date
+        }));
+
         res.json(quotation);
 
     } catch (error) {
@@ -308,12 +815,26 @@ const updateQuotationStatus = async (req, res) => {
         const { id } = req.params;
         const { status } = req.body;
 
-        const validStatuses = ['pending', 'viewed', 'processing', 'converted', 'expired', 'cancelled'];
+        // Customer answers are recorded through the response endpoints
+        const validStatuses = ['pending', 'viewed', 'processing', 'sent', 'converted', 'expired', 'cancelled'];
         
         if (!validStatuses.includes(status)) {
             return res.status(400).json({ message: 'Invalid status' });
         }
 
+        // Superseded revisions are kept as they were
+        const [current] = await pool.query(`
+            SELECT status FROM quotations WHERE id = ?
+        `, [id]);
+
+        if (current.length === 0) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        if (current[0].status === 'superseded') {
+            return res.status(400).json({ message: 'A superseded revision cannot be changed' });
+        }
+
         let updateFields = 'status = ?';
         const params = [status];
 
@@ -351,6 +872,82 @@ const updateQuotationStatus = async (req, res) => {
     }
 };
 
+/**
+ * POST /api/quotations/:id/responses
+ * Record an answer the customer gave outside the acceptance page (e.g. by
+ * phone): response (accepted, declined or changes_requested), signer_name
+ * (who accepted) and comments. Kept as a response with source 'admin'.
+ */
+const recordQuotationResponse = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { response, signer_name, signer_email, comments } = req.body;
+
+        const [quotations] = await connection.query(`
+            SELECT * FROM quotations WHERE id = ? FOR UPDATE
+        `, [req.params.id]);
+
+        if (quotations.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const result = await respondToQuotation(connection, quotations[0], response, {
+            source: 'admin',
+            signerName: signer_name,
+            signerEmail: signer_email || null,
+            comments,
+            ip: req.ip || req.socket?.remoteAddress || null,
+            userAgent: req.get('user-agent')
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `Response recorded for quotation ${quotations[0].quotation_id}`,
+            status: result.response,
+            response_id: result.id
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error recording quotation response:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error recording quotation response',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * GET /api/quotations/:id/responses/:responseId/signature
+ * Signature image drawn by the customer when accepting
+ */
+const getResponseSignature = async (req, res) => {
+    try {
+        const file = await getSignatureFile(pool, req.params.id, req.params.responseId);
+
+        if (!file) {
+            return res.status(404).json({ message: 'Signature not found' });
+        }
+
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.sendFile(file);
+
+    } catch (error) {
+        console.error('Error fetching signature:', error);
+        res.status(500).json({ 
+            message: 'Error fetching signature',
+            error: error.message 
+        });
+    }
+};
+
 /**
  * PUT /api/quotations/:id/notes
  * Update admin notes
@@ -381,44 +978,289 @@ const updateQuotationNotes = async (req, res) => {
 };
 
 /**
- * POST /api/quotations/:id/convert-to-invoice
- * Convert quotation to invoice
+ * PUT /api/quotations/:id/price-review
+ * Confirm the prices of a quotation flagged for review
  */
-const convertToInvoice = async (req, res) => {
-    const connection = await pool.getConnection();
+const reviewQuotationPricing = async (req, res) => {
     try {
-        await connection.beginTransaction();
-
         const { id } = req.params;
-        const { invoice_number } = req.body;
 
-        // Get quotation details
-        const [quotations] = await connection.query(`
-            SELECT * FROM quotations WHERE id = ?
-        `, [id]);
+        const [result] = await pool.query(`
+            UPDATE quotations
+            SET price_review_required = false,
+                price_reviewed_by = ?,
+                price_reviewed_at = NOW()
+            WHERE id = ?
+        `, [req.user?.id || null, id]);
 
-        if (quotations.length === 0) {
+        if (result.affectedRows === 0) {
             return res.status(404).json({ message: 'Quotation not found' });
         }
 
-        const quotation = quotations[0];
-
-        // Get quotation items
-        const [items] = await connection.query(`
-            SELECT * FROM quotation_items WHERE quotation_id = ?
-        `, [id]);
+        res.json({
+            success: true,
+            message: 'Quotation prices confirmed'
+        });
 
-        // TODO: Insert into invoices table (you'll create this)
-        const invoiceId = 'INV-' + Date.now().toString().slice(-8);
+    } catch (error) {
+        console.error('Error confirming quotation prices:', error);
+        res.status(500).json({
+            message: 'Error confirming quotation prices',
+            error: error.message
+        });
+    }
+};
 
-        // Update quotation status
-        await connection.query(`
-            UPDATE quotations 
-            SET status = 'converted', 
-                converted_at = NOW(),
-                converted_to_invoice_id = ?
-            WHERE id = ?
-        `, [invoiceId, id]);
+/**
+ * POST /api/quotations/:id/revise
+ * Create a new revision (KAY-123456-R2) with new items and, optionally,
+ * customer_project_name, customer_delivery_address, customer_notes,
+ * terms_conditions, prices_include_tax, valid_until and revision_note.
+ * Items that are not sent are carried over. The quotation revised is
+ * superseded and kept unchanged.
+ */
+const reviseQuotation = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [quotations] = await connection.query(`
+            SELECT * FROM quotations WHERE id = ? FOR UPDATE
+        `, [req.params.id]);
+
+        if (quotations.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const revision = await createRevision(connection, quotations[0], req.body, req.user?.id || null);
+
+        await connection.commit();
+
+        const [revised] = await pool.query(`
+            SELECT * FROM quotations WHERE id = ?
+        `, [revision.id]);
+        const [items] = await pool.query(`
+            SELECT * FROM quotation_items WHERE quotation_id = ?
+        `, [revision.id]);
+
+        res.status(201).json({
+            success: true,
+            message: `Revision ${revision.quotation_id} created`,
+            quotation: { ...revised[0], items }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error revising quotation:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error revising quotation',
+            error: error.message 
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * GET /api/quotations/:id/revisions
+ * Every revision in the series of a quotation, oldest first, with the
+ * changes from the revision before it
+ */
+const getQuotationRevisions = async (req, res) => {
+    try {
+        const [quotations] = await pool.query(`
+            SELECT * FROM quotations WHERE id = ?
+        `, [req.params.id]);
+
+        if (quotations.length === 0) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const revisions = await getRevisions(pool, quotations[0]);
+
+        res.json(revisions.map((revision, index) => ({
+            ...revision,
+            changes: index > 0 ? diffRevisions(revisions[index - 1], revision) : null
+        })));
+
+    } catch (error) {
+        console.error('Error fetching quotation revisions:', error);
+        res.status(500).json({ 
+            message: 'Error fetching quotation revisions',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * GET /api/quotations/:id/diff?from=&to=
+ * Changes between two revisions in the series of a quotation, by revision
+ * number. Defaults to this revision against the one before it.
+ */
+const getRevisionDiff = async (req, res) => {
+    try {
+        const [quotations] = await pool.query(`
+            SELECT * FROM quotations WHERE id = ?
+        `, [req.params.id]);
+
+        if (quotations.length === 0) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const quotation = quotations[0];
+        const to = Number(req.query.to) || Number(quotation.revision_number) || 1;
+        const from = Number(req.query.from) || to - 1;
+
+        const revisions = await getRevisions(pool, quotation);
+        const fromRevision = revisions.find(revision => Number(revision.revision_number) === from);
+        const toRevision = revisions.find(revision => Number(revision.revision_number) === to);
+
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({ message: 'Revision not found' });
+        }
+
+        res.json(diffRevisions(fromRevision, toRevision));
+
+    } catch (error) {
+        console.error('Error comparing quotation revisions:', error);
+        res.status(500).json({ 
+            message: 'Error comparing quotation revisions',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * POST /api/quotations/:id/convert-to-invoice
+ * Convert quotation to invoice. Quotations with optional or alternative
+ * items must have been accepted first, so the customer's choice is invoiced.
+ */
+const convertToInvoice = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const {
+            issue_date,
+            due_date,
+            payment_terms,
+            notes,
+            terms_conditions,
+            status
+        } = req.body;
+
+        // Get quotation details (locked so it cannot be converted twice)
+        const [quotations] = await connection.query(`
+            SELECT * FROM quotations WHERE id = ? FOR UPDATE
+        `, [id]);
+
+        if (quotations.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const quotation = quotations[0];
+
+        if (quotation.converted_to_invoice_id) {
+            await connection.rollback();
+            return res.status(400).json({ 
+                message: 'Quotation has already been converted to an invoice',
+                invoice_id: quotation.converted_to_invoice_id
+            });
+        }
+
+        if (['declined', 'changes_requested', 'expired', 'cancelled', 'superseded'].includes(quotation.status)) {
+            await connection.rollback();
+            return res.status(400).json({ 
+                message: `Cannot convert a ${quotation.status.replace('_', ' ')} quotation` 
+            });
+        }
+
+        if (quotation.price_review_required) {
+            await connection.rollback();
+            return res.status(400).json({ 
+                message: 'Quotation prices must be reviewed before converting' 
+            });
+        }
+
+        // Get quotation items (optional items only when the customer included them)
+        const [quotationItems] = await connection.query(`
+            SELECT * FROM quotation_items WHERE quotation_id = ?
+        `, [id]);
+        const items = quotationItems.filter(isIncluded);
+        const groups = await getItemGroups(connection, id);
+
+        // With options on offer, only the customer's accepted choice is invoiced
+        const hasChoices = groups.some(group => group.group_type !== 'required')
+            || quotationItems.some(item => item.is_optional);
+        if (hasChoices && quotation.status !== 'accepted') {
+            await connection.rollback();
+            return res.status(400).json({ 
+                message: 'This quotation offers optional or alternative items. It can only be converted once the customer has accepted it with their choice.' 
+            });
+        }
+
+        // Lines of a group are described with the group's name
+        const groupNames = new Map(groups.map(group => [Number(group.id), group.name]));
+
+        if (items.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Quotation has no items to invoice' });
+        }
+
+        // Quotations from before the tax engine carry a single VAT amount,
+        // so derive the rate their lines were charged at
+        const subtotal = Number(quotation.subtotal) || 0;
+        const vat = Number(quotation.vat) || 0;
+        const legacyRate = subtotal > 0 ? Math.round((vat / subtotal) * 10000) / 100 : 16.00;
+
+        const invoiceNotes = [
+            quotation.customer_project_name ? `Project: ${quotation.customer_project_name}` : null,
+            notes || quotation.customer_notes
+        ].filter(Boolean).join('\n\n');
+
+        const invoiceId = await createInvoiceRecord(connection, {
+            quotation_id: quotation.id,
+            quotation_reference: quotation.quotation_id,
+
+            // Missing details (tax ID, terms) come from the customer record
+            customer_id: quotation.customer_id,
+            customer_name: quotation.customer_name,
+            customer_email: quotation.customer_email,
+            customer_phone: quotation.customer_phone,
+            customer_company: quotation.customer_company,
+            customer_address: quotation.customer_delivery_address,
+
+            issue_date,
+            due_date,
+            payment_terms,
+
+            // Same currency; the invoice takes its own rate on its issue date
+            currency_code: quotation.currency_code,
+
+            prices_include_tax: !!quotation.prices_include_tax,
+
+            items: items.map(item => ({
+                product_id: item.product_id,
+                quotation_item_id: item.id,
+                item_type: item.is_service ? 'service' : 'product',
+                item_name: item.product_name,
+                description: item.group_id && groupNames.has(Number(item.group_id))
+                    ? [groupNames.get(Number(item.group_id)), item.description].filter(Boolean).join(' - ')
+                    : item.description,
+                quantity: item.quantity,
+                unit: item.unit,
+                unit_price: item.unit_price,
+                tax_code: item.tax_code || undefined,
+                tax_rate: item.tax_code ? undefined : (item.tax_rate != null ? Number(item.tax_rate) : legacyRate)
+            })),
+
+            notes: invoiceNotes || null,
+            terms_conditions,
+            status
+        }, req.user?.id || null);
 
         // Create converted notification
         await connection.query(`
@@ -426,19 +1268,27 @@ const convertToInvoice = async (req, res) => {
             VALUES (?, 'converted', false)
         `, [id]);
 
+        // Invoices issued straight away are registered with the tax authority
+        const queued = (status || 'draft') !== 'draft' && await queueInvoice(connection, invoiceId);
+
         await connection.commit();
 
-        res.json({
+        if (queued) submitInBackground(invoiceId);
+
+        const invoice = await getInvoiceDetails(connection, invoiceId);
+
+        res.status(201).json({
             success: true,
             message: 'Quotation converted to invoice successfully',
-            invoice_id: invoiceId
+            invoice_id: invoiceId,
+            invoice
         });
 
     } catch (error) {
         await connection.rollback();
         console.error('Error converting quotation:', error);
-        res.status(500).json({ 
-            message: 'Error converting quotation',
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error converting quotation',
             error: error.message 
         });
     } finally {
@@ -446,33 +1296,507 @@ const convertToInvoice = async (req, res) => {
     }
 };
 
+/**
+ * GET /api/quotations/:id/pdf
+ * Download the quotation as a PDF
+ */
+const getQuotationPdf = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [quotations] = await pool.query(`
+            SELECT * FROM quotations WHERE id = ?
+        `, [id]);
+
+        if (quotations.length === 0) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const quotation = quotations[0];
+
+        const [items] = await pool.query(`
+            SELECT * FROM quotation_items WHERE quotation_id = ?
+        `, [id]);
+        quotation.items = items;
+        quotation.groups = await getItemGroups(pool, id);
+
+        const pdf = await renderQuotationPdf(quotation);
+
+        const disposition = req.query.download ? 'attachment' : 'inline';
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `${disposition}; filename="${quotation.quotation_id}.pdf"`);
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Error generating quotation PDF:', error);
+        res.status(500).json({ 
+            message: 'Error generating quotation PDF',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * POST /api/quotations/:id/send
+ * Email the quotation PDF to the customer (optional subject, message and cc).
+ * The status becomes 'sent' only once the mail server accepts the message,
+ * and only while the customer has not answered the quotation yet.
+ */
+const sendQuotation = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { subject, message } = req.body;
+        const cc = parseRecipients(req.body.cc);
+
+        const [quotations] = await pool.query(`
+            SELECT * FROM quotations WHERE id = ?
+        `, [id]);
+
+        if (quotations.length === 0) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const quotation = quotations[0];
+
+        if (['converted', 'expired', 'cancelled', 'superseded'].includes(quotation.status)) {
+            return res.status(400).json({ 
+                message: `Cannot send a ${quotation.status} quotation` 
+            });
+        }
+
+        if (quotation.price_review_required) {
+            return res.status(400).json({ 
+                message: 'Quotation prices must be reviewed before sending' 
+            });
+        }
+
+        if (!quotation.customer_email) {
+            return res.status(400).json({ message: 'Quotation has no customer email' });
+        }
+
+        const [items] = await pool.query(`
+            SELECT * FROM quotation_items WHERE quotation_id = ?
+        `, [id]);
+        quotation.items = items;
+        quotation.groups = await getItemGroups(pool, id);
+
+        // A customer's answer (accepted, declined, changes requested) is kept;
+        // sending again only emails them another copy
+        const status = ['pending', 'viewed', 'processing'].includes(quotation.status) ? 'sent' : quotation.status;
+
+        const pdf = await renderQuotationPdf({ ...quotation, status });
+
+        const delivery = await deliverDocument({
+            documentType: 'quotation',
+            documentId: quotation.id,
+            documentNumber: quotation.quotation_id,
+            to: quotation.customer_email,
+            cc,
+            email: quotationEmail(quotation, { subject, message }),
+            message,
+            pdf
+        }, req.user?.id || null);
+
+        await pool.query(`
+            UPDATE quotations 
+            SET status = IF(status IN ('pending', 'viewed', 'processing'), 'sent', status),
+                sent_at = NOW()
+            WHERE id = ?
+        `, [id]);
+
+        await pool.query(`
+            INSERT INTO quotation_notifications (quotation_id, notification_type, is_read)
+            VALUES (?, 'sent', false)
+        `, [id]);
+
+        res.json({ 
+            success: true, 
+            message: `Quotation sent to ${quotation.customer_email}`,
+            delivery
+        });
+
+    } catch (error) {
+        console.error('Error sending quotation:', error);
+        res.status(error.statusCode || 500).json({ 
+            message: error.statusCode ? error.message : 'Error sending quotation',
+            error: error.message 
+        });
+    }
+};
+
 /**
  * DELETE /api/quotations/:id
- * Delete quotation
+ * Delete a quotation that has never been revised or answered. Quotations
+ * with revisions or customer responses are cancelled instead.
  */
 const deleteQuotation = async (req, res) => {
+    const connection = await pool.getConnection();
     try {
+        await connection.beginTransaction();
+
         const { id } = req.params;
 
-        const [result] = await pool.query(`
-            DELETE FROM quotations WHERE id = ?
+        const [quotations] = await connection.query(`
+            SELECT * FROM quotations WHERE id = ? FOR UPDATE
         `, [id]);
 
-        if (result.affectedRows === 0) {
+        if (quotations.length === 0) {
+            await connection.rollback();
             return res.status(404).json({ message: 'Quotation not found' });
         }
 
+        const quotation = quotations[0];
+
+        // Earlier revisions stay as the history of the latest one
+        const [series] = await connection.query(`
+            SELECT COUNT(*) as count FROM quotations
+            WHERE base_reference = ? AND id != ?
+        `, [quotation.base_reference || quotation.quotation_id, quotation.id]);
+
+        if (Number(quotation.revision_number) > 1 || Number(series[0].count) > 0) {
+            await connection.rollback();
+            return res.status(400).json({ 
+                message: 'Quotations with revisions cannot be deleted. Cancel the quotation instead.' 
+            });
+        }
+
+        // Customer responses are the record of what was agreed
+        const [responses] = await connection.query(`
+            SELECT COUNT(*) as count FROM quotation_responses WHERE quotation_id = ?
+        `, [quotation.id]);
+
+        if (Number(responses[0].count) > 0) {
+            await connection.rollback();
+            return res.status(400).json({ 
+                message: 'Quotations the customer has responded to cannot be deleted. Cancel the quotation instead.' 
+            });
+        }
+
+        await connection.query(`
+            DELETE FROM quotations WHERE id = ?
+        `, [id]);
+
+        await connection.commit();
+
         res.json({ 
             success: true, 
             message: 'Quotation deleted successfully' 
         });
 
     } catch (error) {
+        await connection.rollback();
         console.error('Error deleting quotation:', error);
         res.status(500).json({ 
             message: 'Error deleting quotation',
             error: error.message 
         });
+    } finally {
+        connection.release();
+    }
+};
+
+// ==================== FOLLOW-UPS ====================
+
+// Helper function to load a follow-up with its quotation, optionally locking both
+const findFollowUp = async (connection, followUpId, { lock = false } = {}) => {
+    const [followUps] = await connection.query(`
+        SELECT * FROM quotation_follow_ups WHERE id = ?${lock ? ' FOR UPDATE' : ''}
+    `, [followUpId]);
+
+    if (followUps.length === 0) return null;
+
+    const [quotations] = await connection.query(`
+        SELECT * FROM quotations WHERE id = ?${lock ? ' FOR UPDATE' : ''}
+    `, [followUps[0].quotation_id]);
+
+    return { followUp: followUps[0], quotation: quotations[0] };
+};
+
+/**
+ * PUT /api/quotations/:id/assign
+ * Assign a quotation to a salesperson ({ assigned_to: user id }), or
+ * unassign it with null. Open follow-ups of the previous assignee move
+ * to the new one.
+ */
+const assignQuotationToUser = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [quotations] = await connection.query(`
+            SELECT * FROM quotations WHERE id = ? FOR UPDATE
+        `, [req.params.id]);
+
+        if (quotations.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const assignee = await assignQuotation(connection, quotations[0], req.body.assigned_to || null, req.user?.id || null);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: assignee
+                ? `Quotation assigned to ${assignee.name || assignee.username}`
+                : 'Quotation unassigned',
+            assigned_to: assignee ? assignee.id : null
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error assigning quotation:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error assigning quotation',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * GET /api/quotations/follow-ups
+ * Open follow-ups across quotations, soonest first.
+ * ?assigned_to=me|unassigned|<user id>, ?due=overdue|today|upcoming
+ */
+const getFollowUpTasks = async (req, res) => {
+    try {
+        const { assigned_to, due } = req.query;
+
+        const followUps = await listFollowUps(pool, {
+            assignedTo: assigned_to === 'me' ? req.user?.id : assigned_to,
+            due
+        });
+
+        res.json(followUps);
+
+    } catch (error) {
+        console.error('Error fetching follow-ups:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error fetching follow-ups',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/quotations/:id/follow-ups
+ * Follow-ups and activity log of a quotation and its other revisions
+ */
+const getQuotationFollowUps = async (req, res) => {
+    try {
+        const [quotations] = await pool.query(`
+            SELECT * FROM quotations WHERE id = ?
+        `, [req.params.id]);
+
+        if (quotations.length === 0) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        res.json({
+            follow_ups: await getFollowUps(pool, quotations[0]),
+            activities: await getActivities(pool, quotations[0])
+        });
+
+    } catch (error) {
+        console.error('Error fetching quotation follow-ups:', error);
+        res.status(500).json({
+            message: 'Error fetching quotation follow-ups',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/quotations/:id/follow-ups
+ * Schedule a follow-up: title, due_at (YYYY-MM-DD or YYYY-MM-DD HH:mm),
+ * optional notes and assigned_to (default the quotation's assignee)
+ */
+const createQuotationFollowUp = async (req, res) => {
+    try {
+        const [quotations] = await pool.query(`
+            SELECT * FROM quotations WHERE id = ?
+        `, [req.params.id]);
+
+        if (quotations.length === 0) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const followUpId = await scheduleFollowUp(pool, quotations[0], req.body, req.user?.id || null);
+
+        const [followUps] = await pool.query(`
+            SELECT * FROM quotation_follow_ups WHERE id = ?
+        `, [followUpId]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Follow-up scheduled',
+            follow_up: followUps[0]
+        });
+
+    } catch (error) {
+        console.error('Error scheduling follow-up:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error scheduling follow-up',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * PUT /api/quotations/follow-ups/:followUpId
+ * Change the title, notes, due_at or assigned_to of an open follow-up
+ */
+const updateQuotationFollowUp = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const found = await findFollowUp(connection, req.params.followUpId, { lock: true });
+
+        if (!found) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Follow-up not found' });
+        }
+
+        await updateFollowUp(connection, found.followUp, req.body);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Follow-up updated'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating follow-up:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error updating follow-up',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * POST /api/quotations/follow-ups/:followUpId/complete
+ * Close a follow-up as done (or status: 'cancelled') with an optional
+ * outcome. With activity_type (call, email, site_visit, meeting, note) the
+ * outcome is also logged as an activity.
+ */
+const completeQuotationFollowUp = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const found = await findFollowUp(connection, req.params.followUpId, { lock: true });
+
+        if (!found) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Follow-up not found' });
+        }
+
+        await completeFollowUp(connection, found.followUp, found.quotation, req.body, req.user?.id || null);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: req.body.status === 'cancelled' ? 'Follow-up cancelled' : 'Follow-up completed'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error completing follow-up:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error completing follow-up',
+            error: error.message
+        });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * POST /api/quotations/:id/activities
+ * Log a call, email, site visit, meeting or note: activity_type, summary,
+ * optional details and occurred_at (default now)
+ */
+const logQuotationActivity = async (req, res) => {
+    try {
+        const [quotations] = await pool.query(`
+            SELECT * FROM quotations WHERE id = ?
+        `, [req.params.id]);
+
+        if (quotations.length === 0) {
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const activityId = await logActivity(pool, quotations[0], {
+            activity_type: req.body.activity_type,
+            summary: req.body.summary,
+            details: req.body.details,
+            occurred_at: req.body.occurred_at
+        }, req.user?.id || null);
+
+        res.status(201).json({
+            success: true,
+            message: 'Activity logged',
+            id: activityId
+        });
+
+    } catch (error) {
+        console.error('Error logging quotation activity:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error logging quotation activity',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/quotations/:id/lost
+ * Mark a quotation lost with a reason (price, competitor, budget, timing,
+ * scope_changed, no_response, other) and optional notes. Open quotations
+ * are cancelled; open follow-ups are cancelled.
+ */
+const markQuotationLost = async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [quotations] = await connection.query(`
+            SELECT * FROM quotations WHERE id = ? FOR UPDATE
+        `, [req.params.id]);
+
+        if (quotations.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Quotation not found' });
+        }
+
+        const result = await markLost(connection, quotations[0], req.body, req.user?.id || null);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Quotation ${quotations[0].quotation_id} marked lost`,
+            ...result
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error marking quotation lost:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error marking quotation lost',
+            error: error.message
+        });
+    } finally {
+        connection.release();
     }
 };
 
@@ -573,14 +1897,36 @@ module.exports = {
     // Public
     submitQuotation,
     trackQuotation,
+    reviewQuotation,
+    selectQuotationOptions,
+    respondToQuotationPublic,
     
     // Admin
+    createQuotation,
     getAllQuotations,
     getQuotationById,
     updateQuotationStatus,
+    recordQuotationResponse,
+    getResponseSignature,
     updateQuotationNotes,
+    reviewQuotationPricing,
+    reviseQuotation,
+    getQuotationRevisions,
+    getRevisionDiff,
     convertToInvoice,
+    getQuotationPdf,
+    sendQuotation,
     deleteQuotation,
+
+    // Follow-ups
+    assignQuotationToUser,
+    getFollowUpTasks,
+    getQuotationFollowUps,
+    createQuotationFollowUp,
+    updateQuotationFollowUp,
+    completeQuotationFollowUp,
+    logQuotationActivity,
+    markQuotationLost,
     
     // Notifications
     getNotifications,
@@ -0,0 +1,431 @@
+const pool = require('../config/database');
+const { getInvoiceDetails } = require('../services/invoiceService');
+const { toDateString } = require('../services/dates');
+const {
+    parseDate,
+    parseTemplate,
+    validateSchedule,
+    templateFromInvoice,
+    runDueSchedules,
+    previewSchedules
+} = require('../services/recurringInvoiceService');
+
+// Helper function to shape a schedule row for responses
+const formatSchedule = (schedule) => ({
+    ...schedule,
+    template: parseTemplate(schedule.template),
+    auto_send: !!schedule.auto_send
+});
+
+// ==================== RECURRING INVOICE SCHEDULES ====================
+
+/**
+ * GET /api/recurring-invoices
+ * Get all recurring invoice schedules
+ */
+const getAllSchedules = async (req, res) => {
+    try {
+        const { status, search } = req.query;
+
+        let query = `
+            SELECT
+                r.*,
+                DATE_FORMAT(r.next_run_date, '%Y-%m-%d') as formatted_next_run_date,
+                DATE_FORMAT(r.last_run_date, '%Y-%m-%d') as formatted_last_run_date,
+                (SELECT COUNT(*) FROM recurring_invoice_runs rr
+                 WHERE rr.recurring_invoice_id = r.id AND rr.status = 'success') as invoice_count
+            FROM recurring_invoices r
+            WHERE 1=1
+        `;
+
+        const params = [];
+
+        if (status && status !== 'all') {
+            query += ` AND r.status = ?`;
+            params.push(status);
+        }
+
+        if (search) {
+            query += ` AND (r.name LIKE ? OR r.customer_name LIKE ? OR r.customer_email LIKE ?)`;
+            const searchTerm = `%${search}%`;
+            params.push(searchTerm, searchTerm, searchTerm);
+        }
+
+        query += ` ORDER BY r.next_run_date ASC, r.id ASC`;
+
+        const [schedules] = await pool.query(query, params);
+
+        res.json(schedules.map(formatSchedule));
+    } catch (error) {
+        console.error('Error fetching recurring invoices:', error);
+        res.status(500).json({
+            message: 'Error fetching recurring invoices',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * GET /api/recurring-invoices/:id
+ * Get a schedule with its run history
+ */
+const getScheduleById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [schedules] = await pool.query(
+            'SELECT * FROM recurring_invoices WHERE id = ?',
+            [id]
+        );
+
+        if (schedules.length === 0) {
+            return res.status(404).json({ message: 'Recurring invoice not found' });
+        }
+
+        const schedule = formatSchedule(schedules[0]);
+
+        const [runs] = await pool.query(`
+            SELECT
+                rr.*,
+                i.invoice_number,
+                i.total,
+                i.status as invoice_status,
+                DATE_FORMAT(rr.run_date, '%Y-%m-%d') as formatted_run_date
+            FROM recurring_invoice_runs rr
+            LEFT JOIN invoices i ON rr.invoice_id = i.id
+            WHERE rr.recurring_invoice_id = ?
+            ORDER BY rr.created_at DESC
+        `, [id]);
+        schedule.runs = runs;
+
+        res.json(schedule);
+    } catch (error) {
+        console.error('Error fetching recurring invoice:', error);
+        res.status(500).json({
+            message: 'Error fetching recurring invoice',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/recurring-invoices
+ * Create a schedule from a template, or from an existing invoice (from_invoice_id)
+ */
+const createSchedule = async (req, res) => {
+    try {
+        const {
+            name,
+            frequency,
+            interval_count = 1,
+            start_date,
+            end_date,
+            payment_terms = 30,
+            auto_send = false,
+            from_invoice_id
+        } = req.body;
+
+        let template = req.body.template;
+
+        if (from_invoice_id) {
+            const invoice = await getInvoiceDetails(pool, from_invoice_id);
+            if (!invoice) {
+                return res.status(404).json({ message: 'Source invoice not found' });
+            }
+            template = { ...templateFromInvoice(invoice), ...(template || {}) };
+        }
+
+        const validationError = validateSchedule({ frequency, interval_count, start_date, end_date, template });
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const startDate = toDateString(parseDate(start_date));
+
+        const [result] = await pool.query(`
+            INSERT INTO recurring_invoices (
+                name, status, frequency, interval_count,
+                start_date, end_date, next_run_date,
+                payment_terms, auto_send, customer_id,
+                customer_name, customer_email, template,
+                source_invoice_id, created_by
+            ) VALUES (?, 'active', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            name || `${template.customer_name} - ${frequency}`,
+            frequency, parseInt(interval_count, 10),
+            startDate, end_date ? toDateString(parseDate(end_date)) : null, startDate,
+            payment_terms, !!auto_send, template.customer_id || null,
+            template.customer_name, template.customer_email, JSON.stringify(template),
+            from_invoice_id || null, req.user?.id || null
+        ]);
+
+        const [schedules] = await pool.query(
+            'SELECT * FROM recurring_invoices WHERE id = ?',
+            [result.insertId]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Recurring invoice created successfully',
+            recurring_invoice: formatSchedule(schedules[0])
+        });
+
+    } catch (error) {
+        console.error('Error creating recurring invoice:', error);
+        res.status(500).json({
+            message: 'Error creating recurring invoice',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * PUT /api/recurring-invoices/:id
+ * Update a schedule
+ */
+const updateSchedule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const updates = req.body;
+
+        const [existing] = await pool.query(
+            'SELECT * FROM recurring_invoices WHERE id = ?',
+            [id]
+        );
+
+        if (existing.length === 0) {
+            return res.status(404).json({ message: 'Recurring invoice not found' });
+        }
+
+        const current = formatSchedule(existing[0]);
+        const merged = {
+            frequency: updates.frequency ?? current.frequency,
+            interval_count: updates.interval_count ?? current.interval_count,
+            start_date: updates.start_date ?? current.start_date,
+            end_date: updates.end_date !== undefined ? updates.end_date : current.end_date,
+            template: updates.template ?? current.template
+        };
+
+        const validationError = validateSchedule(merged);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const updateFields = [];
+        const updateValues = [];
+
+        ['name', 'frequency', 'interval_count', 'payment_terms'].forEach(field => {
+            if (updates[field] !== undefined) {
+                updateFields.push(`${field} = ?`);
+                updateValues.push(updates[field]);
+            }
+        });
+
+        if (updates.auto_send !== undefined) {
+            updateFields.push('auto_send = ?');
+            updateValues.push(!!updates.auto_send);
+        }
+
+        if (updates.start_date !== undefined) {
+            // The start date anchors the run day; a schedule that has not run
+            // yet also starts on it unless next_run_date is given
+            const startDate = toDateString(parseDate(updates.start_date));
+            updateFields.push('start_date = ?');
+            updateValues.push(startDate);
+
+            if (!existing[0].last_run_date && updates.next_run_date === undefined) {
+                updateFields.push('next_run_date = ?');
+                updateValues.push(startDate);
+            }
+        }
+
+        if (updates.end_date !== undefined) {
+            updateFields.push('end_date = ?');
+            updateValues.push(updates.end_date ? toDateString(parseDate(updates.end_date)) : null);
+        }
+
+        if (updates.next_run_date !== undefined) {
+            updateFields.push('next_run_date = ?');
+            updateValues.push(toDateString(parseDate(updates.next_run_date)));
+        }
+
+        if (updates.template !== undefined) {
+            updateFields.push('template = ?', 'customer_id = ?', 'customer_name = ?', 'customer_email = ?');
+            updateValues.push(
+                JSON.stringify(updates.template),
+                updates.template.customer_id || null,
+                updates.template.customer_name,
+                updates.template.customer_email
+            );
+        }
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({ message: 'No changes provided' });
+        }
+
+        updateFields.push('updated_at = NOW()');
+        updateValues.push(id);
+
+        await pool.query(
+            `UPDATE recurring_invoices SET ${updateFields.join(', ')} WHERE id = ?`,
+            updateValues
+        );
+
+        const [schedules] = await pool.query(
+            'SELECT * FROM recurring_invoices WHERE id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Recurring invoice updated successfully',
+            recurring_invoice: formatSchedule(schedules[0])
+        });
+
+    } catch (error) {
+        console.error('Error updating recurring invoice:', error);
+        res.status(500).json({
+            message: 'Error updating recurring invoice',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * PUT /api/recurring-invoices/:id/status
+ * Pause, resume or end a schedule
+ */
+const updateScheduleStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        const validStatuses = ['active', 'paused', 'ended'];
+
+        if (!validStatuses.includes(status)) {
+            return res.status(400).json({ message: 'Invalid status' });
+        }
+
+        const [result] = await pool.query(`
+            UPDATE recurring_invoices
+            SET status = ?, updated_at = NOW()
+            WHERE id = ?
+        `, [status, id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Recurring invoice not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Recurring invoice status updated to ${status}`
+        });
+
+    } catch (error) {
+        console.error('Error updating recurring invoice status:', error);
+        res.status(500).json({
+            message: 'Error updating recurring invoice status',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * DELETE /api/recurring-invoices/:id
+ * Delete a schedule (invoices already generated are kept)
+ */
+const deleteSchedule = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [result] = await pool.query(
+            'DELETE FROM recurring_invoices WHERE id = ?',
+            [id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Recurring invoice not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Recurring invoice deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting recurring invoice:', error);
+        res.status(500).json({
+            message: 'Error deleting recurring invoice',
+            error: error.message
+        });
+    }
+};
+
+// ==================== RUNS ====================
+
+/**
+ * GET /api/recurring-invoices/preview?until=YYYY-MM-DD
+ * Dry run: invoices that would be generated up to a date (default: end of next month)
+ */
+const previewRuns = async (req, res) => {
+    try {
+        const { until, schedule } = req.query;
+
+        let untilDate;
+        if (until) {
+            untilDate = parseDate(until);
+            if (isNaN(untilDate.getTime())) {
+                return res.status(400).json({ message: 'Invalid until date' });
+            }
+        } else {
+            const now = new Date();
+            untilDate = new Date(now.getFullYear(), now.getMonth() + 2, 0);
+        }
+
+        const preview = await previewSchedules(untilDate, schedule || null);
+
+        res.json({
+            dry_run: true,
+            ...preview
+        });
+    } catch (error) {
+        console.error('Error previewing recurring invoices:', error);
+        res.status(500).json({
+            message: 'Error previewing recurring invoices',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/recurring-invoices/run
+ * Generate all invoices that are due now (same as the scheduled job)
+ */
+const runDueNow = async (req, res) => {
+    try {
+        const summary = await runDueSchedules();
+
+        res.json({
+            success: true,
+            message: `Generated ${summary.generated.length} invoice(s)`,
+            ...summary
+        });
+    } catch (error) {
+        console.error('Error running recurring invoices:', error);
+        res.status(500).json({
+            message: 'Error running recurring invoices',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAllSchedules,
+    getScheduleById,
+    createSchedule,
+    updateSchedule,
+    updateScheduleStatus,
+    deleteSchedule,
+    previewRuns,
+    runDueNow
+};
\ No newline at end of file
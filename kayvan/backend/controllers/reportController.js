@@ -0,0 +1,89 @@
+const pool = require('../config/database');
+const {
+    getArAging,
+    arAgingToCsv,
+    getQuotationFunnel,
+    quotationFunnelToCsv
+} = require('../services/reportService');
+const { renderArAgingPdf } = require('../services/pdfService');
+
+// ==================== RECEIVABLES ====================
+
+/**
+ * GET /api/reports/ar-aging
+ * Outstanding balances bucketed by days past due, per customer and overall.
+ * ?as_of=YYYY-MM-DD (default today), ?customer_id, ?format=json|csv|pdf
+ */
+const getArAgingReport = async (req, res) => {
+    try {
+        const { as_of, customer_id, format = 'json' } = req.query;
+
+        if (!['json', 'csv', 'pdf'].includes(format)) {
+            return res.status(400).json({ message: 'Format must be json, csv or pdf' });
+        }
+
+        const report = await getArAging(pool, { asOf: as_of, customerId: customer_id });
+        const fileName = `ar-aging-${report.as_of}`;
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+            return res.send(arAgingToCsv(report));
+        }
+
+        if (format === 'pdf') {
+            const pdf = await renderArAgingPdf(report);
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="${fileName}.pdf"`);
+            return res.send(pdf);
+        }
+
+        res.json(report);
+    } catch (error) {
+        console.error('Error building AR aging report:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error building AR aging report',
+            error: error.message
+        });
+    }
+};
+
+// ==================== SALES ====================
+
+/**
+ * GET /api/reports/quotation-funnel
+ * Quotations sent, accepted, converted and lost, with conversion and win
+ * rates and average days to convert.
+ * ?from, ?to=YYYY-MM-DD (default the last twelve months),
+ * ?group_by=month|category|assignee, ?format=json|csv
+ */
+const getQuotationFunnelReport = async (req, res) => {
+    try {
+        const { from, to, group_by, format = 'json' } = req.query;
+
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ message: 'Format must be json or csv' });
+        }
+
+        const report = await getQuotationFunnel(pool, { from, to, groupBy: group_by || 'month' });
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="quotation-funnel-${report.group_by}-${report.from}-${report.to}.csv"`);
+            return res.send(quotationFunnelToCsv(report));
+        }
+
+        res.json(report);
+    } catch (error) {
+        console.error('Error building quotation funnel report:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error building quotation funnel report',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getArAgingReport,
+    getQuotationFunnelReport
+};
\ No newline at end of file
@@ -0,0 +1,385 @@
+const pool = require('../config/database');
+const {
+    WITHHOLDING_VAT_RATE,
+    calculateDocumentTaxes
+} = require('../services/taxService');
+const { normaliseCurrency } = require('../services/currencyService');
+
+// Helper function to shape a tax code row for responses
+const formatTaxCode = (taxCode) => ({
+    ...taxCode,
+    rate: Number(taxCode.rate),
+    is_exempt: !!taxCode.is_exempt,
+    is_active: !!taxCode.is_active
+});
+
+// ==================== TAX CODES ====================
+
+/**
+ * GET /api/tax/codes
+ * Get all tax codes
+ */
+const getTaxCodes = async (req, res) => {
+    try {
+        const [taxCodes] = await pool.query(
+            'SELECT * FROM tax_codes ORDER BY sort_order ASC, code ASC'
+        );
+
+        res.json({
+            withholding_vat_rate: WITHHOLDING_VAT_RATE,
+            tax_codes: taxCodes.map(formatTaxCode)
+        });
+    } catch (error) {
+        console.error('Error fetching tax codes:', error);
+        res.status(500).json({
+            message: 'Error fetching tax codes',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/tax/codes
+ * Create a tax code
+ */
+const createTaxCode = async (req, res) => {
+    try {
+        const {
+            code,
+            name,
+            rate = 0,
+            is_exempt = false,
+            description,
+            sort_order = 0
+        } = req.body;
+
+        if (!code || !name) {
+            return res.status(400).json({ message: 'Code and name are required' });
+        }
+
+        if (!(Number(rate) >= 0 && Number(rate) <= 100)) {
+            return res.status(400).json({ message: 'Rate must be between 0 and 100' });
+        }
+
+        const normalisedCode = String(code).trim().toUpperCase();
+
+        const [existing] = await pool.query(
+            'SELECT code FROM tax_codes WHERE code = ?',
+            [normalisedCode]
+        );
+
+        if (existing.length > 0) {
+            return res.status(400).json({ message: `Tax code ${normalisedCode} already exists` });
+        }
+
+        await pool.query(`
+            INSERT INTO tax_codes (code, name, rate, is_exempt, description, sort_order)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            normalisedCode, name, is_exempt ? 0 : Number(rate), !!is_exempt,
+            description || null, sort_order
+        ]);
+
+        const [taxCodes] = await pool.query(
+            'SELECT * FROM tax_codes WHERE code = ?',
+            [normalisedCode]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax code created successfully',
+            tax_code: formatTaxCode(taxCodes[0])
+        });
+
+    } catch (error) {
+        console.error('Error creating tax code:', error);
+        res.status(500).json({
+            message: 'Error creating tax code',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * PUT /api/tax/codes/:code
+ * Update a tax code (issued documents keep the rate they were charged at)
+ */
+const updateTaxCode = async (req, res) => {
+    try {
+        const { code } = req.params;
+        const updates = req.body;
+
+        if (updates.rate !== undefined && !(Number(updates.rate) >= 0 && Number(updates.rate) <= 100)) {
+            return res.status(400).json({ message: 'Rate must be between 0 and 100' });
+        }
+
+        const updateFields = [];
+        const updateValues = [];
+
+        ['name', 'rate', 'is_exempt', 'description', 'is_active', 'sort_order'].forEach(field => {
+            if (updates[field] !== undefined) {
+                updateFields.push(`${field} = ?`);
+                updateValues.push(updates[field]);
+            }
+        });
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({ message: 'No changes provided' });
+        }
+
+        updateFields.push('updated_at = NOW()');
+        updateValues.push(code);
+
+        const [result] = await pool.query(
+            `UPDATE tax_codes SET ${updateFields.join(', ')} WHERE code = ?`,
+            updateValues
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Tax code not found' });
+        }
+
+        const [taxCodes] = await pool.query(
+            'SELECT * FROM tax_codes WHERE code = ?',
+            [code]
+        );
+
+        res.json({
+            success: true,
+            message: 'Tax code updated successfully',
+            tax_code: formatTaxCode(taxCodes[0])
+        });
+
+    } catch (error) {
+        console.error('Error updating tax code:', error);
+        res.status(500).json({
+            message: 'Error updating tax code',
+            error: error.message
+        });
+    }
+};
+
+// ==================== EXEMPTIONS ====================
+
+/**
+ * GET /api/tax/exemptions
+ * Get customer exemption certificates (optionally for one customer)
+ */
+const getExemptions = async (req, res) => {
+    try {
+        const { customer_email, active } = req.query;
+
+        let query = `
+            SELECT
+                e.*,
+                DATE_FORMAT(e.valid_from, '%Y-%m-%d') as formatted_valid_from,
+                DATE_FORMAT(e.valid_until, '%Y-%m-%d') as formatted_valid_until,
+                (e.valid_from <= CURDATE() AND (e.valid_until IS NULL OR e.valid_until >= CURDATE())) as is_valid
+            FROM tax_exemptions e
+            WHERE 1=1
+        `;
+
+        const params = [];
+
+        if (customer_email) {
+            query += ` AND e.customer_email = ?`;
+            params.push(customer_email);
+        }
+
+        if (active === 'true') {
+            query += ` AND e.valid_from <= CURDATE() AND (e.valid_until IS NULL OR e.valid_until >= CURDATE())`;
+        }
+
+        query += ` ORDER BY e.customer_name ASC, e.valid_from DESC`;
+
+        const [exemptions] = await pool.query(query, params);
+
+        res.json(exemptions.map(exemption => ({ ...exemption, is_valid: !!exemption.is_valid })));
+    } catch (error) {
+        console.error('Error fetching tax exemptions:', error);
+        res.status(500).json({
+            message: 'Error fetching tax exemptions',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /api/tax/exemptions
+ * Record a customer's exemption certificate
+ */
+const createExemption = async (req, res) => {
+    try {
+        const {
+            customer_email,
+            customer_name,
+            certificate_number,
+            valid_from,
+            valid_until,
+            notes
+        } = req.body;
+
+        if (!customer_email || !certificate_number || !valid_from) {
+            return res.status(400).json({
+                message: 'Customer email, certificate number and valid from date are required'
+            });
+        }
+
+        if (valid_until && String(valid_until) < String(valid_from)) {
+            return res.status(400).json({ message: 'Valid until cannot be before valid from' });
+        }
+
+        const [result] = await pool.query(`
+            INSERT INTO tax_exemptions (
+                customer_email, customer_name, certificate_number,
+                valid_from, valid_until, notes, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            customer_email, customer_name || null, certificate_number,
+            valid_from, valid_until || null, notes || null, req.user?.id || null
+        ]);
+
+        const [exemptions] = await pool.query(
+            'SELECT * FROM tax_exemptions WHERE id = ?',
+            [result.insertId]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax exemption recorded successfully',
+            exemption: exemptions[0]
+        });
+
+    } catch (error) {
+        console.error('Error creating tax exemption:', error);
+        res.status(500).json({
+            message: 'Error creating tax exemption',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * PUT /api/tax/exemptions/:id
+ * Update an exemption certificate
+ */
+const updateExemption = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const updates = req.body;
+
+        const updateFields = [];
+        const updateValues = [];
+
+        ['customer_email', 'customer_name', 'certificate_number', 'valid_from', 'valid_until', 'notes'].forEach(field => {
+            if (updates[field] !== undefined) {
+                updateFields.push(`${field} = ?`);
+                updateValues.push(updates[field] === '' ? null : updates[field]);
+            }
+        });
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({ message: 'No changes provided' });
+        }
+
+        updateFields.push('updated_at = NOW()');
+        updateValues.push(id);
+
+        const [result] = await pool.query(
+            `UPDATE tax_exemptions SET ${updateFields.join(', ')} WHERE id = ?`,
+            updateValues
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Tax exemption not found' });
+        }
+
+        const [exemptions] = await pool.query(
+            'SELECT * FROM tax_exemptions WHERE id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Tax exemption updated successfully',
+            exemption: exemptions[0]
+        });
+
+    } catch (error) {
+        console.error('Error updating tax exemption:', error);
+        res.status(500).json({
+            message: 'Error updating tax exemption',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * DELETE /api/tax/exemptions/:id
+ * Delete an exemption certificate (issued invoices keep their reference)
+ */
+const deleteExemption = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM tax_exemptions WHERE id = ?',
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Tax exemption not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Tax exemption deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting tax exemption:', error);
+        res.status(500).json({
+            message: 'Error deleting tax exemption',
+            error: error.message
+        });
+    }
+};
+
+// ==================== CALCULATION ====================
+
+/**
+ * POST /api/tax/calculate
+ * Preview document totals (same body as POST /api/invoices) without saving
+ */
+const calculateTaxPreview = async (req, res) => {
+    try {
+        const { items, customer_email, issue_date, currency_code } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ message: 'At least one item is required' });
+        }
+
+        const totals = await calculateDocumentTaxes(pool, req.body, {
+            customerEmail: customer_email,
+            date: issue_date ? new Date(issue_date) : new Date(),
+            currency: normaliseCurrency(currency_code)
+        });
+
+        res.json(totals);
+    } catch (error) {
+        console.error('Error calculating taxes:', error);
+        res.status(error.statusCode || 500).json({
+            message: error.statusCode ? error.message : 'Error calculating taxes',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getTaxCodes,
+    createTaxCode,
+    updateTaxCode,
+    getExemptions,
+    createExemption,
+    updateExemption,
+    deleteExemption,
+    calculateTaxPreview
+};
\ No newline at end of file
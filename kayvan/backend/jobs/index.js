@@ -0,0 +1,59 @@
+// Registers the background jobs run by the in-process scheduler.
+// Job status and run history are exposed at /api/admin/jobs.
+// Intervals can be tuned per environment; set DISABLE_SCHEDULER=true to run
+// the API without background jobs (e.g. on a second instance).
+
+const { registerJob } = require('../services/scheduler');
+const { runDueSchedules } = require('../services/recurringInvoiceService');
+const {
+    markOverdueInvoices,
+    expireQuotations
+} = require('../services/documentStatusService');
+const { sendDueReminders } = require('../services/dunningService');
+const { processQueue } = require('../services/fiscalService');
+const { checkPendingRequests } = require('../services/paymentRequestService');
+const { sendFollowUpReminders } = require('../services/followUpService');
+
+const HOUR = 60 * 60 * 1000;
+
+registerJob(
+    'recurring-invoices',
+    Number(process.env.RECURRING_INVOICE_INTERVAL_MS) || HOUR,
+    () => runDueSchedules()
+);
+
+registerJob(
+    'invoice-overdue',
+    Number(process.env.OVERDUE_CHECK_INTERVAL_MS) || HOUR,
+    () => markOverdueInvoices()
+);
+
+registerJob(
+    'quotation-expiry',
+    Number(process.env.QUOTATION_EXPIRY_INTERVAL_MS) || HOUR,
+    () => expireQuotations()
+);
+
+registerJob(
+    'payment-reminders',
+    Number(process.env.PAYMENT_REMINDER_INTERVAL_MS) || HOUR,
+    () => sendDueReminders()
+);
+
+registerJob(
+    'fiscal-submissions',
+    Number(process.env.FISCAL_RETRY_INTERVAL_MS) || 5 * 60 * 1000,
+    () => processQueue()
+);
+
+registerJob(
+    'payment-requests',
+    Number(process.env.PAYMENT_REQUEST_CHECK_INTERVAL_MS) || 5 * 60 * 1000,
+    () => checkPendingRequests()
+);
+
+registerJob(
+    'quotation-follow-ups',
+    Number(process.env.FOLLOW_UP_REMINDER_INTERVAL_MS) || 15 * 60 * 1000,
+    () => sendFollowUpReminders()
+);
\ No newline at end of file
@@ -0,0 +1,52 @@
+const pool = require('../config/database');
+const { verifySession } = require('../services/portalService');
+
+// @desc    Protect customer portal routes - verify the portal session token
+//          and load the customer it belongs to
+const protectCustomer = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return res.status(401).json({ 
+      success: false,
+      message: 'Not authorized - no token' 
+    });
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const customerId = verifySession(token);
+
+    const [customers] = await pool.query(
+      'SELECT id, name, company_name, email, phone, tax_id, is_active FROM customers WHERE id = ?',
+      [customerId]
+    );
+
+    if (customers.length === 0 || !customers[0].is_active) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Not authorized - customer not found' 
+      });
+    }
+
+    // Every portal query is scoped to this customer
+    req.customer = customers[0];
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Your session has expired. Please sign in again.' 
+      });
+    }
+
+    if (error.name !== 'JsonWebTokenError') {
+      console.error('Portal auth middleware error:', error);
+    }
+
+    return res.status(401).json({ 
+      success: false,
+      message: 'Not authorized - invalid token' 
+    });
+  }
+};
+
+module.exports = { protectCustomer };
\ No newline at end of file
@@ -0,0 +1,22 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Link converted quotations to real invoice rows
+-- ============================================
+
+-- Earlier conversions stored a made-up 'INV-...' string that never matched an invoice
+UPDATE quotations
+SET converted_to_invoice_id = NULL
+WHERE converted_to_invoice_id IS NOT NULL
+AND converted_to_invoice_id NOT REGEXP '^[0-9]+$';
+
+-- converted_to_invoice_id now holds invoices.id
+ALTER TABLE quotations
+MODIFY COLUMN converted_to_invoice_id INT NULL;
+
+ALTER TABLE quotations
+ADD INDEX IF NOT EXISTS idx_converted_to_invoice_id (converted_to_invoice_id);
+
+-- Lets invoice_items point back at the quotation line they were created from
+ALTER TABLE invoice_items
+ADD COLUMN IF NOT EXISTS quotation_item_id INT NULL AFTER product_id;
\ No newline at end of file
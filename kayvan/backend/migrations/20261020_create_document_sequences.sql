@@ -0,0 +1,37 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Sequential document numbering
+-- ============================================
+
+-- One counter row per document series. Rows are locked with
+-- SELECT ... FOR UPDATE while a number is taken so the series stays gap-free.
+CREATE TABLE IF NOT EXISTS document_sequences (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    series VARCHAR(50) NOT NULL,
+    pattern VARCHAR(100) NOT NULL,
+    reset_period ENUM('never', 'yearly') NOT NULL DEFAULT 'yearly',
+    current_period VARCHAR(10) NULL,
+    next_number INT NOT NULL DEFAULT 1,
+    updated_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_series (series)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Default series
+-- ============================================
+INSERT IGNORE INTO document_sequences (series, pattern, reset_period, current_period, next_number) VALUES
+('invoice', 'INV-{YYYY}-{seq:5}', 'yearly', YEAR(CURDATE()), 1),
+('credit_note', 'CN-{YYYY}-{seq:5}', 'yearly', YEAR(CURDATE()), 1),
+('quotation', 'KAY-{YYYY}-{seq:5}', 'yearly', YEAR(CURDATE()), 1);
+
+-- ============================================
+-- Guard against duplicate numbers
+-- ============================================
+ALTER TABLE invoices
+ADD UNIQUE INDEX IF NOT EXISTS uk_invoice_number (invoice_number);
+
+ALTER TABLE quotations
+ADD UNIQUE INDEX IF NOT EXISTS uk_quotation_id (quotation_id);
\ No newline at end of file
@@ -0,0 +1,65 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Credit notes and refunds
+-- ============================================
+
+-- ============================================
+-- Create credit_notes table
+-- ============================================
+CREATE TABLE IF NOT EXISTS credit_notes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    credit_note_number VARCHAR(50) NOT NULL,
+    invoice_id INT NOT NULL,
+    status ENUM('issued', 'void') NOT NULL DEFAULT 'issued',
+    reason TEXT NOT NULL,
+    issue_date DATE NOT NULL,
+    subtotal DECIMAL(15,2) NOT NULL DEFAULT 0,
+    tax_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    total DECIMAL(15,2) NOT NULL DEFAULT 0,
+    applied_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    refund_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    refund_payment_id INT NULL,
+    notes TEXT,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE RESTRICT,
+    UNIQUE KEY uk_credit_note_number (credit_note_number),
+    INDEX idx_invoice_id (invoice_id),
+    INDEX idx_issue_date (issue_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Create credit_note_items table
+-- ============================================
+CREATE TABLE IF NOT EXISTS credit_note_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    credit_note_id INT NOT NULL,
+    invoice_item_id INT NOT NULL,
+    product_id INT NULL,
+    item_name VARCHAR(255) NOT NULL,
+    description TEXT,
+    quantity DECIMAL(10,2) NOT NULL,
+    unit VARCHAR(50) DEFAULT 'unit',
+    unit_price DECIMAL(15,2) NOT NULL,
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    tax_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    total DECIMAL(15,2) NOT NULL DEFAULT 0,
+    sort_order INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (credit_note_id) REFERENCES credit_notes(id) ON DELETE CASCADE,
+    FOREIGN KEY (invoice_item_id) REFERENCES invoice_items(id) ON DELETE RESTRICT,
+    INDEX idx_credit_note_id (credit_note_id),
+    INDEX idx_invoice_item_id (invoice_item_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Track credits on invoices and link refunds to their credit note
+-- ============================================
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS credited_amount DECIMAL(15,2) NOT NULL DEFAULT 0 AFTER amount_paid;
+
+ALTER TABLE invoice_payments
+ADD COLUMN IF NOT EXISTS credit_note_id INT NULL AFTER invoice_id,
+ADD INDEX IF NOT EXISTS idx_credit_note_id (credit_note_id);
\ No newline at end of file
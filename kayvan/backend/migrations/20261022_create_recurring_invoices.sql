@@ -0,0 +1,48 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Recurring invoice schedules
+-- ============================================
+
+-- ============================================
+-- Create recurring_invoices table
+-- ============================================
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    status ENUM('active', 'paused', 'ended') NOT NULL DEFAULT 'active',
+    frequency ENUM('weekly', 'monthly', 'quarterly', 'yearly') NOT NULL DEFAULT 'monthly',
+    interval_count INT NOT NULL DEFAULT 1,
+    start_date DATE NOT NULL,
+    end_date DATE NULL,
+    next_run_date DATE NOT NULL,
+    last_run_date DATE NULL,
+    last_invoice_id INT NULL,
+    payment_terms INT NOT NULL DEFAULT 30,
+    auto_send BOOLEAN NOT NULL DEFAULT FALSE,
+    customer_name VARCHAR(255),
+    customer_email VARCHAR(255),
+    template JSON NOT NULL,
+    source_invoice_id INT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_next_run (status, next_run_date),
+    INDEX idx_customer_email (customer_email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Create recurring_invoice_runs table (run history)
+-- ============================================
+CREATE TABLE IF NOT EXISTS recurring_invoice_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    recurring_invoice_id INT NOT NULL,
+    run_date DATE NOT NULL,
+    invoice_id INT NULL,
+    status ENUM('success', 'failed') NOT NULL,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (recurring_invoice_id) REFERENCES recurring_invoices(id) ON DELETE CASCADE,
+    INDEX idx_recurring_invoice_id (recurring_invoice_id),
+    INDEX idx_run_date (run_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
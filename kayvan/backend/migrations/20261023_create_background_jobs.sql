@@ -0,0 +1,49 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Background jobs, overdue invoices and expired quotations
+-- ============================================
+
+-- ============================================
+-- Create scheduled_job_runs table (job run history)
+-- ============================================
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    status ENUM('success', 'failed') NOT NULL,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME NULL,
+    result JSON NULL,
+    error_message TEXT,
+    INDEX idx_job_name (job_name, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Create invoice_notifications table
+-- ============================================
+CREATE TABLE IF NOT EXISTS invoice_notifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_id INT NOT NULL,
+    notification_type VARCHAR(50) NOT NULL,
+    message VARCHAR(500),
+    is_read BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_id (invoice_id),
+    INDEX idx_is_read (is_read)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Record when documents changed status
+-- ============================================
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS overdue_at DATETIME NULL AFTER paid_date;
+
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS expired_at DATETIME NULL AFTER converted_at;
+
+ALTER TABLE invoices
+ADD INDEX IF NOT EXISTS idx_status_due_date (status, due_date);
+
+ALTER TABLE quotations
+ADD INDEX IF NOT EXISTS idx_status_valid_until (status, valid_until);
\ No newline at end of file
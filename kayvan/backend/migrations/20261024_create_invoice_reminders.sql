@@ -0,0 +1,30 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Invoice payment reminders
+-- ============================================
+
+-- ============================================
+-- Per-invoice opt-out and last reminder time
+-- ============================================
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS reminders_enabled BOOLEAN NOT NULL DEFAULT TRUE AFTER overdue_at,
+ADD COLUMN IF NOT EXISTS last_reminder_at DATETIME NULL AFTER reminders_enabled;
+
+-- ============================================
+-- Create invoice_reminders table (log of reminder emails)
+-- ============================================
+CREATE TABLE IF NOT EXISTS invoice_reminders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_id INT NOT NULL,
+    stage VARCHAR(30) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255),
+    status ENUM('sent', 'failed') NOT NULL,
+    message_id VARCHAR(255),
+    error_message TEXT,
+    sent_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_stage (invoice_id, stage, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
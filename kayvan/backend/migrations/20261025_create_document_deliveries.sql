@@ -0,0 +1,35 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Email delivery of invoices and quotations
+-- ============================================
+
+-- ============================================
+-- Create document_deliveries table (email history)
+-- ============================================
+CREATE TABLE IF NOT EXISTS document_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    document_type ENUM('invoice', 'quotation') NOT NULL,
+    document_id INT NOT NULL,
+    document_number VARCHAR(50) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    cc JSON NULL,
+    subject VARCHAR(255),
+    message TEXT,
+    status ENUM('sent', 'failed') NOT NULL,
+    message_id VARCHAR(255),
+    accepted JSON NULL,
+    error_message TEXT,
+    sent_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_document (document_type, document_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Quotations can now be sent to the customer
+-- ============================================
+ALTER TABLE quotations
+MODIFY COLUMN status ENUM('pending', 'viewed', 'processing', 'sent', 'converted', 'expired', 'cancelled') DEFAULT 'pending';
+
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS sent_at DATETIME NULL AFTER viewed_at;
\ No newline at end of file
@@ -0,0 +1,36 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Provider payment requests (M-Pesa STK push)
+-- ============================================
+
+-- ============================================
+-- Create payment_requests table
+-- ============================================
+CREATE TABLE IF NOT EXISTS payment_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_id INT NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    phone VARCHAR(20) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    account_reference VARCHAR(50),
+    merchant_request_id VARCHAR(100),
+    checkout_request_id VARCHAR(100) NOT NULL,
+    status ENUM('pending', 'completed', 'failed', 'cancelled', 'unmatched') DEFAULT 'pending',
+    result_code VARCHAR(20),
+    result_description VARCHAR(255),
+    receipt_number VARCHAR(50) NULL,
+    paid_amount DECIMAL(12,2) NULL,
+    unapplied_amount DECIMAL(12,2) DEFAULT 0,
+    payment_id INT NULL,
+    callback_payload JSON NULL,
+    requested_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME NULL,
+    FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    FOREIGN KEY (payment_id) REFERENCES invoice_payments(id) ON DELETE SET NULL,
+    UNIQUE KEY uq_provider_request (provider, checkout_request_id),
+    UNIQUE KEY uq_provider_receipt (provider, receipt_number),
+    INDEX idx_invoice_id (invoice_id),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
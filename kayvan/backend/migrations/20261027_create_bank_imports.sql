@@ -0,0 +1,75 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Bank statement import and payment matching
+-- ============================================
+
+-- ============================================
+-- Create bank_import_profiles table (column mapping per bank)
+-- ============================================
+CREATE TABLE IF NOT EXISTS bank_import_profiles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    mapping JSON NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Create bank_imports table (one row per uploaded statement)
+-- ============================================
+CREATE TABLE IF NOT EXISTS bank_imports (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    profile_id INT NULL,
+    file_name VARCHAR(255),
+    status ENUM('in_review', 'completed') DEFAULT 'in_review',
+    line_count INT DEFAULT 0,
+    matched_count INT DEFAULT 0,
+    confirmed_count INT DEFAULT 0,
+    unmatched_count INT DEFAULT 0,
+    imported_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (profile_id) REFERENCES bank_import_profiles(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Create bank_import_lines table (statement lines and proposed matches)
+-- ============================================
+CREATE TABLE IF NOT EXISTS bank_import_lines (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    import_id INT NOT NULL,
+    line_number INT NOT NULL,
+    transaction_date DATE NULL,
+    description VARCHAR(500),
+    reference VARCHAR(100),
+    amount DECIMAL(12,2) NULL,
+    fingerprint CHAR(40) NOT NULL,
+    status ENUM('proposed', 'unmatched', 'confirmed', 'rejected', 'ignored', 'duplicate', 'invalid') NOT NULL,
+    invoice_id INT NULL,
+    match_score INT NULL,
+    match_reasons JSON NULL,
+    payment_id INT NULL,
+    reviewed_by INT NULL,
+    reviewed_at DATETIME NULL,
+    FOREIGN KEY (import_id) REFERENCES bank_imports(id) ON DELETE CASCADE,
+    FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+    FOREIGN KEY (payment_id) REFERENCES invoice_payments(id) ON DELETE SET NULL,
+    INDEX idx_import_status (import_id, status),
+    INDEX idx_fingerprint (fingerprint)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Default profile for statements with Date, Description, Reference, Amount columns
+-- ============================================
+INSERT IGNORE INTO bank_import_profiles (name, mapping) VALUES
+('Generic CSV', JSON_OBJECT(
+    'delimiter', ',',
+    'has_header', true,
+    'date_column', 'Date',
+    'date_format', 'YYYY-MM-DD',
+    'description_column', 'Description',
+    'reference_column', 'Reference',
+    'amount_column', 'Amount'
+));
\ No newline at end of file
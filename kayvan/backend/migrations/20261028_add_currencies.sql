@@ -0,0 +1,40 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Multi-currency documents and exchange rates
+-- Rates are base currency (KES) units per one unit of the currency.
+-- ============================================
+
+-- ============================================
+-- Create exchange_rates table
+-- ============================================
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    currency_code CHAR(3) NOT NULL,
+    rate DECIMAL(18,8) NOT NULL,
+    effective_date DATE NOT NULL,
+    source ENUM('manual', 'import') DEFAULT 'manual',
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_currency_date (currency_code, effective_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Currency and rate snapshot on documents (existing rows are KES at 1)
+-- ============================================
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS currency_code CHAR(3) NOT NULL DEFAULT 'KES' AFTER due_date,
+ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1 AFTER currency_code,
+ADD COLUMN IF NOT EXISTS exchange_rate_date DATE NULL AFTER exchange_rate;
+
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS currency_code CHAR(3) NOT NULL DEFAULT 'KES' AFTER customer_notes,
+ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1 AFTER currency_code,
+ADD COLUMN IF NOT EXISTS exchange_rate_date DATE NULL AFTER exchange_rate;
+
+ALTER TABLE bank_imports
+ADD COLUMN IF NOT EXISTS currency_code CHAR(3) NOT NULL DEFAULT 'KES' AFTER file_name;
+
+ALTER TABLE invoices
+ADD INDEX IF NOT EXISTS idx_currency_code (currency_code);
\ No newline at end of file
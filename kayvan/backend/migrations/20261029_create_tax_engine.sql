@@ -0,0 +1,70 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Tax engine
+-- Named tax codes, customer exemption certificates, tax inclusive pricing
+-- and withholding VAT on invoices and quotations.
+-- ============================================
+
+-- ============================================
+-- Create tax_codes table
+-- ============================================
+CREATE TABLE IF NOT EXISTS tax_codes (
+    code VARCHAR(10) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    is_exempt BOOLEAN DEFAULT FALSE,
+    description VARCHAR(255) NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    sort_order INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO tax_codes (code, name, rate, is_exempt, description, sort_order) VALUES
+('S', 'Standard rated', 16.00, FALSE, 'VAT at the standard rate', 1),
+('Z', 'Zero rated', 0.00, FALSE, 'Taxable supplies charged at 0%', 2),
+('E', 'Exempt', 0.00, TRUE, 'Supplies exempt from VAT', 3);
+
+-- ============================================
+-- Create tax_exemptions table
+-- ============================================
+CREATE TABLE IF NOT EXISTS tax_exemptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_email VARCHAR(255) NOT NULL,
+    customer_name VARCHAR(255) NULL,
+    certificate_number VARCHAR(100) NOT NULL,
+    valid_from DATE NOT NULL,
+    valid_until DATE NULL,
+    notes TEXT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_customer_email (customer_email),
+    INDEX idx_validity (valid_from, valid_until)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Tax details on invoices
+-- ============================================
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS prices_include_tax BOOLEAN DEFAULT FALSE AFTER total,
+ADD COLUMN IF NOT EXISTS withholding_vat BOOLEAN DEFAULT FALSE AFTER prices_include_tax,
+ADD COLUMN IF NOT EXISTS withholding_vat_amount DECIMAL(15,2) DEFAULT 0 AFTER withholding_vat,
+ADD COLUMN IF NOT EXISTS tax_exemption_id INT NULL AFTER withholding_vat_amount,
+ADD COLUMN IF NOT EXISTS tax_summary JSON NULL AFTER tax_exemption_id;
+
+ALTER TABLE invoice_items
+ADD COLUMN IF NOT EXISTS tax_code VARCHAR(10) NULL AFTER discount_amount;
+
+-- ============================================
+-- Tax details on quotations
+-- ============================================
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS prices_include_tax BOOLEAN DEFAULT FALSE AFTER total,
+ADD COLUMN IF NOT EXISTS tax_summary JSON NULL AFTER prices_include_tax;
+
+ALTER TABLE quotation_items
+ADD COLUMN IF NOT EXISTS tax_code VARCHAR(10) NULL AFTER total,
+ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5,2) NULL AFTER tax_code,
+ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(15,2) NULL AFTER tax_rate;
\ No newline at end of file
@@ -0,0 +1,35 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Server-side pricing audit
+-- Documents keep the totals the customer submitted next to the computed
+-- ones, and are flagged for review when they differ.
+-- ============================================
+
+-- ============================================
+-- Submitted values and review flag on quotations
+-- ============================================
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS submitted_subtotal DECIMAL(15,2) NULL AFTER tax_summary,
+ADD COLUMN IF NOT EXISTS submitted_vat DECIMAL(15,2) NULL AFTER submitted_subtotal,
+ADD COLUMN IF NOT EXISTS submitted_total DECIMAL(15,2) NULL AFTER submitted_vat,
+ADD COLUMN IF NOT EXISTS price_review_required BOOLEAN DEFAULT FALSE AFTER submitted_total,
+ADD COLUMN IF NOT EXISTS pricing_mismatches JSON NULL AFTER price_review_required,
+ADD COLUMN IF NOT EXISTS price_reviewed_by INT NULL AFTER pricing_mismatches,
+ADD COLUMN IF NOT EXISTS price_reviewed_at TIMESTAMP NULL AFTER price_reviewed_by;
+
+ALTER TABLE quotation_items
+ADD COLUMN IF NOT EXISTS price_source ENUM('catalogue', 'submitted') DEFAULT 'submitted' AFTER tax_amount,
+ADD COLUMN IF NOT EXISTS submitted_unit_price DECIMAL(15,2) NULL AFTER price_source,
+ADD COLUMN IF NOT EXISTS submitted_total DECIMAL(15,2) NULL AFTER submitted_unit_price;
+
+ALTER TABLE quotations
+ADD INDEX IF NOT EXISTS idx_price_review_required (price_review_required);
+
+-- ============================================
+-- Submitted total and review flag on invoices
+-- ============================================
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS submitted_total DECIMAL(15,2) NULL AFTER tax_summary,
+ADD COLUMN IF NOT EXISTS price_review_required BOOLEAN DEFAULT FALSE AFTER submitted_total,
+ADD COLUMN IF NOT EXISTS pricing_mismatches JSON NULL AFTER price_review_required;
\ No newline at end of file
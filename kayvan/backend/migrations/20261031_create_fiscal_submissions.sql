@@ -0,0 +1,35 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Fiscal invoice submissions (KRA eTIMS)
+-- One row per issued invoice; pending rows are retried by the
+-- 'fiscal-submissions' job until accepted or failed.
+-- ============================================
+
+-- ============================================
+-- Create fiscal_submissions table
+-- ============================================
+CREATE TABLE IF NOT EXISTS fiscal_submissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_id INT NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    status ENUM('pending', 'submitted', 'failed') DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NULL,
+    last_error TEXT NULL,
+    request_payload JSON NULL,
+    response_payload JSON NULL,
+    cu_invoice_number VARCHAR(100) NULL,
+    receipt_number VARCHAR(50) NULL,
+    device_serial VARCHAR(50) NULL,
+    signature VARCHAR(255) NULL,
+    internal_data VARCHAR(255) NULL,
+    qr_data VARCHAR(500) NULL,
+    signed_at VARCHAR(30) NULL,
+    submitted_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_invoice (invoice_id),
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
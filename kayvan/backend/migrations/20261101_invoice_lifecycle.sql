@@ -0,0 +1,55 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Invoice lifecycle
+-- Explicit invoice states (draft, issued, partially_paid, overdue, paid,
+-- void), voiding with a reason, revisions and a status history.
+-- ============================================
+
+-- ============================================
+-- Map the old statuses onto the new ones
+-- pending/sent -> issued (or partially_paid), cancelled -> void
+-- ============================================
+ALTER TABLE invoices
+MODIFY COLUMN status ENUM('draft', 'pending', 'sent', 'issued', 'partially_paid', 'overdue', 'paid', 'cancelled', 'void') DEFAULT 'draft';
+
+UPDATE invoices
+SET status = CASE WHEN amount_paid > 0 THEN 'partially_paid' ELSE 'issued' END
+WHERE status IN ('pending', 'sent');
+
+UPDATE invoices
+SET status = 'void'
+WHERE status = 'cancelled';
+
+ALTER TABLE invoices
+MODIFY COLUMN status ENUM('draft', 'issued', 'partially_paid', 'overdue', 'paid', 'void') DEFAULT 'draft';
+
+-- ============================================
+-- Issue and void details
+-- ============================================
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS issued_at DATETIME NULL AFTER status,
+ADD COLUMN IF NOT EXISTS voided_at DATETIME NULL AFTER issued_at,
+ADD COLUMN IF NOT EXISTS voided_by INT NULL AFTER voided_at,
+ADD COLUMN IF NOT EXISTS void_reason VARCHAR(500) NULL AFTER voided_by,
+ADD COLUMN IF NOT EXISTS revision_of_invoice_id INT NULL AFTER void_reason,
+ADD INDEX IF NOT EXISTS idx_revision_of (revision_of_invoice_id);
+
+UPDATE invoices
+SET issued_at = COALESCE(sent_at, created_at)
+WHERE status != 'draft' AND issued_at IS NULL;
+
+-- ============================================
+-- Create invoice_status_history table
+-- ============================================
+CREATE TABLE IF NOT EXISTS invoice_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_id INT NOT NULL,
+    from_status VARCHAR(20) NULL,
+    to_status VARCHAR(20) NOT NULL,
+    reason VARCHAR(500) NULL,
+    changed_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_invoice (invoice_id),
+    FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
@@ -0,0 +1,30 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Customer statements of account
+-- Statements are built on demand; the ones emailed to customers are
+-- recorded so they show in the delivery history.
+-- ============================================
+
+-- ============================================
+-- Create customer_statements table
+-- ============================================
+CREATE TABLE IF NOT EXISTS customer_statements (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_email VARCHAR(255) NOT NULL,
+    customer_name VARCHAR(255) NULL,
+    currency_code CHAR(3) NOT NULL,
+    period_from DATE NOT NULL,
+    period_to DATE NOT NULL,
+    opening_balance DECIMAL(15,2) NOT NULL DEFAULT 0,
+    closing_balance DECIMAL(15,2) NOT NULL DEFAULT 0,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_customer_email (customer_email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Statements can be emailed like other documents
+-- ============================================
+ALTER TABLE document_deliveries
+MODIFY COLUMN document_type ENUM('invoice', 'quotation', 'statement') NOT NULL;
\ No newline at end of file
@@ -0,0 +1,212 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Customers
+-- Customer records with contacts, billing/delivery addresses, tax ID,
+-- credit terms and tags. Existing quotation and invoice customers are
+-- de-duplicated into it (by email, or by name when there is no email) and
+-- documents are linked by customer_id. Documents keep their copy of the
+-- customer details as they were when issued.
+-- ============================================
+
+-- ============================================
+-- Create customers table
+-- ============================================
+CREATE TABLE IF NOT EXISTS customers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    company_name VARCHAR(255) NULL,
+    email VARCHAR(255) NULL,
+    phone VARCHAR(50) NULL,
+    tax_id VARCHAR(50) NULL,
+    payment_terms INT NULL,
+    credit_limit DECIMAL(15,2) NULL,
+    currency_code CHAR(3) NULL,
+    tags JSON NULL,
+    notes TEXT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_email (email),
+    INDEX idx_name (name),
+    INDEX idx_company_name (company_name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Create customer_contacts table (people at a company)
+-- ============================================
+CREATE TABLE IF NOT EXISTS customer_contacts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NULL,
+    phone VARCHAR(50) NULL,
+    job_title VARCHAR(100) NULL,
+    is_primary BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_customer (customer_id),
+    INDEX idx_email (email),
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Create customer_addresses table
+-- ============================================
+CREATE TABLE IF NOT EXISTS customer_addresses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    address_type ENUM('billing', 'delivery') NOT NULL DEFAULT 'billing',
+    label VARCHAR(100) NULL,
+    address_line1 VARCHAR(255) NOT NULL,
+    address_line2 VARCHAR(255) NULL,
+    city VARCHAR(100) NULL,
+    region VARCHAR(100) NULL,
+    postal_code VARCHAR(20) NULL,
+    country VARCHAR(100) NULL,
+    is_default BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_customer_type (customer_id, address_type),
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Link documents to customers
+-- ============================================
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS customer_id INT NULL AFTER quotation_reference,
+ADD INDEX IF NOT EXISTS idx_customer_id (customer_id);
+
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS customer_id INT NULL AFTER status,
+ADD INDEX IF NOT EXISTS idx_customer_id (customer_id);
+
+ALTER TABLE recurring_invoices
+ADD COLUMN IF NOT EXISTS customer_id INT NULL AFTER auto_send,
+ADD INDEX IF NOT EXISTS idx_customer_id (customer_id);
+
+ALTER TABLE customer_statements
+ADD COLUMN IF NOT EXISTS customer_id INT NULL AFTER id,
+ADD INDEX IF NOT EXISTS idx_customer_id (customer_id);
+
+-- ============================================
+-- De-duplicate existing customers (latest details win)
+-- ============================================
+INSERT IGNORE INTO customers (name, company_name, email, phone, tax_id, created_at)
+SELECT name, company_name, email, phone, tax_id, first_seen
+FROM (
+    SELECT
+        TRIM(customer_name) as name,
+        NULLIF(TRIM(customer_company), '') as company_name,
+        LOWER(TRIM(customer_email)) as email,
+        NULLIF(TRIM(customer_phone), '') as phone,
+        NULLIF(TRIM(customer_tax_id), '') as tax_id,
+        MIN(created_at) OVER (PARTITION BY LOWER(TRIM(customer_email))) as first_seen,
+        ROW_NUMBER() OVER (PARTITION BY LOWER(TRIM(customer_email)) ORDER BY created_at DESC) as row_num
+    FROM (
+        SELECT customer_name, customer_company, customer_email, customer_phone, customer_tax_id, created_at
+        FROM invoices
+        UNION ALL
+        SELECT customer_name, customer_company, customer_email, customer_phone, NULL, created_at
+        FROM quotations
+    ) documents
+    WHERE customer_email IS NOT NULL AND TRIM(customer_email) != ''
+) ranked
+WHERE row_num = 1;
+
+-- Documents without an email are grouped by customer name
+INSERT INTO customers (name, company_name, phone, created_at)
+SELECT name, company_name, phone, first_seen
+FROM (
+    SELECT
+        TRIM(customer_name) as name,
+        NULLIF(TRIM(customer_company), '') as company_name,
+        NULLIF(TRIM(customer_phone), '') as phone,
+        MIN(created_at) OVER (PARTITION BY TRIM(customer_name)) as first_seen,
+        ROW_NUMBER() OVER (PARTITION BY TRIM(customer_name) ORDER BY created_at DESC) as row_num
+    FROM (
+        SELECT customer_name, customer_company, customer_email, customer_phone, created_at FROM invoices
+        UNION ALL
+        SELECT customer_name, customer_company, customer_email, customer_phone, created_at FROM quotations
+    ) documents
+    WHERE (customer_email IS NULL OR TRIM(customer_email) = '')
+    AND customer_name IS NOT NULL AND TRIM(customer_name) != ''
+) ranked
+WHERE row_num = 1
+AND NOT EXISTS (
+    SELECT 1 FROM customers c WHERE c.email IS NULL AND c.name = ranked.name
+);
+
+-- ============================================
+-- Link existing documents
+-- ============================================
+UPDATE invoices i
+JOIN customers c ON c.email = LOWER(TRIM(i.customer_email))
+SET i.customer_id = c.id
+WHERE i.customer_id IS NULL;
+
+UPDATE invoices i
+JOIN customers c ON c.email IS NULL AND c.name = TRIM(i.customer_name)
+SET i.customer_id = c.id
+WHERE i.customer_id IS NULL
+AND (i.customer_email IS NULL OR TRIM(i.customer_email) = '');
+
+UPDATE quotations q
+JOIN customers c ON c.email = LOWER(TRIM(q.customer_email))
+SET q.customer_id = c.id
+WHERE q.customer_id IS NULL;
+
+UPDATE quotations q
+JOIN customers c ON c.email IS NULL AND c.name = TRIM(q.customer_name)
+SET q.customer_id = c.id
+WHERE q.customer_id IS NULL
+AND (q.customer_email IS NULL OR TRIM(q.customer_email) = '');
+
+UPDATE recurring_invoices r
+JOIN customers c ON c.email = LOWER(TRIM(r.customer_email))
+SET r.customer_id = c.id
+WHERE r.customer_id IS NULL;
+
+UPDATE customer_statements s
+JOIN customers c ON c.email = LOWER(TRIM(s.customer_email))
+SET s.customer_id = c.id
+WHERE s.customer_id IS NULL;
+
+-- ============================================
+-- Addresses from the latest invoice (billing) and quotation (delivery)
+-- ============================================
+INSERT INTO customer_addresses (customer_id, address_type, address_line1, is_default)
+SELECT customer_id, 'billing', customer_address, TRUE
+FROM (
+    SELECT
+        customer_id,
+        TRIM(customer_address) as customer_address,
+        ROW_NUMBER() OVER (PARTITION BY customer_id ORDER BY created_at DESC) as row_num
+    FROM invoices
+    WHERE customer_id IS NOT NULL
+    AND customer_address IS NOT NULL AND TRIM(customer_address) != ''
+) latest
+WHERE row_num = 1
+AND NOT EXISTS (
+    SELECT 1 FROM customer_addresses a
+    WHERE a.customer_id = latest.customer_id AND a.address_type = 'billing'
+);
+
+INSERT INTO customer_addresses (customer_id, address_type, address_line1, is_default)
+SELECT customer_id, 'delivery', customer_delivery_address, TRUE
+FROM (
+    SELECT
+        customer_id,
+        TRIM(customer_delivery_address) as customer_delivery_address,
+        ROW_NUMBER() OVER (PARTITION BY customer_id ORDER BY created_at DESC) as row_num
+    FROM quotations
+    WHERE customer_id IS NOT NULL
+    AND customer_delivery_address IS NOT NULL AND TRIM(customer_delivery_address) != ''
+) latest
+WHERE row_num = 1
+AND NOT EXISTS (
+    SELECT 1 FROM customer_addresses a
+    WHERE a.customer_id = latest.customer_id AND a.address_type = 'delivery'
+);
\ No newline at end of file
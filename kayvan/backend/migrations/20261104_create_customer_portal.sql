@@ -0,0 +1,38 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Customer portal
+-- Magic-link sign-in for customers, and quotations they accept or decline
+-- from the portal.
+-- ============================================
+
+-- ============================================
+-- Create customer_portal_tokens table
+-- Only a SHA-256 hash of each link token is stored. A token can be used
+-- once, before it expires.
+-- ============================================
+CREATE TABLE IF NOT EXISTS customer_portal_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    requested_ip VARCHAR(45) NULL,
+    used_ip VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_token_hash (token_hash),
+    INDEX idx_customer_created (customer_id, created_at),
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Quotation responses from the customer
+-- ============================================
+ALTER TABLE quotations
+MODIFY COLUMN status ENUM('pending', 'viewed', 'processing', 'sent', 'accepted', 'declined', 'converted', 'expired', 'cancelled') DEFAULT 'pending';
+
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS accepted_at DATETIME NULL AFTER sent_at,
+ADD COLUMN IF NOT EXISTS declined_at DATETIME NULL AFTER accepted_at,
+ADD COLUMN IF NOT EXISTS decline_reason VARCHAR(500) NULL AFTER declined_at;
\ No newline at end of file
@@ -0,0 +1,40 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Quotation acceptance
+-- Every accept, decline or change request from a customer is kept with who
+-- responded, their signature, the terms shown, the IP address and a hash of
+-- the quotation content they saw. Responses are evidence of what was agreed,
+-- so a quotation that has any cannot be deleted.
+-- ============================================
+
+-- ============================================
+-- Create quotation_responses table
+-- ============================================
+CREATE TABLE IF NOT EXISTS quotation_responses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    quotation_id INT NOT NULL,
+    response ENUM('accepted', 'declined', 'changes_requested') NOT NULL,
+    source ENUM('public', 'portal', 'admin') NOT NULL DEFAULT 'public',
+    signer_name VARCHAR(255) NULL,
+    signer_email VARCHAR(255) NULL,
+    signature_path VARCHAR(500) NULL,
+    comments TEXT NULL,
+    terms_text TEXT NULL,
+    content_hash CHAR(64) NOT NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_quotation (quotation_id),
+    FOREIGN KEY (quotation_id) REFERENCES quotations(id) ON DELETE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Change requests and quotation terms
+-- ============================================
+ALTER TABLE quotations
+MODIFY COLUMN status ENUM('pending', 'viewed', 'processing', 'sent', 'accepted', 'declined', 'changes_requested', 'converted', 'expired', 'cancelled') DEFAULT 'pending';
+
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS changes_requested_at DATETIME NULL AFTER decline_reason,
+ADD COLUMN IF NOT EXISTS terms_conditions TEXT NULL AFTER customer_notes;
\ No newline at end of file
@@ -0,0 +1,33 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Quotation revisions
+-- Editing a quotation's items creates a new revision (KAY-123456-R2) and
+-- marks the previous one superseded. Earlier revisions are kept unchanged.
+-- ============================================
+
+-- ============================================
+-- Revision details
+-- base_reference is the reference of the first revision, shared by all of them
+-- ============================================
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS base_reference VARCHAR(50) NULL AFTER quotation_id,
+ADD COLUMN IF NOT EXISTS revision_number INT NOT NULL DEFAULT 1 AFTER base_reference,
+ADD COLUMN IF NOT EXISTS revision_of_quotation_id INT NULL AFTER revision_number,
+ADD COLUMN IF NOT EXISTS revision_note VARCHAR(500) NULL AFTER revision_of_quotation_id,
+ADD COLUMN IF NOT EXISTS revised_by INT NULL AFTER revision_note,
+ADD COLUMN IF NOT EXISTS superseded_at DATETIME NULL AFTER revised_by,
+ADD INDEX IF NOT EXISTS idx_base_reference (base_reference, revision_number);
+
+UPDATE quotations
+SET base_reference = quotation_id
+WHERE base_reference IS NULL;
+
+ALTER TABLE quotations
+MODIFY COLUMN status ENUM('pending', 'viewed', 'processing', 'sent', 'accepted', 'declined', 'changes_requested', 'converted', 'expired', 'cancelled', 'superseded') DEFAULT 'pending';
+
+-- ============================================
+-- Prices entered by staff on revised or admin-created quotations
+-- ============================================
+ALTER TABLE quotation_items
+MODIFY COLUMN price_source ENUM('catalogue', 'submitted', 'staff') DEFAULT 'submitted';
\ No newline at end of file
@@ -0,0 +1,35 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Admin-created quotations
+-- Estimators build quotations after a site visit: the surveyed area and
+-- coating system, material lines worked out per coating layer, labour,
+-- mobilization and optional items the customer can include or leave out.
+-- ============================================
+
+-- ============================================
+-- Who created the quotation and the site survey
+-- ============================================
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS source ENUM('public', 'admin') NOT NULL DEFAULT 'public' AFTER status,
+ADD COLUMN IF NOT EXISTS created_by INT NULL AFTER source,
+ADD COLUMN IF NOT EXISTS survey_date DATE NULL AFTER customer_notes,
+ADD COLUMN IF NOT EXISTS survey_area_m2 DECIMAL(12,2) NULL AFTER survey_date,
+ADD COLUMN IF NOT EXISTS coating_system VARCHAR(255) NULL AFTER survey_area_m2,
+ADD COLUMN IF NOT EXISTS survey_notes TEXT NULL AFTER coating_system;
+
+-- ============================================
+-- Site-survey lines
+-- Material lines keep the area, coats, coverage (m² per unit for one coat)
+-- and waste their quantity was worked out from. Optional lines only count
+-- towards the totals when the customer includes them.
+-- ============================================
+ALTER TABLE quotation_items
+ADD COLUMN IF NOT EXISTS line_type ENUM('product', 'material', 'labour', 'mobilization', 'service') NOT NULL DEFAULT 'product' AFTER quotation_id,
+ADD COLUMN IF NOT EXISTS layer VARCHAR(100) NULL AFTER line_type,
+ADD COLUMN IF NOT EXISTS area_m2 DECIMAL(12,2) NULL AFTER category,
+ADD COLUMN IF NOT EXISTS coats INT NULL AFTER area_m2,
+ADD COLUMN IF NOT EXISTS coverage DECIMAL(12,4) NULL AFTER coats,
+ADD COLUMN IF NOT EXISTS waste_percent DECIMAL(5,2) NULL AFTER coverage,
+ADD COLUMN IF NOT EXISTS is_optional BOOLEAN NOT NULL DEFAULT false AFTER waste_percent,
+ADD COLUMN IF NOT EXISTS is_selected BOOLEAN NOT NULL DEFAULT true AFTER is_optional;
\ No newline at end of file
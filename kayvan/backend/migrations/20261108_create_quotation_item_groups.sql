@@ -0,0 +1,38 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Quotation item groups
+-- Lines of a quotation can be grouped. Required groups are always part of
+-- the quotation, optional groups only when the customer includes them, and
+-- alternative groups sharing an alternative_set (e.g. "Option A:
+-- self-levelling epoxy" and "Option B: PU screed") are offered as a choice
+-- of one.
+-- ============================================
+
+-- ============================================
+-- Create quotation_item_groups table
+-- subtotal, vat and total are the group's lines, whether selected or not
+-- ============================================
+CREATE TABLE IF NOT EXISTS quotation_item_groups (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    quotation_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    group_type ENUM('required', 'optional', 'alternative') NOT NULL DEFAULT 'required',
+    alternative_set VARCHAR(100) NULL,
+    is_selected BOOLEAN NOT NULL DEFAULT true,
+    sort_order INT NOT NULL DEFAULT 0,
+    subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+    vat DECIMAL(12,2) NOT NULL DEFAULT 0,
+    total DECIMAL(12,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_quotation (quotation_id, sort_order),
+    FOREIGN KEY (quotation_id) REFERENCES quotations(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Lines belong to at most one group
+-- ============================================
+ALTER TABLE quotation_items
+ADD COLUMN IF NOT EXISTS group_id INT NULL AFTER quotation_id,
+ADD INDEX IF NOT EXISTS idx_group (group_id);
\ No newline at end of file
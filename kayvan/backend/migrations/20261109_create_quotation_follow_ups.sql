@@ -0,0 +1,68 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Quotation follow-ups
+-- Quotations can be assigned to a salesperson (admin_users), who schedules
+-- follow-up tasks and logs calls, emails and site visits against them.
+-- Lost quotations record why they were lost. Together these feed the
+-- quotation funnel report (/api/reports/quotation-funnel).
+-- ============================================
+
+-- ============================================
+-- Assignment and lost reason
+-- Kept on the latest revision; revisions carry the assignment over
+-- ============================================
+ALTER TABLE quotations
+ADD COLUMN IF NOT EXISTS assigned_to INT NULL AFTER created_by,
+ADD COLUMN IF NOT EXISTS assigned_at DATETIME NULL AFTER assigned_to,
+ADD COLUMN IF NOT EXISTS lost_reason VARCHAR(50) NULL,
+ADD COLUMN IF NOT EXISTS lost_notes TEXT NULL,
+ADD COLUMN IF NOT EXISTS lost_at DATETIME NULL,
+ADD COLUMN IF NOT EXISTS lost_by INT NULL,
+ADD INDEX IF NOT EXISTS idx_assigned_to (assigned_to, status);
+
+-- ============================================
+-- Create quotation_follow_ups table
+-- Scheduled tasks; reminded_at is set once the assignee has been emailed
+-- ============================================
+CREATE TABLE IF NOT EXISTS quotation_follow_ups (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    quotation_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    notes TEXT NULL,
+    due_at DATETIME NOT NULL,
+    assigned_to INT NULL,
+    status ENUM('open', 'done', 'cancelled') NOT NULL DEFAULT 'open',
+    outcome TEXT NULL,
+    completed_at DATETIME NULL,
+    completed_by INT NULL,
+    reminded_at DATETIME NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_quotation (quotation_id),
+    INDEX idx_due (status, due_at),
+    INDEX idx_assigned_to (assigned_to, status, due_at),
+    FOREIGN KEY (quotation_id) REFERENCES quotations(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- Create quotation_activities table
+-- Calls, emails, site visits, meetings and notes logged by staff, plus
+-- assignment and lost entries recorded automatically
+-- ============================================
+CREATE TABLE IF NOT EXISTS quotation_activities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    quotation_id INT NOT NULL,
+    follow_up_id INT NULL,
+    activity_type ENUM('call', 'email', 'site_visit', 'meeting', 'note', 'assigned', 'lost') NOT NULL,
+    summary VARCHAR(500) NOT NULL,
+    details TEXT NULL,
+    occurred_at DATETIME NOT NULL,
+    user_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_quotation (quotation_id, occurred_at),
+    INDEX idx_user (user_id, occurred_at),
+    FOREIGN KEY (quotation_id) REFERENCES quotations(id) ON DELETE CASCADE,
+    FOREIGN KEY (follow_up_id) REFERENCES quotation_follow_ups(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
@@ -0,0 +1,26 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Sequential fiscal receipt numbers
+-- eTIMS expects invcNo to run 1, 2, 3... per branch without gaps, which
+-- invoice ids do not. Each submission takes the next number from the
+-- 'fiscal' series on its first attempt and keeps it through retries.
+-- ============================================
+
+ALTER TABLE fiscal_submissions
+ADD COLUMN IF NOT EXISTS fiscal_number INT NULL AFTER provider,
+ADD UNIQUE INDEX IF NOT EXISTS uq_provider_fiscal_number (provider, fiscal_number);
+
+-- ============================================
+-- Keep the numbers already sent (the invoice id) on existing submissions
+-- ============================================
+UPDATE fiscal_submissions
+SET fiscal_number = JSON_VALUE(request_payload, '$.invcNo')
+WHERE fiscal_number IS NULL AND request_payload IS NOT NULL;
+
+-- ============================================
+-- Fiscal series, continuing after the highest number already sent
+-- ============================================
+INSERT IGNORE INTO document_sequences (series, pattern, reset_period, current_period, next_number)
+SELECT 'fiscal', '{seq}', 'never', 'all', COALESCE(MAX(fiscal_number), 0) + 1
+FROM fiscal_submissions;
\ No newline at end of file
@@ -0,0 +1,20 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Credit notes reported to the tax authority
+-- A credit note against a fiscalised invoice is registered as a refund
+-- receipt that references the invoice's fiscal number. Its submission sits
+-- next to the invoice's own one, so each invoice has one row for itself
+-- (credit_note_id NULL) and one per credit note.
+-- ============================================
+
+ALTER TABLE fiscal_submissions
+ADD COLUMN IF NOT EXISTS credit_note_id INT NULL AFTER invoice_id,
+ADD COLUMN IF NOT EXISTS credit_note_key INT AS (COALESCE(credit_note_id, 0)) STORED AFTER credit_note_id,
+ADD UNIQUE INDEX IF NOT EXISTS uq_invoice_credit_note (invoice_id, credit_note_key),
+ADD UNIQUE INDEX IF NOT EXISTS uq_credit_note (credit_note_id),
+ADD CONSTRAINT fk_fiscal_credit_note FOREIGN KEY IF NOT EXISTS (credit_note_id) REFERENCES credit_notes(id) ON DELETE RESTRICT;
+
+-- The unique key above now keeps invoices to one row of their own
+ALTER TABLE fiscal_submissions
+DROP INDEX IF EXISTS uq_invoice;
\ No newline at end of file
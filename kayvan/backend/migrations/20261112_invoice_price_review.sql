@@ -0,0 +1,12 @@
+USE kayvan_db;
+
+-- ============================================
+-- MIGRATION: Invoice price reviews
+-- Invoices flagged for a price review are cleared through
+-- PUT /api/invoices/:id/price-review, which records who confirmed them.
+-- ============================================
+
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS price_reviewed_by INT NULL AFTER pricing_mismatches,
+ADD COLUMN IF NOT EXISTS price_reviewed_at TIMESTAMP NULL AFTER price_reviewed_by,
+ADD INDEX IF NOT EXISTS idx_price_review_required (price_review_required);
\ No newline at end of file
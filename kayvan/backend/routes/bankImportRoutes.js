@@ -0,0 +1,45 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { httpError } = require('../services/httpError');
+const {
+    getProfiles,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    uploadStatement,
+    getAllImports,
+    getImportById,
+    confirmImportLine,
+    rejectImportLine
+} = require('../controllers/bankImportController');
+
+// Statements are parsed straight from memory, never written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        const isCsv = /\.csv$/i.test(file.originalname) ||
+            ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+        cb(isCsv ? null : httpError(400, 'Only CSV statements can be imported'), isCsv);
+    }
+});
+
+// All bank import routes require an authenticated admin user
+router.use(protect);
+
+// Column mappings per bank (before /:id so they are not captured by it)
+router.get('/profiles', getProfiles);
+router.post('/profiles', createProfile);
+router.put('/profiles/:id', updateProfile);
+router.delete('/profiles/:id', deleteProfile);
+
+// Imports and review
+router.get('/', getAllImports);
+router.post('/', upload.single('file'), uploadStatement);
+router.get('/:id', getImportById);
+router.post('/:id/lines/:lineId/confirm', confirmImportLine);
+router.post('/:id/lines/:lineId/reject', rejectImportLine);
+
+module.exports = router;
\ No newline at end of file
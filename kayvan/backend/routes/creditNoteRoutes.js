@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+    getAllCreditNotes,
+    getCreditNoteById,
+    retryCreditNoteFiscal
+} = require('../controllers/creditNoteController');
+
+// Credit notes are issued from /api/invoices/:id/credit-notes;
+// these routes list and look them up across invoices.
+router.use(protect);
+
+router.get('/', getAllCreditNotes);
+router.get('/:id', getCreditNoteById);
+router.post('/:id/fiscal/retry', retryCreditNoteFiscal);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+    getAllCustomers,
+    getCustomerById,
+    createCustomer,
+    updateCustomer,
+    deleteCustomer,
+    createContact,
+    updateContact,
+    deleteContact,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    getCustomerStatement,
+    sendCustomerStatement
+} = require('../controllers/customerController');
+
+// All customer routes require an authenticated admin user
+router.use(protect);
+
+// Customers
+router.get('/', getAllCustomers);
+router.post('/', createCustomer);
+router.get('/:id', getCustomerById);
+router.put('/:id', updateCustomer);
+router.delete('/:id', deleteCustomer);
+
+// Contacts
+router.post('/:id/contacts', createContact);
+router.put('/:id/contacts/:contactId', updateContact);
+router.delete('/:id/contacts/:contactId', deleteContact);
+
+// Addresses
+router.post('/:id/addresses', createAddress);
+router.put('/:id/addresses/:addressId', updateAddress);
+router.delete('/:id/addresses/:addressId', deleteAddress);
+
+// Statements of account
+router.get('/:id/statement', getCustomerStatement);
+router.post('/:id/statement/send', sendCustomerStatement);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getEstimatorProducts, estimate } = require('../controllers/estimatorController');
+
+// Public, so customers can work out quantities in the cart
+router.get('/products', getEstimatorProducts);
+router.post('/estimate', estimate);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { protect, isAdmin } = require('../middleware/authMiddleware');
+const {
+    getCurrencies,
+    getExchangeRates,
+    getLatestRates,
+    createExchangeRate,
+    importExchangeRates,
+    deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+
+// Rate files are parsed straight from memory, never written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 }
+});
+
+// Public: the cart page needs the supported currencies
+router.get('/currencies', getCurrencies);
+
+// Reading rates requires a signed in user, changing them an admin
+router.get('/', protect, getExchangeRates);
+router.get('/latest', protect, getLatestRates);
+router.post('/', protect, isAdmin, createExchangeRate);
+router.post('/import', protect, isAdmin, upload.single('file'), importExchangeRates);
+router.delete('/:id', protect, isAdmin, deleteExchangeRate);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+    getAllInvoices,
+    getInvoiceById,
+    getInvoiceByNumber,
+    createInvoice,
+    updateInvoice,
+    deleteInvoice,
+    issueInvoice,
+    voidInvoice,
+    reviseInvoice,
+    reviewInvoicePricing,
+    recordPayment,
+    getPayments,
+    sendInvoice,
+    markAsPaid,
+    duplicateInvoice,
+    getInvoicePdf,
+    getFiscalSubmissions,
+    getInvoiceFiscal,
+    retryInvoiceFiscal,
+    updateInvoiceReminders,
+    sendInvoiceReminder,
+    getInvoiceNotifications,
+    markInvoiceNotificationRead,
+    markAllInvoiceNotificationsRead,
+    getInvoiceStats
+} = require('../controllers/invoiceController');
+const {
+    getInvoiceCreditNotes,
+    createInvoiceCreditNote
+} = require('../controllers/creditNoteController');
+const {
+    createPaymentRequest,
+    getInvoicePaymentRequests
+} = require('../controllers/paymentController');
+
+// All invoice routes require an authenticated admin user
+router.use(protect);
+
+// Stats and lookups (before /:id so they are not captured by it)
+router.get('/stats', getInvoiceStats);
+router.get('/number/:invoiceNumber', getInvoiceByNumber);
+router.get('/fiscal-submissions', getFiscalSubmissions);
+
+// Notifications
+router.get('/notifications', getInvoiceNotifications);
+router.post('/notifications/read-all', markAllInvoiceNotificationsRead);
+router.post('/notifications/:id/read', markInvoiceNotificationRead);
+
+// CRUD
+router.get('/', getAllInvoices);
+router.post('/', createInvoice);
+router.get('/:id', getInvoiceById);
+router.put('/:id', updateInvoice);
+router.delete('/:id', deleteInvoice);
+
+// Lifecycle
+router.post('/:id/issue', issueInvoice);
+router.post('/:id/void', voidInvoice);
+router.post('/:id/revise', reviseInvoice);
+router.put('/:id/price-review', reviewInvoicePricing);
+
+// Payments
+router.get('/:id/payments', getPayments);
+router.post('/:id/payments', recordPayment);
+router.get('/:id/payment-requests', getInvoicePaymentRequests);
+router.post('/:id/payment-requests', createPaymentRequest);
+
+// Credit notes
+router.get('/:id/credit-notes', getInvoiceCreditNotes);
+router.post('/:id/credit-notes', createInvoiceCreditNote);
+
+// Payment reminders
+router.put('/:id/reminders', updateInvoiceReminders);
+router.post('/:id/reminders', sendInvoiceReminder);
+
+// Tax authority registration
+router.get('/:id/fiscal', getInvoiceFiscal);
+router.post('/:id/fiscal/retry', retryInvoiceFiscal);
+
+// Actions
+router.post('/:id/send', sendInvoice);
+router.post('/:id/mark-paid', markAsPaid);
+router.post('/:id/duplicate', duplicateInvoice);
+router.get('/:id/pdf', getInvoicePdf);
+
+module.exports = router;
\ No newline at end of file
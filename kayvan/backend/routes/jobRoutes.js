@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isAdmin } = require('../middleware/authMiddleware');
+const {
+    getJobs,
+    getJobRuns,
+    triggerJob
+} = require('../controllers/jobController');
+
+// All job routes are admin only
+router.use(protect, isAdmin);
+
+router.get('/', getJobs);
+router.get('/:name/runs', getJobRuns);
+router.post('/:name/run', triggerJob);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isAdmin } = require('../middleware/authMiddleware');
+const {
+    getSequences,
+    getSequenceBySeries,
+    updateSequenceBySeries
+} = require('../controllers/numberingController');
+
+// All numbering routes are admin only
+router.use(protect, isAdmin);
+
+router.get('/', getSequences);
+router.get('/:series', getSequenceBySeries);
+router.put('/:series', updateSequenceBySeries);
+
+module.exports = router;
\ No newline at end of file
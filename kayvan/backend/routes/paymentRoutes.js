@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+    getPaymentRequestById,
+    paymentCallback
+} = require('../controllers/paymentController');
+
+// ==================== PUBLIC ROUTES ====================
+// Called by the payment provider, not by users
+router.post('/:provider/callback', paymentCallback);
+
+// ==================== ADMIN ROUTES ====================
+router.get('/requests/:id', protect, getPaymentRequestById);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { protectCustomer } = require('../middleware/portalAuthMiddleware');
+const {
+    requestLoginLink,
+    verifyLoginLink,
+    getProfile,
+    getQuotations,
+    getQuotation,
+    getQuotationPdf,
+    selectQuotationOptions,
+    acceptQuotation,
+    declineQuotation,
+    requestQuotationChanges,
+    getInvoices,
+    getInvoice,
+    getInvoicePdf,
+    payInvoice,
+    getPayments
+} = require('../controllers/portalController');
+
+// ==================== SIGN-IN ====================
+router.post('/login', requestLoginLink);
+router.post('/verify', verifyLoginLink);
+
+// ==================== CUSTOMER ROUTES ====================
+
+// Everything below requires a portal session and is scoped to its customer
+router.use(protectCustomer);
+
+router.get('/me', getProfile);
+
+router.get('/quotations', getQuotations);
+router.get('/quotations/:id', getQuotation);
+router.get('/quotations/:id/pdf', getQuotationPdf);
+router.put('/quotations/:id/options', selectQuotationOptions);
+router.post('/quotations/:id/accept', acceptQuotation);
+router.post('/quotations/:id/decline', declineQuotation);
+router.post('/quotations/:id/request-changes', requestQuotationChanges);
+
+router.get('/invoices', getInvoices);
+router.get('/invoices/:id', getInvoice);
+router.get('/invoices/:id/pdf', getInvoicePdf);
+router.post('/invoices/:id/pay', payInvoice);
+
+router.get('/payments', getPayments);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+    submitQuotation,
+    trackQuotation,
+    reviewQuotation,
+    selectQuotationOptions,
+    respondToQuotationPublic,
+    createQuotation,
+    getAllQuotations,
+    getQuotationById,
+    updateQuotationStatus,
+    recordQuotationResponse,
+    getResponseSignature,
+    updateQuotationNotes,
+    reviewQuotationPricing,
+    reviseQuotation,
+    getQuotationRevisions,
+    getRevisionDiff,
+    convertToInvoice,
+    getQuotationPdf,
+    sendQuotation,
+    deleteQuotation,
+    assignQuotationToUser,
+    getFollowUpTasks,
+    getQuotationFollowUps,
+    createQuotationFollowUp,
+    updateQuotationFollowUp,
+    completeQuotationFollowUp,
+    logQuotationActivity,
+    markQuotationLost,
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
+} = require('../controllers/quotationController');
+
+// ==================== PUBLIC ROUTES ====================
+router.post('/public', submitQuotation);
+router.get('/track/:reference', trackQuotation);
+router.get('/track/:reference/review', reviewQuotation);
+router.put('/track/:reference/options', selectQuotationOptions);
+router.post('/track/:reference/respond', respondToQuotationPublic);
+
+// ==================== ADMIN ROUTES ====================
+
+// Notifications and follow-ups (before /:id so they are not captured by it)
+router.get('/notifications', protect, getNotifications);
+router.post('/notifications/read-all', protect, markAllNotificationsRead);
+router.post('/notifications/:id/read', protect, markNotificationRead);
+router.get('/follow-ups', protect, getFollowUpTasks);
+router.put('/follow-ups/:followUpId', protect, updateQuotationFollowUp);
+router.post('/follow-ups/:followUpId/complete', protect, completeQuotationFollowUp);
+
+router.post('/', protect, createQuotation);
+router.get('/', protect, getAllQuotations);
+router.get('/:id', protect, getQuotationById);
+router.put('/:id/status', protect, updateQuotationStatus);
+router.post('/:id/responses', protect, recordQuotationResponse);
+router.get('/:id/responses/:responseId/signature', protect, getResponseSignature);
+router.put('/:id/notes', protect, updateQuotationNotes);
+router.put('/:id/price-review', protect, reviewQuotationPricing);
+router.post('/:id/revise', protect, reviseQuotation);
+router.get('/:id/revisions', protect, getQuotationRevisions);
+router.get('/:id/diff', protect, getRevisionDiff);
+router.post('/:id/convert-to-invoice', protect, convertToInvoice);
+router.get('/:id/pdf', protect, getQuotationPdf);
+router.post('/:id/send', protect, sendQuotation);
+router.put('/:id/assign', protect, assignQuotationToUser);
+router.get('/:id/follow-ups', protect, getQuotationFollowUps);
+router.post('/:id/follow-ups', protect, createQuotationFollowUp);
+router.post('/:id/activities', protect, logQuotationActivity);
+router.post('/:id/lost', protect, markQuotationLost);
+router.delete('/:id', protect, deleteQuotation);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+    getAllSchedules,
+    getScheduleById,
+    createSchedule,
+    updateSchedule,
+    updateScheduleStatus,
+    deleteSchedule,
+    previewRuns,
+    runDueNow
+} = require('../controllers/recurringInvoiceController');
+
+router.use(protect);
+
+// Runs (before /:id so they are not captured by it)
+router.get('/preview', previewRuns);
+router.post('/run', runDueNow);
+
+// Schedules
+router.get('/', getAllSchedules);
+router.post('/', createSchedule);
+router.get('/:id', getScheduleById);
+router.put('/:id', updateSchedule);
+router.put('/:id/status', updateScheduleStatus);
+router.delete('/:id', deleteSchedule);
+
+module.exports = router;
\ No newline at end of file
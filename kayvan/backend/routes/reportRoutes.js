@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { getArAgingReport, getQuotationFunnelReport } = require('../controllers/reportController');
+
+// All report routes require an authenticated admin user
+router.use(protect);
+
+router.get('/ar-aging', getArAgingReport);
+router.get('/quotation-funnel', getQuotationFunnelReport);
+
+module.exports = router;
\ No newline at end of file
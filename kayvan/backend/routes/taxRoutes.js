@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { protect, isAdmin } = require('../middleware/authMiddleware');
+const {
+    getTaxCodes,
+    createTaxCode,
+    updateTaxCode,
+    getExemptions,
+    createExemption,
+    updateExemption,
+    deleteExemption,
+    calculateTaxPreview
+} = require('../controllers/taxController');
+
+// All tax routes require a signed in user; changing tax setup requires an admin
+router.use(protect);
+
+router.get('/codes', getTaxCodes);
+router.post('/codes', isAdmin, createTaxCode);
+router.put('/codes/:code', isAdmin, updateTaxCode);
+
+router.get('/exemptions', getExemptions);
+router.post('/exemptions', isAdmin, createExemption);
+router.put('/exemptions/:id', isAdmin, updateExemption);
+router.delete('/exemptions/:id', isAdmin, deleteExemption);
+
+router.post('/calculate', calculateTaxPreview);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,196 @@
+// Local stand-in for the Safaricom Daraja STK push API, for development
+// and tests. Issues OAuth tokens, accepts STK push requests and answers
+// STK push queries the way the sandbox does (an error while the customer
+// has not answered the prompt yet). Point MPESA_BASE_URL at it:
+//
+//   npm run daraja-stub
+//   MPESA_BASE_URL=http://localhost:8090 npm run dev
+//
+// Run on its own it completes every prompt after a few seconds and posts
+// the result to the request's CallBackURL. Tests start it on a free port
+// with createDarajaStub() and settle prompts themselves with complete().
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Helper function to answer with a JSON body
+const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+// Helper function to read a request body as JSON
+const readJson = (req) => new Promise((resolve) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(raw));
+        } catch (error) {
+            resolve(null);
+        }
+    });
+});
+
+// Helper function to build the callback Daraja posts once a prompt is answered
+const buildCallback = (transaction) => {
+    const stkCallback = {
+        MerchantRequestID: transaction.merchantRequestId,
+        CheckoutRequestID: transaction.checkoutRequestId,
+        ResultCode: transaction.resultCode,
+        ResultDesc: transaction.resultDesc
+    };
+
+    if (transaction.resultCode === 0) {
+        stkCallback.CallbackMetadata = {
+            Item: [
+                { Name: 'Amount', Value: transaction.amount },
+                { Name: 'MpesaReceiptNumber', Value: transaction.receipt },
+                { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/\D/g, '').slice(0, 14)) },
+                { Name: 'PhoneNumber', Value: Number(transaction.phone) }
+            ]
+        };
+    }
+
+    return { Body: { stkCallback } };
+};
+
+/**
+ * Create a stub Daraja server. With { autoCompleteMs } every prompt is
+ * answered successfully after that delay and its callback posted.
+ */
+const createDarajaStub = ({ autoCompleteMs = null } = {}) => {
+    const tokens = new Set();
+    const transactions = new Map();
+    const requests = [];
+    let sequence = 0;
+
+    // Settle a prompt as the customer would, returning the callback body
+    const complete = async (checkoutRequestId, { resultCode = 0, resultDesc, receipt, postCallback = false } = {}) => {
+        const transaction = transactions.get(checkoutRequestId);
+        if (!transaction) throw new Error(`Unknown checkout request ${checkoutRequestId}`);
+
+        Object.assign(transaction, {
+            resultCode,
+            resultDesc: resultDesc || (resultCode === 0
+                ? 'The service request is processed successfully.'
+                : 'Request cancelled by user'),
+            receipt: resultCode === 0 ? receipt || `STB${String(++sequence).padStart(7, '0')}` : null
+        });
+
+        const callback = buildCallback(transaction);
+
+        if (postCallback && transaction.callbackUrl) {
+            await fetch(transaction.callbackUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(callback)
+            }).catch(error => console.error(`❌ Could not post callback: ${error.message}`));
+        }
+
+        return callback;
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && url.pathname === '/oauth/v1/generate') {
+            if (!/^Basic \S+$/.test(req.headers.authorization || '')) {
+                return sendJson(res, 400, { errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+            }
+            const token = crypto.randomBytes(16).toString('hex');
+            tokens.add(token);
+            return sendJson(res, 200, { access_token: token, expires_in: '3599' });
+        }
+
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        if (req.method !== 'POST' || !tokens.has(token)) {
+            return sendJson(res, 401, { errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+        }
+
+        const body = await readJson(req);
+        requests.push({ path: url.pathname, body });
+
+        if (url.pathname === '/mpesa/stkpush/v1/processrequest') {
+            if (!body || !Number.isInteger(body.Amount) || body.Amount < 1 || !/^254[17]\d{8}$/.test(String(body.PhoneNumber))) {
+                return sendJson(res, 400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Amount or PhoneNumber' });
+            }
+
+            const transaction = {
+                merchantRequestId: `stub-${Date.now()}-${++sequence}`,
+                checkoutRequestId: `ws_CO_STUB${String(sequence).padStart(8, '0')}`,
+                amount: body.Amount,
+                phone: String(body.PhoneNumber),
+                callbackUrl: body.CallBackURL,
+                resultCode: null
+            };
+            transactions.set(transaction.checkoutRequestId, transaction);
+
+            if (autoCompleteMs) {
+                setTimeout(() => complete(transaction.checkoutRequestId, { postCallback: true }), autoCompleteMs);
+            }
+
+            return sendJson(res, 200, {
+                MerchantRequestID: transaction.merchantRequestId,
+                CheckoutRequestID: transaction.checkoutRequestId,
+                ResponseCode: '0',
+                ResponseDescription: 'Success. Request accepted for processing',
+                CustomerMessage: 'Success. Request accepted for processing'
+            });
+        }
+
+        if (url.pathname === '/mpesa/stkpushquery/v1/query') {
+            const transaction = transactions.get(body?.CheckoutRequestID);
+            if (!transaction) {
+                return sendJson(res, 400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' });
+            }
+            if (transaction.resultCode === null) {
+                return sendJson(res, 500, { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+            }
+
+            // Like Daraja, the query reports the outcome but not the receipt or amount
+            return sendJson(res, 200, {
+                ResponseCode: '0',
+                ResponseDescription: 'The service request has been accepted successsfully',
+                MerchantRequestID: transaction.merchantRequestId,
+                CheckoutRequestID: transaction.checkoutRequestId,
+                ResultCode: String(transaction.resultCode),
+                ResultDesc: transaction.resultDesc
+            });
+        }
+
+        sendJson(res, 404, { errorCode: '404.001.01', errorMessage: 'Resource not found' });
+    });
+
+    return {
+        server,
+        requests,
+        transactions,
+        complete,
+
+        /**
+         * Start listening; resolves with the base URL.
+         */
+        listen: (port = 0) => new Promise((resolve) => {
+            server.listen(port, '127.0.0.1', () => {
+                resolve(`http://127.0.0.1:${server.address().port}`);
+            });
+        }),
+
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        })
+    };
+};
+
+module.exports = {
+    createDarajaStub
+};
+
+if (require.main === module) {
+    const port = Number(process.env.DARAJA_STUB_PORT) || 8090;
+    createDarajaStub({ autoCompleteMs: Number(process.env.DARAJA_STUB_DELAY_MS) || 5000 })
+        .listen(port)
+        .then(url => console.log(`📱 Daraja stub listening on ${url}`));
+}
\ No newline at end of file
@@ -0,0 +1,141 @@
+// Local stand-in for the KRA eTIMS sales API, for development and tests.
+// Answers POST /trnsSales/saveSales like the sandbox does: it checks the
+// headers and the receipt numbering, signs accepted receipts and keeps
+// every request it received. Point ETIMS_BASE_URL at it:
+//
+//   npm run etims-stub
+//   ETIMS_BASE_URL=http://localhost:8089 FISCAL_PROVIDER=etims npm run dev
+//
+// Tests start it on a free port with createEtimsStub() and can queue the
+// next answers (an HTTP error, a refusal or a slow reply) with respondWith().
+
+const http = require('http');
+
+const DEVICE_SERIAL = 'KRACU0100000001';
+
+// Helper function to answer with a JSON body
+const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+// Helper function to read a request body as JSON
+const readJson = (req) => new Promise((resolve) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(raw));
+        } catch (error) {
+            resolve(null);
+        }
+    });
+});
+
+// Helper function to check a sale the way eTIMS does before signing it
+const validateSale = (payload, registered) => {
+    if (!payload) return 'Invalid request body';
+    if (!Number.isInteger(payload.invcNo) || payload.invcNo < 1) return 'invcNo must be a positive integer';
+    if (registered.has(payload.invcNo)) return `Invoice number ${payload.invcNo} has already been registered`;
+    if (!['S', 'R'].includes(payload.rcptTyCd)) return 'Unknown receipt type';
+    if (payload.rcptTyCd === 'R' && !registered.has(payload.orgInvcNo)) {
+        return `Original invoice ${payload.orgInvcNo} has not been registered`;
+    }
+    if (!Array.isArray(payload.itemList) || payload.itemList.length !== payload.totItemCnt) {
+        return 'Item count does not match the item list';
+    }
+    return null;
+};
+
+/**
+ * Create a stub eTIMS server. Accepts any TIN / CMC key pair unless
+ * { tin, cmcKey } are given.
+ */
+const createEtimsStub = ({ tin = null, cmcKey = null } = {}) => {
+    const requests = [];
+    const registered = new Map();
+    const queued = [];
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method !== 'POST' || req.url !== '/trnsSales/saveSales') {
+            return sendJson(res, 404, { resultCd: '999', resultMsg: 'Not found' });
+        }
+
+        const payload = await readJson(req);
+        requests.push({ headers: req.headers, payload });
+
+        // Queued answers take priority, one per request
+        const next = queued.shift();
+        if (next) {
+            if (next.delayMs) await new Promise(resolve => setTimeout(resolve, next.delayMs));
+            if (next.status || next.body) {
+                return sendJson(res, next.status || 200, next.body || {});
+            }
+        }
+
+        if ((tin && req.headers.tin !== tin) || (cmcKey && req.headers.cmckey !== cmcKey) || !req.headers.tin) {
+            return sendJson(res, 200, { resultCd: '894', resultMsg: 'Unauthorised device' });
+        }
+
+        const error = validateSale(payload, registered);
+        if (error) {
+            return sendJson(res, 200, { resultCd: '910', resultMsg: error });
+        }
+
+        const receiptNumber = registered.size + 1;
+        const signature = `STUB${String(payload.invcNo).padStart(12, '0')}`;
+        registered.set(payload.invcNo, { payload, receiptNumber });
+
+        sendJson(res, 200, {
+            resultCd: '000',
+            resultMsg: 'It is succeeded',
+            resultDt: new Date().toISOString(),
+            data: {
+                curRcptNo: receiptNumber,
+                totRcptNo: receiptNumber,
+                intrlData: `STUBINTERNAL${receiptNumber}`,
+                rcptSign: signature,
+                sdcDateTime: payload.cfmDt,
+                sdcId: DEVICE_SERIAL,
+                mrcNo: 'STUB0001'
+            }
+        });
+    });
+
+    return {
+        server,
+        requests,
+        registered,
+
+        /**
+         * Queue the answer to the next request: { status, body } to reply
+         * with, and/or delayMs to wait first.
+         */
+        respondWith: (answer) => queued.push(answer),
+
+        /**
+         * Start listening; resolves with the base URL.
+         */
+        listen: (port = 0) => new Promise((resolve) => {
+            server.listen(port, '127.0.0.1', () => {
+                resolve(`http://127.0.0.1:${server.address().port}`);
+            });
+        }),
+
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        })
+    };
+};
+
+module.exports = {
+    createEtimsStub
+};
+
+if (require.main === module) {
+    const port = Number(process.env.ETIMS_STUB_PORT) || 8089;
+    createEtimsStub().listen(port).then(url => {
+        console.log(`🧾 eTIMS stub listening on ${url}`);
+    });
+}
\ No newline at end of file
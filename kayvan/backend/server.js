@@ -3,6 +3,7 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs');
+const multer = require('multer');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -13,6 +14,22 @@ const invoiceRoutes = require('./routes/invoiceRoutes');
 const serviceRoutes = require('./routes/serviceRoutes');
 const galleryRoutes = require('./routes/galleryRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const numberingRoutes = require('./routes/numberingRoutes');
+const creditNoteRoutes = require('./routes/creditNoteRoutes');
+const recurringInvoiceRoutes = require('./routes/recurringInvoiceRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const bankImportRoutes = require('./routes/bankImportRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const taxRoutes = require('./routes/taxRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const portalRoutes = require('./routes/portalRoutes');
+const estimatorRoutes = require('./routes/estimatorRoutes');
+
+// Background jobs (registered here, started once the server is listening)
+require('./jobs');
+const { startScheduler } = require('./services/scheduler');
 
 dotenv.config();
 
@@ -69,9 +86,21 @@ app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/quotations', quotationRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/estimator', estimatorRoutes);
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/recurring-invoices', recurringInvoiceRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/bank-imports', bankImportRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/reports', reportRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/gallery', galleryRoutes);
+app.use('/api/admin/numbering', numberingRoutes);
+app.use('/api/admin/jobs', jobRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Health check
@@ -95,7 +124,17 @@ app.get('/api', (req, res) => {
       products: '/api/products',
       projects: '/api/projects',
       quotations: '/api/quotations',
+      customers: '/api/customers',
+      portal: '/api/portal',
+      estimator: '/api/estimator',
       invoices: '/api/invoices',
+      creditNotes: '/api/credit-notes',
+      recurringInvoices: '/api/recurring-invoices',
+      payments: '/api/payments',
+      bankImports: '/api/bank-imports',
+      exchangeRates: '/api/exchange-rates',
+      tax: '/api/tax',
+      reports: '/api/reports',
       services: '/api/services',
       gallery: '/api/gallery',
       admin: '/api/admin'
@@ -156,6 +195,11 @@ app.listen(PORT, () => {
   console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:8080'}`);
   console.log(`📁 Upload directories: ${uploadDirs.length} created`);
   console.log(`=================================`);
+
+  // Background jobs (recurring invoices, overdue invoices, expired quotations)
+  if (process.env.DISABLE_SCHEDULER !== 'true') {
+    startScheduler();
+  }
 });
 
 // Handle uncaught exceptions
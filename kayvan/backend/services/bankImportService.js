@@ -0,0 +1,488 @@
+// Bank statement import and payment matching.
+// A statement CSV is read with a per-bank column mapping (a profile), each
+// credit line is matched against open invoices and stored as a proposal.
+// Nothing is paid until an admin confirms a line; confirmed lines are then
+// recorded through applyPayment like any manually entered payment.
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { parseCsv } = require('./csvParser');
+const { applyPayment } = require('./paymentService');
+const { normaliseCurrency } = require('./currencyService');
+const { httpError } = require('./httpError');
+const { roundMoney } = require('./taxService');
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY'];
+
+// Lowest score that is proposed as a match
+const MATCH_THRESHOLD = 50;
+
+/**
+ * Validate a column mapping. Returns an error message or null.
+ */
+const validateMapping = (mapping) => {
+    if (!mapping || typeof mapping !== 'object') {
+        return 'A column mapping is required';
+    }
+
+    if (mapping.date_column === undefined || mapping.description_column === undefined) {
+        return 'Mapping must include date_column and description_column';
+    }
+
+    if (mapping.amount_column === undefined && mapping.credit_column === undefined) {
+        return 'Mapping must include amount_column or credit_column';
+    }
+
+    if (mapping.date_format && !DATE_FORMATS.includes(mapping.date_format)) {
+        return `Date format must be one of: ${DATE_FORMATS.join(', ')}`;
+    }
+
+    if (mapping.currency) {
+        try {
+            normaliseCurrency(mapping.currency);
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    return null;
+};
+
+// Helper function to resolve a mapped column (header name or 0-based index)
+const columnIndex = (headers, column) => {
+    if (column === undefined || column === null || column === '') return -1;
+    if (typeof column === 'number' || /^\d+$/.test(String(column))) return Number(column);
+
+    const wanted = String(column).trim().toLowerCase();
+    const index = headers.findIndex(header => header.trim().toLowerCase() === wanted);
+
+    if (index === -1) {
+        throw httpError(400, `Column '${column}' not found in the statement header`);
+    }
+
+    return index;
+};
+
+/**
+ * Parse a statement amount: "1,250.00", "(500.00)", "500.00 DR", "KES 20".
+ */
+const parseAmount = (value) => {
+    let text = String(value ?? '').trim().toUpperCase();
+    if (!text) return null;
+
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) sign = -1;
+    if (/\bDR\b/.test(text) || text.startsWith('-')) sign = -1;
+
+    text = text.replace(/[^0-9.]/g, '');
+    if (!text) return null;
+
+    const amount = Number(text);
+    return isNaN(amount) ? null : roundMoney(amount * sign);
+};
+
+/**
+ * Parse a statement date into YYYY-MM-DD. Returns null when it does not fit.
+ */
+const parseStatementDate = (value, format = 'YYYY-MM-DD') => {
+    const parts = String(value ?? '').trim().split(/[^0-9]+/).filter(Boolean).map(Number);
+    if (parts.length < 3) return null;
+
+    let year;
+    let month;
+    let day;
+
+    if (format === 'YYYY-MM-DD') [year, month, day] = parts;
+    else if (format === 'MM/DD/YYYY') [month, day, year] = parts;
+    else [day, month, year] = parts;
+
+    if (year < 100) year += 2000;
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Read statement lines from CSV text using a column mapping.
+ */
+const parseStatement = (text, mapping) => {
+    const rows = parseCsv(text, mapping.delimiter || ',').slice(Number(mapping.skip_rows) || 0);
+    const hasHeader = mapping.has_header !== false;
+    const headers = hasHeader ? (rows.shift() || []) : [];
+
+    const columns = {
+        date: columnIndex(headers, mapping.date_column),
+        description: columnIndex(headers, mapping.description_column),
+        reference: columnIndex(headers, mapping.reference_column),
+        amount: columnIndex(headers, mapping.amount_column),
+        credit: columnIndex(headers, mapping.credit_column),
+        debit: columnIndex(headers, mapping.debit_column)
+    };
+
+    const firstLine = (Number(mapping.skip_rows) || 0) + (hasHeader ? 2 : 1);
+
+    return rows.map((row, index) => {
+        const cell = (column) => (columns[column] >= 0 ? (row[columns[column]] ?? '').trim() : '');
+
+        let amount;
+        if (columns.amount >= 0) {
+            amount = parseAmount(cell('amount'));
+        } else {
+            const credit = parseAmount(cell('credit'));
+            const debit = parseAmount(cell('debit'));
+            amount = credit ? Math.abs(credit) : (debit ? -Math.abs(debit) : null);
+        }
+
+        return {
+            line_number: firstLine + index,
+            transaction_date: parseStatementDate(cell('date'), mapping.date_format),
+            description: cell('description'),
+            reference: cell('reference') || null,
+            amount
+        };
+    });
+};
+
+// Helper function to split a name into words worth matching on
+const nameTokens = (value) => String(value || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length >= 3 && !['ltd', 'limited', 'the', 'and', 'company', 'co'].includes(token));
+
+// Helper function to find an invoice number in a narration, with or without
+// its separators (banks often strip them: INV-2026-0004 -> INV20260004)
+const invoiceNumberPattern = (invoiceNumber) => {
+    const segments = String(invoiceNumber).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    return new RegExp(`(^|[^a-z0-9])${segments.join('[^a-z0-9]?')}($|[^a-z0-9])`);
+};
+
+/**
+ * Score how well a statement line matches an invoice.
+ * Returns { score, reasons }.
+ */
+const scoreMatch = (line, invoice) => {
+    const narration = `${line.description} ${line.reference || ''}`.toLowerCase();
+    const reasons = [];
+    let score = 0;
+
+    if (invoiceNumberPattern(invoice.invoice_number).test(narration)) {
+        score += 60;
+        reasons.push('invoice number in narration');
+    }
+
+    if (roundMoney(invoice.balance_due, invoice.currency_code) === line.amount) {
+        score += 30;
+        reasons.push('amount equals balance due');
+    } else if (roundMoney(invoice.total, invoice.currency_code) === line.amount) {
+        score += 20;
+        reasons.push('amount equals invoice total');
+    }
+
+    const tokens = [...new Set([...nameTokens(invoice.customer_name), ...nameTokens(invoice.customer_company)])];
+    const found = tokens.filter(token => narration.includes(token));
+    if (found.length > 0) {
+        score += Math.min(20, found.length * 10);
+        reasons.push(`customer name (${found.join(', ')})`);
+    }
+
+    // A payment larger than what is owed cannot be applied in full
+    if (line.amount > roundMoney(invoice.balance_due, invoice.currency_code)) {
+        score -= 40;
+        reasons.push('amount exceeds balance due');
+    }
+
+    return { score, reasons };
+};
+
+/**
+ * Best open invoice for a statement line, or null below the threshold.
+ */
+const proposeMatch = (line, openInvoices) => {
+    let best = null;
+
+    openInvoices.forEach(invoice => {
+        const { score, reasons } = scoreMatch(line, invoice);
+        if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+            best = { invoice_id: invoice.id, invoice_number: invoice.invoice_number, score, reasons };
+        }
+    });
+
+    return best;
+};
+
+// Helper function to fingerprint a line so re-imported statements are spotted
+const fingerprint = (line) => crypto
+    .createHash('sha1')
+    .update([line.transaction_date, line.amount, line.description, line.reference || ''].join('|'))
+    .digest('hex');
+
+/**
+ * Import a statement: parse it, propose matches and store every line for review.
+ * Returns the new import id.
+ */
+const importStatement = async ({ text, fileName, profileId = null, mapping }, userId = null) => {
+    const lines = parseStatement(text, mapping);
+
+    if (lines.length === 0) {
+        throw httpError(400, 'The statement has no lines');
+    }
+
+    // Only invoices in the account's currency can be paid from this statement
+    const currency = normaliseCurrency(mapping.currency);
+    const [openInvoices] = await pool.query(`
+        SELECT id, invoice_number, customer_name, customer_company, total, balance_due
+        FROM invoices
+        WHERE balance_due > 0
+        AND status IN ('issued', 'partially_paid', 'overdue')
+        AND currency_code = ?
+    `, [currency]);
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(`
+            INSERT INTO bank_imports (profile_id, file_name, currency_code, status, imported_by)
+            VALUES (?, ?, ?, 'in_review', ?)
+        `, [profileId, fileName || null, currency, userId]);
+
+        const importId = result.insertId;
+
+        for (const line of lines) {
+            const lineFingerprint = fingerprint(line);
+            let status;
+            let match = null;
+
+            if (!line.transaction_date || line.amount === null) {
+                status = 'invalid';
+            } else if (line.amount <= 0) {
+                // Money going out of the account is not an invoice payment
+                status = 'ignored';
+            } else {
+                const [previous] = await connection.query(`
+                    SELECT id FROM bank_import_lines
+                    WHERE fingerprint = ? AND status = 'confirmed'
+                    LIMIT 1
+                `, [lineFingerprint]);
+
+                if (previous.length > 0) {
+                    status = 'duplicate';
+                } else {
+                    match = proposeMatch(line, openInvoices);
+                    status = match ? 'proposed' : 'unmatched';
+                }
+            }
+
+            await connection.query(`
+                INSERT INTO bank_import_lines (
+                    import_id, line_number, transaction_date, description,
+                    reference, amount, fingerprint, status,
+                    invoice_id, match_score, match_reasons
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                importId, line.line_number, line.transaction_date, line.description,
+                line.reference, line.amount, lineFingerprint, status,
+                match ? match.invoice_id : null,
+                match ? match.score : null,
+                match ? JSON.stringify(match.reasons) : null
+            ]);
+        }
+
+        await updateImportCounts(connection, importId);
+        await connection.commit();
+
+        return importId;
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Helper function to refresh an import's counters and close it when fully reviewed
+const updateImportCounts = async (connection, importId) => {
+    await connection.query(`
+        UPDATE bank_imports b
+        SET
+            line_count = (SELECT COUNT(*) FROM bank_import_lines WHERE import_id = b.id),
+            matched_count = (SELECT COUNT(*) FROM bank_import_lines WHERE import_id = b.id AND status IN ('proposed', 'confirmed')),
+            confirmed_count = (SELECT COUNT(*) FROM bank_import_lines WHERE import_id = b.id AND status = 'confirmed'),
+            unmatched_count = (SELECT COUNT(*) FROM bank_import_lines WHERE import_id = b.id AND status IN ('unmatched', 'rejected')),
+            status = CASE
+                WHEN EXISTS (
+                    SELECT 1 FROM bank_import_lines
+                    WHERE import_id = b.id AND status IN ('proposed', 'unmatched')
+                ) THEN 'in_review'
+                ELSE 'completed'
+            END,
+            updated_at = NOW()
+        WHERE b.id = ?
+    `, [importId]);
+};
+
+// Helper function to lock a line that is still waiting for review
+const lockReviewableLine = async (connection, importId, lineId) => {
+    const [lines] = await connection.query(`
+        SELECT * FROM bank_import_lines
+        WHERE id = ? AND import_id = ?
+        FOR UPDATE
+    `, [lineId, importId]);
+
+    if (lines.length === 0) {
+        throw httpError(404, 'Statement line not found');
+    }
+
+    const line = lines[0];
+
+    if (!['proposed', 'unmatched', 'rejected'].includes(line.status)) {
+        throw httpError(400, `Line is already ${line.status}`);
+    }
+
+    return line;
+};
+
+// Helper function to lock every line with the same fingerprint as a line,
+// in id order so concurrent confirmations wait for each other. Returns the
+// ones in other imports (identical lines within one statement are separate
+// credits).
+const lockSameCredit = async (connection, importId, lineId) => {
+    const [lines] = await connection.query(`
+        SELECT id, import_id, line_number, status FROM bank_import_lines
+        WHERE fingerprint = (SELECT fingerprint FROM bank_import_lines WHERE id = ?)
+        ORDER BY id
+        FOR UPDATE
+    `, [lineId]);
+
+    return lines.filter(line => line.import_id !== Number(importId));
+};
+
+/**
+ * Confirm a line as payment of an invoice (the proposed one unless another
+ * invoice is given) and record the payment. The same credit may be waiting
+ * in another import of the same statement: once one of them is confirmed,
+ * the others are marked as duplicates, and confirming a credit that was
+ * already confirmed marks the line a duplicate instead of paying twice.
+ */
+const confirmLine = async (importId, lineId, { invoice_id } = {}, userId = null) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const sameCredit = await lockSameCredit(connection, importId, lineId);
+        const line = await lockReviewableLine(connection, importId, lineId);
+
+        const confirmed = sameCredit.find(other => other.status === 'confirmed');
+        if (confirmed) {
+            await connection.query(`
+                UPDATE bank_import_lines
+                SET status = 'duplicate', reviewed_by = ?, reviewed_at = NOW()
+                WHERE id = ?
+            `, [userId, line.id]);
+            await updateImportCounts(connection, importId);
+            await connection.commit();
+
+            throw httpError(409, `This credit was already confirmed in import #${confirmed.import_id}, line ${confirmed.line_number}`);
+        }
+        const invoiceId = invoice_id || line.invoice_id;
+
+        if (!invoiceId) {
+            throw httpError(400, 'Choose the invoice this line pays');
+        }
+
+        const [matches] = await connection.query(`
+            SELECT i.currency_code, b.currency_code as statement_currency
+            FROM invoices i, bank_imports b
+            WHERE i.id = ? AND b.id = ?
+        `, [invoiceId, importId]);
+
+        if (matches.length > 0 && matches[0].currency_code !== matches[0].statement_currency) {
+            throw httpError(400, `Invoice is in ${matches[0].currency_code} but the statement is in ${matches[0].statement_currency}`);
+        }
+
+        const payment = await applyPayment(connection, invoiceId, {
+            payment_date: line.transaction_date,
+            amount: line.amount,
+            payment_method: 'bank_transfer',
+            reference_number: line.reference,
+            notes: `Bank statement import #${importId}, line ${line.line_number}: ${line.description}`.slice(0, 500)
+        }, userId);
+
+        await connection.query(`
+            UPDATE bank_import_lines
+            SET status = 'confirmed', invoice_id = ?, payment_id = ?,
+                reviewed_by = ?, reviewed_at = NOW()
+            WHERE id = ?
+        `, [invoiceId, payment.id, userId, line.id]);
+
+        await updateImportCounts(connection, importId);
+
+        // The same credit in other imports still waiting for review
+        const pending = sameCredit.filter(other => ['proposed', 'unmatched', 'rejected'].includes(other.status));
+        for (const other of pending) {
+            await connection.query(`
+                UPDATE bank_import_lines
+                SET status = 'duplicate', reviewed_by = ?, reviewed_at = NOW()
+                WHERE id = ?
+            `, [userId, other.id]);
+        }
+        for (const otherImportId of new Set(pending.map(other => other.import_id))) {
+            await updateImportCounts(connection, otherImportId);
+        }
+
+        await connection.commit();
+
+        return payment;
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Reject a proposed match. The line stays flagged for manual handling.
+ */
+const rejectLine = async (importId, lineId, userId = null) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const line = await lockReviewableLine(connection, importId, lineId);
+
+        await connection.query(`
+            UPDATE bank_import_lines
+            SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW()
+            WHERE id = ?
+        `, [userId, line.id]);
+
+        await updateImportCounts(connection, importId);
+        await connection.commit();
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = {
+    DATE_FORMATS,
+    validateMapping,
+    parseAmount,
+    parseStatementDate,
+    parseStatement,
+    scoreMatch,
+    proposeMatch,
+    importStatement,
+    confirmLine,
+    rejectLine
+};
\ No newline at end of file
@@ -0,0 +1,253 @@
+// Credit notes against issued invoices.
+// A credit note reverses part of an invoice (quantities of its original
+// lines plus their tax). The credit is first applied to whatever is still
+// owed on the invoice; anything the customer has already paid beyond that
+// is refunded as a negative row in invoice_payments.
+
+const { getNextNumber } = require('./numberingService');
+const { transitionInvoice } = require('./invoiceStateService');
+const { httpError } = require('./httpError');
+const { roundMoney } = require('./taxService');
+
+/**
+ * Create a credit note for an invoice and settle it.
+ * Must be called on a connection with an open transaction.
+ */
+const createCreditNote = async (connection, invoiceId, data, userId = null) => {
+    const {
+        reason,
+        items = [],
+        issue_date,
+        refund_method,
+        refund_reference,
+        notes
+    } = data;
+
+    if (!reason || !String(reason).trim()) {
+        throw httpError(400, 'A reason is required for a credit note');
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw httpError(400, 'Credit note must have at least one item');
+    }
+
+    // Lock the invoice so concurrent credits and payments see the same balance
+    const [invoices] = await connection.query(
+        'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+        [invoiceId]
+    );
+
+    if (invoices.length === 0) {
+        throw httpError(404, 'Invoice not found');
+    }
+
+    const invoice = invoices[0];
+
+    if (invoice.status === 'draft') {
+        throw httpError(400, 'Draft invoices should be edited instead of credited');
+    }
+
+    if (invoice.status === 'void') {
+        throw httpError(400, 'Cannot credit a void invoice');
+    }
+
+    // Original lines and how much of each has already been credited
+    const [invoiceItems] = await connection.query(`
+        SELECT
+            ii.*,
+            COALESCE((
+                SELECT SUM(cni.quantity)
+                FROM credit_note_items cni
+                WHERE cni.invoice_item_id = ii.id
+            ), 0) as credited_quantity
+        FROM invoice_items ii
+        WHERE ii.invoice_id = ?
+    `, [invoiceId]);
+
+    const itemsById = new Map(invoiceItems.map(item => [Number(item.id), item]));
+
+    const lines = items.map(line => {
+        const original = itemsById.get(Number(line.invoice_item_id));
+
+        if (!original) {
+            throw httpError(400, `Item ${line.invoice_item_id} does not belong to this invoice`);
+        }
+
+        const quantity = Number(line.quantity);
+        const available = Number(original.quantity) - Number(original.credited_quantity);
+
+        if (!(quantity > 0)) {
+            throw httpError(400, `Quantity for ${original.item_name} must be greater than 0`);
+        }
+
+        if (quantity > available) {
+            throw httpError(400, `Only ${available} of ${original.item_name} can still be credited`);
+        }
+
+        // Reverse the same share of the line's net amount and tax as invoiced
+        // (works for tax inclusive prices and exempt lines alike)
+        const share = quantity / Number(original.quantity);
+        const net = roundMoney((Number(original.total) - Number(original.tax_amount)) * share, invoice.currency_code);
+        const taxAmount = roundMoney(Number(original.tax_amount) * share, invoice.currency_code);
+
+        return {
+            invoice_item_id: original.id,
+            product_id: original.product_id,
+            item_name: original.item_name,
+            description: line.description || original.description,
+            quantity,
+            unit: original.unit,
+            unit_price: original.unit_price,
+            tax_rate: original.tax_rate,
+            net,
+            tax_amount: taxAmount,
+            total: roundMoney(net + taxAmount, invoice.currency_code)
+        };
+    });
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.net, 0), invoice.currency_code);
+    const taxAmount = roundMoney(lines.reduce((sum, line) => sum + line.tax_amount, 0), invoice.currency_code);
+    const total = roundMoney(subtotal + taxAmount, invoice.currency_code);
+
+    const creditable = roundMoney(Number(invoice.total) - Number(invoice.credited_amount || 0), invoice.currency_code);
+    if (total > creditable) {
+        throw httpError(400, `Credit of ${total} exceeds the ${creditable} still creditable on this invoice`);
+    }
+
+    // Apply to the outstanding balance first, refund the rest
+    const balanceDue = Math.max(Number(invoice.balance_due), 0);
+    const appliedAmount = roundMoney(Math.min(total, balanceDue), invoice.currency_code);
+    const refundAmount = roundMoney(total - appliedAmount, invoice.currency_code);
+
+    if (refundAmount > roundMoney(invoice.amount_paid, invoice.currency_code)) {
+        throw httpError(400, 'Refund would exceed the amount paid on this invoice');
+    }
+
+    const creditNoteNumber = await getNextNumber(connection, 'credit_note');
+
+    const [result] = await connection.query(`
+        INSERT INTO credit_notes (
+            credit_note_number, invoice_id, status, reason,
+            issue_date, subtotal, tax_amount, total,
+            applied_amount, refund_amount, notes, created_by
+        ) VALUES (?, ?, 'issued', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        creditNoteNumber, invoiceId, reason,
+        issue_date ? new Date(issue_date) : new Date(),
+        subtotal, taxAmount, total,
+        appliedAmount, refundAmount, notes || null, userId
+    ]);
+
+    const creditNoteId = result.insertId;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        await connection.query(`
+            INSERT INTO credit_note_items (
+                credit_note_id, invoice_item_id, product_id,
+                item_name, description, quantity, unit, unit_price,
+                tax_rate, tax_amount, total, sort_order
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            creditNoteId, line.invoice_item_id, line.product_id,
+            line.item_name, line.description, line.quantity, line.unit, line.unit_price,
+            line.tax_rate, line.tax_amount, line.total, i
+        ]);
+    }
+
+    // Money going back to the customer is recorded as a negative payment
+    let refundPaymentId = null;
+    if (refundAmount > 0) {
+        const [refund] = await connection.query(`
+            INSERT INTO invoice_payments (
+                invoice_id, payment_date, amount,
+                payment_method, reference_number, notes,
+                received_by, credit_note_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            invoiceId,
+            new Date(),
+            -refundAmount,
+            refund_method || 'other',
+            refund_reference || null,
+            `Refund for credit note ${creditNoteNumber}`,
+            userId,
+            creditNoteId
+        ]);
+        refundPaymentId = refund.insertId;
+
+        await connection.query(
+            'UPDATE credit_notes SET refund_payment_id = ? WHERE id = ?',
+            [refundPaymentId, creditNoteId]
+        );
+    }
+
+    // Update invoice balances
+    const newCreditedAmount = roundMoney(Number(invoice.credited_amount || 0) + total, invoice.currency_code);
+    const newAmountPaid = roundMoney(Number(invoice.amount_paid) - refundAmount, invoice.currency_code);
+    const newBalanceDue = roundMoney(Number(invoice.balance_due) - appliedAmount, invoice.currency_code);
+
+    await connection.query(`
+        UPDATE invoices
+        SET credited_amount = ?, amount_paid = ?, balance_due = ?, updated_at = NOW()
+        WHERE id = ?
+    `, [newCreditedAmount, newAmountPaid, newBalanceDue, invoiceId]);
+
+    if (newBalanceDue <= 0 && invoice.status !== 'paid') {
+        // Fully settled: by payment if anything was paid, otherwise credited away
+        const settledStatus = newAmountPaid > 0 ? 'paid' : 'void';
+        await transitionInvoice(connection, invoice, settledStatus, {
+            userId,
+            reason: `${settledStatus === 'void' ? 'Fully credited' : 'Settled'} by credit note ${creditNoteNumber}`,
+            fields: { payment_status: 'paid' }
+        });
+    }
+
+    return creditNoteId;
+};
+
+/**
+ * Load a credit note with its items.
+ * Returns null when the credit note does not exist.
+ */
+const getCreditNoteDetails = async (connection, creditNoteId) => {
+    const [creditNotes] = await connection.query(`
+        SELECT
+            cn.*,
+            i.invoice_number,
+            i.customer_name,
+            i.customer_email,
+            i.customer_company,
+            DATE_FORMAT(cn.issue_date, '%Y-%m-%d') as formatted_issue_date
+        FROM credit_notes cn
+        JOIN invoices i ON cn.invoice_id = i.id
+        WHERE cn.id = ?
+    `, [creditNoteId]);
+
+    if (creditNotes.length === 0) {
+        return null;
+    }
+
+    const creditNote = creditNotes[0];
+
+    const [items] = await connection.query(`
+        SELECT * FROM credit_note_items
+        WHERE credit_note_id = ?
+        ORDER BY sort_order ASC, id ASC
+    `, [creditNoteId]);
+    creditNote.items = items;
+
+    // Get registration with the tax authority
+    const [fiscal] = await connection.query(
+        'SELECT * FROM fiscal_submissions WHERE credit_note_id = ?',
+        [creditNoteId]
+    );
+    creditNote.fiscal = fiscal[0] || null;
+
+    return creditNote;
+};
+
+module.exports = {
+    createCreditNote,
+    getCreditNoteDetails
+};
\ No newline at end of file
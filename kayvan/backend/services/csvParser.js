@@ -0,0 +1,56 @@
+// Minimal CSV parser (RFC 4180): quoted fields, escaped quotes ("")
+// and line breaks inside quotes. Good enough for bank statement exports.
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Blank lines are skipped.
+ */
+const parseCsv = (text, delimiter = ',') => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Drop a UTF-8 byte order mark left by spreadsheet exports
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+};
+
+module.exports = {
+    parseCsv
+};
\ No newline at end of file
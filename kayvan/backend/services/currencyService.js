@@ -0,0 +1,162 @@
+// Currencies and exchange rates.
+// Amounts on an invoice or quotation are stored in its own currency; the
+// document also keeps a snapshot of the exchange rate on its issue date
+// (base currency units per one unit of the document currency) so reports
+// can convert to the base currency without rates changing history.
+
+const { parseCsv } = require('./csvParser');
+const { parseDay, toDateString } = require('./dates');
+const { httpError } = require('./httpError');
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'KES').toUpperCase();
+
+// Supported currencies and their minor units (ISO 4217)
+const CURRENCIES = {
+    KES: { name: 'Kenyan Shilling', decimals: 2 },
+    UGX: { name: 'Ugandan Shilling', decimals: 0 },
+    TZS: { name: 'Tanzanian Shilling', decimals: 2 },
+    RWF: { name: 'Rwandan Franc', decimals: 0 },
+    USD: { name: 'US Dollar', decimals: 2 },
+    EUR: { name: 'Euro', decimals: 2 },
+    GBP: { name: 'British Pound', decimals: 2 }
+};
+
+/**
+ * Normalise a currency code. Throws a 400 error for unsupported codes.
+ */
+const normaliseCurrency = (code) => {
+    const currency = String(code || BASE_CURRENCY).trim().toUpperCase();
+    if (!CURRENCIES[currency]) {
+        throw httpError(400, `Unsupported currency '${code}'. Use one of: ${Object.keys(CURRENCIES).join(', ')}`);
+    }
+    return currency;
+};
+
+/**
+ * Number of decimal places used for a currency.
+ */
+const getDecimals = (currency) => CURRENCIES[currency]?.decimals ?? 2;
+
+/**
+ * Exchange rate for a currency on a date: the latest rate effective on or
+ * before it. Throws a 400 error when no rate has been entered yet.
+ */
+const getRate = async (connection, currency, date = new Date()) => {
+    const code = normaliseCurrency(currency);
+    const day = toDateString(parseDay(date));
+
+    if (code === BASE_CURRENCY) {
+        return { currency_code: code, rate: 1, effective_date: day };
+    }
+
+    const [rates] = await connection.query(`
+        SELECT currency_code, rate, DATE_FORMAT(effective_date, '%Y-%m-%d') as effective_date
+        FROM exchange_rates
+        WHERE currency_code = ? AND effective_date <= ?
+        ORDER BY effective_date DESC
+        LIMIT 1
+    `, [code, day]);
+
+    if (rates.length === 0) {
+        throw httpError(400, `No ${code} exchange rate on or before ${day}`);
+    }
+
+    return { ...rates[0], rate: Number(rates[0].rate) };
+};
+
+/**
+ * Snapshot to store on a document: its currency, the rate and the rate's date.
+ * An explicit rate (e.g. agreed with the customer) overrides the table.
+ */
+const snapshotRate = async (connection, currency, date = new Date(), explicitRate = null) => {
+    const code = normaliseCurrency(currency);
+
+    if (explicitRate !== null && explicitRate !== undefined && explicitRate !== '') {
+        const rate = Number(explicitRate);
+        if (!(rate > 0)) {
+            throw httpError(400, 'Exchange rate must be greater than 0');
+        }
+        return { currency_code: code, exchange_rate: rate, exchange_rate_date: toDateString(parseDay(date)) };
+    }
+
+    const { rate, effective_date } = await getRate(connection, code, date);
+    return { currency_code: code, exchange_rate: rate, exchange_rate_date: effective_date };
+};
+
+/**
+ * Save a rate (one per currency and day; saving again replaces it).
+ */
+const saveRate = async (connection, { currency_code, rate, effective_date }, source = 'manual', userId = null) => {
+    const code = normaliseCurrency(currency_code);
+
+    if (code === BASE_CURRENCY) {
+        throw httpError(400, `${BASE_CURRENCY} is the base currency`);
+    }
+
+    const value = Number(rate);
+    if (!(value > 0)) {
+        throw httpError(400, `Rate for ${code} must be greater than 0`);
+    }
+
+    const date = effective_date ? parseDay(effective_date) : new Date();
+    if (isNaN(date.getTime())) {
+        throw httpError(400, `Invalid effective date '${effective_date}'`);
+    }
+
+    await connection.query(`
+        INSERT INTO exchange_rates (currency_code, rate, effective_date, source, created_by)
+        VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE rate = VALUES(rate), source = VALUES(source),
+            created_by = VALUES(created_by), updated_at = NOW()
+    `, [code, value, toDateString(date), source, userId]);
+
+    return { currency_code: code, rate: value, effective_date: toDateString(date) };
+};
+
+/**
+ * Import rates from CSV text with a header row containing
+ * currency_code (or currency), rate and effective_date (or date).
+ * Must be called on a connection with an open transaction.
+ */
+const importRates = async (connection, text, userId = null) => {
+    const rows = parseCsv(text);
+    const headers = (rows.shift() || []).map(header => header.trim().toLowerCase());
+
+    const column = (...names) => headers.findIndex(header => names.includes(header));
+    const columns = {
+        currency: column('currency_code', 'currency', 'code'),
+        rate: column('rate', 'exchange_rate'),
+        date: column('effective_date', 'date')
+    };
+
+    if (columns.currency === -1 || columns.rate === -1) {
+        throw httpError(400, 'CSV must have currency_code and rate columns');
+    }
+
+    const saved = [];
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        try {
+            saved.push(await saveRate(connection, {
+                currency_code: row[columns.currency],
+                rate: row[columns.rate],
+                effective_date: columns.date >= 0 ? row[columns.date] : null
+            }, 'import', userId));
+        } catch (error) {
+            throw httpError(400, `Line ${i + 2}: ${error.message}`);
+        }
+    }
+
+    return saved;
+};
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCIES,
+    normaliseCurrency,
+    getDecimals,
+    getRate,
+    snapshotRate,
+    saveRate,
+    importRates
+};
\ No newline at end of file
@@ -0,0 +1,202 @@
+// Customer records shared by quotations, invoices, recurring invoices and
+// statements. Documents are linked by customer_id but keep their own copy of
+// the customer's name, email and address as they were on the document, so
+// editing a customer never changes what was already sent.
+// All functions take a connection so callers own the transaction.
+
+const { httpError } = require('./httpError');
+
+// Columns copied from a customer onto a new document
+const DOCUMENT_FIELDS = {
+    customer_name: 'name',
+    customer_email: 'email',
+    customer_phone: 'phone',
+    customer_company: 'company_name',
+    customer_tax_id: 'tax_id'
+};
+
+// Helper function to normalise an email for matching
+const normaliseEmail = (email) => (email && String(email).trim() ? String(email).trim().toLowerCase() : null);
+
+/**
+ * Normalise a tag list given as an array or a comma separated string.
+ */
+const parseTags = (value) => {
+    if (!value) return [];
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+        try {
+            return parseTags(JSON.parse(value));
+        } catch (error) {
+            // Not JSON; treat as a comma separated list
+        }
+    }
+
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set(list)];
+};
+
+/**
+ * Shape a customers row for responses.
+ */
+const formatCustomer = (customer) => ({
+    ...customer,
+    tags: parseTags(customer.tags),
+    is_active: !!customer.is_active
+});
+
+/**
+ * One-line version of an address row, as printed on documents.
+ */
+const formatAddress = (address) => (address ? [
+    address.address_line1,
+    address.address_line2,
+    address.city,
+    address.region,
+    address.postal_code,
+    address.country
+].filter(Boolean).join(', ') : null);
+
+/**
+ * A customer with their contacts and addresses, or null.
+ */
+const getCustomer = async (connection, customerId) => {
+    const [customers] = await connection.query('SELECT * FROM customers WHERE id = ?', [customerId]);
+
+    if (customers.length === 0) return null;
+
+    const [contacts] = await connection.query(`
+        SELECT * FROM customer_contacts
+        WHERE customer_id = ?
+        ORDER BY is_primary DESC, name ASC
+    `, [customerId]);
+
+    const [addresses] = await connection.query(`
+        SELECT * FROM customer_addresses
+        WHERE customer_id = ?
+        ORDER BY address_type ASC, is_default DESC, id ASC
+    `, [customerId]);
+
+    return {
+        ...formatCustomer(customers[0]),
+        contacts: contacts.map(contact => ({ ...contact, is_primary: !!contact.is_primary })),
+        addresses: addresses.map(address => ({
+            ...address,
+            is_default: !!address.is_default,
+            formatted: formatAddress(address)
+        }))
+    };
+};
+
+/**
+ * Default address of a type (billing or delivery) for a customer, or the
+ * first one when none is marked as default.
+ */
+const getDefaultAddress = (customer, type) => {
+    const addresses = (customer.addresses || []).filter(address => address.address_type === type);
+    return addresses.find(address => address.is_default) || addresses[0] || null;
+};
+
+/**
+ * Find the customer for a document's details, creating one when there is no
+ * match. Customers are matched by email, or by name when there is no email.
+ * Existing customers are never changed. Returns the customer id.
+ */
+const findOrCreateCustomer = async (connection, details, userId = null) => {
+    const email = normaliseEmail(details.email);
+    const name = details.name ? String(details.name).trim() : '';
+
+    if (!email && !name) return null;
+
+    if (email) {
+        // A concurrent insert for the same email returns the existing row
+        const [result] = await connection.query(`
+            INSERT INTO customers (name, company_name, email, phone, tax_id, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)
+        `, [
+            name || email, details.company_name || null, email,
+            details.phone || null, details.tax_id || null, userId
+        ]);
+        return result.insertId;
+    }
+
+    const [existing] = await connection.query(
+        'SELECT id FROM customers WHERE email IS NULL AND name = ? ORDER BY id ASC LIMIT 1',
+        [name]
+    );
+
+    if (existing.length > 0) return existing[0].id;
+
+    const [result] = await connection.query(`
+        INSERT INTO customers (name, company_name, phone, tax_id, created_by)
+        VALUES (?, ?, ?, ?, ?)
+    `, [name, details.company_name || null, details.phone || null, details.tax_id || null, userId]);
+
+    return result.insertId;
+};
+
+/**
+ * Link document data to a customer.
+ * With customer_id, customer fields missing from the data are filled from the
+ * customer (including the default billing and delivery addresses, payment
+ * terms and currency). Without it, the customer is found or created from the
+ * document's customer fields. Returns the data with customer_id set.
+ */
+const resolveDocumentCustomer = async (connection, data, userId = null) => {
+    if (!data.customer_id) {
+        const customerId = await findOrCreateCustomer(connection, {
+            name: data.customer_name,
+            email: data.customer_email,
+            phone: data.customer_phone,
+            company_name: data.customer_company,
+            tax_id: data.customer_tax_id
+        }, userId);
+
+        return { ...data, customer_id: customerId };
+    }
+
+    const customer = await getCustomer(connection, data.customer_id);
+
+    if (!customer) {
+        throw httpError(404, 'Customer not found');
+    }
+
+    if (!customer.is_active) {
+        throw httpError(400, 'Customer is inactive');
+    }
+
+    const resolved = { ...data, customer_id: customer.id };
+
+    Object.entries(DOCUMENT_FIELDS).forEach(([field, column]) => {
+        if (!resolved[field] && customer[column]) resolved[field] = customer[column];
+    });
+
+    if (!resolved.customer_address) {
+        resolved.customer_address = formatAddress(getDefaultAddress(customer, 'billing'));
+    }
+    if (!resolved.customer_delivery_address) {
+        resolved.customer_delivery_address = formatAddress(getDefaultAddress(customer, 'delivery'));
+    }
+    if (resolved.payment_terms === undefined && customer.payment_terms !== null) {
+        resolved.payment_terms = customer.payment_terms;
+    }
+    if (!resolved.currency_code && customer.currency_code) {
+        resolved.currency_code = customer.currency_code;
+    }
+
+    return resolved;
+};
+
+module.exports = {
+    normaliseEmail,
+    parseTags,
+    formatCustomer,
+    formatAddress,
+    getCustomer,
+    getDefaultAddress,
+    findOrCreateCustomer,
+    resolveDocumentCustomer
+};
\ No newline at end of file
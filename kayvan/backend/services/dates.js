@@ -0,0 +1,28 @@
+// Calendar dates (YYYY-MM-DD) in the server's local time zone.
+// DATE columns, report ranges and rate dates all go through these so a
+// day never shifts by one near midnight the way toISOString() (UTC) does.
+
+/**
+ * Read a date, treating YYYY-MM-DD (and the date part of a longer string)
+ * as a local date.
+ */
+const parseDay = (value) => {
+    if (value instanceof Date) return value;
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+};
+
+/**
+ * Format a date as YYYY-MM-DD in local time. Empty values give null.
+ */
+const toDateString = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const date = parseDay(value);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+module.exports = {
+    parseDay,
+    toDateString
+};
\ No newline at end of file
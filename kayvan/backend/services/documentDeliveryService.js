@@ -0,0 +1,137 @@
+// Emails invoices and quotations to customers with the PDF attached.
+// Every attempt, successful or not, is recorded in document_deliveries so
+// the document's history shows exactly what was sent, when and to whom.
+
+const pool = require('../config/database');
+const { sendMail } = require('./mailer');
+const { httpError } = require('./httpError');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalise a CC list given as an array or a comma separated string.
+ * Throws a 400 error when any address is invalid.
+ */
+const parseRecipients = (value) => {
+    if (!value) return [];
+
+    const list = (Array.isArray(value) ? value : String(value).split(/[,;]/))
+        .map(address => String(address).trim())
+        .filter(Boolean);
+
+    const invalid = list.filter(address => !EMAIL_PATTERN.test(address));
+    if (invalid.length > 0) {
+        throw httpError(400, `Invalid email address: ${invalid.join(', ')}`);
+    }
+
+    return [...new Set(list)];
+};
+
+// Helper function to record a delivery attempt
+const logDelivery = async (delivery) => {
+    const [result] = await pool.query(`
+        INSERT INTO document_deliveries (
+            document_type, document_id, document_number,
+            recipient, cc, subject, message,
+            status, message_id, accepted, error_message, sent_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        delivery.documentType,
+        delivery.documentId,
+        delivery.documentNumber,
+        delivery.to,
+        delivery.cc.length > 0 ? JSON.stringify(delivery.cc) : null,
+        delivery.subject,
+        delivery.message || null,
+        delivery.status,
+        delivery.messageId || null,
+        delivery.accepted ? JSON.stringify(delivery.accepted) : null,
+        delivery.error || null,
+        delivery.userId || null
+    ]);
+    return result.insertId;
+};
+
+/**
+ * Email a document with its PDF attached and log the attempt.
+ * Resolves with the delivery row; rejects with a 502 error (after logging
+ * the failure) when the mail server does not accept the message.
+ */
+const deliverDocument = async ({
+    documentType,
+    documentId,
+    documentNumber,
+    to,
+    cc = [],
+    email,
+    message,
+    pdf
+}, userId = null) => {
+    const delivery = {
+        documentType,
+        documentId,
+        documentNumber,
+        to,
+        cc,
+        subject: email.subject,
+        message,
+        userId
+    };
+
+    let deliveryId;
+    try {
+        const info = await sendMail({
+            to,
+            cc: cc.length > 0 ? cc : undefined,
+            subject: email.subject,
+            text: email.text,
+            html: email.html,
+            attachments: [{
+                filename: `${documentNumber}.pdf`,
+                content: pdf,
+                contentType: 'application/pdf'
+            }]
+        });
+
+        if (info.accepted.length === 0) {
+            throw new Error(`Mail server rejected ${info.rejected.join(', ') || 'all recipients'}`);
+        }
+
+        deliveryId = await logDelivery({
+            ...delivery,
+            status: 'sent',
+            messageId: info.messageId,
+            accepted: info.accepted
+        });
+    } catch (error) {
+        await logDelivery({ ...delivery, status: 'failed', error: error.message }).catch(() => {});
+        throw httpError(502, `Email could not be delivered: ${error.message}`);
+    }
+
+    const [deliveries] = await pool.query(
+        'SELECT * FROM document_deliveries WHERE id = ?',
+        [deliveryId]
+    );
+    return deliveries[0];
+};
+
+/**
+ * Delivery history of a document, newest first.
+ */
+const getDeliveries = async (connection, documentType, documentId) => {
+    const [deliveries] = await connection.query(`
+        SELECT
+            d.*,
+            DATE_FORMAT(d.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+        FROM document_deliveries d
+        WHERE d.document_type = ? AND d.document_id = ?
+        ORDER BY d.created_at DESC, d.id DESC
+    `, [documentType, documentId]);
+    return deliveries;
+};
+
+module.exports = {
+    parseRecipients,
+    deliverDocument,
+    getDeliveries
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+// Persists date-driven status changes that used to be computed on the fly:
+// invoices past their due date become 'overdue' and quotations past
+// valid_until become 'expired'. Each transition gets a notification so
+// admins see it in the same feeds as other document events.
+
+const pool = require('../config/database');
+const { transitionInvoice } = require('./invoiceStateService');
+
+/**
+ * Move unpaid invoices past their due date to 'overdue', and move overdue
+ * invoices whose due date was extended back to 'issued' or 'partially_paid'.
+ */
+const markOverdueInvoices = async () => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [overdue] = await connection.query(`
+            SELECT id, invoice_number, status
+            FROM invoices
+            WHERE due_date < CURDATE()
+            AND balance_due > 0
+            AND status IN ('issued', 'partially_paid')
+            FOR UPDATE
+        `);
+
+        for (const invoice of overdue) {
+            await transitionInvoice(connection, invoice, 'overdue', {
+                reason: 'Past due date',
+                fields: { overdue_at: new Date() }
+            });
+
+            await connection.query(`
+                INSERT INTO invoice_notifications (invoice_id, notification_type, message, is_read)
+                VALUES (?, 'overdue', ?, false)
+            `, [invoice.id, `Invoice ${invoice.invoice_number} is overdue`]);
+        }
+
+        const [extended] = await connection.query(`
+            SELECT id, status, amount_paid, balance_due
+            FROM invoices
+            WHERE status = 'overdue'
+            AND (due_date >= CURDATE() OR balance_due <= 0)
+            FOR UPDATE
+        `);
+
+        for (const invoice of extended) {
+            let status = Number(invoice.amount_paid) > 0 ? 'partially_paid' : 'issued';
+            if (Number(invoice.balance_due) <= 0) status = 'paid';
+
+            await transitionInvoice(connection, invoice, status, {
+                reason: status === 'paid' ? 'Settled' : 'Due date extended',
+                fields: { overdue_at: null }
+            });
+        }
+
+        await connection.commit();
+
+        return {
+            marked_overdue: overdue.length,
+            invoices: overdue.map(invoice => invoice.invoice_number),
+            restored: extended.length
+        };
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Move open (pending, viewed or sent) quotations past valid_until to 'expired'.
+ */
+const expireQuotations = async () => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [expired] = await connection.query(`
+            SELECT id, quotation_id
+            FROM quotations
+            WHERE valid_until < CURDATE()
+            AND status IN ('pending', 'viewed', 'sent')
+            FOR UPDATE
+        `);
+
+        for (const quotation of expired) {
+            await connection.query(`
+                UPDATE quotations
+                SET status = 'expired', expired_at = NOW()
+                WHERE id = ?
+            `, [quotation.id]);
+
+            await connection.query(`
+                INSERT INTO quotation_notifications (quotation_id, notification_type, is_read)
+                VALUES (?, 'expired', false)
+            `, [quotation.id]);
+        }
+
+        await connection.commit();
+
+        return {
+            expired: expired.length,
+            quotations: expired.map(quotation => quotation.quotation_id)
+        };
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = {
+    markOverdueInvoices,
+    expireQuotations
+};
\ No newline at end of file
@@ -0,0 +1,142 @@
+// Payment reminders (dunning) for unpaid invoices.
+// Each invoice moves through fixed stages relative to its due date:
+// a reminder some days before it is due, one on the due date and one at
+// 7, 14 and 30 days overdue. Every attempt is logged in invoice_reminders;
+// a stage that was sent successfully is never sent again, and a stage the
+// invoice has already moved past is skipped rather than sent late.
+// A stage whose last attempt failed is retried with a growing delay
+// (REMINDER_RETRY_HOURS, doubled after each further failure).
+
+const pool = require('../config/database');
+const { sendMail } = require('./mailer');
+const { invoiceReminder } = require('./emailTemplates');
+
+const DAYS_BEFORE_DUE = Number(process.env.REMINDER_DAYS_BEFORE_DUE) || 3;
+const RETRY_HOURS = Number(process.env.REMINDER_RETRY_HOURS) || 6;
+const MAX_RETRY_HOURS = 7 * 24;
+
+// Stages in order, keyed by days past the due date they start at
+const STAGES = [
+    { stage: 'before_due', offset: -DAYS_BEFORE_DUE },
+    { stage: 'due_today', offset: 0 },
+    { stage: 'overdue_7', offset: 7 },
+    { stage: 'overdue_14', offset: 14 },
+    { stage: 'overdue_30', offset: 30 }
+];
+
+/**
+ * The stage an invoice is in given how many days past due it is,
+ * or null when no reminder applies yet.
+ */
+const getStageForDays = (daysOverdue) => {
+    let current = null;
+    STAGES.forEach(({ stage, offset }) => {
+        if (daysOverdue >= offset) current = stage;
+    });
+    return current;
+};
+
+// Helper function to check whether a failed stage is still backing off
+const isBackingOff = ({ failures, last_failed_at }) => {
+    if (!failures || !last_failed_at) return false;
+    const delayHours = Math.min(RETRY_HOURS * 2 ** (Number(failures) - 1), MAX_RETRY_HOURS);
+    return Date.now() - new Date(last_failed_at).getTime() < delayHours * 3600000;
+};
+
+// Helper function to log a reminder attempt
+const logReminder = (invoice, stage, status, { subject, messageId, error, userId } = {}) => pool.query(`
+    INSERT INTO invoice_reminders (
+        invoice_id, stage, recipient, subject, status,
+        message_id, error_message, sent_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`, [
+    invoice.id, stage, invoice.customer_email, subject || null, status,
+    messageId || null, error || null, userId || null
+]);
+
+/**
+ * Email one reminder and log the outcome. Resolves with the log row id;
+ * rejects with the mailer error after logging it as failed.
+ */
+const sendReminder = async (invoice, stage, userId = null) => {
+    const message = invoiceReminder(stage, invoice);
+
+    try {
+        const info = await sendMail({ to: invoice.customer_email, ...message });
+        const [result] = await logReminder(invoice, stage, 'sent', {
+            subject: message.subject,
+            messageId: info.messageId,
+            userId
+        });
+
+        await pool.query(
+            'UPDATE invoices SET last_reminder_at = NOW() WHERE id = ?',
+            [invoice.id]
+        );
+
+        return result.insertId;
+    } catch (error) {
+        await logReminder(invoice, stage, 'failed', {
+            subject: message.subject,
+            error: error.message,
+            userId
+        }).catch(() => {});
+        throw error;
+    }
+};
+
+/**
+ * Send every reminder that is due today. Used by the scheduled job.
+ */
+const sendDueReminders = async () => {
+    const [invoices] = await pool.query(`
+        SELECT
+            i.*,
+            DATEDIFF(CURDATE(), i.due_date) as days_overdue
+        FROM invoices i
+        WHERE i.reminders_enabled = true
+        AND i.balance_due > 0
+        AND i.status IN ('issued', 'partially_paid', 'overdue')
+        AND i.customer_email IS NOT NULL AND i.customer_email <> ''
+        AND DATEDIFF(CURDATE(), i.due_date) >= ?
+    `, [-DAYS_BEFORE_DUE]);
+
+    const summary = { checked: invoices.length, sent: [], failed: [], deferred: [] };
+
+    for (const invoice of invoices) {
+        const stage = getStageForDays(Number(invoice.days_overdue));
+        if (!stage) continue;
+
+        const [[attempts]] = await pool.query(`
+            SELECT
+                COALESCE(SUM(status = 'sent'), 0) as sent,
+                COALESCE(SUM(status = 'failed'), 0) as failures,
+                MAX(CASE WHEN status = 'failed' THEN created_at END) as last_failed_at
+            FROM invoice_reminders
+            WHERE invoice_id = ? AND stage = ?
+        `, [invoice.id, stage]);
+
+        if (Number(attempts.sent) > 0) continue;
+
+        if (isBackingOff(attempts)) {
+            summary.deferred.push({ invoice_number: invoice.invoice_number, stage });
+            continue;
+        }
+
+        try {
+            await sendReminder(invoice, stage);
+            summary.sent.push({ invoice_number: invoice.invoice_number, stage });
+        } catch (error) {
+            summary.failed.push({ invoice_number: invoice.invoice_number, stage, error: error.message });
+        }
+    }
+
+    return summary;
+};
+
+module.exports = {
+    STAGES,
+    getStageForDays,
+    sendReminder,
+    sendDueReminders
+};
\ No newline at end of file
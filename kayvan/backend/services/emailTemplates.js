@@ -0,0 +1,166 @@
+// Customer and staff email templates. Each template returns
+// { subject, text, html } so it can be passed straight to mailer.sendMail.
+
+const company = require('../config/company');
+const { formatMoney, formatDate } = require('./pdfService');
+
+// Helper function to escape values interpolated into HTML
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Helper function to build the shared signature block
+const signature = () => [
+    company.name,
+    company.phone,
+    company.email,
+    company.website
+].filter(Boolean);
+
+// Helper function to wrap paragraphs in the standard text and HTML layout
+const layout = (subject, greeting, paragraphs) => {
+    const text = [
+        greeting,
+        '',
+        ...paragraphs.flatMap(paragraph => [paragraph, '']),
+        'Kind regards,',
+        ...signature()
+    ].join('\n');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; font-size: 14px; color: #333;">
+            <h2 style="color: ${company.brandColor};">${escapeHtml(company.name)}</h2>
+            <p>${escapeHtml(greeting)}</p>
+            ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n')}
+            <p>Kind regards,<br>${signature().map(escapeHtml).join('<br>')}</p>
+        </div>
+    `;
+
+    return { subject, text, html };
+};
+
+// Reminder wording per dunning stage
+const REMINDER_COPY = {
+    before_due: (invoice) => ({
+        subject: `Upcoming payment: invoice ${invoice.invoice_number}`,
+        lead: `This is a friendly reminder that invoice ${invoice.invoice_number} is due on ${formatDate(invoice.due_date)}.`
+    }),
+    due_today: (invoice) => ({
+        subject: `Payment due today: invoice ${invoice.invoice_number}`,
+        lead: `Invoice ${invoice.invoice_number} is due for payment today.`
+    }),
+    overdue_7: (invoice) => ({
+        subject: `Overdue: invoice ${invoice.invoice_number}`,
+        lead: `Our records show that invoice ${invoice.invoice_number}, due on ${formatDate(invoice.due_date)}, is now one week overdue.`
+    }),
+    overdue_14: (invoice) => ({
+        subject: `Second reminder: invoice ${invoice.invoice_number} is overdue`,
+        lead: `Invoice ${invoice.invoice_number}, due on ${formatDate(invoice.due_date)}, is now two weeks overdue. Please arrange payment at your earliest convenience.`
+    }),
+    overdue_30: (invoice) => ({
+        subject: `Final reminder: invoice ${invoice.invoice_number} is 30 days overdue`,
+        lead: `Invoice ${invoice.invoice_number}, due on ${formatDate(invoice.due_date)}, is now 30 days overdue. Please settle the outstanding balance or contact us to discuss it.`
+    }),
+    manual: (invoice) => ({
+        subject: `Payment reminder: invoice ${invoice.invoice_number}`,
+        lead: `This is a reminder about invoice ${invoice.invoice_number}, due on ${formatDate(invoice.due_date)}.`
+    })
+};
+
+/**
+ * Payment reminder for an invoice at a dunning stage.
+ */
+const invoiceReminder = (stage, invoice) => {
+    const copy = (REMINDER_COPY[stage] || REMINDER_COPY.manual)(invoice);
+
+    return layout(copy.subject, `Dear ${invoice.customer_name},`, [
+        copy.lead,
+        `Amount outstanding: ${formatMoney(invoice.balance_due, invoice.currency_code)} (invoice total ${formatMoney(invoice.total, invoice.currency_code)}).`,
+        'If you have already made this payment, please disregard this message.'
+    ]);
+};
+
+// Helper function to split a custom message into paragraphs
+const toParagraphs = (message) => String(message)
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+/**
+ * Email sending an invoice. A custom message replaces the default body.
+ */
+const invoiceEmail = (invoice, { subject, message } = {}) => layout(
+    subject || `Invoice ${invoice.invoice_number} from ${company.name}`,
+    `Dear ${invoice.customer_name},`,
+    message ? toParagraphs(message) : [
+        `Please find attached invoice ${invoice.invoice_number} for ${formatMoney(invoice.total, invoice.currency_code)}, due on ${formatDate(invoice.due_date)}.`,
+        'Thank you for your business.'
+    ]
+);
+
+/**
+ * Email sending a quotation. A custom message replaces the default body.
+ */
+const quotationEmail = (quotation, { subject, message } = {}) => layout(
+    subject || `Quotation ${quotation.quotation_id} from ${company.name}`,
+    `Dear ${quotation.customer_name},`,
+    message ? toParagraphs(message) : [
+        `Thank you for your enquiry. Please find attached quotation ${quotation.quotation_id} for ${formatMoney(quotation.total, quotation.currency_code)}, valid until ${formatDate(quotation.valid_until)}.`,
+        'Let us know if you have any questions or would like to proceed.'
+    ]
+);
+
+/**
+ * Email sending a statement of account. A custom message replaces the default body.
+ */
+const statementEmail = (statement, { subject, message } = {}) => layout(
+    subject || `Statement of account from ${company.name}`,
+    `Dear ${statement.customer.name},`,
+    message ? toParagraphs(message) : [
+        `Please find attached your statement of account for ${formatDate(statement.from)} to ${formatDate(statement.to)}.`,
+        statement.closing_balance > 0
+            ? `The balance due on ${formatDate(statement.to)} was ${formatMoney(statement.closing_balance, statement.currency)}.`
+            : 'Your account had no balance due at the end of the period.',
+        'Please contact us if anything on the statement does not match your records.'
+    ]
+);
+
+/**
+ * Email with a customer portal sign-in link.
+ */
+const portalLoginEmail = (customer, link) => layout(
+    `Your sign-in link for ${company.name}`,
+    `Dear ${customer.name},`,
+    [
+        `Use this link to see your quotations, invoices and payments with ${company.name}:`,
+        link.url,
+        `The link works once and expires in ${link.ttl_minutes} minutes.`,
+        'If you did not ask to sign in, you can ignore this email.'
+    ]
+);
+
+/**
+ * Email to a salesperson whose quotation follow-up has fallen due.
+ */
+const followUpReminder = (followUp) => layout(
+    `Follow-up due: ${followUp.title} (${followUp.quotation_reference})`,
+    followUp.assigned_to_name ? `Hello ${followUp.assigned_to_name},` : 'Hello,',
+    [
+        `Your follow-up "${followUp.title}" on quotation ${followUp.quotation_reference} for ${followUp.customer_company || followUp.customer_name} was due on ${formatDate(followUp.due_at)}.`,
+        ...(followUp.notes ? [followUp.notes] : []),
+        'Mark it done in the admin panel once you have followed up, or move its due date.'
+    ]
+);
+
+module.exports = {
+    escapeHtml,
+    layout,
+    invoiceReminder,
+    invoiceEmail,
+    quotationEmail,
+    statementEmail,
+    portalLoginEmail,
+    followUpReminder
+};
\ No newline at end of file
@@ -0,0 +1,326 @@
+// Material estimates for coating systems.
+// Given a surface area, the substrate condition and a system of layers
+// (primer, body coat, topcoat), works out how much of each product is needed
+// and rounds it up to the pack sizes the product is sold in. The result is a
+// set of lines that can go straight into the public cart or an admin
+// quotation.
+//
+// Products describe themselves in technical_specs (keys are matched without
+// regard to case, spaces or punctuation):
+//   coverage            m² covered by one kg or L for one coat, e.g. 8 or
+//                       "8 m²/kg"; a consumption such as "0.125 kg/m²" also works
+//   coverage_unit       'kg' or 'L' when coverage does not say
+//   coverage_thickness  film thickness in microns the coverage is quoted at
+//   coats               coats recommended when the request does not say
+// and list their packs in variants, e.g. [{ "name": "20 kg", "size": 20,
+// "unit": "kg", "sku": "EP-20" }] or simply ["5 kg", "20 kg"].
+
+const { layerQuantity } = require('./quotationService');
+const { httpError } = require('./httpError');
+
+// Extra material for mixing, application and offcuts
+const DEFAULT_WASTE_PERCENT = Number(process.env.ESTIMATOR_WASTE_PERCENT) || 10;
+
+// Largest surface one estimate covers (a square kilometre); anything more
+// is a typo or an overflow, not a job
+const MAX_AREA_M2 = 1000000;
+
+// More primer is absorbed by worn or porous substrates
+const SUBSTRATE_FACTORS = {
+    new: 1,
+    good: 1,
+    fair: 1.15,
+    poor: 1.3
+};
+
+// Layers of a system, in the order they are applied
+const SYSTEM_LAYERS = [
+    ['primer', 'Primer'],
+    ['body_coat', 'Body coat'],
+    ['topcoat', 'Topcoat']
+];
+
+// Helper function to check whether a value was supplied at all
+const isProvided = (value) => value !== undefined && value !== null && value !== '';
+
+// Helper function to parse a JSON column that may already be parsed
+const parseJSON = (value, fallback) => {
+    if (!value) return fallback;
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch {
+        return fallback;
+    }
+};
+
+// Helper function to normalise a spec key for matching
+const normaliseKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Helper function to normalise a unit of material
+const normaliseUnit = (unit) => {
+    const value = String(unit || '').trim().toLowerCase();
+    if (['l', 'lt', 'ltr', 'litre', 'litres', 'liter', 'liters'].includes(value)) return 'L';
+    if (['kg', 'kgs', 'kilogram', 'kilograms'].includes(value)) return 'kg';
+    return value || null;
+};
+
+// Helper function to read the first number in a value ("6-8 m²/kg" gives 6)
+const firstNumber = (value) => {
+    const match = /(\d+(?:[.,]\d+)?)/.exec(String(value));
+    return match ? Number(match[1].replace(',', '.')) : null;
+};
+
+// Helper function to find a spec by any of its names
+const findSpec = (specs, names) => {
+    const entry = Object.entries(specs).find(([key]) => names.includes(normaliseKey(key)));
+    return entry ? entry[1] : undefined;
+};
+
+/**
+ * Coverage details from a product's technical_specs: m² per unit for one
+ * coat, the unit (kg or L), the film thickness it is quoted at (microns) and
+ * the recommended coats. Returns null when the product has no coverage.
+ */
+const readCoverage = (product) => {
+    const specs = parseJSON(product.technical_specs, {}) || {};
+    if (typeof specs !== 'object' || Array.isArray(specs)) return null;
+
+    const raw = findSpec(specs, ['coverage', 'coverage_rate', 'coverage_m2', 'theoretical_coverage', 'spreading_rate']);
+    if (!isProvided(raw)) return null;
+
+    const text = String(raw).toLowerCase();
+    let coverage = firstNumber(text);
+    let unit = normaliseUnit(findSpec(specs, ['coverage_unit', 'unit']));
+
+    // A consumption per m² ("0.4 kg/m²", "250 g/m²") is turned around
+    const consumption = /(kg|g|l|ml)\s*\/\s*m/.exec(text);
+    const perUnit = /m(?:²|2)?\s*\/\s*(kg|l)\b/.exec(text);
+
+    if (consumption && coverage) {
+        const amount = ['g', 'ml'].includes(consumption[1]) ? coverage / 1000 : coverage;
+        coverage = 1 / amount;
+        unit = unit || normaliseUnit(consumption[1].replace(/^g$/, 'kg').replace(/^ml$/, 'l'));
+    } else if (perUnit) {
+        unit = unit || normaliseUnit(perUnit[1]);
+    }
+
+    if (!(coverage > 0)) return null;
+
+    const thickness = findSpec(specs, ['coverage_thickness', 'coverage_thickness_microns', 'dft', 'dft_microns', 'film_thickness']);
+    const coats = findSpec(specs, ['coats', 'recommended_coats', 'number_of_coats']);
+
+    // Thicknesses given in mm are turned into microns
+    const thicknessMicrons = isProvided(thickness)
+        ? firstNumber(thickness) * (/mm/.test(String(thickness).toLowerCase()) ? 1000 : 1)
+        : null;
+
+    return {
+        coverage,
+        unit: unit || normaliseUnit(product.weight_unit) || 'kg',
+        thickness_microns: thicknessMicrons > 0 ? thicknessMicrons : null,
+        coats: firstNumber(coats) > 0 ? Math.round(firstNumber(coats)) : null
+    };
+};
+
+/**
+ * Pack sizes from a product's variants in a unit, largest first.
+ */
+const readPacks = (product, unit) => {
+    const variants = parseJSON(product.variants, []);
+    if (!Array.isArray(variants)) return [];
+
+    return variants
+        .map(variant => {
+            const details = typeof variant === 'object' && variant !== null ? variant : { name: variant };
+            const label = details.name || details.label || details.title || '';
+            const size = isProvided(details.pack_size) ? Number(details.pack_size)
+                : isProvided(details.size) && !Number.isNaN(Number(details.size)) ? Number(details.size)
+                    : firstNumber(details.size || label);
+            const labelUnit = /(kg|l|lt|ltr|litres?|liters?)\b/i.exec(String(details.size || label));
+            const packUnit = normaliseUnit(details.unit) || (labelUnit ? normaliseUnit(labelUnit[1]) : unit);
+
+            return { size, unit: packUnit, name: label || `${size} ${packUnit}`, sku: details.sku || null };
+        })
+        .filter(pack => pack.size > 0 && pack.unit === unit)
+        .sort((a, b) => b.size - a.size);
+};
+
+/**
+ * The packs covering a quantity with the least left over, then the fewest
+ * packs. Packs are largest first.
+ */
+const choosePacks = (quantity, packs) => {
+    if (packs.length === 0 || !(quantity > 0)) return [];
+
+    const [largest, ...smaller] = packs;
+
+    if (smaller.length === 0) {
+        return [{ ...largest, count: Math.ceil(Math.round(quantity / largest.size * 10000) / 10000) }];
+    }
+
+    const options = [Math.floor(quantity / largest.size), Math.ceil(quantity / largest.size)]
+        .filter((count, index, counts) => counts.indexOf(count) === index)
+        .map(count => {
+            const rest = Math.round((quantity - count * largest.size) * 10000) / 10000;
+            const chosen = [
+                ...(count > 0 ? [{ ...largest, count }] : []),
+                ...(rest > 0 ? choosePacks(rest, smaller) : [])
+            ];
+            return {
+                chosen,
+                total: chosen.reduce((sum, pack) => sum + pack.size * pack.count, 0),
+                count: chosen.reduce((sum, pack) => sum + pack.count, 0)
+            };
+        })
+        .sort((a, b) => a.total - b.total || a.count - b.count);
+
+    return options[0].chosen;
+};
+
+// Helper function to round a quantity of material to four decimals
+const roundQuantity = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * The layers of a request: either layers ([{ layer, product_id, coats,
+ * thickness_microns }]) or system ({ primer, body_coat, topcoat } as product
+ * ids or { product_id, coats, thickness_microns }).
+ */
+const readLayers = ({ layers, system }) => {
+    if (Array.isArray(layers) && layers.length > 0) {
+        return layers.map((layer, index) => ({ ...layer, layer: layer.layer || `Layer ${index + 1}` }));
+    }
+
+    if (system && typeof system === 'object') {
+        return SYSTEM_LAYERS
+            .filter(([key]) => system[key])
+            .map(([key, name]) => (typeof system[key] === 'object'
+                ? { ...system[key], layer: system[key].layer || name, key }
+                : { product_id: system[key], layer: name, key }));
+    }
+
+    return [];
+};
+
+/**
+ * Estimate the materials for a coating system.
+ * Takes area_m2, substrate (new, good, fair or poor; it adds primer),
+ * waste_percent (default ESTIMATOR_WASTE_PERCENT) and the layers. The
+ * quantity of each layer is area × coats ÷ coverage, where coverage comes
+ * from the product and is scaled to the film thickness asked for, plus
+ * waste, rounded up to whole packs. Returns the lines in quotation form
+ * (for POST /api/quotations items) and in cart form (for the public cart).
+ */
+const estimateMaterials = async (connection, request = {}) => {
+    const area = Number(request.area_m2);
+    if (!(Number.isFinite(area) && area > 0 && area <= MAX_AREA_M2)) {
+        throw httpError(400, `Surface area must be greater than 0 and at most ${MAX_AREA_M2.toLocaleString('en-KE')} m²`);
+    }
+
+    const substrate = request.substrate || 'good';
+    if (!SUBSTRATE_FACTORS[substrate]) {
+        throw httpError(400, `Substrate must be one of: ${Object.keys(SUBSTRATE_FACTORS).join(', ')}`);
+    }
+
+    const waste = isProvided(request.waste_percent) ? Number(request.waste_percent) : DEFAULT_WASTE_PERCENT;
+    if (!(waste >= 0 && waste <= 100)) {
+        throw httpError(400, 'Waste must be between 0 and 100 percent');
+    }
+
+    const layers = readLayers(request);
+    if (layers.length === 0) {
+        throw httpError(400, 'Choose a system with at least one layer');
+    }
+
+    const productIds = [...new Set(layers.map(layer => Number(layer.product_id)).filter(Boolean))];
+    const [rows] = productIds.length > 0
+        ? await connection.query(`
+            SELECT id, name, price, is_published, technical_specs, variants, weight_unit
+            FROM products
+            WHERE id IN (?)
+        `, [productIds])
+        : [[]];
+    const products = new Map(rows.map(product => [Number(product.id), product]));
+
+    const lines = layers.map((layer, index) => {
+        const product = products.get(Number(layer.product_id));
+        if (!layer.product_id || !product || !product.is_published) {
+            throw httpError(400, `${layer.layer}: choose an available product`);
+        }
+
+        const coverage = readCoverage(product);
+        if (!coverage) {
+            throw httpError(400, `${product.name} has no coverage rate in its technical specs`);
+        }
+
+        const coats = isProvided(layer.coats) ? Number(layer.coats) : coverage.coats || 1;
+        if (!Number.isInteger(coats) || coats < 1) {
+            throw httpError(400, `${layer.layer}: coats must be a whole number of at least 1`);
+        }
+
+        // Thicker films cover less; the primer also soaks into the substrate
+        const thickness = isProvided(layer.thickness_microns) ? Number(layer.thickness_microns) : null;
+        if (thickness !== null && !(Number.isFinite(thickness) && thickness > 0)) {
+            throw httpError(400, `${layer.layer}: film thickness must be greater than 0 microns`);
+        }
+        const thicknessFactor = thickness && coverage.thickness_microns ? thickness / coverage.thickness_microns : 1;
+        const isPrimer = layer.key === 'primer' || (!layer.key && index === 0 && /primer/i.test(layer.layer));
+        const substrateFactor = isPrimer ? SUBSTRATE_FACTORS[substrate] : 1;
+        const effectiveCoverage = coverage.coverage / thicknessFactor / substrateFactor;
+
+        const required = layerQuantity({ area_m2: area, coats, coverage: effectiveCoverage, waste_percent: waste });
+        const packs = choosePacks(required, readPacks(product, coverage.unit));
+        const quantity = packs.length > 0
+            ? roundQuantity(packs.reduce((sum, pack) => sum + pack.size * pack.count, 0))
+            : required;
+
+        const packText = packs.map(pack => `${pack.count} × ${pack.name}`).join(' + ');
+
+        return {
+            line_type: 'material',
+            layer: layer.layer,
+            product_id: product.id,
+            item_name: product.name,
+            description: [
+                `${layer.layer}: ${coats} coat${coats > 1 ? 's' : ''} over ${area} m²${thickness ? ` at ${thickness} µm` : ''}`,
+                packText || null
+            ].filter(Boolean).join(' - '),
+            quantity,
+            unit: coverage.unit,
+            area_m2: area,
+            coats,
+            coverage: roundQuantity(effectiveCoverage),
+            waste_percent: waste,
+            required_quantity: required,
+            thickness_microns: thickness,
+            packs: packs.map(pack => ({ name: pack.name, size: pack.size, unit: pack.unit, count: pack.count, sku: pack.sku })),
+            catalogue_price: Number(product.price),
+            estimated_total: Math.round(Number(product.price) * quantity * 100) / 100
+        };
+    });
+
+    return {
+        area_m2: area,
+        substrate,
+        waste_percent: waste,
+        lines,
+        cart: lines.map(line => ({
+            id: line.product_id,
+            name: line.item_name,
+            description: line.description,
+            quantity: line.quantity,
+            unit: line.unit,
+            price: line.catalogue_price,
+            total: line.estimated_total
+        })),
+        estimated_total: Math.round(lines.reduce((sum, line) => sum + line.estimated_total, 0) * 100) / 100
+    };
+};
+
+module.exports = {
+    DEFAULT_WASTE_PERCENT,
+    SUBSTRATE_FACTORS,
+    readCoverage,
+    readPacks,
+    choosePacks,
+    estimateMaterials
+};
\ No newline at end of file
@@ -0,0 +1,273 @@
+// KRA eTIMS adapter (OSCU / VSCU sales transaction API).
+// Configured from the environment. ETIMS_BASE_URL points at the eTIMS
+// sandbox, the taxpayer's VSCU, or the local stub (npm run etims-stub).
+
+const { httpError } = require('../httpError');
+const { roundMoney } = require('../taxService');
+
+const BASE_URL = () => (process.env.ETIMS_BASE_URL || 'https://etims-api-sbx.kra.go.ke/etims-api').replace(/\/+$/, '');
+const VERIFY_URL = () => (process.env.ETIMS_VERIFY_URL || 'https://etims-sbx.kra.go.ke/common/link/etims/receipt/indexEtimsReceiptData').replace(/\/+$/, '');
+
+// Requests that take longer than this are abandoned and retried later, so a
+// hung eTIMS never holds the locked submission row
+const TIMEOUT_MS = () => Number(process.env.ETIMS_TIMEOUT_MS) || 30000;
+
+// eTIMS result codes that mean the sale was registered
+const SUCCESS_CODES = ['000', '001'];
+
+// Refund reason sent with credit notes (06: refund)
+const REFUND_REASON_CODE = () => process.env.ETIMS_REFUND_REASON_CODE || '06';
+
+// Helper function to build an eTIMS error, marking whether it is worth retrying
+const etimsError = (statusCode, message, retryable = true) => Object.assign(httpError(statusCode, message), { retryable });
+
+// Helper function to parse a response body, treating anything else as empty
+const parseJson = (text) => {
+    try {
+        return JSON.parse(text) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+// Helper function to read required configuration
+const getConfig = () => {
+    const config = {
+        tin: process.env.ETIMS_TIN,
+        branchId: process.env.ETIMS_BRANCH_ID || '00',
+        deviceSerial: process.env.ETIMS_DEVICE_SERIAL,
+        cmcKey: process.env.ETIMS_CMC_KEY
+    };
+
+    if (!config.tin || !config.cmcKey) {
+        throw etimsError(503, 'eTIMS is not configured', false);
+    }
+
+    return config;
+};
+
+// Helper function to format eTIMS dates (yyyyMMdd, or yyyyMMddHHmmss with time)
+const formatDate = (value, withTime = false) => {
+    const date = value instanceof Date ? value : new Date(value);
+    const pad = (number) => String(number).padStart(2, '0');
+    const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    return withTime ? `${day}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}` : day;
+};
+
+/**
+ * eTIMS tax type of a line: A exempt, B 16%, C zero rated, D non-VAT, E 8%.
+ */
+const getTaxType = (taxCode, rate) => {
+    if (taxCode === 'E') return 'A';
+    if (Number(rate) === 16) return 'B';
+    if (Number(rate) === 8) return 'E';
+    if (Number(rate) === 0) return 'C';
+    return 'D';
+};
+
+/**
+ * Build the saveSales payload for an invoice (with items). eTIMS only
+ * accepts shillings, so other currencies are converted at the invoice's
+ * rate snapshot. fiscalNumber is the submission's number in the gap-free
+ * 'fiscal' series.
+ */
+const buildPayload = (invoice, { fiscalNumber, confirmedAt = new Date() } = {}) => {
+    const config = getConfig();
+
+    if (!Number.isInteger(fiscalNumber) || fiscalNumber < 1) {
+        throw etimsError(500, 'A fiscal number is required', false);
+    }
+    const rate = Number(invoice.exchange_rate) || 1;
+    const toKes = (amount) => roundMoney(Number(amount) * rate);
+
+    const taxTypes = ['A', 'B', 'C', 'D', 'E'];
+    const taxable = Object.fromEntries(taxTypes.map(type => [type, 0]));
+    const taxes = Object.fromEntries(taxTypes.map(type => [type, 0]));
+
+    // Totals per tax type come from the tax summary, which already includes
+    // document discounts and shipping; older invoices fall back to the lines
+    const summary = invoice.tax_summary && invoice.tax_summary.length > 0
+        ? invoice.tax_summary
+        : (invoice.items || []).map(item => ({
+            tax_code: item.tax_code,
+            rate: item.tax_rate,
+            taxable_amount: Number(item.total) - Number(item.tax_amount),
+            tax_amount: item.tax_amount
+        }));
+
+    summary.forEach(row => {
+        const taxType = getTaxType(row.tax_code, row.rate);
+        taxable[taxType] += toKes(row.taxable_amount);
+        taxes[taxType] += toKes(row.tax_amount);
+    });
+
+    const itemList = (invoice.items || []).map((item, index) => {
+        const taxType = getTaxType(item.tax_code, item.tax_rate);
+        const taxAmount = toKes(item.tax_amount);
+        const taxableAmount = roundMoney(toKes(item.total) - taxAmount);
+
+        return {
+            itemSeq: index + 1,
+            itemCd: item.product_id ? `KE${String(item.product_id).padStart(8, '0')}` : null,
+            itemClsCd: process.env.ETIMS_ITEM_CLASS_CODE || '5020230500',
+            itemNm: String(item.item_name).slice(0, 200),
+            pkgUnitCd: 'NT',
+            qtyUnitCd: 'U',
+            qty: Number(item.quantity),
+            prc: toKes(item.unit_price),
+            splyAmt: roundMoney(toKes(item.unit_price) * Number(item.quantity)),
+            dcRt: Number(item.discount_percent) || 0,
+            dcAmt: toKes(item.discount_amount),
+            taxTyCd: taxType,
+            taxblAmt: taxableAmount,
+            taxAmt: taxAmount,
+            totAmt: toKes(item.total)
+        };
+    });
+
+    const totalTaxable = roundMoney(Object.values(taxable).reduce((sum, value) => sum + value, 0));
+    const totalTax = roundMoney(Object.values(taxes).reduce((sum, value) => sum + value, 0));
+
+    return {
+        tin: config.tin,
+        bhfId: config.branchId,
+        invcNo: fiscalNumber,
+        orgInvcNo: 0,
+        custTin: invoice.customer_tax_id || null,
+        custNm: invoice.customer_company || invoice.customer_name,
+        salesTyCd: 'N',
+        rcptTyCd: 'S',
+        pmtTyCd: '01',
+        salesSttsCd: '02',
+        cfmDt: formatDate(confirmedAt, true),
+        salesDt: formatDate(invoice.issue_date),
+        totItemCnt: itemList.length,
+        taxblAmtA: roundMoney(taxable.A), taxblAmtB: roundMoney(taxable.B), taxblAmtC: roundMoney(taxable.C),
+        taxblAmtD: roundMoney(taxable.D), taxblAmtE: roundMoney(taxable.E),
+        taxRtA: 0, taxRtB: 16, taxRtC: 0, taxRtD: 0, taxRtE: 8,
+        taxAmtA: roundMoney(taxes.A), taxAmtB: roundMoney(taxes.B), taxAmtC: roundMoney(taxes.C),
+        taxAmtD: roundMoney(taxes.D), taxAmtE: roundMoney(taxes.E),
+        totTaxblAmt: totalTaxable,
+        totTaxAmt: totalTax,
+        totAmt: roundMoney(totalTaxable + totalTax),
+        remark: invoice.invoice_number,
+        regrId: 'system',
+        regrNm: 'system',
+        modrId: 'system',
+        modrNm: 'system',
+        receipt: {
+            custTin: invoice.customer_tax_id || null,
+            custMblNo: invoice.customer_phone || null,
+            rptNo: null,
+            trdeNm: null,
+            adrs: invoice.customer_address || null,
+            topMsg: null,
+            btmMsg: invoice.invoice_number,
+            prchrAcptcYn: 'N'
+        },
+        itemList
+    };
+};
+
+/**
+ * Build the saveSales payload for a credit note: a refund receipt (type R)
+ * pointing at the fiscal number the invoice was registered under. Lines
+ * take their tax code and discount share from the invoice lines they reverse.
+ */
+const buildRefundPayload = (invoice, creditNote, { fiscalNumber, originalNumber, confirmedAt = new Date() } = {}) => {
+    if (!Number.isInteger(Number(originalNumber)) || Number(originalNumber) < 1) {
+        throw etimsError(500, 'The invoice has no fiscal number to refund against', false);
+    }
+
+    const invoiceItems = new Map((invoice.items || []).map(item => [Number(item.id), item]));
+
+    const items = (creditNote.items || []).map(line => {
+        const original = invoiceItems.get(Number(line.invoice_item_id)) || {};
+        const share = original.quantity ? Number(line.quantity) / Number(original.quantity) : 0;
+
+        return {
+            ...line,
+            tax_code: original.tax_code,
+            discount_percent: original.discount_percent,
+            discount_amount: roundMoney(Number(original.discount_amount || 0) * share)
+        };
+    });
+
+    // Credit notes have no tax summary of their own, so totals come from the lines
+    const payload = buildPayload(
+        { ...invoice, issue_date: creditNote.issue_date, tax_summary: null, items },
+        { fiscalNumber, confirmedAt }
+    );
+
+    return {
+        ...payload,
+        orgInvcNo: Number(originalNumber),
+        rcptTyCd: 'R',
+        rfdDt: formatDate(confirmedAt, true),
+        rfdRsnCd: REFUND_REASON_CODE(),
+        remark: creditNote.credit_note_number,
+        receipt: { ...payload.receipt, btmMsg: creditNote.credit_note_number }
+    };
+};
+
+/**
+ * Register a sale. Resolves with the control unit's signature details;
+ * rejects with retryable=false when eTIMS refused the invoice itself.
+ */
+const submitInvoice = async (payload) => {
+    const config = getConfig();
+
+    let response;
+    let text;
+    try {
+        response = await fetch(`${BASE_URL()}/trnsSales/saveSales`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                tin: config.tin,
+                bhfId: config.branchId,
+                cmcKey: config.cmcKey
+            },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(TIMEOUT_MS())
+        });
+        text = await response.text();
+    } catch (error) {
+        throw etimsError(502, `Could not reach eTIMS: ${error.message}`);
+    }
+
+    const body = parseJson(text);
+
+    if (!response.ok) {
+        throw etimsError(502, `eTIMS error: ${body.resultMsg || response.statusText}`, response.status >= 500);
+    }
+
+    if (!SUCCESS_CODES.includes(String(body.resultCd))) {
+        throw etimsError(422, `eTIMS rejected the invoice: ${body.resultMsg || body.resultCd}`, false);
+    }
+
+    const data = body.data || {};
+    const deviceSerial = data.sdcId || config.deviceSerial || null;
+
+    return {
+        cuInvoiceNumber: deviceSerial && data.curRcptNo ? `${deviceSerial}/${data.curRcptNo}` : String(data.curRcptNo || ''),
+        receiptNumber: data.curRcptNo ? String(data.curRcptNo) : null,
+        deviceSerial,
+        signature: data.rcptSign || null,
+        internalData: data.intrlData || null,
+        signedAt: data.sdcDateTime || null,
+        qrData: data.rcptSign
+            ? `${VERIFY_URL()}?Data=${config.tin}${config.branchId}${data.rcptSign}`
+            : null,
+        response: body
+    };
+};
+
+module.exports = {
+    name: 'etims',
+    label: 'KRA eTIMS',
+    getTaxType,
+    buildPayload,
+    buildRefundPayload,
+    submitInvoice
+};
\ No newline at end of file
@@ -0,0 +1,39 @@
+// Fiscal device / tax authority registry. Each provider has a name, a label
+// and the same interface:
+//   buildPayload(invoice, { fiscalNumber })
+//     -> the request body for the invoice and its items, numbered with the
+//        submission's sequential fiscal number
+//   buildRefundPayload(invoice, creditNote, { fiscalNumber, originalNumber })
+//     -> the request body for a credit note, refunding the invoice that was
+//        registered under originalNumber
+//   submitInvoice(payload)
+//     -> { cuInvoiceNumber, receiptNumber, deviceSerial, signature,
+//          internalData, signedAt, qrData, response }
+// Errors carry retryable=false when the authority refused the invoice
+// itself, so the queue stops retrying it. Queueing, retries and storing the
+// result are provider-neutral and live in fiscalService.
+
+const { httpError } = require('../httpError');
+const etims = require('./etims');
+
+const providers = {
+    [etims.name]: etims
+};
+
+/**
+ * Provider selected by FISCAL_PROVIDER, or null when fiscalisation is off.
+ */
+const getFiscalProvider = () => {
+    const name = process.env.FISCAL_PROVIDER;
+    if (!name || name === 'none') return null;
+
+    const provider = providers[name];
+    if (!provider) {
+        throw httpError(500, `Unknown fiscal provider '${name}'`);
+    }
+    return provider;
+};
+
+module.exports = {
+    getFiscalProvider
+};
\ No newline at end of file
@@ -0,0 +1,369 @@
+// Fiscalisation of invoices (registering them with the tax authority).
+// When an invoice leaves draft it is queued in fiscal_submissions inside the
+// caller's transaction. Credit notes against a queued invoice are queued as
+// refund receipts that reference it, and wait until it has been registered.
+// A registered invoice can only be reversed by such a credit note. After the commit the submission is attempted once
+// straight away; anything that fails is retried by the 'fiscal-submissions'
+// job with an increasing delay until it is accepted, refused, or runs out
+// of attempts. Each submission takes the next number in the 'fiscal' series
+// on its first attempt and keeps it through retries, so the authority sees
+// one gap-free sequence. The control unit's invoice number, signature and QR
+// data are stored on the submission and printed on the invoice PDF.
+
+const pool = require('../config/database');
+const { getFiscalProvider } = require('./fiscal');
+const { getInvoiceDetails } = require('./invoiceService');
+const { getCreditNoteDetails } = require('./creditNoteService');
+const { getNextNumber } = require('./numberingService');
+const { httpError } = require('./httpError');
+
+const MAX_ATTEMPTS = Number(process.env.FISCAL_MAX_ATTEMPTS) || 10;
+const RETRY_BASE_MS = Number(process.env.FISCAL_RETRY_BASE_MS) || 5 * 60 * 1000;
+const RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to work out when to try again after a failed attempt
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Whether invoices are being fiscalised at all (FISCAL_PROVIDER is set).
+ */
+const isFiscalisationEnabled = () => getFiscalProvider() !== null;
+
+/**
+ * Queue an invoice for fiscalisation. Safe to call more than once; an
+ * invoice is only ever registered once. Must run in the caller's transaction.
+ */
+const queueInvoice = async (connection, invoiceId) => {
+    const provider = getFiscalProvider();
+    if (!provider) return false;
+
+    await connection.query(`
+        INSERT IGNORE INTO fiscal_submissions (
+            invoice_id, provider, status, next_attempt_at
+        ) VALUES (?, ?, 'pending', NOW())
+    `, [invoiceId, provider.name]);
+
+    return true;
+};
+
+/**
+ * Queue a credit note as a refund of its invoice. Only credit notes against
+ * an invoice that is itself queued or registered are reported.
+ * Must run in the caller's transaction.
+ */
+const queueCreditNote = async (connection, invoiceId, creditNoteId) => {
+    const provider = getFiscalProvider();
+    if (!provider) return false;
+
+    if (!await getSubmission(connection, invoiceId)) return false;
+
+    await connection.query(`
+        INSERT IGNORE INTO fiscal_submissions (
+            invoice_id, credit_note_id, provider, status, next_attempt_at
+        ) VALUES (?, ?, ?, 'pending', NOW())
+    `, [invoiceId, creditNoteId, provider.name]);
+
+    return true;
+};
+
+/**
+ * Fiscal submission of an invoice, or null.
+ */
+const getSubmission = async (connection, invoiceId) => {
+    const [submissions] = await connection.query(
+        'SELECT * FROM fiscal_submissions WHERE invoice_id = ? AND credit_note_id IS NULL',
+        [invoiceId]
+    );
+    return submissions[0] || null;
+};
+
+/**
+ * Fiscal submission of a credit note, or null.
+ */
+const getCreditNoteSubmission = async (connection, creditNoteId) => {
+    const [submissions] = await connection.query(
+        'SELECT * FROM fiscal_submissions WHERE credit_note_id = ?',
+        [creditNoteId]
+    );
+    return submissions[0] || null;
+};
+
+// Helper function to build an error that stops the queue retrying
+const refusedError = (message) => Object.assign(new Error(message), { retryable: false });
+
+// Helper function to get a submission's fiscal number, taking the next one
+// in the series on its first attempt. Retries resend the same number, in
+// case an earlier attempt was registered but its response was lost.
+const takeFiscalNumber = async (connection, submission) => {
+    if (submission.fiscal_number) return submission.fiscal_number;
+
+    const fiscalNumber = Number(await getNextNumber(connection, 'fiscal'));
+    await connection.query(
+        'UPDATE fiscal_submissions SET fiscal_number = ? WHERE id = ?',
+        [fiscalNumber, submission.id]
+    );
+    return fiscalNumber;
+};
+
+// Helper function to build the provider payload for a submission. The
+// fiscal number is only taken once the document is known to be sendable.
+const buildSubmissionPayload = async (connection, provider, submission) => {
+    const invoice = await getInvoiceDetails(connection, submission.invoice_id);
+    if (!invoice) {
+        throw refusedError('Invoice no longer exists');
+    }
+
+    if (!submission.credit_note_id) {
+        // A fully credited invoice is still registered so its refund can be
+        if (invoice.status === 'void' && !(Number(invoice.credited_amount) > 0)) {
+            throw refusedError('Invoice has been voided');
+        }
+        const fiscalNumber = await takeFiscalNumber(connection, submission);
+        return provider.buildPayload(invoice, { fiscalNumber });
+    }
+
+    const creditNote = await getCreditNoteDetails(connection, submission.credit_note_id);
+    if (!creditNote || creditNote.status === 'void') {
+        throw refusedError('Credit note has been voided');
+    }
+
+    const original = await getSubmission(connection, submission.invoice_id);
+    if (!original || original.status !== 'submitted') {
+        throw new Error('The invoice has not been registered yet');
+    }
+
+    const fiscalNumber = await takeFiscalNumber(connection, submission);
+    return provider.buildRefundPayload(invoice, creditNote, {
+        fiscalNumber,
+        originalNumber: original.fiscal_number
+    });
+};
+
+// Helper function to submit one queued row now. The row is locked for the
+// duration, so a retry job and a manual retry cannot register it twice.
+// Resolves with the updated submission; failures are recorded, not thrown.
+const submitQueued = async (submissionId) => {
+    const provider = getFiscalProvider();
+    if (!provider) return null;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [submissions] = await connection.query(
+            'SELECT * FROM fiscal_submissions WHERE id = ? FOR UPDATE',
+            [submissionId]
+        );
+
+        const submission = submissions[0];
+        if (!submission || submission.status !== 'pending') {
+            await connection.rollback();
+            return submission || null;
+        }
+
+        const attempts = submission.attempts + 1;
+        let payload = null;
+
+        try {
+            payload = await buildSubmissionPayload(connection, provider, submission);
+            const result = await provider.submitInvoice(payload);
+
+            await connection.query(`
+                UPDATE fiscal_submissions
+                SET status = 'submitted', attempts = ?, last_error = NULL, next_attempt_at = NULL,
+                    request_payload = ?, response_payload = ?,
+                    cu_invoice_number = ?, receipt_number = ?, device_serial = ?,
+                    signature = ?, internal_data = ?, qr_data = ?, signed_at = ?,
+                    submitted_at = NOW(), updated_at = NOW()
+                WHERE id = ?
+            `, [
+                attempts, JSON.stringify(payload), JSON.stringify(result.response),
+                result.cuInvoiceNumber, result.receiptNumber, result.deviceSerial,
+                result.signature, result.internalData, result.qrData, result.signedAt,
+                submission.id
+            ]);
+        } catch (error) {
+            // Refused invoices and exhausted retries need someone to look at them
+            const giveUp = error.retryable === false || attempts >= MAX_ATTEMPTS;
+
+            await connection.query(`
+                UPDATE fiscal_submissions
+                SET status = ?, attempts = ?, last_error = ?,
+                    next_attempt_at = ?, request_payload = ?, updated_at = NOW()
+                WHERE id = ?
+            `, [
+                giveUp ? 'failed' : 'pending', attempts, error.message,
+                giveUp ? null : new Date(Date.now() + getRetryDelay(attempts)),
+                payload ? JSON.stringify(payload) : null,
+                submission.id
+            ]);
+
+            const document = submission.credit_note_id
+                ? `credit note ${submission.credit_note_id}`
+                : `invoice ${submission.invoice_id}`;
+            console.error(`❌ Fiscalisation of ${document} failed (attempt ${attempts}):`, error.message);
+        }
+
+        await connection.commit();
+
+        const [updated] = await pool.query('SELECT * FROM fiscal_submissions WHERE id = ?', [submission.id]);
+        return updated[0];
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Submit a queued invoice now.
+ * Resolves with the updated submission; failures are recorded, not thrown.
+ */
+const submitInvoice = async (invoiceId) => {
+    if (!isFiscalisationEnabled()) return null;
+
+    const submission = await getSubmission(pool, invoiceId);
+    return submission ? submitQueued(submission.id) : null;
+};
+
+/**
+ * Submit a queued credit note now.
+ * Resolves with the updated submission; failures are recorded, not thrown.
+ */
+const submitCreditNote = async (creditNoteId) => {
+    if (!isFiscalisationEnabled()) return null;
+
+    const submission = await getCreditNoteSubmission(pool, creditNoteId);
+    return submission ? submitQueued(submission.id) : null;
+};
+
+/**
+ * Attempt a just-queued submission without holding up the response.
+ * Anything that fails here is picked up by the retry job.
+ */
+const submitInBackground = (invoiceId) => {
+    if (!isFiscalisationEnabled()) return;
+
+    submitInvoice(invoiceId).catch(error => {
+        console.error(`❌ Could not submit invoice ${invoiceId} for fiscalisation:`, error.message);
+    });
+};
+
+/**
+ * Attempt a just-queued credit note without holding up the response.
+ */
+const submitCreditNoteInBackground = (creditNoteId) => {
+    if (!isFiscalisationEnabled()) return;
+
+    submitCreditNote(creditNoteId).catch(error => {
+        console.error(`❌ Could not submit credit note ${creditNoteId} for fiscalisation:`, error.message);
+    });
+};
+
+/**
+ * Submit every queued invoice and credit note whose retry time has come
+ * (the scheduled job). Invoices go first so refunds can reference them.
+ */
+const processQueue = async (limit = 50) => {
+    if (!isFiscalisationEnabled()) {
+        return { checked: 0, submitted: [], failed: [] };
+    }
+
+    const [submissions] = await pool.query(`
+        SELECT id, invoice_id, credit_note_id FROM fiscal_submissions
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY credit_note_id IS NOT NULL, next_attempt_at ASC, id ASC
+        LIMIT ?
+    `, [limit]);
+
+    const summary = { checked: submissions.length, submitted: [], failed: [] };
+
+    for (const { id, invoice_id, credit_note_id } of submissions) {
+        const submission = await submitQueued(id);
+        if (submission?.status === 'submitted') {
+            summary.submitted.push(credit_note_id ? { invoice_id, credit_note_id } : invoice_id);
+        } else {
+            summary.failed.push({ invoice_id, credit_note_id, error: submission?.last_error || null });
+        }
+    }
+
+    return summary;
+};
+
+// Helper function to put a failed submission back in the queue and try it now
+const requeue = async (submission, label) => {
+    if (!submission) {
+        throw httpError(404, `${label} has not been queued for fiscalisation`);
+    }
+
+    if (submission.status === 'submitted') {
+        throw httpError(400, `${label} has already been fiscalised`);
+    }
+
+    await pool.query(`
+        UPDATE fiscal_submissions
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+        WHERE id = ?
+    `, [submission.id]);
+
+    return submitQueued(submission.id);
+};
+
+/**
+ * Put a failed invoice submission back in the queue and try it now.
+ */
+const retrySubmission = async (invoiceId) => {
+    return requeue(await getSubmission(pool, invoiceId), 'Invoice');
+};
+
+/**
+ * Put a failed credit note submission back in the queue and try it now.
+ */
+const retryCreditNoteSubmission = async (creditNoteId) => {
+    return requeue(await getCreditNoteSubmission(pool, creditNoteId), 'Credit note');
+};
+
+/**
+ * Stop an invoice that is being voided from being registered.
+ * Refuses once the invoice is registered or has refunds queued against it,
+ * since only a credit note can reverse it then. The row is locked, so a
+ * submission in flight finishes first. Must run in the caller's transaction.
+ */
+const cancelSubmission = async (connection, invoiceId) => {
+    const [submissions] = await connection.query(
+        'SELECT * FROM fiscal_submissions WHERE invoice_id = ? FOR UPDATE',
+        [invoiceId]
+    );
+
+    const submission = submissions.find(row => !row.credit_note_id);
+    if (!submission) return;
+
+    if (submission.status === 'submitted' || submissions.length > 1) {
+        throw httpError(400, 'This invoice has been registered with the tax authority. Issue a credit note for the full amount instead.');
+    }
+
+    await connection.query(`
+        UPDATE fiscal_submissions
+        SET status = 'failed', last_error = 'Invoice voided before registration',
+            next_attempt_at = NULL, updated_at = NOW()
+        WHERE id = ?
+    `, [submission.id]);
+};
+
+module.exports = {
+    isFiscalisationEnabled,
+    queueInvoice,
+    queueCreditNote,
+    cancelSubmission,
+    getSubmission,
+    getCreditNoteSubmission,
+    submitInvoice,
+    submitCreditNote,
+    submitInBackground,
+    submitCreditNoteInBackground,
+    processQueue,
+    retrySubmission,
+    retryCreditNoteSubmission
+};
\ No newline at end of file
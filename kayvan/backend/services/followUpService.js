@@ -0,0 +1,433 @@
+// Sales follow-up of quotations.
+// A quotation can be assigned to a salesperson (an active admin user), who
+// schedules follow-up tasks with due dates and logs calls, emails, site
+// visits, meetings and notes against it. Assigning and marking a quotation
+// lost are logged too. Follow-ups and activities belong to the revision
+// series: they are stored against the revision that was current at the time
+// but listed for every revision of the series, and new revisions keep the
+// assignee. Assignees are emailed once when a follow-up falls due.
+
+const pool = require('../config/database');
+const { sendMail } = require('./mailer');
+const { followUpReminder } = require('./emailTemplates');
+const { httpError } = require('./httpError');
+
+// Activity types staff can log; 'assigned' and 'lost' are recorded by the system
+const ACTIVITY_TYPES = ['call', 'email', 'site_visit', 'meeting', 'note'];
+
+const LOST_REASONS = ['price', 'competitor', 'budget', 'timing', 'scope_changed', 'no_response', 'other'];
+
+// Statuses that already count as lost; other open statuses become 'cancelled'
+const LOST_STATUSES = ['declined', 'expired', 'cancelled'];
+
+const DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2})(?::\d{2})?)?$/;
+
+// Helper function to read an optional text field, trimmed and capped
+const readText = (value, maxLength) => {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    return text ? text.slice(0, maxLength) : null;
+};
+
+/**
+ * Parse a date (YYYY-MM-DD) or date and time (YYYY-MM-DD HH:mm) into a
+ * DATETIME value. A date on its own means the start of that day.
+ */
+const parseDateTime = (value, label) => {
+    const match = DATE_TIME_PATTERN.exec(String(value || '').trim());
+    const date = match ? new Date(`${match[1]}T${match[2] || '00:00'}:00Z`) : null;
+
+    if (!date || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== match[1]) {
+        throw httpError(400, `${label} must be a date (YYYY-MM-DD) or date and time (YYYY-MM-DD HH:mm)`);
+    }
+
+    return `${match[1]} ${match[2] || '00:00'}:00`;
+};
+
+// Helper function to reject quotations that are no longer being sold
+const assertFollowable = (quotation) => {
+    if (quotation.status === 'superseded') {
+        throw httpError(400, 'Follow up the latest revision of this quotation');
+    }
+    if (quotation.status === 'converted' || quotation.converted_to_invoice_id) {
+        throw httpError(400, 'This quotation has already been converted');
+    }
+};
+
+// Helper function to get the reference shared by a quotation's revisions
+const seriesReference = (quotation) => quotation.base_reference || quotation.quotation_id;
+
+/**
+ * An active admin user quotations can be assigned to. Throws a 400 error
+ * when there is none with this id.
+ */
+const findAssignee = async (connection, userId) => {
+    const [users] = await connection.query(`
+        SELECT id, username, name, email FROM admin_users
+        WHERE id = ? AND is_active = true
+    `, [userId]);
+
+    if (users.length === 0) {
+        throw httpError(400, 'Assignee must be an active user');
+    }
+
+    return users[0];
+};
+
+/**
+ * Log an activity against a quotation. Staff log one of ACTIVITY_TYPES
+ * with a summary, optional details and when it happened (default now).
+ */
+const logActivity = async (connection, quotation, activity, userId = null, { system = false } = {}) => {
+    const type = activity.activity_type;
+    if (!system && !ACTIVITY_TYPES.includes(type)) {
+        throw httpError(400, `Activity type must be one of: ${ACTIVITY_TYPES.join(', ')}`);
+    }
+
+    const summary = readText(activity.summary, 500);
+    if (!summary) {
+        throw httpError(400, 'Please summarise the activity');
+    }
+
+    const occurredAt = activity.occurred_at ? parseDateTime(activity.occurred_at, 'occurred_at') : null;
+    if (occurredAt && new Date(occurredAt.replace(' ', 'T')) > new Date()) {
+        throw httpError(400, 'Activities cannot be logged in the future');
+    }
+
+    const [result] = await connection.query(`
+        INSERT INTO quotation_activities (
+            quotation_id, follow_up_id, activity_type, summary, details, occurred_at, user_id
+        ) VALUES (?, ?, ?, ?, ?, COALESCE(?, NOW()), ?)
+    `, [
+        quotation.id, activity.follow_up_id || null, type, summary,
+        readText(activity.details, 5000), occurredAt, userId
+    ]);
+
+    return result.insertId;
+};
+
+/**
+ * Assign a quotation to a salesperson, or unassign it with null. Open
+ * follow-ups of the previous assignee move to the new one. Must be called
+ * on a connection with an open transaction, with the quotation row locked.
+ */
+const assignQuotation = async (connection, quotation, assigneeId, userId = null) => {
+    assertFollowable(quotation);
+
+    const assignee = assigneeId ? await findAssignee(connection, assigneeId) : null;
+    const previousId = quotation.assigned_to || null;
+
+    if ((assignee ? assignee.id : null) === previousId) {
+        return assignee;
+    }
+
+    await connection.query(`
+        UPDATE quotations
+        SET assigned_to = ?, assigned_at = ?
+        WHERE id = ?
+    `, [assignee ? assignee.id : null, assignee ? new Date() : null, quotation.id]);
+
+    await connection.query(`
+        UPDATE quotation_follow_ups f
+        JOIN quotations q ON f.quotation_id = q.id
+        SET f.assigned_to = ?
+        WHERE q.base_reference = ? AND f.status = 'open'
+        AND (f.assigned_to <=> ?)
+    `, [assignee ? assignee.id : null, seriesReference(quotation), previousId]);
+
+    await logActivity(connection, quotation, {
+        activity_type: 'assigned',
+        summary: assignee ? `Assigned to ${assignee.name || assignee.username}` : 'Unassigned'
+    }, userId, { system: true });
+
+    return assignee;
+};
+
+/**
+ * Schedule a follow-up task: a title, a due date and optional notes. It is
+ * assigned to the given user, else the quotation's assignee, else the user
+ * scheduling it.
+ */
+const scheduleFollowUp = async (connection, quotation, details, userId = null) => {
+    assertFollowable(quotation);
+
+    const title = readText(details.title, 255);
+    if (!title) {
+        throw httpError(400, 'Please give the follow-up a title');
+    }
+
+    const dueAt = parseDateTime(details.due_at, 'due_at');
+
+    let assignedTo = quotation.assigned_to || userId;
+    if (details.assigned_to) {
+        assignedTo = (await findAssignee(connection, details.assigned_to)).id;
+    }
+
+    const [result] = await connection.query(`
+        INSERT INTO quotation_follow_ups (
+            quotation_id, title, notes, due_at, assigned_to, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?)
+    `, [quotation.id, title, readText(details.notes, 5000), dueAt, assignedTo || null, userId]);
+
+    return result.insertId;
+};
+
+/**
+ * Change the title, notes, due date or assignee of an open follow-up.
+ * Moving the due date means the assignee is reminded again.
+ */
+const updateFollowUp = async (connection, followUp, changes) => {
+    if (followUp.status !== 'open') {
+        throw httpError(400, `This follow-up is already ${followUp.status}`);
+    }
+
+    const fields = [];
+    const params = [];
+
+    if (changes.title !== undefined) {
+        const title = readText(changes.title, 255);
+        if (!title) {
+            throw httpError(400, 'Please give the follow-up a title');
+        }
+        fields.push('title = ?');
+        params.push(title);
+    }
+
+    if (changes.notes !== undefined) {
+        fields.push('notes = ?');
+        params.push(readText(changes.notes, 5000));
+    }
+
+    if (changes.due_at !== undefined) {
+        fields.push('due_at = ?', 'reminded_at = NULL');
+        params.push(parseDateTime(changes.due_at, 'due_at'));
+    }
+
+    if (changes.assigned_to !== undefined) {
+        fields.push('assigned_to = ?');
+        params.push(changes.assigned_to ? (await findAssignee(connection, changes.assigned_to)).id : null);
+    }
+
+    if (fields.length === 0) {
+        throw httpError(400, 'Nothing to update');
+    }
+
+    params.push(followUp.id);
+    await connection.query(`
+        UPDATE quotation_follow_ups SET ${fields.join(', ')} WHERE id = ?
+    `, params);
+};
+
+/**
+ * Close an open follow-up as 'done' (the default) or 'cancelled', with an
+ * optional outcome. When activity_type is given, the outcome is also logged
+ * as an activity (e.g. the call that completed the follow-up).
+ */
+const completeFollowUp = async (connection, followUp, quotation, details = {}, userId = null) => {
+    const { status = 'done', activity_type: activityType } = details;
+
+    if (!['done', 'cancelled'].includes(status)) {
+        throw httpError(400, 'Status must be done or cancelled');
+    }
+
+    if (followUp.status !== 'open') {
+        throw httpError(400, `This follow-up is already ${followUp.status}`);
+    }
+
+    const outcome = readText(details.outcome, 5000);
+
+    await connection.query(`
+        UPDATE quotation_follow_ups
+        SET status = ?, outcome = ?, completed_at = NOW(), completed_by = ?
+        WHERE id = ?
+    `, [status, outcome, userId, followUp.id]);
+
+    if (activityType && status === 'done') {
+        await logActivity(connection, quotation, {
+            activity_type: activityType,
+            summary: outcome || followUp.title,
+            follow_up_id: followUp.id
+        }, userId);
+    }
+};
+
+/**
+ * Mark a quotation lost with one of LOST_REASONS and optional notes. A
+ * quotation that was declined, expired or cancelled keeps its status; any
+ * other becomes 'cancelled'. Open follow-ups of the series are cancelled.
+ * Must be called on a connection with an open transaction, with the
+ * quotation row locked.
+ */
+const markLost = async (connection, quotation, details, userId = null) => {
+    assertFollowable(quotation);
+
+    const reason = details.reason;
+    if (!LOST_REASONS.includes(reason)) {
+        throw httpError(400, `Reason must be one of: ${LOST_REASONS.join(', ')}`);
+    }
+
+    const notes = readText(details.notes, 5000);
+    const status = LOST_STATUSES.includes(quotation.status) ? quotation.status : 'cancelled';
+
+    await connection.query(`
+        UPDATE quotations
+        SET status = ?, lost_reason = ?, lost_notes = ?, lost_at = NOW(), lost_by = ?
+        WHERE id = ?
+    `, [status, reason, notes, userId, quotation.id]);
+
+    await connection.query(`
+        UPDATE quotation_follow_ups f
+        JOIN quotations q ON f.quotation_id = q.id
+        SET f.status = 'cancelled', f.outcome = 'Quotation lost', f.completed_at = NOW(), f.completed_by = ?
+        WHERE q.base_reference = ? AND f.status = 'open'
+    `, [userId, seriesReference(quotation)]);
+
+    await logActivity(connection, quotation, {
+        activity_type: 'lost',
+        summary: `Marked lost: ${reason.replace(/_/g, ' ')}`,
+        details: notes
+    }, userId, { system: true });
+
+    return { status, lost_reason: reason };
+};
+
+/**
+ * Follow-ups of a quotation's revision series, open ones first by due date.
+ */
+const getFollowUps = async (connection, quotation) => {
+    const [followUps] = await connection.query(`
+        SELECT
+            f.*,
+            q.quotation_id as quotation_reference,
+            u.name as assigned_to_name,
+            f.status = 'open' AND f.due_at <= NOW() as is_due,
+            DATE_FORMAT(f.due_at, '%Y-%m-%d %H:%i') as formatted_due_at
+        FROM quotation_follow_ups f
+        JOIN quotations q ON f.quotation_id = q.id
+        LEFT JOIN admin_users u ON f.assigned_to = u.id
+        WHERE q.base_reference = ?
+        ORDER BY f.status = 'open' DESC, f.due_at ASC, f.id ASC
+    `, [seriesReference(quotation)]);
+
+    return followUps.map(followUp => ({ ...followUp, is_due: !!followUp.is_due }));
+};
+
+/**
+ * Activity log of a quotation's revision series, newest first.
+ */
+const getActivities = async (connection, quotation) => {
+    const [activities] = await connection.query(`
+        SELECT
+            a.*,
+            q.quotation_id as quotation_reference,
+            u.name as user_name,
+            DATE_FORMAT(a.occurred_at, '%Y-%m-%d %H:%i') as formatted_occurred_at
+        FROM quotation_activities a
+        JOIN quotations q ON a.quotation_id = q.id
+        LEFT JOIN admin_users u ON a.user_id = u.id
+        WHERE q.base_reference = ?
+        ORDER BY a.occurred_at DESC, a.id DESC
+    `, [seriesReference(quotation)]);
+
+    return activities;
+};
+
+/**
+ * Open follow-ups across all quotations, soonest first, for a task list.
+ * ?assignedTo narrows to one user (or 'unassigned'); ?due is 'overdue'
+ * (due before today), 'today' or 'upcoming' (due after today).
+ */
+const listFollowUps = async (connection, { assignedTo, due } = {}) => {
+    let query = `
+        SELECT
+            f.*,
+            q.quotation_id as quotation_reference,
+            q.status as quotation_status,
+            q.customer_name, q.customer_company, q.total, q.currency_code,
+            u.name as assigned_to_name,
+            DATE_FORMAT(f.due_at, '%Y-%m-%d %H:%i') as formatted_due_at
+        FROM quotation_follow_ups f
+        JOIN quotations q ON f.quotation_id = q.id
+        LEFT JOIN admin_users u ON f.assigned_to = u.id
+        WHERE f.status = 'open'
+    `;
+    const params = [];
+
+    if (assignedTo === 'unassigned') {
+        query += ` AND f.assigned_to IS NULL`;
+    } else if (assignedTo) {
+        query += ` AND f.assigned_to = ?`;
+        params.push(assignedTo);
+    }
+
+    if (due === 'overdue') {
+        query += ` AND f.due_at < CURDATE()`;
+    } else if (due === 'today') {
+        query += ` AND DATE(f.due_at) = CURDATE()`;
+    } else if (due === 'upcoming') {
+        query += ` AND f.due_at >= CURDATE() + INTERVAL 1 DAY`;
+    } else if (due) {
+        throw httpError(400, 'Due must be overdue, today or upcoming');
+    }
+
+    query += ` ORDER BY f.due_at ASC, f.id ASC`;
+
+    const [followUps] = await connection.query(query, params);
+    return followUps;
+};
+
+/**
+ * Email assignees about open follow-ups that have fallen due since they
+ * were last reminded. Used by the scheduled job.
+ */
+const sendFollowUpReminders = async () => {
+    const [followUps] = await pool.query(`
+        SELECT
+            f.*,
+            q.quotation_id as quotation_reference,
+            q.customer_name, q.customer_company,
+            u.name as assigned_to_name, u.email as assigned_to_email
+        FROM quotation_follow_ups f
+        JOIN quotations q ON f.quotation_id = q.id
+        JOIN admin_users u ON f.assigned_to = u.id
+        WHERE f.status = 'open'
+        AND f.due_at <= NOW()
+        AND f.reminded_at IS NULL
+        AND u.is_active = true
+        AND u.email IS NOT NULL AND u.email <> ''
+        ORDER BY f.due_at ASC
+    `);
+
+    const summary = { checked: followUps.length, sent: [], failed: [] };
+
+    for (const followUp of followUps) {
+        try {
+            await sendMail({ to: followUp.assigned_to_email, ...followUpReminder(followUp) });
+            await pool.query(
+                'UPDATE quotation_follow_ups SET reminded_at = NOW() WHERE id = ?',
+                [followUp.id]
+            );
+            summary.sent.push({ id: followUp.id, quotation_id: followUp.quotation_reference });
+        } catch (error) {
+            summary.failed.push({ id: followUp.id, quotation_id: followUp.quotation_reference, error: error.message });
+        }
+    }
+
+    return summary;
+};
+
+module.exports = {
+    ACTIVITY_TYPES,
+    LOST_REASONS,
+    parseDateTime,
+    findAssignee,
+    logActivity,
+    assignQuotation,
+    scheduleFollowUp,
+    updateFollowUp,
+    completeFollowUp,
+    markLost,
+    getFollowUps,
+    getActivities,
+    listFollowUps,
+    sendFollowUpReminders
+};
\ No newline at end of file
@@ -0,0 +1,12 @@
+// Errors that carry the HTTP status a controller should answer with.
+// Controllers reply with error.statusCode and the error's message when it is
+// set, and fall back to a generic 500 otherwise.
+
+/**
+ * Build an Error carrying an HTTP status.
+ */
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+module.exports = {
+    httpError
+};
\ No newline at end of file
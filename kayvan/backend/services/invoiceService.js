@@ -0,0 +1,335 @@
+// Shared invoice persistence used by the invoice controller and by every
+// flow that produces invoices from other documents (quotations, etc.).
+// All functions take an open connection so callers own the transaction.
+
+const { getNextNumber } = require('./numberingService');
+const { getDeliveries } = require('./documentDeliveryService');
+const { snapshotRate } = require('./currencyService');
+const { calculateDocumentTaxes } = require('./taxService');
+const { recordStatusChange, getStatusHistory } = require('./invoiceStateService');
+const { resolveDocumentCustomer } = require('./customerService');
+const {
+    fillCataloguePrices,
+    findMismatches,
+    checkMismatches
+} = require('./pricingService');
+const { httpError } = require('./httpError');
+
+// Helper function to calculate due date (default: 30 days)
+const calculateDueDate = (issueDate, terms = 30) => {
+    const date = new Date(issueDate);
+    date.setDate(date.getDate() + Number(terms));
+    return date;
+};
+
+/**
+ * Work out invoice and line totals through the tax engine without saving.
+ */
+const calculateInvoiceTotals = (connection, data) => calculateDocumentTaxes(connection, data, {
+    customerEmail: data.customer_email,
+    date: data.issue_date || new Date()
+});
+
+/**
+ * Insert the calculated lines of an invoice.
+ */
+const insertInvoiceItems = async (connection, invoiceId, lines) => {
+    for (let i = 0; i < lines.length; i++) {
+        const item = lines[i];
+
+        await connection.query(`
+            INSERT INTO invoice_items (
+                invoice_id, product_id, quotation_item_id,
+                item_type, item_name, description,
+                quantity, unit, unit_price,
+                discount_percent, discount_amount,
+                tax_code, tax_rate, tax_amount, total,
+                sort_order
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            invoiceId,
+            item.product_id || null,
+            item.quotation_item_id || null,
+            item.item_type || 'product',
+            item.item_name,
+            item.description || null,
+            item.quantity,
+            item.unit || 'unit',
+            item.unit_price,
+            item.discount_percent || 0,
+            item.discount_amount || 0,
+            item.tax_code,
+            item.tax_rate,
+            item.tax_amount,
+            item.total,
+            i
+        ]);
+    }
+};
+
+/**
+ * Insert an invoice and its items.
+ * Accepts the same fields as the POST /api/invoices body and returns the new id.
+ * Customer fields not given are filled from customer_id.
+ */
+const createInvoiceRecord = async (connection, input, userId = null) => {
+    const data = await resolveDocumentCustomer(connection, input, userId);
+
+    const {
+        // From quotation conversion
+        quotation_id,
+        quotation_reference,
+
+        // Customer info
+        customer_id,
+        customer_name,
+        customer_email,
+        customer_phone,
+        customer_company,
+        customer_address,
+        customer_tax_id,
+
+        // Invoice details
+        issue_date = new Date(),
+        due_date,
+        payment_terms = 30,
+
+        // Financial
+        currency_code,
+        exchange_rate,
+        discount_type,
+        discount_value = 0,
+
+        // Notes
+        notes,
+        terms_conditions,
+
+        // Status
+        status = 'draft'
+    } = data;
+
+    // New invoices are either drafts or issued straight away
+    if (!['draft', 'issued'].includes(status)) {
+        throw httpError(400, 'New invoices must be draft or issued');
+    }
+
+    // Take the next number in the invoice series
+    const invoiceNumber = await getNextNumber(connection, 'invoice');
+
+    // Calculate dates
+    const issueDate = new Date(issue_date);
+    const dueDate = due_date || calculateDueDate(issueDate, payment_terms);
+
+    // Snapshot the exchange rate on the issue date
+    const currency = await snapshotRate(connection, currency_code, issueDate, exchange_rate);
+
+    const items = await fillCataloguePrices(connection, data.items || [], {
+        currency: currency.currency_code,
+        exchangeRate: currency.exchange_rate
+    });
+
+    const totals = await calculateInvoiceTotals(connection, {
+        ...data,
+        items,
+        issue_date: issueDate,
+        currency_code: currency.currency_code
+    });
+
+    // Totals sent with the request are only checked, never stored as the totals
+    const mismatches = findMismatches([], {
+        subtotal: data.subtotal,
+        tax_amount: data.tax_amount,
+        total: data.total
+    }, totals, currency.currency_code);
+    const priceReview = checkMismatches(mismatches, 'Submitted totals do not match the calculated totals');
+
+    // Flagged invoices are reviewed as drafts; issuing one would register
+    // totals nobody has checked with the tax authority
+    if (priceReview && status === 'issued') {
+        throw Object.assign(
+            httpError(400, 'Submitted totals do not match the calculated totals. Save the invoice as a draft and review its prices before issuing it.'),
+            { mismatches }
+        );
+    }
+
+    // Calculate balance due
+    const balanceDue = totals.total;
+
+    // Insert invoice
+    const [result] = await connection.query(`
+        INSERT INTO invoices (
+            invoice_number, quotation_id, quotation_reference,
+            status, issued_at, payment_status, customer_id,
+            customer_name, customer_email, customer_phone,
+            customer_company, customer_address, customer_tax_id,
+            issue_date, due_date,
+            currency_code, exchange_rate, exchange_rate_date,
+            subtotal, tax_rate, tax_amount,
+            discount_type, discount_value, discount_amount,
+            shipping_amount, total, amount_paid, balance_due,
+            prices_include_tax, withholding_vat, withholding_vat_amount,
+            tax_exemption_id, tax_summary,
+            submitted_total, price_review_required, pricing_mismatches,
+            notes, terms_conditions, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        invoiceNumber, quotation_id || null, quotation_reference || null,
+        status, status === 'issued' ? new Date() : null, 'unpaid', customer_id || null,
+        customer_name, customer_email, customer_phone || null,
+        customer_company || null, customer_address || null, customer_tax_id || null,
+        issueDate, dueDate,
+        currency.currency_code, currency.exchange_rate, currency.exchange_rate_date,
+        totals.subtotal, totals.tax_rate, totals.tax_amount,
+        discount_type || null, discount_value || 0, totals.discount_amount,
+        totals.shipping_amount, totals.total, 0, balanceDue,
+        totals.prices_include_tax, totals.withholding_vat, totals.withholding_vat_amount,
+        totals.tax_exemption ? totals.tax_exemption.id : null, JSON.stringify(totals.tax_summary),
+        data.total ?? null, priceReview, mismatches.length > 0 ? JSON.stringify(mismatches) : null,
+        notes || null, terms_conditions || null, userId
+    ]);
+
+    const invoiceId = result.insertId;
+
+    // Insert invoice items
+    await insertInvoiceItems(connection, invoiceId, totals.items);
+
+    await recordStatusChange(connection, invoiceId, null, status, { userId });
+
+    // If this invoice is created from a quotation, update the quotation status
+    if (quotation_id) {
+        await connection.query(`
+            UPDATE quotations
+            SET status = 'converted',
+                converted_at = NOW(),
+                converted_to_invoice_id = ?
+            WHERE id = ?
+        `, [invoiceId, quotation_id]);
+    }
+
+    return invoiceId;
+};
+
+// Helper function to parse the stored tax summary
+const parseTaxSummary = (summary) => {
+    if (!summary) return null;
+    return typeof summary === 'string' ? JSON.parse(summary) : summary;
+};
+
+// Helper function to build a tax summary from stored lines
+const summariseItems = (items) => {
+    const summary = new Map();
+    items.forEach(item => {
+        const key = item.tax_code || `rate:${Number(item.tax_rate)}`;
+        const row = summary.get(key) || {
+            tax_code: item.tax_code || null,
+            rate: Number(item.tax_rate),
+            taxable_amount: 0,
+            tax_amount: 0
+        };
+        row.taxable_amount += Number(item.total) - Number(item.tax_amount);
+        row.tax_amount += Number(item.tax_amount);
+        summary.set(key, row);
+    });
+    return [...summary.values()];
+};
+
+/**
+ * Load an invoice with its items, payment history and credit notes.
+ * Returns null when the invoice does not exist.
+ */
+const getInvoiceDetails = async (connection, invoiceId) => {
+    const [invoices] = await connection.query(`
+        SELECT
+            i.*,
+            DATEDIFF(i.due_date, CURDATE()) as days_until_due,
+            DATE_FORMAT(i.issue_date, '%Y-%m-%d') as formatted_issue_date,
+            DATE_FORMAT(i.due_date, '%Y-%m-%d') as formatted_due_date,
+            DATE_FORMAT(i.paid_date, '%Y-%m-%d') as formatted_paid_date,
+            DATE_FORMAT(i.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+        FROM invoices i
+        WHERE i.id = ?
+    `, [invoiceId]);
+
+    if (invoices.length === 0) {
+        return null;
+    }
+
+    const invoice = invoices[0];
+    invoice.tax_summary = parseTaxSummary(invoice.tax_summary);
+
+    // Get items
+    const [items] = await connection.query(`
+        SELECT * FROM invoice_items
+        WHERE invoice_id = ?
+        ORDER BY sort_order ASC, id ASC
+    `, [invoiceId]);
+    invoice.items = items;
+
+    // Invoices created before the tax engine have no stored summary
+    if (!invoice.tax_summary) {
+        invoice.tax_summary = summariseItems(items);
+    }
+
+    // Exemption certificate the invoice was issued under
+    invoice.tax_exemption = null;
+    if (invoice.tax_exemption_id) {
+        const [exemptions] = await connection.query(
+            'SELECT id, certificate_number, valid_from, valid_until FROM tax_exemptions WHERE id = ?',
+            [invoice.tax_exemption_id]
+        );
+        invoice.tax_exemption = exemptions[0] || null;
+    }
+
+    // Get payment history
+    const [payments] = await connection.query(`
+        SELECT * FROM invoice_payments
+        WHERE invoice_id = ?
+        ORDER BY payment_date DESC
+    `, [invoiceId]);
+    invoice.payments = payments;
+    invoice.withholding_vat_received = payments
+        .filter(payment => payment.payment_method === 'withholding_vat')
+        .reduce((sum, payment) => sum + Number(payment.amount), 0);
+
+    // Get credit notes issued against it
+    const [creditNotes] = await connection.query(`
+        SELECT * FROM credit_notes
+        WHERE invoice_id = ?
+        ORDER BY issue_date ASC, id ASC
+    `, [invoiceId]);
+    invoice.credit_notes = creditNotes;
+
+    // Get payment reminders sent (or attempted)
+    const [reminders] = await connection.query(`
+        SELECT
+            r.*,
+            DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+        FROM invoice_reminders r
+        WHERE r.invoice_id = ?
+        ORDER BY r.created_at DESC, r.id DESC
+    `, [invoiceId]);
+    invoice.reminders = reminders;
+
+    // Get emails of the invoice itself
+    invoice.deliveries = await getDeliveries(connection, 'invoice', invoiceId);
+
+    // Get registration with the tax authority
+    const [fiscal] = await connection.query(
+        'SELECT * FROM fiscal_submissions WHERE invoice_id = ? AND credit_note_id IS NULL',
+        [invoiceId]
+    );
+    invoice.fiscal = fiscal[0] || null;
+
+    // Get status changes (issue, payments, void)
+    invoice.status_history = await getStatusHistory(connection, invoiceId);
+
+    return invoice;
+};
+
+module.exports = {
+    calculateDueDate,
+    calculateInvoiceTotals,
+    insertInvoiceItems,
+    createInvoiceRecord,
+    getInvoiceDetails
+};
\ No newline at end of file
@@ -0,0 +1,138 @@
+// Invoice lifecycle. Every status change goes through transitionInvoice so
+// the allowed moves are enforced in one place and recorded in
+// invoice_status_history:
+//
+//   draft -> issued -> partially_paid -> paid
+//              |  \          |
+//              |   overdue <-+        (set by the overdue job; kept through
+//              |     |                 part payments, cleared once paid in
+//              |     |                 full or by a later due date)
+//              +-----+-> void         (keeps its number; reason required;
+//                                      paid amounts must be credited first)
+//
+// Once issued, an invoice's lines, totals, customer and dates are fixed.
+// Corrections are made with a credit note, or by voiding the invoice and
+// issuing a revision (a new draft copied from it).
+
+const { httpError } = require('./httpError');
+
+const STATUSES = ['draft', 'issued', 'partially_paid', 'overdue', 'paid', 'void'];
+
+const TRANSITIONS = {
+    draft: ['issued', 'void'],
+    issued: ['partially_paid', 'paid', 'overdue', 'void'],
+    partially_paid: ['paid', 'overdue', 'void'],
+    overdue: ['issued', 'partially_paid', 'paid', 'void'],
+    paid: [],
+    void: []
+};
+
+// Statuses an invoice can be paid, reminded or credited in
+const OPEN_STATUSES = ['issued', 'partially_paid', 'overdue'];
+
+// Fields that may still be changed after an invoice has been issued
+const EDITABLE_AFTER_ISSUE = ['due_date', 'admin_notes', 'reminders_enabled'];
+
+// Helper function to describe a status in messages
+const describe = (status) => String(status).replace('_', ' ');
+
+/**
+ * Whether an invoice may move from one status to another.
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Throw a 400 error unless the move is allowed.
+ */
+const assertTransition = (from, to) => {
+    if (!STATUSES.includes(to)) {
+        throw httpError(400, `Invalid invoice status '${to}'`);
+    }
+    if (!canTransition(from, to)) {
+        throw httpError(400, `Cannot change a ${describe(from)} invoice to ${describe(to)}`);
+    }
+};
+
+/**
+ * Status an open invoice should have after its balances changed.
+ * Overdue invoices stay overdue until they are settled.
+ */
+const statusForBalance = (invoice, amountPaid, balanceDue) => {
+    if (balanceDue <= 0) return 'paid';
+    if (invoice.status === 'overdue') return 'overdue';
+    return amountPaid > 0 ? 'partially_paid' : 'issued';
+};
+
+/**
+ * Add a row to an invoice's status history (from is null on creation).
+ */
+const recordStatusChange = (connection, invoiceId, from, to, { reason = null, userId = null } = {}) => connection.query(`
+    INSERT INTO invoice_status_history (invoice_id, from_status, to_status, reason, changed_by)
+    VALUES (?, ?, ?, ?, ?)
+`, [invoiceId, from, to, reason, userId]);
+
+/**
+ * Move an invoice to a new status and record the change.
+ * `fields` are extra columns written in the same update (e.g. paid_date).
+ * Must be called on a connection with an open transaction.
+ */
+const transitionInvoice = async (connection, invoice, to, { reason = null, userId = null, fields = {} } = {}) => {
+    assertTransition(invoice.status, to);
+
+    const updates = { ...fields, status: to };
+
+    if (to === 'issued' && invoice.status === 'draft') {
+        updates.issued_at = new Date();
+    }
+
+    if (to === 'void') {
+        if (!reason || !String(reason).trim()) {
+            throw httpError(400, 'A reason is required to void an invoice');
+        }
+        updates.void_reason = String(reason).trim();
+        updates.voided_at = new Date();
+        updates.voided_by = userId;
+    }
+
+    const columns = Object.keys(updates);
+
+    await connection.query(
+        `UPDATE invoices SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+        [...columns.map(column => updates[column]), invoice.id]
+    );
+
+    await recordStatusChange(connection, invoice.id, invoice.status, to, { reason, userId });
+
+    return to;
+};
+
+/**
+ * Status changes of an invoice, oldest first.
+ */
+const getStatusHistory = async (connection, invoiceId) => {
+    const [history] = await connection.query(`
+        SELECT
+            h.*,
+            u.name as changed_by_name,
+            DATE_FORMAT(h.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+        FROM invoice_status_history h
+        LEFT JOIN admin_users u ON h.changed_by = u.id
+        WHERE h.invoice_id = ?
+        ORDER BY h.created_at ASC, h.id ASC
+    `, [invoiceId]);
+
+    return history;
+};
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    OPEN_STATUSES,
+    EDITABLE_AFTER_ISSUE,
+    canTransition,
+    assertTransition,
+    statusForBalance,
+    recordStatusChange,
+    transitionInvoice,
+    getStatusHistory
+};
\ No newline at end of file
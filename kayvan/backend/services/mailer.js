@@ -0,0 +1,71 @@
+// Outbound email over SMTP (nodemailer).
+// Configure with SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+// and MAIL_FROM. For local testing point SMTP_HOST/SMTP_PORT at an SMTP sink
+// such as MailHog or smtp4dev (e.g. localhost:1025).
+
+const nodemailer = require('nodemailer');
+const company = require('../config/company');
+
+let transporter = null;
+
+// Helper function to build the transporter from the environment once
+const getTransporter = () => {
+    if (transporter) return transporter;
+
+    if (!process.env.SMTP_HOST) {
+        throw new Error('Email is not configured (SMTP_HOST is not set)');
+    }
+
+    const port = Number(process.env.SMTP_PORT) || 587;
+
+    transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return transporter;
+};
+
+// Helper function to get the sender address
+const getFromAddress = () => {
+    if (process.env.MAIL_FROM) return process.env.MAIL_FROM;
+    return company.email ? `"${company.name}" <${company.email}>` : undefined;
+};
+
+/**
+ * Send an email. Resolves with the message id and the accepted/rejected
+ * recipients reported by the SMTP server.
+ */
+const sendMail = async ({ to, cc, bcc, replyTo, subject, text, html, attachments }) => {
+    const info = await getTransporter().sendMail({
+        from: getFromAddress(),
+        to,
+        cc,
+        bcc,
+        replyTo: replyTo || process.env.MAIL_REPLY_TO || company.email || undefined,
+        subject,
+        text,
+        html,
+        attachments
+    });
+
+    return {
+        messageId: info.messageId,
+        accepted: info.accepted || [],
+        rejected: info.rejected || []
+    };
+};
+
+/**
+ * Check the SMTP connection and credentials.
+ */
+const verifyMailer = () => getTransporter().verify();
+
+module.exports = {
+    sendMail,
+    verifyMailer
+};
\ No newline at end of file
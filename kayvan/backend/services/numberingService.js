@@ -0,0 +1,182 @@
+// Sequential document numbering backed by the document_sequences table.
+// Each series (invoice, credit_note, quotation, fiscal) has its own counter row.
+// Numbers are taken inside the caller's transaction with the counter row
+// locked, so a rolled back document gives its number back and the series
+// stays gap-free.
+
+const { httpError } = require('./httpError');
+
+const SERIES = {
+    invoice: { table: 'invoices', column: 'invoice_number' },
+    credit_note: { table: 'credit_notes', column: 'credit_note_number' },
+    quotation: { table: 'quotations', column: 'quotation_id' },
+    // Receipt numbers sent to the fiscal provider, which must be plain
+    // integers that never restart
+    fiscal: { table: 'fiscal_submissions', column: 'fiscal_number', numeric: true }
+};
+
+const RESET_PERIODS = ['never', 'yearly'];
+
+const TOKEN_PATTERN = /\{(YYYY|YY|MM|seq(?::(\d+))?)\}/g;
+
+// Helper function to check a pattern has exactly one sequence token
+const isValidPattern = (pattern) => {
+    if (typeof pattern !== 'string' || pattern.length > 100) return false;
+    const seqTokens = pattern.match(/\{seq(?::\d+)?\}/g) || [];
+    return seqTokens.length === 1;
+};
+
+// Helper function to check a pattern includes the year, so a counter that
+// restarts every year cannot repeat last year's numbers
+const hasYearToken = (pattern) => /\{(YYYY|YY)\}/.test(pattern);
+
+// Helper function to get the counter period a date falls into
+const getPeriod = (resetPeriod, date = new Date()) => {
+    return resetPeriod === 'yearly' ? String(date.getFullYear()) : 'all';
+};
+
+/**
+ * Render a pattern such as INV-{YYYY}-{seq:5} for a sequence value.
+ */
+const formatNumber = (pattern, seq, date = new Date()) => {
+    const year = String(date.getFullYear());
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+
+    return pattern.replace(TOKEN_PATTERN, (token, name, width) => {
+        if (name === 'YYYY') return year;
+        if (name === 'YY') return year.slice(-2);
+        if (name === 'MM') return month;
+        return String(seq).padStart(Number(width) || 0, '0');
+    });
+};
+
+// Helper function to load a counter row, optionally locking it
+const getSequence = async (connection, series, lock = false) => {
+    const [rows] = await connection.query(
+        `SELECT * FROM document_sequences WHERE series = ?${lock ? ' FOR UPDATE' : ''}`,
+        [series]
+    );
+
+    if (rows.length === 0) {
+        throw new Error(`Numbering series '${series}' is not configured`);
+    }
+
+    return rows[0];
+};
+
+// Helper function to work out which value the counter will hand out next
+const resolveNextValue = (sequence, date = new Date()) => {
+    const period = getPeriod(sequence.reset_period, date);
+    const seq = sequence.current_period === period ? Number(sequence.next_number) : 1;
+    return { seq, period };
+};
+
+/**
+ * Take the next number in a series.
+ * Must be called on a connection with an open transaction.
+ */
+const getNextNumber = async (connection, series, date = new Date()) => {
+    const sequence = await getSequence(connection, series, true);
+    const { seq, period } = resolveNextValue(sequence, date);
+
+    await connection.query(`
+        UPDATE document_sequences
+        SET next_number = ?, current_period = ?, updated_at = NOW()
+        WHERE id = ?
+    `, [seq + 1, period, sequence.id]);
+
+    return formatNumber(sequence.pattern, seq, date);
+};
+
+/**
+ * Describe a series without consuming a number.
+ */
+const describeSequence = (sequence, date = new Date()) => {
+    const { seq } = resolveNextValue(sequence, date);
+
+    return {
+        series: sequence.series,
+        pattern: sequence.pattern,
+        reset_period: sequence.reset_period,
+        current_period: sequence.current_period,
+        next_number: seq,
+        next_formatted: formatNumber(sequence.pattern, seq, date),
+        updated_at: sequence.updated_at
+    };
+};
+
+/**
+ * Change the pattern, reset period or next value of a series.
+ * Refuses values that would hand out a number already in use.
+ */
+const updateSequence = async (connection, series, { pattern, reset_period, next_number }, userId = null) => {
+    const sequence = await getSequence(connection, series, true);
+    const now = new Date();
+
+    const newPattern = pattern !== undefined ? pattern : sequence.pattern;
+    const newResetPeriod = reset_period !== undefined ? reset_period : sequence.reset_period;
+
+    if (!isValidPattern(newPattern)) {
+        throw httpError(400, 'Pattern must contain exactly one {seq} or {seq:N} token');
+    }
+
+    if (!RESET_PERIODS.includes(newResetPeriod)) {
+        throw httpError(400, `Reset period must be one of: ${RESET_PERIODS.join(', ')}`);
+    }
+
+    if (newResetPeriod === 'yearly' && !hasYearToken(newPattern)) {
+        throw httpError(400, 'A pattern that resets yearly must contain a {YYYY} or {YY} token');
+    }
+
+    const target = SERIES[series];
+    if (target?.numeric && (newPattern !== '{seq}' || newResetPeriod !== 'never')) {
+        throw httpError(400, `The ${series} series must use the pattern {seq} and never reset`);
+    }
+
+    const period = getPeriod(newResetPeriod, now);
+    let newNext = resolveNextValue({ ...sequence, reset_period: newResetPeriod }, now).seq;
+
+    if (next_number !== undefined) {
+        newNext = parseInt(next_number, 10);
+        if (!Number.isInteger(newNext) || newNext < 1) {
+            throw httpError(400, 'Next number must be a positive integer');
+        }
+    }
+
+    if (target) {
+        const candidate = formatNumber(newPattern, newNext, now);
+        const [existing] = await connection.query(
+            `SELECT 1 FROM ${target.table} WHERE ${target.column} = ? LIMIT 1`,
+            [candidate]
+        );
+        if (existing.length > 0) {
+            throw httpError(409, `Number ${candidate} has already been issued`);
+        }
+    }
+
+    await connection.query(`
+        UPDATE document_sequences
+        SET pattern = ?, reset_period = ?, next_number = ?, current_period = ?,
+            updated_at = NOW(), updated_by = ?
+        WHERE id = ?
+    `, [newPattern, newResetPeriod, newNext, period, userId, sequence.id]);
+
+    return describeSequence({
+        ...sequence,
+        pattern: newPattern,
+        reset_period: newResetPeriod,
+        next_number: newNext,
+        current_period: period
+    }, now);
+};
+
+module.exports = {
+    SERIES,
+    RESET_PERIODS,
+    isValidPattern,
+    formatNumber,
+    getSequence,
+    getNextNumber,
+    describeSequence,
+    updateSequence
+};
\ No newline at end of file
@@ -0,0 +1,289 @@
+// Payments requested through a provider (e.g. an M-Pesa STK push).
+// A payment_requests row is created when the prompt is sent and settled
+// when the provider's callback arrives. The callback is matched to the row
+// by the provider's request id and its outcome confirmed with the provider
+// before anything is recorded, since anyone can post to the callback URL.
+// Nothing else is taken from the callback body: the payment reference is
+// the receipt the provider confirmed, or its request id when it does not
+// return one. Requests whose callback never arrives are checked with the
+// provider by the 'payment-requests' job, and given up on after a day.
+// Confirmed payments are applied with applyPayment, exactly like a manually
+// recorded payment, for the amount the customer was asked for. Rows are
+// locked and only settled once, so providers retrying a callback cannot
+// record the same payment twice.
+
+const pool = require('../config/database');
+const { getProvider } = require('./payments');
+const { getWithholdingRemaining, applyPayment } = require('./paymentService');
+const { httpError } = require('./httpError');
+const { roundMoney } = require('./taxService');
+
+// Daraja result code for a prompt the customer dismissed
+const CANCELLED_RESULT_CODES = ['1032'];
+
+// Pending requests older than this are checked with the provider, and
+// those still without a result after the expiry are marked failed
+const STALE_AFTER_MS = Number(process.env.PAYMENT_REQUEST_STALE_MS) || 2 * 60 * 1000;
+const EXPIRE_AFTER_MS = Number(process.env.PAYMENT_REQUEST_EXPIRY_MS) || 24 * 60 * 60 * 1000;
+
+/**
+ * Ask the customer to pay (part of) an invoice's balance through a provider.
+ * Defaults to the full balance due, less any VAT the customer withholds.
+ */
+const requestPayment = async (invoiceId, { provider: providerName = 'mpesa', phone, amount }, userId = null) => {
+    const provider = getProvider(providerName);
+
+    const [invoices] = await pool.query(
+        'SELECT * FROM invoices WHERE id = ?',
+        [invoiceId]
+    );
+
+    if (invoices.length === 0) {
+        throw httpError(404, 'Invoice not found');
+    }
+
+    const invoice = invoices[0];
+    const balanceDue = roundMoney(invoice.balance_due, invoice.currency_code);
+
+    if (['draft', 'void'].includes(invoice.status) || balanceDue <= 0) {
+        throw httpError(400, `Cannot request payment for a ${balanceDue <= 0 ? 'settled' : invoice.status} invoice`);
+    }
+
+    if (!provider.currencies.includes(invoice.currency_code)) {
+        throw httpError(400, `${provider.label} can only collect ${provider.currencies.join(', ')} payments`);
+    }
+
+    const withholding = await getWithholdingRemaining(pool, invoice);
+    const requestAmount = amount !== undefined && amount !== null
+        ? roundMoney(amount, invoice.currency_code)
+        : roundMoney(balanceDue - withholding, invoice.currency_code);
+
+    if (!(requestAmount > 0)) {
+        throw httpError(400, 'Payment amount must be greater than 0');
+    }
+
+    if (requestAmount > balanceDue) {
+        throw httpError(400, 'Payment amount exceeds balance due');
+    }
+
+    const normalisedPhone = provider.normalisePhone(phone || invoice.customer_phone);
+    if (!normalisedPhone) {
+        throw httpError(400, 'A valid mobile number is required');
+    }
+
+    const result = await provider.initiatePayment({
+        phone: normalisedPhone,
+        amount: requestAmount,
+        reference: invoice.invoice_number,
+        description: `Invoice ${invoice.invoice_number}`
+    });
+
+    const [insert] = await pool.query(`
+        INSERT INTO payment_requests (
+            invoice_id, provider, phone, amount, account_reference,
+            merchant_request_id, checkout_request_id, status, requested_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+    `, [
+        invoice.id, provider.name, normalisedPhone, requestAmount, invoice.invoice_number,
+        result.merchantRequestId || null, result.checkoutRequestId, userId
+    ]);
+
+    const [requests] = await pool.query(
+        'SELECT * FROM payment_requests WHERE id = ?',
+        [insert.insertId]
+    );
+
+    return { ...requests[0], customer_message: result.message };
+};
+
+// Helper function to settle a pending request with the outcome the
+// provider confirmed. reportedAmount is what the callback claimed, if any;
+// payload is the callback body kept for reference.
+const settleRequest = async (provider, requestId, confirmed, { reportedAmount = null, payload = null } = {}) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [requests] = await connection.query(`
+            SELECT * FROM payment_requests
+            WHERE provider = ? AND checkout_request_id = ?
+            FOR UPDATE
+        `, [provider.name, requestId]);
+
+        if (requests.length === 0) {
+            await connection.rollback();
+            return { outcome: 'unknown', request_id: requestId };
+        }
+
+        const paymentRequest = requests[0];
+
+        if (paymentRequest.status !== 'pending') {
+            await connection.rollback();
+            return { outcome: 'duplicate', payment_request_id: paymentRequest.id };
+        }
+
+        let status;
+        let paymentId = null;
+        let paidAmount = null;
+        let unappliedAmount = 0;
+        let resultDescription = confirmed.resultDescription;
+
+        // Only a receipt the provider itself returned is recorded
+        const receipt = confirmed.success ? confirmed.receipt || null : null;
+        const reference = receipt || paymentRequest.checkout_request_id;
+
+        const chargedAmount = provider.chargeAmount(paymentRequest.amount);
+        const reportedAmounts = [reportedAmount, confirmed.amount].filter(amount => amount !== null && amount !== undefined);
+
+        if (confirmed.success && reportedAmounts.some(amount => roundMoney(amount) !== roundMoney(chargedAmount))) {
+            throw httpError(400, `Callback amount does not match the ${chargedAmount} requested`);
+        }
+
+        if (!confirmed.success) {
+            status = CANCELLED_RESULT_CODES.includes(confirmed.resultCode) ? 'cancelled' : 'failed';
+        } else {
+            paidAmount = roundMoney(chargedAmount);
+
+            const [invoices] = await connection.query(
+                'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+                [paymentRequest.invoice_id]
+            );
+            // Cash still owed once the customer's withholding VAT is deducted
+            const balanceDue = invoices.length > 0
+                ? roundMoney(invoices[0].balance_due - await getWithholdingRemaining(connection, invoices[0]), invoices[0].currency_code)
+                : 0;
+
+            if (balanceDue <= 0) {
+                // Money was received but the invoice no longer owes anything
+                status = 'unmatched';
+                unappliedAmount = paidAmount;
+                resultDescription = 'Invoice had no balance due when the payment arrived';
+            } else {
+                // Never apply more than is owed (e.g. rounding up to whole shillings)
+                const appliedAmount = Math.min(paidAmount, balanceDue);
+                unappliedAmount = roundMoney(paidAmount - appliedAmount, invoices[0].currency_code);
+
+                const payment = await applyPayment(connection, paymentRequest.invoice_id, {
+                    amount: appliedAmount,
+                    payment_method: provider.paymentMethod,
+                    reference_number: reference,
+                    notes: `${provider.label} payment from ${paymentRequest.phone}` +
+                        (unappliedAmount > 0 ? ` (${unappliedAmount} not applied)` : '')
+                }, paymentRequest.requested_by);
+
+                paymentId = payment.id;
+                status = 'completed';
+
+                await connection.query(`
+                    INSERT INTO invoice_notifications (invoice_id, notification_type, message, is_read)
+                    VALUES (?, 'payment_received', ?, false)
+                `, [paymentRequest.invoice_id, `${appliedAmount} received for ${paymentRequest.account_reference} (${reference})`]);
+            }
+        }
+
+        await connection.query(`
+            UPDATE payment_requests
+            SET status = ?, result_code = ?, result_description = ?,
+                receipt_number = ?, paid_amount = ?, unapplied_amount = ?,
+                payment_id = ?, callback_payload = COALESCE(?, callback_payload), completed_at = NOW()
+            WHERE id = ?
+        `, [
+            status, confirmed.resultCode, resultDescription,
+            receipt, paidAmount, unappliedAmount,
+            paymentId, payload ? JSON.stringify(payload) : null, paymentRequest.id
+        ]);
+
+        await connection.commit();
+
+        return { outcome: status, payment_request_id: paymentRequest.id, payment_id: paymentId };
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Settle a payment request from a provider callback. The result code,
+ * amount and receipt in the body are not trusted: the outcome is confirmed
+ * with the provider and a payment is only recorded for the amount requested.
+ * Returns what happened: 'completed', 'failed', 'cancelled', 'unmatched',
+ * 'duplicate' (already settled) or 'unknown' (no such request).
+ */
+const handleCallback = async (providerName, body) => {
+    const provider = getProvider(providerName);
+    const callback = provider.parseCallback(body);
+
+    if (!callback) {
+        throw httpError(400, 'Unrecognised callback');
+    }
+
+    const [known] = await pool.query(`
+        SELECT id, status FROM payment_requests
+        WHERE provider = ? AND checkout_request_id = ?
+    `, [provider.name, callback.requestId]);
+
+    if (known.length === 0) {
+        return { outcome: 'unknown', request_id: callback.requestId };
+    }
+
+    if (known[0].status !== 'pending') {
+        return { outcome: 'duplicate', payment_request_id: known[0].id };
+    }
+
+    // Ask the provider before locking anything; the callback body may be forged
+    const confirmed = await provider.confirmPayment(callback.requestId);
+
+    return settleRequest(provider, callback.requestId, confirmed, {
+        reportedAmount: callback.amount,
+        payload: body
+    });
+};
+
+/**
+ * Check pending requests whose callback has not arrived with the provider
+ * (the scheduled job). Requests the provider has an answer for are settled;
+ * those still unanswered after a day are marked failed.
+ */
+const checkPendingRequests = async (limit = 50) => {
+    const [requests] = await pool.query(`
+        SELECT id, provider, checkout_request_id, created_at FROM payment_requests
+        WHERE status = 'pending' AND created_at <= ?
+        ORDER BY created_at ASC, id ASC
+        LIMIT ?
+    `, [new Date(Date.now() - STALE_AFTER_MS), limit]);
+
+    const summary = { checked: requests.length, settled: [], pending: [], expired: [] };
+
+    for (const paymentRequest of requests) {
+        try {
+            const provider = getProvider(paymentRequest.provider);
+            const confirmed = await provider.confirmPayment(paymentRequest.checkout_request_id);
+            const result = await settleRequest(provider, paymentRequest.checkout_request_id, confirmed);
+            summary.settled.push({ payment_request_id: paymentRequest.id, outcome: result.outcome });
+        } catch (error) {
+            // Still being processed, or the provider could not be reached
+            if (new Date(paymentRequest.created_at).getTime() > Date.now() - EXPIRE_AFTER_MS) {
+                summary.pending.push({ payment_request_id: paymentRequest.id, error: error.message });
+                continue;
+            }
+
+            await pool.query(`
+                UPDATE payment_requests
+                SET status = 'failed', result_description = ?, completed_at = NOW()
+                WHERE id = ? AND status = 'pending'
+            `, [`No result from the provider: ${error.message}`.slice(0, 255), paymentRequest.id]);
+            summary.expired.push(paymentRequest.id);
+        }
+    }
+
+    return summary;
+};
+
+module.exports = {
+    requestPayment,
+    handleCallback,
+    checkPendingRequests
+};
\ No newline at end of file
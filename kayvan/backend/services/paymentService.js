@@ -0,0 +1,181 @@
+// Applies payments to invoices. Used by POST /api/invoices/:id/payments and
+// by payment provider callbacks (M-Pesa), so a payment updates balances the
+// same way whichever way it arrives.
+//
+// Invoices to withholding VAT agents are settled partly in cash and partly
+// by the customer's withholding certificate. The withheld share is recorded
+// as its own payment (method 'withholding_vat') so it can be reconciled
+// against the certificates.
+
+const { OPEN_STATUSES, statusForBalance, transitionInvoice } = require('./invoiceStateService');
+const { httpError } = require('./httpError');
+const { roundMoney } = require('./taxService');
+
+/**
+ * Withholding VAT still expected on an invoice (deducted by the customer
+ * but not yet recorded against a payment).
+ */
+const getWithholdingRemaining = async (connection, invoice) => {
+    const expected = Number(invoice.withholding_vat_amount) || 0;
+    if (expected <= 0) return 0;
+
+    const [rows] = await connection.query(`
+        SELECT COALESCE(SUM(amount), 0) as withheld
+        FROM invoice_payments
+        WHERE invoice_id = ? AND payment_method = 'withholding_vat'
+    `, [invoice.id]);
+
+    return Math.max(roundMoney(expected - Number(rows[0].withheld), invoice.currency_code), 0);
+};
+
+// Helper function to work out the VAT withheld on a cash payment. Without an
+// explicit amount the withholding is taken in proportion to the cash paid.
+const calculateWithholding = (invoice, amount, remaining, explicitAmount) => {
+    if (explicitAmount !== undefined && explicitAmount !== null && explicitAmount !== '') {
+        const withheld = roundMoney(explicitAmount, invoice.currency_code);
+        if (withheld < 0) {
+            throw httpError(400, 'Withholding amount cannot be negative');
+        }
+        return withheld;
+    }
+
+    if (remaining <= 0) return 0;
+
+    const expected = Number(invoice.withholding_vat_amount);
+    const cashDue = Number(invoice.total) - expected;
+    const proportional = cashDue > 0 ? roundMoney(Number(amount) * expected / cashDue, invoice.currency_code) : remaining;
+
+    return Math.max(Math.min(
+        proportional,
+        remaining,
+        roundMoney(Number(invoice.balance_due) - Number(amount), invoice.currency_code)
+    ), 0);
+};
+
+/**
+ * Record a payment against an invoice and update its balances.
+ * On withholding VAT invoices the VAT withheld is recorded alongside the
+ * cash (withholding_amount overrides the proportional default).
+ * Must be called on a connection with an open transaction.
+ */
+const applyPayment = async (connection, invoiceId, data, userId = null) => {
+    const {
+        payment_date,
+        amount,
+        payment_method,
+        reference_number,
+        notes,
+        withholding_amount,
+        withholding_certificate
+    } = data;
+
+    // Lock the invoice so concurrent payments see the same balance
+    const [invoices] = await connection.query(
+        'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+        [invoiceId]
+    );
+
+    if (invoices.length === 0) {
+        throw httpError(404, 'Invoice not found');
+    }
+
+    const invoice = invoices[0];
+
+    if (!OPEN_STATUSES.includes(invoice.status)) {
+        throw httpError(400, invoice.status === 'draft'
+            ? 'Issue the invoice before recording payments'
+            : `Cannot record a payment on a ${invoice.status} invoice`);
+    }
+
+    // Amounts are kept in the invoice currency's minor unit
+    const currency = invoice.currency_code;
+    const cash = roundMoney(amount, currency);
+
+    // Check if payment amount is valid
+    if (!(cash > 0)) {
+        throw httpError(400, 'Payment amount must be greater than 0');
+    }
+
+    if (cash > roundMoney(invoice.balance_due, currency)) {
+        throw httpError(400, 'Payment amount exceeds balance due');
+    }
+
+    const remainingWithholding = await getWithholdingRemaining(connection, invoice);
+    const withheld = calculateWithholding(invoice, cash, remainingWithholding, withholding_amount);
+
+    if (withheld > remainingWithholding) {
+        throw httpError(400, 'Withholding amount exceeds the withholding VAT due on this invoice');
+    }
+
+    if (roundMoney(cash + withheld, currency) > roundMoney(invoice.balance_due, currency)) {
+        throw httpError(400, 'Payment and withholding exceed balance due');
+    }
+
+    // Record payment
+    const [paymentResult] = await connection.query(`
+        INSERT INTO invoice_payments (
+            invoice_id, payment_date, amount,
+            payment_method, reference_number, notes,
+            received_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        invoiceId,
+        payment_date || new Date(),
+        cash,
+        payment_method,
+        reference_number || null,
+        notes || null,
+        userId
+    ]);
+
+    // Record the VAT withheld by the customer
+    if (withheld > 0) {
+        await connection.query(`
+            INSERT INTO invoice_payments (
+                invoice_id, payment_date, amount,
+                payment_method, reference_number, notes,
+                received_by
+            ) VALUES (?, ?, ?, 'withholding_vat', ?, ?, ?)
+        `, [
+            invoiceId,
+            payment_date || new Date(),
+            withheld,
+            withholding_certificate || null,
+            `Withholding VAT on payment #${paymentResult.insertId}`,
+            userId
+        ]);
+    }
+
+    // Update invoice (balance_due already reflects any credit notes)
+    const settled = roundMoney(cash + withheld, currency);
+    const newAmountPaid = roundMoney(Number(invoice.amount_paid) + settled, currency);
+    const newBalanceDue = roundMoney(Number(invoice.balance_due) - settled, currency);
+
+    await connection.query(`
+        UPDATE invoices
+        SET amount_paid = ?, balance_due = ?, payment_status = ?
+        WHERE id = ?
+    `, [newAmountPaid, newBalanceDue, newBalanceDue <= 0 ? 'paid' : 'partial', invoiceId]);
+
+    const newStatus = statusForBalance(invoice, newAmountPaid, newBalanceDue);
+    if (newStatus !== invoice.status) {
+        await transitionInvoice(connection, invoice, newStatus, {
+            userId,
+            reason: `Payment #${paymentResult.insertId}`,
+            fields: newStatus === 'paid' ? { paid_date: payment_date || new Date() } : {}
+        });
+    }
+
+    return {
+        id: paymentResult.insertId,
+        amount: cash,
+        withholding_amount: withheld,
+        balance_due: newBalanceDue,
+        status: newStatus
+    };
+};
+
+module.exports = {
+    getWithholdingRemaining,
+    applyPayment
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+// Payment provider registry. Each provider has a name, a label, the
+// payment_method it records payments under, the currencies it can collect
+// and the same interface:
+//   initiatePayment({ phone, amount, reference, description })
+//     -> { merchantRequestId, checkoutRequestId, message }
+//   chargeAmount(amount) -> the amount the customer is actually asked for
+//   normalisePhone(phone) -> provider format, or null when invalid
+//   parseCallback(body)
+//     -> { requestId, success, resultCode, resultDescription, amount, receipt, phone, transactionDate }
+//   confirmPayment(requestId)
+//     -> { requestId, success, resultCode, resultDescription,
+//          amount (or null), receipt (or null) }
+//     asks the provider directly, since callbacks are public and can be
+//     forged; throws while the payment is still being processed
+// Matching callbacks to invoices and recording payments is provider-neutral
+// and lives in paymentRequestService.
+
+const { httpError } = require('../httpError');
+const mpesa = require('./mpesa');
+
+const providers = {
+    [mpesa.name]: mpesa
+};
+
+/**
+ * Get a provider by name. Throws a 400 error for unknown providers.
+ */
+const getProvider = (name) => {
+    const provider = providers[name];
+    if (!provider) {
+        throw httpError(400, `Unknown payment provider '${name}'`);
+    }
+    return provider;
+};
+
+module.exports = {
+    getProvider
+};
\ No newline at end of file
@@ -0,0 +1,226 @@
+// M-Pesa Daraja adapter (Lipa na M-Pesa Online / STK push).
+// Configured from the environment. MPESA_BASE_URL defaults to the Daraja
+// sandbox and can point at the local stub (npm run daraja-stub) for testing.
+
+const { httpError } = require('../httpError');
+
+const BASE_URL = () => (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/+$/, '');
+
+// Requests that take longer than this are abandoned, so a hung Daraja never
+// holds a request or a database connection open
+const TIMEOUT_MS = () => Number(process.env.MPESA_TIMEOUT_MS) || 30000;
+
+let cachedToken = null;
+
+// Helper function to parse a response body, treating anything else as empty
+const parseJson = (text) => {
+    try {
+        return JSON.parse(text) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+// Helper function to read required configuration
+const getConfig = () => {
+    const config = {
+        consumerKey: process.env.MPESA_CONSUMER_KEY,
+        consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+        shortcode: process.env.MPESA_SHORTCODE,
+        passkey: process.env.MPESA_PASSKEY,
+        callbackUrl: process.env.MPESA_CALLBACK_URL,
+        transactionType: process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline'
+    };
+
+    const missing = ['consumerKey', 'consumerSecret', 'shortcode', 'passkey', 'callbackUrl']
+        .filter(key => !config[key]);
+
+    if (missing.length > 0) {
+        throw httpError(503, 'M-Pesa is not configured');
+    }
+
+    return config;
+};
+
+// Helper function to format the Daraja timestamp (YYYYMMDDHHmmss, local time)
+const getTimestamp = (date = new Date()) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+/**
+ * Amount actually charged for a requested amount: M-Pesa only accepts
+ * whole shillings.
+ */
+const chargeAmount = (amount) => Math.ceil(Number(amount));
+
+/**
+ * Normalise a Kenyan phone number to 2547XXXXXXXX / 2541XXXXXXXX.
+ * Returns null when the number is not a valid mobile number.
+ */
+const normalisePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    let normalised = digits;
+
+    if (/^0[17]\d{8}$/.test(digits)) normalised = `254${digits.slice(1)}`;
+    if (/^[17]\d{8}$/.test(digits)) normalised = `254${digits}`;
+
+    return /^254[17]\d{8}$/.test(normalised) ? normalised : null;
+};
+
+// Helper function to call Daraja and parse its JSON response
+const request = async (path, options) => {
+    let response;
+    let text;
+    try {
+        response = await fetch(`${BASE_URL()}${path}`, { ...options, signal: AbortSignal.timeout(TIMEOUT_MS()) });
+        text = await response.text();
+    } catch (error) {
+        throw httpError(502, `Could not reach M-Pesa: ${error.message}`);
+    }
+
+    const body = parseJson(text);
+
+    if (!response.ok) {
+        throw httpError(502, `M-Pesa error: ${body.errorMessage || body.ResponseDescription || response.statusText}`);
+    }
+
+    return body;
+};
+
+// Helper function to get an OAuth token, reused until shortly before it expires
+const getAccessToken = async (config) => {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+        return cachedToken.token;
+    }
+
+    const credentials = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString('base64');
+    const body = await request('/oauth/v1/generate?grant_type=client_credentials', {
+        headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    cachedToken = {
+        token: body.access_token,
+        expiresAt: Date.now() + (Number(body.expires_in) - 60) * 1000
+    };
+
+    return cachedToken.token;
+};
+
+/**
+ * Send an STK push prompt to the customer's phone.
+ */
+const initiatePayment = async ({ phone, amount, reference, description }) => {
+    const config = getConfig();
+    const token = await getAccessToken(config);
+    const timestamp = getTimestamp();
+
+    const body = await request('/mpesa/stkpush/v1/processrequest', {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            BusinessShortCode: config.shortcode,
+            Password: Buffer.from(`${config.shortcode}${config.passkey}${timestamp}`).toString('base64'),
+            Timestamp: timestamp,
+            TransactionType: config.transactionType,
+            Amount: chargeAmount(amount),
+            PartyA: phone,
+            PartyB: config.shortcode,
+            PhoneNumber: phone,
+            CallBackURL: config.callbackUrl,
+            AccountReference: String(reference).slice(0, 12),
+            TransactionDesc: String(description || reference).slice(0, 13)
+        })
+    });
+
+    if (String(body.ResponseCode) !== '0') {
+        throw httpError(502, `M-Pesa error: ${body.ResponseDescription || body.errorMessage || 'request rejected'}`);
+    }
+
+    return {
+        merchantRequestId: body.MerchantRequestID,
+        checkoutRequestId: body.CheckoutRequestID,
+        message: body.CustomerMessage || body.ResponseDescription
+    };
+};
+
+/**
+ * Ask Daraja for the status of an STK push (STK push query), so a callback
+ * is only acted on once M-Pesa itself confirms it. Throws a 502 error while
+ * the transaction is still being processed.
+ */
+const confirmPayment = async (checkoutRequestId) => {
+    const config = getConfig();
+    const token = await getAccessToken(config);
+    const timestamp = getTimestamp();
+
+    const body = await request('/mpesa/stkpushquery/v1/query', {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            BusinessShortCode: config.shortcode,
+            Password: Buffer.from(`${config.shortcode}${config.passkey}${timestamp}`).toString('base64'),
+            Timestamp: timestamp,
+            CheckoutRequestID: checkoutRequestId
+        })
+    });
+
+    if (body.ResultCode === undefined || body.ResultCode === null) {
+        throw httpError(502, `M-Pesa error: ${body.ResponseDescription || body.errorMessage || 'transaction status unknown'}`);
+    }
+
+    return {
+        requestId: body.CheckoutRequestID || checkoutRequestId,
+        success: Number(body.ResultCode) === 0,
+        resultCode: String(body.ResultCode),
+        resultDescription: body.ResultDesc,
+        amount: body.Amount !== undefined ? Number(body.Amount) : null,
+        // The STK push query does not return the receipt; the request id
+        // stands in as the payment reference when it is missing
+        receipt: body.MpesaReceiptNumber || null
+    };
+};
+
+/**
+ * Read an STK push callback body into a provider-neutral result.
+ * Returns null when the body is not an STK callback.
+ */
+const parseCallback = (body) => {
+    const callback = body?.Body?.stkCallback;
+    if (!callback || !callback.CheckoutRequestID) return null;
+
+    const metadata = {};
+    (callback.CallbackMetadata?.Item || []).forEach(item => {
+        metadata[item.Name] = item.Value;
+    });
+
+    return {
+        requestId: callback.CheckoutRequestID,
+        success: Number(callback.ResultCode) === 0,
+        resultCode: String(callback.ResultCode),
+        resultDescription: callback.ResultDesc,
+        amount: metadata.Amount !== undefined ? Number(metadata.Amount) : null,
+        receipt: metadata.MpesaReceiptNumber || null,
+        phone: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null,
+        transactionDate: metadata.TransactionDate ? String(metadata.TransactionDate) : null
+    };
+};
+
+module.exports = {
+    name: 'mpesa',
+    label: 'M-Pesa',
+    paymentMethod: 'mpesa',
+    currencies: ['KES'],
+    chargeAmount,
+    normalisePhone,
+    initiatePayment,
+    confirmPayment,
+    parseCallback
+};
\ No newline at end of file
@@ -0,0 +1,750 @@
+// Renders invoices and quotations to PDF with pdfkit.
+// Both document types are first normalised into the same shape so customers
+// get an identical layout whichever flow produced the document. Reports
+// (receivables aging, customer statements) share the header and table styling.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const company = require('../config/company');
+const { BASE_CURRENCY, getDecimals } = require('./currencyService');
+
+const INVOICE_CACHE_DIR = path.join(__dirname, '..', 'uploads', 'invoices');
+
+const PAGE_MARGIN = 50;
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#777777';
+
+// Helper function to coerce MySQL DECIMAL strings to numbers
+const toNumber = (value) => Number(value) || 0;
+
+// Helper function to format money amounts with the currency's decimal places
+const formatMoney = (amount, currency = BASE_CURRENCY) => {
+    const decimals = getDecimals(currency);
+    const formatted = toNumber(amount).toLocaleString('en-KE', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+    return `${currency} ${formatted}`;
+};
+
+// Helper function to format dates as e.g. 19 Oct 2026
+const formatDate = (value) => {
+    if (!value) return '-';
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return String(value);
+    return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+// Helper function to parse a stored tax summary
+const parseTaxSummary = (summary) => {
+    if (!summary) return [];
+    const rows = typeof summary === 'string' ? JSON.parse(summary) : summary;
+    return rows.map(row => ({
+        name: row.name || `VAT ${toNumber(row.rate)}%`,
+        rate: toNumber(row.rate),
+        taxable_amount: toNumber(row.taxable_amount),
+        tax_amount: toNumber(row.tax_amount)
+    }));
+};
+
+// ==================== DOCUMENT NORMALISATION ====================
+
+/**
+ * Shape an invoice (with items and payments) for rendering.
+ */
+const invoiceToDocument = (invoice) => {
+    const payments = invoice.payments || [];
+    const withholding = toNumber(invoice.withholding_vat_amount);
+    const withheldReceived = payments
+        .filter(payment => payment.payment_method === 'withholding_vat')
+        .reduce((sum, payment) => sum + toNumber(payment.amount), 0);
+
+    // Withheld VAT is shown as a deduction rather than as a payment, so the
+    // balance is what the customer still has to pay in cash
+    const cashPaid = toNumber(invoice.amount_paid) - withheldReceived;
+    const balanceDue = toNumber(invoice.balance_due) - Math.max(withholding - withheldReceived, 0);
+
+    return {
+        type: 'invoice',
+        title: 'INVOICE',
+        number: invoice.invoice_number,
+        status: invoice.status,
+        currency: invoice.currency_code || BASE_CURRENCY,
+        reference: invoice.quotation_reference || null,
+        dates: [
+            { label: 'Issue Date', value: formatDate(invoice.issue_date) },
+            { label: 'Due Date', value: formatDate(invoice.due_date) }
+        ],
+        customer: {
+            name: invoice.customer_name,
+            company: invoice.customer_company,
+            address: invoice.customer_address,
+            email: invoice.customer_email,
+            phone: invoice.customer_phone,
+            tax_id: invoice.customer_tax_id
+        },
+        items: (invoice.items || []).map(item => ({
+            name: item.item_name,
+            description: item.description,
+            quantity: toNumber(item.quantity),
+            unit: item.unit,
+            unit_price: toNumber(item.unit_price),
+            tax_rate: toNumber(item.tax_rate),
+            tax_amount: toNumber(item.tax_amount),
+            total: toNumber(item.total)
+        })),
+        totals: {
+            subtotal: toNumber(invoice.subtotal),
+            discount: toNumber(invoice.discount_amount),
+            shipping: toNumber(invoice.shipping_amount),
+            tax: toNumber(invoice.tax_amount),
+            tax_summary: parseTaxSummary(invoice.tax_summary),
+            total: toNumber(invoice.total),
+            withholding,
+            credited: toNumber(invoice.credited_amount),
+            amount_paid: cashPaid,
+            balance_due: balanceDue
+        },
+        payments: payments
+            .filter(payment => payment.payment_method !== 'withholding_vat')
+            .map(payment => ({
+                date: formatDate(payment.payment_date),
+                method: payment.payment_method,
+                reference: payment.reference_number,
+                amount: toNumber(payment.amount)
+            })),
+        fiscal: invoice.fiscal && invoice.fiscal.status === 'submitted'
+            ? {
+                authority: company.fiscalAuthority,
+                cu_invoice_number: invoice.fiscal.cu_invoice_number,
+                device_serial: invoice.fiscal.device_serial,
+                signature: invoice.fiscal.signature,
+                signed_at: invoice.fiscal.signed_at,
+                qr_data: invoice.fiscal.qr_data
+            }
+            : null,
+        tax_note: invoice.tax_exemption
+            ? `Supplies to this customer are exempt from VAT under exemption certificate ${invoice.tax_exemption.certificate_number}.`
+            : null,
+        void_note: invoice.status === 'void'
+            ? `This invoice has been voided${invoice.void_reason ? `: ${invoice.void_reason}` : ''}. No payment is due.`
+            : null,
+        notes: invoice.notes,
+        terms: invoice.terms_conditions
+    };
+};
+
+/**
+ * Shape a quotation (with items and any item groups) for rendering.
+ * Quotations from before the tax engine store one VAT amount, so their
+ * per-line tax is derived from its rate. Lines of a group are named after
+ * it, and lines not counted in the totals are marked.
+ */
+const quotationToDocument = (quotation) => {
+    const subtotal = toNumber(quotation.subtotal);
+    const vat = toNumber(quotation.vat);
+    const taxRate = subtotal > 0 ? Math.round((vat / subtotal) * 10000) / 100 : 0;
+    const groups = new Map((quotation.groups || []).map(group => [Number(group.id), group]));
+
+    // Helper function to name a line with its group and whether it is included
+    const lineName = (item) => {
+        const group = item.group_id ? groups.get(Number(item.group_id)) : null;
+        const name = group ? `${group.name}: ${item.product_name}` : item.product_name;
+        if (!item.is_optional) return name;
+        const kind = group && group.group_type === 'alternative' ? 'alternative' : 'optional';
+        return `${name} (${kind}${item.is_selected ? '' : ', not included'})`;
+    };
+
+    return {
+        type: 'quotation',
+        title: 'QUOTATION',
+        number: quotation.quotation_id,
+        status: quotation.status,
+        currency: quotation.currency_code || BASE_CURRENCY,
+        reference: quotation.customer_project_name || null,
+        dates: [
+            { label: 'Date', value: formatDate(quotation.created_at) },
+            { label: 'Valid Until', value: formatDate(quotation.valid_until) }
+        ],
+        customer: {
+            name: quotation.customer_name,
+            company: quotation.customer_company,
+            address: quotation.customer_delivery_address,
+            email: quotation.customer_email,
+            phone: quotation.customer_phone,
+            tax_id: null
+        },
+        items: (quotation.items || []).map(item => {
+            const net = toNumber(item.total) || toNumber(item.unit_price) * toNumber(item.quantity);
+            const hasTax = item.tax_amount !== null && item.tax_amount !== undefined;
+            const taxAmount = hasTax ? toNumber(item.tax_amount) : net * taxRate / 100;
+            return {
+                name: lineName(item),
+                description: item.description,
+                quantity: toNumber(item.quantity),
+                unit: item.unit,
+                unit_price: toNumber(item.unit_price),
+                tax_rate: hasTax ? toNumber(item.tax_rate) : taxRate,
+                tax_amount: taxAmount,
+                total: net + taxAmount
+            };
+        }),
+        totals: {
+            subtotal,
+            discount: 0,
+            shipping: 0,
+            tax: vat,
+            tax_summary: parseTaxSummary(quotation.tax_summary),
+            total: toNumber(quotation.total),
+            amount_paid: null,
+            balance_due: null
+        },
+        payments: [],
+        tax_note: null,
+        void_note: null,
+        notes: [
+            quotation.survey_area_m2
+                ? `Surveyed area: ${toNumber(quotation.survey_area_m2)} m²${quotation.coating_system ? ` - ${quotation.coating_system}` : ''}`
+                : null,
+            quotation.customer_notes
+        ].filter(Boolean).join('\n\n') || null,
+        terms: quotation.terms_conditions || company.quotationTerms || null
+    };
+};
+
+// ==================== RENDERING ====================
+
+// Helper function to draw the company header and document title
+const drawHeader = (doc, document) => {
+    const top = PAGE_MARGIN;
+    const rightX = doc.page.width - PAGE_MARGIN;
+
+    if (company.logoPath && fs.existsSync(company.logoPath)) {
+        doc.image(company.logoPath, PAGE_MARGIN, top, { fit: [140, 60] });
+    } else {
+        doc.fillColor(company.brandColor).font('Helvetica-Bold').fontSize(18)
+            .text(company.name, PAGE_MARGIN, top, { width: 250 });
+    }
+
+    const companyLines = [
+        company.name,
+        company.address,
+        company.phone && `Tel: ${company.phone}`,
+        company.email,
+        company.website,
+        company.kraPin && `KRA PIN: ${company.kraPin}`
+    ].filter(Boolean);
+
+    doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(9);
+    doc.text(companyLines.join('\n'), rightX - 220, top, { width: 220, align: 'right' });
+
+    doc.moveDown(2);
+    const titleY = Math.max(doc.y, top + 80);
+
+    doc.fillColor(company.brandColor).font('Helvetica-Bold').fontSize(22)
+        .text(document.title, PAGE_MARGIN, titleY);
+
+    doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(10);
+    const metaLines = [
+        document.number && `No: ${document.number}`,
+        ...document.dates.map(d => `${d.label}: ${d.value}`),
+        document.reference && `Ref: ${document.reference}`,
+        document.status && `Status: ${String(document.status).replace('_', ' ').toUpperCase()}`
+    ].filter(Boolean);
+    doc.text(metaLines.join('\n'), rightX - 220, titleY, { width: 220, align: 'right' });
+
+    doc.y = Math.max(doc.y, titleY + 40) + 10;
+};
+
+// Helper function to draw the customer block
+const drawCustomer = (doc, customer) => {
+    const startY = doc.y;
+
+    doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').fontSize(9)
+        .text('BILL TO', PAGE_MARGIN, startY);
+
+    const lines = [
+        customer.company,
+        customer.address,
+        customer.email,
+        customer.phone,
+        customer.tax_id && `PIN: ${customer.tax_id}`
+    ].filter(Boolean);
+
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(11)
+        .text(customer.name || '-', PAGE_MARGIN, doc.y + 2);
+    doc.font('Helvetica').fontSize(10).text(lines.join('\n'));
+
+    doc.moveDown(1.5);
+};
+
+const ITEM_COLUMNS = [
+    { key: 'name', label: 'Description', width: 190, align: 'left' },
+    { key: 'quantity', label: 'Qty', width: 45, align: 'right' },
+    { key: 'unit_price', label: 'Unit Price', width: 75, align: 'right' },
+    { key: 'tax_rate', label: 'VAT %', width: 40, align: 'right' },
+    { key: 'tax_amount', label: 'VAT', width: 65, align: 'right' },
+    { key: 'total', label: 'Amount', width: 80, align: 'right' }
+];
+
+// Helper function to start a new page when the next block will not fit
+const ensureSpace = (doc, height, onNewPage) => {
+    if (doc.y + height > doc.page.height - PAGE_MARGIN - 30) {
+        doc.addPage();
+        if (onNewPage) onNewPage();
+    }
+};
+
+// Helper function to draw a table header row
+const drawTableHeader = (doc, columns) => {
+    const y = doc.y;
+    const tableWidth = columns.reduce((sum, col) => sum + col.width, 0);
+
+    doc.rect(PAGE_MARGIN, y - 4, tableWidth, 18).fill(company.brandColor);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9);
+
+    let x = PAGE_MARGIN + 4;
+    columns.forEach(col => {
+        doc.text(col.label, x, y, { width: col.width - 8, align: col.align });
+        x += col.width;
+    });
+
+    doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(9);
+    doc.y = y + 20;
+};
+
+// Helper function to draw the items table header
+const drawItemsHeader = (doc) => drawTableHeader(doc, ITEM_COLUMNS);
+
+// Helper function to draw the line items
+const drawItems = (doc, items, currency) => {
+    drawItemsHeader(doc);
+
+    items.forEach((item, index) => {
+        const description = [item.name, item.description].filter(Boolean).join('\n');
+        const rowHeight = Math.max(
+            doc.heightOfString(description, { width: ITEM_COLUMNS[0].width - 8 }),
+            12
+        ) + 6;
+
+        ensureSpace(doc, rowHeight, () => {
+            doc.y = PAGE_MARGIN;
+            drawItemsHeader(doc);
+        });
+
+        const y = doc.y;
+        const values = {
+            name: description,
+            quantity: `${item.quantity}${item.unit && item.unit !== 'unit' ? ` ${item.unit}` : ''}`,
+            unit_price: formatMoney(item.unit_price, '').trim(),
+            tax_rate: `${item.tax_rate}%`,
+            tax_amount: formatMoney(item.tax_amount, '').trim(),
+            total: formatMoney(item.total, '').trim()
+        };
+
+        if (index % 2 === 1) {
+            const tableWidth = ITEM_COLUMNS.reduce((sum, col) => sum + col.width, 0);
+            doc.rect(PAGE_MARGIN, y - 3, tableWidth, rowHeight).fill('#f3f6f9');
+            doc.fillColor(TEXT_COLOR);
+        }
+
+        let x = PAGE_MARGIN + 4;
+        ITEM_COLUMNS.forEach(col => {
+            doc.text(values[col.key], x, y, { width: col.width - 8, align: col.align });
+            x += col.width;
+        });
+
+        doc.y = y + rowHeight;
+    });
+
+    doc.moveDown(1);
+    doc.fillColor(MUTED_COLOR).fontSize(8)
+        .text(`All amounts in ${currency}`, PAGE_MARGIN, doc.y);
+    doc.fillColor(TEXT_COLOR);
+};
+
+// Helper function to draw the totals block
+const drawTotals = (doc, totals, currency) => {
+    // One VAT row per rate charged; documents without a summary show the single amount
+    const taxRows = (totals.tax_summary || [])
+        .filter(row => row.rate > 0)
+        .map(row => [`${row.name} ${row.rate}% on ${formatMoney(row.taxable_amount, '').trim()}`, row.tax_amount]);
+
+    const rows = [
+        ['Subtotal', totals.subtotal],
+        totals.discount ? ['Discount', -totals.discount] : null,
+        totals.shipping ? ['Shipping', totals.shipping] : null,
+        ...(taxRows.length > 0 ? taxRows : [['VAT', totals.tax]]),
+        ['Total', totals.total, true],
+        totals.withholding ? ['Less Withholding VAT', -totals.withholding] : null,
+        totals.withholding ? ['Amount Payable', totals.total - totals.withholding, true] : null,
+        totals.credited ? ['Credit Notes', -totals.credited] : null,
+        totals.amount_paid !== null ? ['Payments Received', -totals.amount_paid] : null,
+        totals.balance_due !== null ? ['Balance Due', totals.balance_due, true] : null
+    ].filter(Boolean);
+
+    ensureSpace(doc, rows.length * 16 + 10);
+
+    const labelX = doc.page.width - PAGE_MARGIN - 310;
+    let y = doc.y + 6;
+
+    rows.forEach(([label, amount, bold]) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10);
+        doc.text(label, labelX, y, { width: 180 });
+        doc.text(formatMoney(amount, currency), labelX + 180, y, { width: 130, align: 'right' });
+        y += bold ? 18 : 15;
+    });
+
+    doc.y = y + 10;
+};
+
+// Helper function to draw the tax authority's control details and QR code
+const drawFiscal = (doc, fiscal) => {
+    if (!fiscal) return;
+
+    const qrSize = fiscal.qr_image ? 80 : 0;
+    ensureSpace(doc, Math.max(qrSize, 60) + 20);
+
+    const top = doc.y;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+
+    doc.font('Helvetica-Bold').fontSize(10).text(fiscal.authority, PAGE_MARGIN, top);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+
+    [
+        ['CU Invoice No', fiscal.cu_invoice_number],
+        ['CU Serial No', fiscal.device_serial],
+        ['Signature', fiscal.signature],
+        ['Signed', fiscal.signed_at]
+    ].filter(([, value]) => value).forEach(([label, value]) => {
+        doc.text(`${label}: ${value}`, PAGE_MARGIN, doc.y + 1, { width: width - qrSize - 10 });
+    });
+
+    doc.fillColor(TEXT_COLOR);
+
+    if (fiscal.qr_image) {
+        doc.image(fiscal.qr_image, PAGE_MARGIN + width - qrSize, top, { width: qrSize, height: qrSize });
+    }
+
+    doc.y = Math.max(doc.y, top + qrSize) + 12;
+};
+
+// Helper function to draw the payments received table
+const drawPayments = (doc, payments, currency) => {
+    if (payments.length === 0) return;
+
+    ensureSpace(doc, 30 + payments.length * 14);
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Payments Received', PAGE_MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(9);
+
+    payments.forEach(payment => {
+        const y = doc.y + 2;
+        const label = [payment.date, payment.method, payment.reference].filter(Boolean).join('  |  ');
+        doc.text(label, PAGE_MARGIN, y, { width: 330 });
+        doc.text(formatMoney(payment.amount, currency), PAGE_MARGIN + 330, y, { width: 165, align: 'right' });
+    });
+
+    doc.moveDown(1);
+};
+
+// Helper function to draw notes and terms
+const drawFootnotes = (doc, document) => {
+    [
+        ['Void', document.void_note],
+        ['Tax', document.tax_note],
+        ['Notes', document.notes],
+        ['Terms & Conditions', document.terms]
+    ].forEach(([label, text]) => {
+        if (!text) return;
+        ensureSpace(doc, 40);
+        doc.font('Helvetica-Bold').fontSize(10).text(label, PAGE_MARGIN, doc.y);
+        doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+            .text(text, { width: doc.page.width - PAGE_MARGIN * 2 });
+        doc.fillColor(TEXT_COLOR).moveDown(1);
+    });
+};
+
+// Helper function to stamp page numbers on every page
+const drawPageNumbers = (doc, document) => {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise trigger a page break
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(
+            `${[document.title, document.number].filter(Boolean).join(' ')}  -  Page ${i + 1} of ${range.count}`,
+            PAGE_MARGIN,
+            doc.page.height - PAGE_MARGIN + 10,
+            { width: doc.page.width - PAGE_MARGIN * 2, align: 'center', lineBreak: false }
+        );
+    }
+};
+
+/**
+ * Render a normalised document to a PDF buffer.
+ */
+const renderDocument = (document, currency = document.currency || BASE_CURRENCY) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+            Title: `${document.title} ${document.number}`,
+            Author: company.name
+        }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        drawHeader(doc, document);
+        drawCustomer(doc, document.customer);
+        drawItems(doc, document.items, currency);
+        drawTotals(doc, document.totals, currency);
+        drawFiscal(doc, document.fiscal);
+        drawPayments(doc, document.payments, currency);
+        drawFootnotes(doc, document);
+        drawPageNumbers(doc, document);
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+// Helper function to fingerprint a document so cached files follow its content
+const documentHash = (document) => crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ document, company }))
+    .digest('hex')
+    .slice(0, 10);
+
+// Helper function to render the fiscal QR code ahead of drawing
+const withQrCode = async (document) => {
+    if (!document.fiscal?.qr_data) return document;
+
+    const qrImage = await QRCode.toBuffer(document.fiscal.qr_data, { margin: 0, width: 240 });
+    return { ...document, fiscal: { ...document.fiscal, qr_image: qrImage } };
+};
+
+/**
+ * Render an invoice PDF, reusing a cached copy in uploads/invoices when
+ * the invoice has not changed since it was last rendered.
+ */
+const renderInvoicePdf = async (invoice, { cache = false } = {}) => {
+    const document = invoiceToDocument(invoice);
+
+    if (!cache) {
+        return renderDocument(await withQrCode(document));
+    }
+
+    const safeNumber = String(document.number).replace(/[^A-Za-z0-9_-]/g, '_');
+    const fileName = `${safeNumber}-${documentHash(document)}.pdf`;
+    const filePath = path.join(INVOICE_CACHE_DIR, fileName);
+
+    try {
+        return await fs.promises.readFile(filePath);
+    } catch {
+        // Not cached yet
+    }
+
+    const buffer = await renderDocument(await withQrCode(document));
+
+    await fs.promises.mkdir(INVOICE_CACHE_DIR, { recursive: true });
+
+    // Drop stale renders of the same invoice before writing the new one
+    const existing = await fs.promises.readdir(INVOICE_CACHE_DIR);
+    await Promise.all(existing
+        .filter(name => name.startsWith(`${safeNumber}-`) && name !== fileName)
+        .map(name => fs.promises.unlink(path.join(INVOICE_CACHE_DIR, name)).catch(() => {})));
+
+    await fs.promises.writeFile(filePath, buffer);
+
+    return buffer;
+};
+
+/**
+ * Render a quotation PDF.
+ */
+const renderQuotationPdf = (quotation) => renderDocument(quotationToDocument(quotation));
+
+// ==================== REPORTS ====================
+
+// Helper function to draw report rows; rows marked `total` are bold and shaded
+const drawReportRows = (doc, columns, rows) => {
+    const tableWidth = columns.reduce((sum, col) => sum + col.width, 0);
+
+    rows.forEach((row, index) => {
+        const rowHeight = Math.max(
+            ...columns.map(col => doc.heightOfString(String(row.values[col.key] ?? ''), { width: col.width - 8 })),
+            12
+        ) + 6;
+
+        ensureSpace(doc, rowHeight, () => {
+            doc.y = PAGE_MARGIN;
+            drawTableHeader(doc, columns);
+        });
+
+        const y = doc.y;
+
+        if (row.total) {
+            doc.rect(PAGE_MARGIN, y - 3, tableWidth, rowHeight).fill('#e4ebf2');
+            doc.fillColor(TEXT_COLOR).font('Helvetica-Bold');
+        } else if (index % 2 === 1) {
+            doc.rect(PAGE_MARGIN, y - 3, tableWidth, rowHeight).fill('#f3f6f9');
+            doc.fillColor(TEXT_COLOR);
+        }
+
+        let x = PAGE_MARGIN + 4;
+        columns.forEach(col => {
+            doc.text(String(row.values[col.key] ?? ''), x, y, { width: col.width - 8, align: col.align });
+            x += col.width;
+        });
+
+        doc.font('Helvetica');
+        doc.y = y + rowHeight;
+    });
+};
+
+/**
+ * Render a tabular report to a PDF buffer.
+ * `report` has a title, header dates, an optional customer block, columns
+ * ({ key, label, width, align }), rows ({ values, total }) and an optional
+ * note printed under the table.
+ */
+const renderReport = (report) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+            Title: report.title,
+            Author: company.name
+        }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        drawHeader(doc, report);
+        if (report.customer) drawCustomer(doc, report.customer);
+        drawTableHeader(doc, report.columns);
+        drawReportRows(doc, report.columns, report.rows);
+
+        if (report.note) {
+            doc.moveDown(1);
+            doc.fillColor(MUTED_COLOR).fontSize(8)
+                .text(report.note, PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 });
+            doc.fillColor(TEXT_COLOR);
+        }
+
+        drawPageNumbers(doc, report);
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+/**
+ * Render the accounts receivable aging report (from reportService.getArAging).
+ */
+const renderArAgingPdf = (aging) => {
+    const money = (amount) => formatMoney(amount, '').trim();
+    const amountColumns = aging.buckets.map(bucket => ({
+        key: bucket.key, label: bucket.label, width: 58, align: 'right'
+    }));
+    const amounts = (row) => Object.fromEntries(
+        [...aging.buckets.map(bucket => bucket.key), 'total'].map(key => [key, money(row[key])])
+    );
+
+    return renderReport({
+        title: 'AGED RECEIVABLES',
+        dates: [{ label: 'As of', value: formatDate(aging.as_of) }],
+        columns: [
+            { key: 'customer', label: 'Customer', width: 147, align: 'left' },
+            ...amountColumns,
+            { key: 'total', label: 'Total', width: 58, align: 'right' }
+        ],
+        rows: [
+            ...aging.customers.map(customer => ({
+                values: {
+                    customer: [customer.customer_name, customer.customer_company].filter(Boolean).join('\n'),
+                    ...amounts(customer)
+                }
+            })),
+            { total: true, values: { customer: `Total (${aging.totals.invoice_count} invoices)`, ...amounts(aging.totals) } }
+        ],
+        note: `All amounts in ${aging.base_currency}, converted at each invoice's exchange rate. Ages are days past the due date.`
+    });
+};
+
+/**
+ * Render a customer statement of account (from statementService.getStatement).
+ */
+const renderStatementPdf = (statement) => {
+    const money = (amount) => (amount ? formatMoney(amount, '').trim() : '');
+    const balanceRow = (date, description, balance) => ({
+        total: true,
+        values: { date: formatDate(date), description, balance: formatMoney(balance, '').trim() }
+    });
+    const dayBefore = new Date(`${statement.from}T00:00:00Z`);
+    dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+
+    const aging = statement.aging.buckets
+        .map(bucket => `${bucket.label}: ${formatMoney(statement.aging[bucket.key], statement.currency)}`)
+        .join('   ');
+
+    return renderReport({
+        title: 'STATEMENT',
+        dates: [
+            { label: 'Date', value: formatDate(statement.to) },
+            { label: 'Period', value: `${formatDate(statement.from)} - ${formatDate(statement.to)}` }
+        ],
+        customer: statement.customer,
+        columns: [
+            { key: 'date', label: 'Date', width: 65, align: 'left' },
+            { key: 'reference', label: 'Reference', width: 90, align: 'left' },
+            { key: 'description', label: 'Details', width: 135, align: 'left' },
+            { key: 'debit', label: 'Charges', width: 65, align: 'right' },
+            { key: 'credit', label: 'Credits', width: 65, align: 'right' },
+            { key: 'balance', label: 'Balance', width: 75, align: 'right' }
+        ],
+        rows: [
+            balanceRow(dayBefore, 'Opening balance', statement.opening_balance),
+            ...statement.transactions.map(row => ({
+                values: {
+                    date: formatDate(row.date),
+                    reference: row.reference,
+                    description: row.description,
+                    debit: money(row.debit),
+                    credit: money(row.credit),
+                    balance: formatMoney(row.balance, '').trim()
+                }
+            })),
+            balanceRow(statement.to, 'Closing balance', statement.closing_balance)
+        ],
+        note: `All amounts in ${statement.currency}. Balance due by age: ${aging}.`
+    });
+};
+
+module.exports = {
+    formatMoney,
+    formatDate,
+    invoiceToDocument,
+    quotationToDocument,
+    renderDocument,
+    renderInvoicePdf,
+    renderQuotationPdf,
+    renderReport,
+    renderArAgingPdf,
+    renderStatementPdf
+};
\ No newline at end of file
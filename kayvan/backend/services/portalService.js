@@ -0,0 +1,139 @@
+// Customer portal sign-in with magic links.
+// A customer asks for a link to the email on their customer record. The link
+// carries a random token that is valid for a few minutes and can be used
+// once; only its SHA-256 hash is stored. Using it starts a short portal
+// session (a JWT scoped to that customer), which is all the portal routes
+// accept. Admin tokens are not valid in the portal and portal tokens are not
+// valid for admin routes.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { normaliseEmail } = require('./customerService');
+const { httpError } = require('./httpError');
+
+const LINK_TTL_MINUTES = Number(process.env.PORTAL_LINK_TTL_MINUTES) || 15;
+const SESSION_TTL = process.env.PORTAL_SESSION_TTL || '1h';
+const SESSION_SCOPE = 'customer_portal';
+
+// Links a customer can ask for per hour
+const MAX_LINKS_PER_HOUR = 5;
+
+// Helper function to hash a link token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Portal URL a sign-in link points to.
+ */
+const getLoginUrl = (token) => {
+    const base = process.env.PORTAL_URL || `${process.env.FRONTEND_URL || 'http://localhost:8080'}/portal`;
+    return `${base.replace(/\/$/, '')}/login?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Create a sign-in link for the active customer with this email.
+ * Returns null when there is no such customer or too many links were asked
+ * for recently, so callers can answer the same way in every case.
+ */
+const createLoginLink = async (connection, email, { ip = null } = {}) => {
+    const address = normaliseEmail(email);
+    if (!address) return null;
+
+    const [customers] = await connection.query(
+        'SELECT * FROM customers WHERE email = ? AND is_active = true',
+        [address]
+    );
+
+    if (customers.length === 0) return null;
+
+    const customer = customers[0];
+
+    const [recent] = await connection.query(`
+        SELECT COUNT(*) as count FROM customer_portal_tokens
+        WHERE customer_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)
+    `, [customer.id]);
+
+    if (Number(recent[0].count) >= MAX_LINKS_PER_HOUR) return null;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + LINK_TTL_MINUTES * 60000);
+
+    await connection.query(`
+        INSERT INTO customer_portal_tokens (customer_id, token_hash, email, expires_at, requested_ip)
+        VALUES (?, ?, ?, ?, ?)
+    `, [customer.id, hashToken(token), address, expiresAt, ip]);
+
+    return {
+        customer,
+        url: getLoginUrl(token),
+        expires_at: expiresAt,
+        ttl_minutes: LINK_TTL_MINUTES
+    };
+};
+
+/**
+ * Use a sign-in link token and start a portal session.
+ * The token is marked as used in the same statement that checks it, so it
+ * can only ever be redeemed once. Throws a 401 error for unknown, used or
+ * expired tokens.
+ */
+const redeemLoginToken = async (connection, token, { ip = null } = {}) => {
+    if (!token) {
+        throw httpError(400, 'Sign-in token is required');
+    }
+
+    const tokenHash = hashToken(token);
+
+    const [result] = await connection.query(`
+        UPDATE customer_portal_tokens
+        SET used_at = NOW(), used_ip = ?
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+    `, [ip, tokenHash]);
+
+    if (result.affectedRows === 0) {
+        throw httpError(401, 'This sign-in link is invalid or has expired. Please request a new one.');
+    }
+
+    const [rows] = await connection.query(`
+        SELECT c.*, t.id as token_id
+        FROM customer_portal_tokens t
+        JOIN customers c ON t.customer_id = c.id
+        WHERE t.token_hash = ?
+    `, [tokenHash]);
+
+    const customer = rows[0];
+
+    if (!customer || !customer.is_active) {
+        throw httpError(401, 'This sign-in link is invalid or has expired. Please request a new one.');
+    }
+
+    const session = jwt.sign(
+        { customer_id: customer.id, scope: SESSION_SCOPE },
+        process.env.JWT_SECRET,
+        { expiresIn: SESSION_TTL, jwtid: String(customer.token_id) }
+    );
+
+    return { token: session, expires_in: SESSION_TTL, customer };
+};
+
+/**
+ * Verify a portal session token. Returns the customer id, or throws
+ * jsonwebtoken's errors for invalid or expired tokens.
+ */
+const verifySession = (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.scope !== SESSION_SCOPE || !decoded.customer_id) {
+        throw Object.assign(new Error('Not a customer portal token'), { name: 'JsonWebTokenError' });
+    }
+
+    return decoded.customer_id;
+};
+
+module.exports = {
+    LINK_TTL_MINUTES,
+    hashToken,
+    getLoginUrl,
+    createLoginLink,
+    redeemLoginToken,
+    verifySession
+};
\ No newline at end of file
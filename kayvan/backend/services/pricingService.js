@@ -0,0 +1,196 @@
+// Server-side pricing of documents.
+// Prices, VAT and totals sent by a browser are never trusted: catalogue
+// lines are re-priced from the products table and document totals are
+// worked out by the tax engine. What the customer submitted is kept next to
+// the computed values so any difference can be audited.
+//
+// PRICE_MISMATCH_POLICY decides what happens when they differ:
+//   flag   (default) save the computed values and mark the document for review
+//   reject refuse the request and return the differences
+
+const { EXEMPT_CODE, roundMoney } = require('./taxService');
+const { BASE_CURRENCY, getDecimals } = require('./currencyService');
+const { httpError } = require('./httpError');
+
+const MISMATCH_POLICIES = ['flag', 'reject'];
+const PRICE_MISMATCH_POLICY = MISMATCH_POLICIES.includes(process.env.PRICE_MISMATCH_POLICY)
+    ? process.env.PRICE_MISMATCH_POLICY
+    : 'flag';
+
+// Helper function to check whether a value was supplied at all
+const isProvided = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Load products by id as a Map keyed by id.
+ */
+const loadProducts = async (connection, ids) => {
+    const productIds = [...new Set(ids.filter(Boolean).map(Number))];
+    if (productIds.length === 0) return new Map();
+
+    const [products] = await connection.query(`
+        SELECT id, name, price, is_taxable, tax_rate, is_published
+        FROM products
+        WHERE id IN (?)
+    `, [productIds]);
+
+    return new Map(products.map(product => [Number(product.id), product]));
+};
+
+/**
+ * Tax fields for a line of a catalogue product: untaxable products are
+ * exempt, a product rate overrides the standard code.
+ */
+const taxForProduct = (product) => {
+    if (!product.is_taxable) {
+        return { tax_code: EXEMPT_CODE, tax_rate: undefined };
+    }
+    return {
+        tax_code: undefined,
+        tax_rate: Number(product.tax_rate) > 0 ? Number(product.tax_rate) : undefined
+    };
+};
+
+/**
+ * Re-price public cart items from the catalogue.
+ * Catalogue prices are in the base currency and are converted at the
+ * document's exchange rate. Items that are not catalogue products (e.g.
+ * services) keep the submitted price and are marked for review.
+ */
+const priceCartItems = async (connection, items, { currency = BASE_CURRENCY, exchangeRate = 1 } = {}) => {
+    const products = await loadProducts(connection, items.map(item => item.id));
+
+    return items.map(item => {
+        const quantity = Number(item.quantity);
+        if (!(quantity > 0)) {
+            throw httpError(400, `Quantity for ${item.name || 'an item'} must be greater than 0`);
+        }
+
+        const line = {
+            product_id: item.id || null,
+            item_name: item.name,
+            description: item.description || null,
+            quantity,
+            unit: item.unit || 'unit',
+            is_service: !!item.isService,
+            category: item.category || null,
+            submitted_unit_price: isProvided(item.price) ? Number(item.price) : null,
+            submitted_total: isProvided(item.total) ? Number(item.total) : null
+        };
+
+        if (!item.id) {
+            if (!isProvided(item.price) || !(Number(item.price) >= 0)) {
+                throw httpError(400, `A price is required for ${item.name || 'an item'}`);
+            }
+            return { ...line, unit_price: Number(item.price), price_source: 'submitted' };
+        }
+
+        const product = products.get(Number(item.id));
+        if (!product || !product.is_published) {
+            throw httpError(400, `${item.name || `Product ${item.id}`} is no longer available`);
+        }
+
+        return {
+            ...line,
+            item_name: item.name || product.name,
+            unit_price: roundMoney(Number(product.price) / (Number(exchangeRate) || 1), currency),
+            price_source: 'catalogue',
+            ...taxForProduct(product)
+        };
+    });
+};
+
+/**
+ * Fill in catalogue prices for invoice lines that name a product but no
+ * price. Prices entered by staff are kept as they are.
+ */
+const fillCataloguePrices = async (connection, items, { currency = BASE_CURRENCY, exchangeRate = 1 } = {}) => {
+    const missing = items.filter(item => item.product_id && !isProvided(item.unit_price));
+    if (missing.length === 0) return items;
+
+    const products = await loadProducts(connection, missing.map(item => item.product_id));
+
+    return items.map(item => {
+        if (!item.product_id || isProvided(item.unit_price)) return item;
+
+        const product = products.get(Number(item.product_id));
+        if (!product) {
+            throw httpError(400, `Product ${item.product_id} not found`);
+        }
+
+        return {
+            ...taxForProduct(product),
+            ...item,
+            item_name: item.item_name || product.name,
+            unit_price: roundMoney(Number(product.price) / (Number(exchangeRate) || 1), currency)
+        };
+    });
+};
+
+/**
+ * Differences between what was submitted and what was computed.
+ * `lines` come from priceCartItems; `submitted` holds any document totals
+ * sent with the request and `totals` what the tax engine worked out.
+ */
+const findMismatches = (lines, submitted, totals, currency = BASE_CURRENCY) => {
+    const tolerance = Math.pow(10, -getDecimals(currency));
+    const differs = (a, b) => Math.abs(Number(a) - Number(b)) >= tolerance;
+    const mismatches = [];
+
+    lines.forEach((line, index) => {
+        if (line.price_source !== 'catalogue') return;
+
+        if (line.submitted_unit_price !== null && differs(line.submitted_unit_price, line.unit_price)) {
+            mismatches.push({
+                field: 'unit_price',
+                item: index,
+                item_name: line.item_name,
+                submitted: line.submitted_unit_price,
+                computed: line.unit_price
+            });
+        }
+
+        const lineAmount = roundMoney(line.quantity * line.unit_price, currency);
+        if (line.submitted_total !== null && differs(line.submitted_total, lineAmount)) {
+            mismatches.push({
+                field: 'line_total',
+                item: index,
+                item_name: line.item_name,
+                submitted: line.submitted_total,
+                computed: lineAmount
+            });
+        }
+    });
+
+    [['subtotal', totals.subtotal], ['tax_amount', totals.tax_amount], ['total', totals.total]]
+        .forEach(([field, computed]) => {
+            if (isProvided(submitted[field]) && differs(submitted[field], computed)) {
+                mismatches.push({ field, submitted: Number(submitted[field]), computed });
+            }
+        });
+
+    return mismatches;
+};
+
+/**
+ * Apply PRICE_MISMATCH_POLICY. Throws a 400 error carrying the differences
+ * when mismatches are rejected; otherwise returns whether to flag.
+ */
+const checkMismatches = (mismatches, message = 'Submitted prices do not match current prices') => {
+    if (mismatches.length === 0) return false;
+
+    if (PRICE_MISMATCH_POLICY === 'reject') {
+        throw Object.assign(httpError(400, message), { mismatches });
+    }
+
+    return true;
+};
+
+module.exports = {
+    PRICE_MISMATCH_POLICY,
+    loadProducts,
+    taxForProduct,
+    priceCartItems,
+    fillCataloguePrices,
+    findMismatches,
+    checkMismatches
+};
\ No newline at end of file
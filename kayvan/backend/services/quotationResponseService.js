@@ -0,0 +1,249 @@
+// Customer responses to quotations. A customer can accept, decline or ask
+// for changes to a quotation that is still open, from the public acceptance
+// page (by reference) or the customer portal. Each response is kept in
+// quotation_responses with the signer, their signature, the terms shown, the
+// IP address and a hash of the quotation content they saw, so there is a
+// record of exactly what was agreed. Signatures are kept outside the public
+// uploads directory and only served to signed-in staff. Admins are told through
+// quotation_notifications. Accepted quotations can then be converted to an
+// invoice as usual.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const company = require('../config/company');
+const { toDateString } = require('./dates');
+const { httpError } = require('./httpError');
+
+// Statuses a customer can still respond in
+const OPEN_STATUSES = ['pending', 'viewed', 'processing', 'sent'];
+
+const RESPONSES = ['accepted', 'declined', 'changes_requested'];
+
+const SIGNATURE_DIR = path.join(__dirname, '..', 'storage', 'signatures');
+const MAX_SIGNATURE_BYTES = 500 * 1024;
+const SIGNATURE_PATTERN = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=]+)$/;
+
+// Helper function to describe a status that can no longer be responded to
+const describeResponse = (status) => (status === 'changes_requested'
+    ? 'Changes have already been requested to this quotation'
+    : `This quotation has already been ${status}`);
+
+/**
+ * Terms the customer agrees to when accepting a quotation.
+ */
+const getQuotationTerms = (quotation) => quotation.terms_conditions || company.quotationTerms;
+
+/**
+ * Whether a quotation is waiting for the customer's answer.
+ */
+const isOpenForResponse = (quotation) => OPEN_STATUSES.includes(quotation.status)
+    && !quotation.converted_to_invoice_id
+    && !(quotation.valid_until && new Date(quotation.valid_until) < new Date(new Date().toDateString()));
+
+/**
+ * SHA-256 of what the customer is shown: customer, lines (with the choice
+ * of optional lines), totals, validity and terms. Any change to the
+ * quotation gives a different hash.
+ */
+const hashQuotationContent = (quotation, items) => {
+    const content = {
+        reference: quotation.quotation_id,
+        customer: [
+            quotation.customer_name, quotation.customer_email, quotation.customer_company,
+            quotation.customer_project_name, quotation.customer_delivery_address
+        ],
+        currency: quotation.currency_code,
+        subtotal: Number(quotation.subtotal).toFixed(2),
+        tax: Number(quotation.vat).toFixed(2),
+        total: Number(quotation.total).toFixed(2),
+        valid_until: toDateString(quotation.valid_until),
+        items: items.map(item => [
+            item.product_name, item.description, Number(item.quantity),
+            item.unit, Number(item.unit_price).toFixed(2), Number(item.total).toFixed(2),
+            Number(item.tax_rate || 0), Number(item.tax_amount || 0).toFixed(2),
+            ...(item.is_optional ? [item.is_selected ? 'included' : 'left out'] : [])
+        ]),
+        terms: getQuotationTerms(quotation)
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+/**
+ * Check a content hash sent back by the customer against the quotation's
+ * current content. Throws a 409 error when they differ; returns the
+ * current hash.
+ */
+const checkContentHash = async (connection, quotation, contentHash) => {
+    const [items] = await connection.query(`
+        SELECT * FROM quotation_items WHERE quotation_id = ?
+    `, [quotation.id]);
+
+    const currentHash = hashQuotationContent(quotation, items);
+    if (contentHash && contentHash !== currentHash) {
+        throw httpError(409, 'This quotation has changed since you opened it. Please review it again.');
+    }
+
+    return currentHash;
+};
+
+/**
+ * Save a signature drawn by the customer (a PNG or JPEG data URL) under
+ * storage/signatures. Returns the file name, or null when there is none.
+ */
+const saveSignature = (quotation, signature) => {
+    if (!signature) return null;
+
+    const match = SIGNATURE_PATTERN.exec(String(signature));
+    if (!match) {
+        throw httpError(400, 'Signature must be a PNG or JPEG image');
+    }
+
+    const image = Buffer.from(match[2], 'base64');
+    if (image.length === 0 || image.length > MAX_SIGNATURE_BYTES) {
+        throw httpError(400, 'Signature image must be smaller than 500 KB');
+    }
+
+    fs.mkdirSync(SIGNATURE_DIR, { recursive: true });
+
+    const fileName = `${quotation.quotation_id}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${match[1] === 'jpeg' ? 'jpg' : 'png'}`;
+    fs.writeFileSync(path.join(SIGNATURE_DIR, fileName), image);
+
+    return fileName;
+};
+
+/**
+ * Absolute path of a response's signature file, or null when the response
+ * has none or the file is missing.
+ */
+const getSignatureFile = async (connection, quotationId, responseId) => {
+    const [responses] = await connection.query(`
+        SELECT signature_path FROM quotation_responses
+        WHERE id = ? AND quotation_id = ?
+    `, [responseId, quotationId]);
+
+    if (responses.length === 0 || !responses[0].signature_path) return null;
+
+    const file = path.join(SIGNATURE_DIR, path.basename(responses[0].signature_path));
+    return fs.existsSync(file) ? file : null;
+};
+
+/**
+ * Record the customer's answer to a quotation: 'accepted', 'declined' or
+ * 'changes_requested'. Accepting needs the signer's name; declines and
+ * change requests may carry comments. When contentHash is given it must
+ * match the current content, so nobody accepts a quotation that changed
+ * after they opened it. Must be called on a connection with an open
+ * transaction, with the quotation row locked.
+ */
+const respondToQuotation = async (connection, quotation, response, details = {}) => {
+    const {
+        source = 'public',
+        signerName,
+        signerEmail = null,
+        signature = null,
+        comments = null,
+        contentHash = null,
+        ip = null,
+        userAgent = null
+    } = details;
+
+    if (!RESPONSES.includes(response)) {
+        throw httpError(400, 'Response must be accepted, declined or changes_requested');
+    }
+
+    if (!isOpenForResponse(quotation)) {
+        throw httpError(400, RESPONSES.includes(quotation.status)
+            ? describeResponse(quotation.status)
+            : 'This quotation can no longer be accepted or declined');
+    }
+
+    const name = signerName ? String(signerName).trim() : '';
+    if (response === 'accepted' && !name) {
+        throw httpError(400, 'Please type your name to accept the quotation');
+    }
+
+    const note = comments ? String(comments).trim() : '';
+    if (response === 'changes_requested' && !note) {
+        throw httpError(400, 'Please describe the changes you would like');
+    }
+
+    const currentHash = await checkContentHash(connection, quotation, contentHash);
+
+    const signaturePath = response === 'accepted' ? saveSignature(quotation, signature) : null;
+
+    if (response === 'accepted') {
+        await connection.query(`
+            UPDATE quotations
+            SET status = 'accepted', accepted_at = NOW()
+            WHERE id = ?
+        `, [quotation.id]);
+    } else if (response === 'declined') {
+        await connection.query(`
+            UPDATE quotations
+            SET status = 'declined', declined_at = NOW(), decline_reason = ?
+            WHERE id = ?
+        `, [note ? note.slice(0, 500) : null, quotation.id]);
+    } else {
+        await connection.query(`
+            UPDATE quotations
+            SET status = 'changes_requested', changes_requested_at = NOW()
+            WHERE id = ?
+        `, [quotation.id]);
+    }
+
+    const [result] = await connection.query(`
+        INSERT INTO quotation_responses (
+            quotation_id, response, source,
+            signer_name, signer_email, signature_path, comments,
+            terms_text, content_hash, ip_address, user_agent
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        quotation.id, response, source,
+        name || null, signerEmail, signaturePath, note || null,
+        response === 'accepted' ? getQuotationTerms(quotation) : null, currentHash,
+        ip, userAgent ? String(userAgent).slice(0, 500) : null
+    ]);
+
+    await connection.query(`
+        INSERT INTO quotation_notifications (quotation_id, notification_type, is_read)
+        VALUES (?, ?, false)
+    `, [quotation.id, response]);
+
+    return { id: result.insertId, response, content_hash: currentHash, signature_path: signaturePath };
+};
+
+/**
+ * Responses to a quotation, newest first. signature_url is the staff-only
+ * route the signature image is served from.
+ */
+const getResponses = async (connection, quotationId) => {
+    const [responses] = await connection.query(`
+        SELECT
+            r.*,
+            DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i') as formatted_created_at
+        FROM quotation_responses r
+        WHERE r.quotation_id = ?
+        ORDER BY r.created_at DESC, r.id DESC
+    `, [quotationId]);
+
+    return responses.map(response => ({
+        ...response,
+        signature_url: response.signature_path
+            ? `/api/quotations/${quotationId}/responses/${response.id}/signature`
+            : null
+    }));
+};
+
+module.exports = {
+    OPEN_STATUSES,
+    RESPONSES,
+    getQuotationTerms,
+    isOpenForResponse,
+    hashQuotationContent,
+    checkContentHash,
+    respondToQuotation,
+    getResponses,
+    getSignatureFile
+};
\ No newline at end of file
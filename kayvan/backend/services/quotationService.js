@@ -0,0 +1,783 @@
+// Quotation lines and revisions.
+// A quotation the customer has seen is never edited in place. Changing its
+// lines creates a new revision: a new quotations row with the next reference
+// in the series (KAY-123456-R2, -R3, ...) sharing the original's
+// base_reference, while the previous revision is marked 'superseded' and kept
+// as it was. Customers following any reference of the series are shown the
+// latest revision together with what changed between revisions.
+//
+// Quotations built by staff after a site visit carry site-survey lines:
+// material lines worked out per coating layer from the surveyed area, labour,
+// mobilization and optional items. Optional lines only count towards the
+// totals while the customer has them included.
+//
+// Lines can also be grouped (quotation_item_groups): required groups, optional
+// groups and alternative groups, of which the customer chooses one per
+// alternative_set. Lines of optional and alternative groups follow their
+// group's selection, so totals and conversion only count the chosen groups.
+
+const { snapshotRate } = require('./currencyService');
+const { roundMoney, loadTaxCodes, findExemption, calculateTaxes } = require('./taxService');
+const { loadProducts, taxForProduct, fillCataloguePrices } = require('./pricingService');
+const { isOpenForResponse } = require('./quotationResponseService');
+const { toDateString } = require('./dates');
+const { httpError } = require('./httpError');
+
+// Statuses a quotation can no longer be revised in
+const CLOSED_STATUSES = ['converted', 'cancelled', 'superseded'];
+
+const LINE_TYPES = ['product', 'material', 'labour', 'mobilization', 'service'];
+
+const GROUP_TYPES = ['required', 'optional', 'alternative'];
+
+// Quotation fields compared between revisions
+const DIFF_FIELDS = [
+    'customer_project_name', 'customer_delivery_address', 'customer_notes',
+    'terms_conditions', 'currency_code', 'valid_until', 'subtotal', 'vat', 'total'
+];
+
+// Line fields compared between revisions
+const ITEM_DIFF_FIELDS = ['description', 'quantity', 'unit', 'unit_price', 'total', 'tax_rate'];
+
+const AMOUNT_FIELDS = ['quantity', 'unit_price', 'total', 'tax_rate', 'subtotal', 'vat'];
+
+// Helper function to check whether a value was supplied at all
+const isProvided = (value) => value !== undefined && value !== null && value !== '';
+
+// Helper function to put a field in a comparable form
+const comparable = (field, value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (field === 'valid_until') return toDateString(value);
+    if (AMOUNT_FIELDS.includes(field)) return Number(value);
+    return String(value);
+};
+
+// Helper function to check whether a line counts towards the totals
+const isIncluded = (item) => !item.is_optional || !!item.is_selected;
+
+// Helper function to label a field in change summaries
+const label = (field) => field.replace(/_/g, ' ').replace(/^customer /, '');
+
+/**
+ * Reference of a revision in the series of a quotation.
+ */
+const revisionReference = (baseReference, revisionNumber) => (revisionNumber > 1
+    ? `${baseReference}-R${revisionNumber}`
+    : baseReference);
+
+/**
+ * Quantity of material for one coating layer: area × coats ÷ coverage (m²
+ * per unit for one coat), plus the waste allowance, rounded up to two
+ * decimals.
+ */
+const layerQuantity = ({ area_m2, coats = 1, coverage, waste_percent = 0 }) => {
+    const quantity = Number(area_m2) * Number(coats) / Number(coverage) * (1 + (Number(waste_percent) || 0) / 100);
+    return Math.ceil(Math.round(quantity * 1000000) / 10000) / 100;
+};
+
+/**
+ * Lines of a quotation built after a site visit.
+ * - layers: one material line per coating layer ({ layer, product_id or
+ *   item_name, coverage, coats, waste_percent, area_m2, unit, unit_price }),
+ *   its quantity worked out from the surveyed area unless area_m2 is given
+ * - labour: { days, day_rate, crew_size, description }
+ * - mobilization: { amount, description }
+ * - items: any other lines
+ * Any line can be marked is_optional; optional lines are left out of the
+ * totals unless selected is true.
+ */
+const buildSurveyLines = ({ layers = [], labour, mobilization, items = [] } = {}, surveyArea = null) => {
+    if (!Array.isArray(layers) || !Array.isArray(items)) {
+        throw httpError(400, 'Layers and items must be lists');
+    }
+
+    const optional = (line) => ({
+        is_optional: !!line.is_optional,
+        is_selected: line.is_optional ? line.selected === true : true
+    });
+
+    const materials = layers.map(layer => {
+        const area = isProvided(layer.area_m2) ? Number(layer.area_m2) : Number(surveyArea);
+        const coats = isProvided(layer.coats) ? Number(layer.coats) : 1;
+        const coverage = Number(layer.coverage);
+        const name = layer.layer || layer.item_name || 'layer';
+
+        if (!(area > 0)) {
+            throw httpError(400, `Surface area is required for the ${name} layer`);
+        }
+        if (!(coverage > 0)) {
+            throw httpError(400, `Coverage (m² per unit) is required for the ${name} layer`);
+        }
+        if (!Number.isInteger(coats) || coats < 1) {
+            throw httpError(400, `Coats for the ${name} layer must be a whole number of at least 1`);
+        }
+
+        const unit = layer.unit || 'L';
+
+        return {
+            ...layer,
+            line_type: 'material',
+            item_name: layer.item_name || (layer.product_id ? undefined : layer.layer),
+            layer: layer.layer || null,
+            description: layer.description
+                || `${layer.layer ? `${layer.layer}: ` : ''}${coats} coat${coats > 1 ? 's' : ''} over ${area} m² at ${coverage} m²/${unit}`,
+            quantity: layerQuantity({ area_m2: area, coats, coverage, waste_percent: layer.waste_percent }),
+            unit,
+            area_m2: area,
+            coats,
+            coverage,
+            waste_percent: isProvided(layer.waste_percent) ? Number(layer.waste_percent) : null,
+            ...optional(layer)
+        };
+    });
+
+    const lines = [...materials];
+
+    if (labour) {
+        const days = Number(labour.days);
+        const crew = isProvided(labour.crew_size) ? Number(labour.crew_size) : null;
+
+        if (!(days > 0)) {
+            throw httpError(400, 'Labour days must be greater than 0');
+        }
+        if (!isProvided(labour.day_rate) && !labour.product_id) {
+            throw httpError(400, 'A day rate is required for labour');
+        }
+
+        lines.push({
+            product_id: labour.product_id || null,
+            item_name: labour.item_name || 'Labour',
+            line_type: 'labour',
+            description: labour.description || (crew ? `Crew of ${crew}` : null),
+            quantity: days,
+            unit: 'day',
+            unit_price: labour.day_rate,
+            is_service: true,
+            ...optional(labour)
+        });
+    }
+
+    if (mobilization) {
+        if (!isProvided(mobilization.amount) && !mobilization.product_id) {
+            throw httpError(400, 'An amount is required for mobilization');
+        }
+
+        lines.push({
+            product_id: mobilization.product_id || null,
+            item_name: mobilization.item_name || 'Mobilization',
+            line_type: 'mobilization',
+            description: mobilization.description || null,
+            quantity: 1,
+            unit: 'lot',
+            unit_price: mobilization.amount,
+            is_service: true,
+            ...optional(mobilization)
+        });
+    }
+
+    items.forEach(item => {
+        if (item.line_type && !LINE_TYPES.includes(item.line_type)) {
+            throw httpError(400, `Line type must be one of: ${LINE_TYPES.join(', ')}`);
+        }
+        lines.push({ ...item, ...optional(item) });
+    });
+
+    return lines;
+};
+
+/**
+ * Groups of a quotation and their lines. Each group ({ name, type,
+ * alternative_set, description, selected }) takes its lines as for
+ * buildSurveyLines. Optional groups are left out unless selected; of each
+ * alternative_set the group marked selected, or else the first, is chosen.
+ * Lines carry their group's index and follow its selection.
+ */
+const buildItemGroups = (groups = [], surveyArea = null) => {
+    if (!Array.isArray(groups)) {
+        throw httpError(400, 'Groups must be a list');
+    }
+
+    const built = groups.map((group, index) => {
+        const type = group.type || group.group_type || 'required';
+
+        if (!GROUP_TYPES.includes(type)) {
+            throw httpError(400, `Group type must be one of: ${GROUP_TYPES.join(', ')}`);
+        }
+        if (!group.name) {
+            throw httpError(400, 'Each group needs a name');
+        }
+
+        return {
+            name: String(group.name).slice(0, 255),
+            description: group.description || null,
+            group_type: type,
+            alternative_set: type === 'alternative' ? String(group.alternative_set || 'Options').slice(0, 100) : null,
+            is_selected: type === 'required' || group.selected === true || group.is_selected === true,
+            sort_order: index
+        };
+    });
+
+    // One group chosen in each set of alternatives
+    [...new Set(built.filter(group => group.alternative_set).map(group => group.alternative_set))].forEach(set => {
+        const members = built.filter(group => group.alternative_set === set);
+        const chosen = members.filter(group => group.is_selected);
+
+        if (members.length < 2) {
+            throw httpError(400, `"${set}" needs at least two alternatives`);
+        }
+        if (chosen.length > 1) {
+            throw httpError(400, `Only one of ${members.map(group => group.name).join(' or ')} can be selected`);
+        }
+        if (chosen.length === 0) members[0].is_selected = true;
+    });
+
+    const lines = groups.flatMap((group, index) => {
+        const groupLines = buildSurveyLines(group, surveyArea);
+
+        if (groupLines.length === 0) {
+            throw httpError(400, `${built[index].name} has no items`);
+        }
+
+        // Lines of required groups keep their own optional flag
+        return groupLines.map(line => (built[index].group_type === 'required'
+            ? { ...line, group_index: index }
+            : { ...line, group_index: index, is_optional: true, is_selected: built[index].is_selected }));
+    });
+
+    return { groups: built, lines };
+};
+
+/**
+ * Price lines entered by staff. Lines naming a product take its name and
+ * tax unless given, and its catalogue price when no price is entered; any
+ * price entered is kept and marked 'staff'. Other lines need a name and a
+ * price. Site-survey fields (line type, layer, coverage, optional) are kept.
+ */
+const priceStaffItems = async (connection, items, { currency, exchangeRate = 1 } = {}) => {
+    const products = await loadProducts(connection, items.map(item => item.product_id));
+
+    const lines = items.map(item => {
+        const quantity = Number(item.quantity);
+        const product = item.product_id ? products.get(Number(item.product_id)) : null;
+        const name = item.item_name || item.product_name || (product && product.name);
+
+        if (item.product_id && !product) {
+            throw httpError(400, `Product ${item.product_id} not found`);
+        }
+
+        if (!name) {
+            throw httpError(400, 'Each item needs a product or a name');
+        }
+
+        if (!(quantity > 0)) {
+            throw httpError(400, `Quantity for ${name} must be greater than 0`);
+        }
+
+        if (!product && !(isProvided(item.unit_price) && Number(item.unit_price) >= 0)) {
+            throw httpError(400, `A price is required for ${name}`);
+        }
+
+        const tax = product && !item.tax_code && !isProvided(item.tax_rate) ? taxForProduct(product) : {};
+
+        return {
+            product_id: item.product_id || null,
+            item_name: name,
+            description: item.description || null,
+            quantity,
+            unit: item.unit || 'unit',
+            unit_price: isProvided(item.unit_price) ? Number(item.unit_price) : undefined,
+            is_service: !!item.is_service,
+            category: item.category || null,
+            tax_code: item.tax_code || undefined,
+            tax_rate: isProvided(item.tax_rate) ? Number(item.tax_rate) : undefined,
+            ...tax,
+            line_type: item.line_type || (item.is_service ? 'service' : 'product'),
+            layer: item.layer || null,
+            area_m2: isProvided(item.area_m2) ? Number(item.area_m2) : null,
+            coats: isProvided(item.coats) ? Number(item.coats) : null,
+            coverage: isProvided(item.coverage) ? Number(item.coverage) : null,
+            waste_percent: isProvided(item.waste_percent) ? Number(item.waste_percent) : null,
+            is_optional: !!item.is_optional,
+            is_selected: item.is_optional ? !!item.is_selected : true,
+            group_index: isProvided(item.group_index) ? item.group_index : null,
+            price_source: isProvided(item.unit_price) ? 'staff' : 'catalogue',
+            submitted_unit_price: null,
+            submitted_total: null
+        };
+    });
+
+    return fillCataloguePrices(connection, lines, { currency, exchangeRate });
+};
+
+/**
+ * Tax every line and total the ones that count: required lines and the
+ * optional lines the customer included. Returns the totals of
+ * calculateDocumentTaxes with every line in items.
+ */
+const priceQuotationLines = async (connection, lines, { pricesIncludeTax = false, customerEmail = null, currency = null } = {}) => {
+    const taxCodes = await loadTaxCodes(connection);
+    const exemption = await findExemption(connection, customerEmail, new Date());
+
+    const all = calculateTaxes({ prices_include_tax: pricesIncludeTax, items: lines }, taxCodes, { exemption, currency });
+    const totals = calculateTaxes({ prices_include_tax: pricesIncludeTax, items: lines.filter(isIncluded) }, taxCodes, { exemption, currency });
+
+    return { ...totals, items: all.items };
+};
+
+/**
+ * Insert the groups of a quotation with their subtotals, worked out from
+ * their lines (as returned by priceQuotationLines, carrying group_index),
+ * and set group_id on those lines.
+ */
+const insertItemGroups = async (connection, quotationId, groups, items, currency = null) => {
+    for (const [index, group] of groups.entries()) {
+        const lines = items.filter(item => item.group_index === index);
+        const subtotal = roundMoney(lines.reduce((sum, line) => sum + Number(line.net_amount), 0), currency);
+        const vat = roundMoney(lines.reduce((sum, line) => sum + Number(line.tax_amount), 0), currency);
+
+        const [result] = await connection.query(`
+            INSERT INTO quotation_item_groups (
+                quotation_id, name, description, group_type, alternative_set,
+                is_selected, sort_order, subtotal, vat, total
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            quotationId, group.name, group.description, group.group_type, group.alternative_set,
+            group.is_selected, group.sort_order ?? index, subtotal, vat, roundMoney(subtotal + vat, currency)
+        ]);
+
+        lines.forEach(line => { line.group_id = result.insertId; });
+    }
+};
+
+/**
+ * Groups of a quotation in order.
+ */
+const getItemGroups = async (connection, quotationId) => {
+    const [groups] = await connection.query(`
+        SELECT * FROM quotation_item_groups
+        WHERE quotation_id = ?
+        ORDER BY sort_order, id
+    `, [quotationId]);
+
+    return groups;
+};
+
+/**
+ * Insert the lines of a quotation as returned by calculateDocumentTaxes.
+ */
+const insertQuotationItems = async (connection, quotationId, items) => {
+    for (const item of items) {
+        await connection.query(`
+            INSERT INTO quotation_items (
+                quotation_id, group_id, line_type, layer,
+                product_id, product_name, description,
+                quantity, unit, unit_price, total, is_service, category,
+                area_m2, coats, coverage, waste_percent, is_optional, is_selected,
+                tax_code, tax_rate, tax_amount,
+                price_source, submitted_unit_price, submitted_total
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            quotationId,
+            item.group_id || null,
+            item.line_type || (item.is_service ? 'service' : 'product'),
+            item.layer || null,
+            item.product_id,
+            item.item_name,
+            item.description,
+            item.quantity,
+            item.unit,
+            item.unit_price,
+            item.net_amount,
+            item.is_service,
+            item.category,
+            item.area_m2 ?? null,
+            item.coats ?? null,
+            item.coverage ?? null,
+            item.waste_percent ?? null,
+            !!item.is_optional,
+            item.is_optional ? !!item.is_selected : true,
+            item.tax_code,
+            item.tax_rate,
+            item.tax_amount,
+            item.price_source,
+            item.submitted_unit_price,
+            item.submitted_total
+        ]);
+    }
+};
+
+/**
+ * The latest revision of the series a reference belongs to (the reference
+ * may be of any revision). Returns null when there is no such quotation.
+ * With lock, the row is locked for the current transaction.
+ */
+const findLatestRevision = async (connection, reference, { lock = false } = {}) => {
+    const [quotations] = await connection.query(`
+        SELECT
+            q.*,
+            DATE_FORMAT(q.created_at, '%Y-%m-%d') as date,
+            DATE_FORMAT(q.valid_until, '%Y-%m-%d') as valid_until_formatted,
+            DATEDIFF(q.valid_until, NOW()) as days_remaining
+        FROM quotations q
+        WHERE q.base_reference = (
+            SELECT base_reference FROM quotations WHERE quotation_id = ?
+        )
+        ORDER BY q.revision_number DESC
+        LIMIT 1
+        ${lock ? 'FOR UPDATE' : ''}
+    `, [reference]);
+
+    return quotations[0] || null;
+};
+
+/**
+ * Every revision in the series of a quotation, oldest first, each with its
+ * lines.
+ */
+const getRevisions = async (connection, quotation) => {
+    const [revisions] = await connection.query(`
+        SELECT
+            q.*,
+            DATE_FORMAT(q.created_at, '%Y-%m-%d %H:%i') as formatted_date,
+            DATE_FORMAT(q.superseded_at, '%Y-%m-%d %H:%i') as formatted_superseded_at
+        FROM quotations q
+        WHERE q.base_reference = ?
+        ORDER BY q.revision_number
+    `, [quotation.base_reference || quotation.quotation_id]);
+
+    for (const revision of revisions) {
+        const [items] = await connection.query(`
+            SELECT * FROM quotation_items WHERE quotation_id = ? ORDER BY id
+        `, [revision.id]);
+        revision.items = items;
+    }
+
+    return revisions;
+};
+
+/**
+ * What changed from one revision to another: changed quotation fields and
+ * added, removed and changed lines, plus a readable summary. Lines are
+ * matched by product, or by name for lines without one. Both revisions need
+ * their items.
+ */
+const diffRevisions = (from, to) => {
+    const changes = DIFF_FIELDS
+        .filter(field => comparable(field, from[field]) !== comparable(field, to[field]))
+        .map(field => ({ field, from: comparable(field, from[field]), to: comparable(field, to[field]) }));
+
+    // Key lines by product (or name), numbering repeats so each line matches once
+    const keyLines = (items) => {
+        const seen = {};
+        return items.map(item => {
+            const base = item.product_id
+                ? `product:${item.product_id}`
+                : `name:${String(item.product_name || '').trim().toLowerCase()}`;
+            seen[base] = (seen[base] || 0) + 1;
+            return [`${base}#${seen[base]}`, item];
+        });
+    };
+
+    const before = new Map(keyLines(from.items || []));
+    const after = new Map(keyLines(to.items || []));
+
+    const line = (item) => ({
+        product_id: item.product_id,
+        product_name: item.product_name,
+        quantity: Number(item.quantity),
+        unit: item.unit,
+        unit_price: Number(item.unit_price),
+        total: Number(item.total)
+    });
+
+    const added = [...after].filter(([key]) => !before.has(key)).map(([, item]) => line(item));
+    const removed = [...before].filter(([key]) => !after.has(key)).map(([, item]) => line(item));
+    const changed = [...after]
+        .filter(([key]) => before.has(key))
+        .map(([key, item]) => {
+            const previous = before.get(key);
+            return {
+                product_id: item.product_id,
+                product_name: item.product_name,
+                changes: ITEM_DIFF_FIELDS
+                    .filter(field => comparable(field, previous[field]) !== comparable(field, item[field]))
+                    .map(field => ({ field, from: comparable(field, previous[field]), to: comparable(field, item[field]) }))
+            };
+        })
+        .filter(item => item.changes.length > 0);
+
+    const summary = [
+        ...added.map(item => `Added ${item.product_name} (${item.quantity} ${item.unit})`),
+        ...removed.map(item => `Removed ${item.product_name}`),
+        ...changed.flatMap(item => item.changes.map(change =>
+            `${item.product_name}: ${label(change.field)} changed from ${change.from ?? 'none'} to ${change.to ?? 'none'}`)),
+        ...changes.map(change => `${label(change.field).replace(/^\w/, c => c.toUpperCase())} changed from ${change.from ?? 'none'} to ${change.to ?? 'none'}`)
+    ];
+
+    return {
+        from: { id: from.id, quotation_id: from.quotation_id, revision_number: from.revision_number },
+        to: { id: to.id, quotation_id: to.quotation_id, revision_number: to.revision_number },
+        changes,
+        items: { added, removed, changed },
+        summary
+    };
+};
+
+/**
+ * Create the next revision of a quotation with new lines (items, or
+ * site-survey layers, labour and mobilization as for buildSurveyLines, and
+ * groups as for buildItemGroups) and, optionally, new project details,
+ * survey details, terms or validity. Lines and groups that are not given are
+ * carried over. The new revision is priced and taxed again, starts as
+ * 'pending' and the quotation it replaces is marked 'superseded'.
+ * Must be called on a connection with an open transaction, with the
+ * quotation row locked. Returns the id and reference of the new revision.
+ */
+const createRevision = async (connection, quotation, changes = {}, userId = null) => {
+    if (CLOSED_STATUSES.includes(quotation.status) || quotation.converted_to_invoice_id) {
+        throw httpError(400, quotation.status === 'superseded'
+            ? 'Only the latest revision of a quotation can be revised'
+            : `Cannot revise a ${quotation.status} quotation`);
+    }
+
+    const { valid_until, revision_note } = changes;
+    const pick = (field) => (changes[field] !== undefined ? changes[field] || null : quotation[field]);
+    const linesGiven = ['items', 'layers', 'labour', 'mobilization', 'groups'].some(field => changes[field] !== undefined);
+
+    const [current] = await connection.query(`
+        SELECT * FROM quotation_items WHERE quotation_id = ? ORDER BY id
+    `, [quotation.id]);
+    const currentGroups = await getItemGroups(connection, quotation.id);
+
+    // Lines and groups not given are carried over at their current prices
+    let input;
+    let groups;
+    if (linesGiven) {
+        const grouped = buildItemGroups(changes.groups || [], pick('survey_area_m2'));
+        input = [...buildSurveyLines(changes, pick('survey_area_m2')), ...grouped.lines];
+        groups = grouped.groups;
+    } else {
+        const groupIndex = new Map(currentGroups.map((group, index) => [Number(group.id), index]));
+        input = current.map(item => ({
+            ...item,
+            item_name: item.product_name,
+            group_index: item.group_id ? groupIndex.get(Number(item.group_id)) : null,
+            tax_code: item.tax_code || undefined,
+            tax_rate: item.tax_code ? undefined : item.tax_rate
+        }));
+        groups = currentGroups.map((group, index) => ({ ...group, sort_order: index }));
+    }
+
+    if (input.length === 0) {
+        throw httpError(400, 'Quotation must have at least one item');
+    }
+
+    const [latest] = await connection.query(`
+        SELECT MAX(revision_number) as revision_number FROM quotations WHERE base_reference = ?
+    `, [quotation.base_reference || quotation.quotation_id]);
+
+    const baseReference = quotation.base_reference || quotation.quotation_id;
+    const revisionNumber = (Number(latest[0]?.revision_number) || Number(quotation.revision_number) || 1) + 1;
+    const reference = revisionReference(baseReference, revisionNumber);
+
+    // Same currency at today's rate
+    const currency = await snapshotRate(connection, quotation.currency_code, new Date());
+
+    const lines = await priceStaffItems(connection, input, {
+        currency: currency.currency_code,
+        exchangeRate: currency.exchange_rate
+    });
+
+    const pricesIncludeTax = changes.prices_include_tax !== undefined
+        ? !!changes.prices_include_tax
+        : !!quotation.prices_include_tax;
+
+    const totals = await priceQuotationLines(connection, lines, {
+        pricesIncludeTax,
+        customerEmail: quotation.customer_email,
+        currency: currency.currency_code
+    });
+
+    // A new revision is valid for 30 days unless a date is given
+    let validUntil = valid_until;
+    if (!validUntil) {
+        validUntil = new Date();
+        validUntil.setDate(validUntil.getDate() + 30);
+    }
+
+    const [result] = await connection.query(`
+        INSERT INTO quotations (
+            quotation_id, base_reference, revision_number, revision_of_quotation_id,
+            revision_note, revised_by, status, source, created_by,
+            assigned_to, assigned_at, customer_id,
+            customer_name, customer_email, customer_phone,
+            customer_company, customer_project_name,
+            customer_delivery_address, customer_notes, terms_conditions,
+            survey_date, survey_area_m2, coating_system, survey_notes,
+            currency_code, exchange_rate, exchange_rate_date,
+            subtotal, vat, total, prices_include_tax, tax_summary,
+            price_review_required, valid_until, admin_notes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        reference, baseReference, revisionNumber, quotation.id,
+        revision_note ? String(revision_note).slice(0, 500) : null, userId, 'pending',
+        quotation.source || 'public', quotation.created_by ?? null,
+        quotation.assigned_to ?? null, quotation.assigned_at ?? null, quotation.customer_id,
+        quotation.customer_name, quotation.customer_email, quotation.customer_phone,
+        quotation.customer_company, pick('customer_project_name'),
+        pick('customer_delivery_address'), pick('customer_notes'), pick('terms_conditions'),
+        pick('survey_date'), pick('survey_area_m2'), pick('coating_system'), pick('survey_notes'),
+        currency.currency_code, currency.exchange_rate, currency.exchange_rate_date,
+        totals.subtotal, totals.tax_amount, totals.total,
+        totals.prices_include_tax, JSON.stringify(totals.tax_summary),
+        false, validUntil, quotation.admin_notes
+    ]);
+
+    await insertItemGroups(connection, result.insertId, groups, totals.items, currency.currency_code);
+    await insertQuotationItems(connection, result.insertId, totals.items);
+
+    await connection.query(`
+        UPDATE quotations
+        SET status = 'superseded', superseded_at = NOW()
+        WHERE id = ?
+    `, [quotation.id]);
+
+    await connection.query(`
+        INSERT INTO quotation_notifications (quotation_id, notification_type, is_read)
+        VALUES (?, 'revised', false)
+    `, [result.insertId]);
+
+    return { id: result.insertId, quotation_id: reference, revision_number: revisionNumber };
+};
+
+/**
+ * Apply the customer's choice of options and total the quotation again:
+ * groups lists the optional groups to include and the alternative chosen
+ * in each set (sets not mentioned keep their choice); items lists the
+ * optional lines outside optional and alternative groups to include. Either
+ * can be left undefined to keep the current choice. Only while the
+ * quotation is open for the customer's response. Must be called on a
+ * connection with an open transaction, with the quotation row locked.
+ */
+const selectOptions = async (connection, quotation, { items: selectedItems, groups: selectedGroups } = {}) => {
+    if (!isOpenForResponse(quotation)) {
+        throw httpError(400, 'Options can no longer be changed on this quotation');
+    }
+
+    if ((selectedItems !== undefined && !Array.isArray(selectedItems))
+        || (selectedGroups !== undefined && !Array.isArray(selectedGroups))) {
+        throw httpError(400, 'selected_items and selected_groups must be lists of ids');
+    }
+
+    const [items] = await connection.query(`
+        SELECT * FROM quotation_items WHERE quotation_id = ? ORDER BY id
+    `, [quotation.id]);
+    const groups = await getItemGroups(connection, quotation.id);
+    const groupsById = new Map(groups.map(group => [Number(group.id), group]));
+    const selection = new Map(groups.map(group => [Number(group.id), !!group.is_selected]));
+
+    if (selectedGroups !== undefined) {
+        const chosen = selectedGroups.map(Number);
+
+        if (chosen.some(id => !groupsById.has(id) || groupsById.get(id).group_type === 'required')) {
+            throw httpError(400, 'Only optional and alternative groups can be chosen');
+        }
+
+        groups
+            .filter(group => group.group_type === 'optional')
+            .forEach(group => selection.set(Number(group.id), chosen.includes(Number(group.id))));
+
+        [...new Set(groups.filter(group => group.group_type === 'alternative').map(group => group.alternative_set))].forEach(set => {
+            const members = groups.filter(group => group.group_type === 'alternative' && group.alternative_set === set);
+            const picked = members.filter(group => chosen.includes(Number(group.id)));
+
+            if (picked.length > 1) {
+                throw httpError(400, `Choose one of ${members.map(group => group.name).join(' or ')}`);
+            }
+            if (picked.length === 1) {
+                members.forEach(group => selection.set(Number(group.id), group === picked[0]));
+            }
+        });
+    }
+
+    // Lines chosen one by one: optional lines outside optional and alternative groups
+    const isChoosable = (item) => item.is_optional
+        && (!item.group_id || groupsById.get(Number(item.group_id))?.group_type === 'required');
+    const chosenItems = selectedItems !== undefined ? selectedItems.map(Number) : null;
+
+    if (chosenItems && chosenItems.some(id => !items.some(item => Number(item.id) === id && isChoosable(item)))) {
+        throw httpError(400, 'Only optional items can be included or left out');
+    }
+
+    const lines = items.map(item => {
+        const group = item.group_id ? groupsById.get(Number(item.group_id)) : null;
+        let selected = !!item.is_selected;
+
+        if (group && group.group_type !== 'required') {
+            selected = selection.get(Number(group.id));
+        } else if (item.is_optional && chosenItems) {
+            selected = chosenItems.includes(Number(item.id));
+        }
+
+        return {
+            ...item,
+            item_name: item.product_name,
+            is_selected: item.is_optional ? selected : true,
+            tax_code: item.tax_code || undefined,
+            tax_rate: item.tax_code ? undefined : item.tax_rate
+        };
+    });
+
+    const totals = await priceQuotationLines(connection, lines, {
+        pricesIncludeTax: !!quotation.prices_include_tax,
+        customerEmail: quotation.customer_email,
+        currency: quotation.currency_code
+    });
+
+    for (const group of groups.filter(group => group.group_type !== 'required')) {
+        await connection.query(`
+            UPDATE quotation_item_groups SET is_selected = ? WHERE id = ?
+        `, [selection.get(Number(group.id)), group.id]);
+    }
+
+    for (const line of lines.filter(item => item.is_optional)) {
+        await connection.query(`
+            UPDATE quotation_items SET is_selected = ? WHERE id = ?
+        `, [line.is_selected, line.id]);
+    }
+
+    await connection.query(`
+        UPDATE quotations
+        SET subtotal = ?, vat = ?, total = ?, tax_summary = ?
+        WHERE id = ?
+    `, [totals.subtotal, totals.tax_amount, totals.total, JSON.stringify(totals.tax_summary), quotation.id]);
+
+    return {
+        subtotal: totals.subtotal,
+        vat: totals.tax_amount,
+        total: totals.total,
+        selected_items: lines.filter(line => isChoosable(line) && line.is_selected).map(line => line.id),
+        selected_groups: groups.filter(group => group.group_type !== 'required' && selection.get(Number(group.id))).map(group => group.id)
+    };
+};
+
+module.exports = {
+    CLOSED_STATUSES,
+    LINE_TYPES,
+    GROUP_TYPES,
+    isIncluded,
+    revisionReference,
+    layerQuantity,
+    buildSurveyLines,
+    buildItemGroups,
+    priceStaffItems,
+    priceQuotationLines,
+    insertItemGroups,
+    getItemGroups,
+    insertQuotationItems,
+    findLatestRevision,
+    getRevisions,
+    diffRevisions,
+    createRevision,
+    selectOptions
+};
\ No newline at end of file
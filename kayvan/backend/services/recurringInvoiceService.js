@@ -0,0 +1,384 @@
+// Recurring invoice schedules (e.g. monthly maintenance contracts).
+// Each schedule stores an invoice template; every time its next_run_date
+// comes due an invoice is created from the template through the same
+// createInvoiceRecord used by POST /api/invoices. Schedules with auto_send
+// issue the invoice and email it to the customer, once it is registered
+// with the tax authority, just like POST /api/invoices/:id/send.
+
+const pool = require('../config/database');
+const {
+    calculateInvoiceTotals,
+    createInvoiceRecord,
+    getInvoiceDetails
+} = require('./invoiceService');
+const { queueInvoice, submitInvoice } = require('./fiscalService');
+const { renderInvoicePdf } = require('./pdfService');
+const { deliverDocument } = require('./documentDeliveryService');
+const { invoiceEmail } = require('./emailTemplates');
+const { toDateString } = require('./dates');
+
+const FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+// Template fields copied onto every generated invoice
+const TEMPLATE_FIELDS = [
+    'customer_id', 'customer_name', 'customer_email', 'customer_phone',
+    'customer_company', 'customer_address', 'customer_tax_id',
+    'currency_code', 'tax_rate', 'discount_type', 'discount_value', 'shipping_amount',
+    'prices_include_tax', 'withholding_vat',
+    'notes', 'terms_conditions'
+];
+
+// Helper function to parse YYYY-MM-DD as a local date
+const parseDate = (value) => {
+    if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Helper function to parse JSON columns
+const parseTemplate = (template) => {
+    if (!template) return {};
+    return typeof template === 'string' ? JSON.parse(template) : template;
+};
+
+/**
+ * Date of the run after `fromDate`. Month based frequencies keep the
+ * schedule's anchor day, clamped to the end of shorter months.
+ */
+const getNextRunDate = (fromDate, frequency, intervalCount = 1, anchorDay = null) => {
+    const date = parseDate(fromDate);
+    const count = Number(intervalCount) || 1;
+
+    if (frequency === 'weekly') {
+        date.setDate(date.getDate() + 7 * count);
+        return toDateString(date);
+    }
+
+    const months = { monthly: 1, quarterly: 3, yearly: 12 }[frequency] * count;
+    const day = anchorDay || date.getDate();
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(day, lastDay));
+
+    return toDateString(target);
+};
+
+/**
+ * Validate schedule fields. Returns an error message or null.
+ */
+const validateSchedule = ({ frequency, interval_count, start_date, end_date, template }) => {
+    if (!FREQUENCIES.includes(frequency)) {
+        return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+    }
+
+    if (interval_count !== undefined && !(parseInt(interval_count, 10) >= 1)) {
+        return 'Interval must be a positive whole number';
+    }
+
+    if (!start_date || isNaN(parseDate(start_date).getTime())) {
+        return 'A valid start date is required';
+    }
+
+    if (end_date && toDateString(parseDate(end_date)) < toDateString(parseDate(start_date))) {
+        return 'End date cannot be before the start date';
+    }
+
+    if (!template?.customer_name || !template?.customer_email) {
+        return 'Template must include customer name and email';
+    }
+
+    if (!Array.isArray(template.items) || template.items.length === 0) {
+        return 'Template must have at least one item';
+    }
+
+    return null;
+};
+
+/**
+ * Build a schedule template from an existing invoice and its items.
+ */
+const templateFromInvoice = (invoice) => {
+    const template = {};
+    TEMPLATE_FIELDS.forEach(field => {
+        if (invoice[field] !== undefined && invoice[field] !== null) {
+            template[field] = invoice[field];
+        }
+    });
+
+    template.items = (invoice.items || []).map(item => ({
+        product_id: item.product_id,
+        item_type: item.item_type,
+        item_name: item.item_name,
+        description: item.description,
+        quantity: Number(item.quantity),
+        unit: item.unit,
+        unit_price: Number(item.unit_price),
+        discount_percent: Number(item.discount_percent) || 0,
+        discount_amount: Number(item.discount_amount) || 0,
+        tax_code: item.tax_code || undefined,
+        tax_rate: Number(item.tax_rate)
+    }));
+
+    return template;
+};
+
+/**
+ * Invoice payload for one run of a schedule.
+ */
+const buildInvoicePayload = (schedule, runDate) => {
+    const template = parseTemplate(schedule.template);
+    const payload = {};
+
+    TEMPLATE_FIELDS.forEach(field => {
+        if (template[field] !== undefined) payload[field] = template[field];
+    });
+
+    return {
+        ...payload,
+        items: template.items || [],
+        issue_date: parseDate(runDate),
+        payment_terms: schedule.payment_terms || 30,
+        status: schedule.auto_send ? 'issued' : 'draft'
+    };
+};
+
+// Helper function to list the run dates of a schedule up to a date
+const getRunDatesUntil = (schedule, untilDate, limit = 24) => {
+    const until = toDateString(parseDate(untilDate));
+    const end = schedule.end_date ? toDateString(parseDate(schedule.end_date)) : null;
+    const anchorDay = parseDate(schedule.start_date).getDate();
+    const dates = [];
+
+    let runDate = toDateString(parseDate(schedule.next_run_date));
+    while (runDate <= until && (!end || runDate <= end) && dates.length < limit) {
+        dates.push(runDate);
+        runDate = getNextRunDate(runDate, schedule.frequency, schedule.interval_count, anchorDay);
+    }
+
+    return dates;
+};
+
+// Helper function to email an invoice generated by an auto_send schedule.
+// Like a manual send, it only goes out once registered with the tax
+// authority; sent_at is only set when the mail server accepted it.
+const sendGeneratedInvoice = async (invoiceId, queued, userId) => {
+    if (queued) {
+        const fiscal = await submitInvoice(invoiceId);
+        if (fiscal && fiscal.status !== 'submitted') {
+            throw new Error('Invoice is not yet registered with the tax authority; send it once registered');
+        }
+    }
+
+    const invoice = await getInvoiceDetails(pool, invoiceId);
+    if (!invoice.customer_email) {
+        throw new Error('Invoice has no customer email');
+    }
+
+    const pdf = await renderInvoicePdf(invoice, {
+        cache: process.env.INVOICE_PDF_CACHE !== 'false'
+    });
+
+    await deliverDocument({
+        documentType: 'invoice',
+        documentId: invoice.id,
+        documentNumber: invoice.invoice_number,
+        to: invoice.customer_email,
+        email: invoiceEmail(invoice),
+        pdf
+    }, userId);
+
+    await pool.query(`
+        UPDATE invoices
+        SET sent_at = NOW(), updated_at = NOW()
+        WHERE id = ?
+    `, [invoiceId]);
+};
+
+/**
+ * Generate the invoice for one due run of a schedule.
+ * With auto_send, the invoice is emailed after the run is committed; a
+ * failed email leaves the invoice issued but unsent, noted on the run.
+ * Runs in its own transaction with the schedule locked, so two workers
+ * (or a manual trigger racing the timer) cannot bill the same period twice.
+ */
+const runSchedule = async (scheduleId, { asOf = new Date(), userId = null } = {}) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [schedules] = await connection.query(
+            'SELECT * FROM recurring_invoices WHERE id = ? FOR UPDATE',
+            [scheduleId]
+        );
+
+        const schedule = schedules[0];
+        const today = toDateString(asOf);
+
+        if (!schedule || schedule.status !== 'active' || toDateString(parseDate(schedule.next_run_date)) > today) {
+            await connection.rollback();
+            return null;
+        }
+
+        const runDate = toDateString(parseDate(schedule.next_run_date));
+        const endDate = schedule.end_date ? toDateString(parseDate(schedule.end_date)) : null;
+
+        if (endDate && runDate > endDate) {
+            await connection.query(
+                `UPDATE recurring_invoices SET status = 'ended', updated_at = NOW() WHERE id = ?`,
+                [schedule.id]
+            );
+            await connection.commit();
+            return null;
+        }
+
+        const invoiceId = await createInvoiceRecord(
+            connection,
+            buildInvoicePayload(schedule, runDate),
+            userId || schedule.created_by || null
+        );
+
+        // Issued invoices are registered with the tax authority
+        const queued = schedule.auto_send && await queueInvoice(connection, invoiceId);
+
+        const [run] = await connection.query(`
+            INSERT INTO recurring_invoice_runs (
+                recurring_invoice_id, run_date, invoice_id, status
+            ) VALUES (?, ?, ?, 'success')
+        `, [schedule.id, runDate, invoiceId]);
+
+        const anchorDay = parseDate(schedule.start_date).getDate();
+        const nextRunDate = getNextRunDate(runDate, schedule.frequency, schedule.interval_count, anchorDay);
+        const ended = endDate && nextRunDate > endDate;
+
+        await connection.query(`
+            UPDATE recurring_invoices
+            SET next_run_date = ?, last_run_date = ?, last_invoice_id = ?,
+                status = ?, updated_at = NOW()
+            WHERE id = ?
+        `, [nextRunDate, runDate, invoiceId, ended ? 'ended' : 'active', schedule.id]);
+
+        await connection.commit();
+
+        const result = { schedule_id: schedule.id, run_date: runDate, invoice_id: invoiceId };
+
+        if (schedule.auto_send) {
+            try {
+                await sendGeneratedInvoice(invoiceId, queued, userId || schedule.created_by || null);
+                result.sent = true;
+            } catch (error) {
+                console.error(`❌ Recurring invoice ${invoiceId} was not emailed:`, error.message);
+                result.sent = false;
+                result.send_error = error.message;
+
+                await pool.query(
+                    'UPDATE recurring_invoice_runs SET error_message = ? WHERE id = ?',
+                    [`Invoice created but not emailed: ${error.message}`.slice(0, 1000), run.insertId]
+                ).catch(() => {});
+            }
+        }
+
+        return result;
+
+    } catch (error) {
+        await connection.rollback();
+
+        // Record the failure outside the rolled back transaction
+        await pool.query(`
+            INSERT INTO recurring_invoice_runs (
+                recurring_invoice_id, run_date, status, error_message
+            ) VALUES (?, ?, 'failed', ?)
+        `, [scheduleId, toDateString(asOf), error.message]).catch(() => {});
+
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Generate every invoice that has come due. Schedules that missed several
+ * periods (e.g. while the server was down) catch up one period at a time.
+ */
+const runDueSchedules = async (asOf = new Date()) => {
+    const [schedules] = await pool.query(`
+        SELECT id FROM recurring_invoices
+        WHERE status = 'active' AND next_run_date <= ?
+        ORDER BY next_run_date ASC, id ASC
+    `, [toDateString(asOf)]);
+
+    const summary = { checked: schedules.length, generated: [], failed: [] };
+
+    for (const { id } of schedules) {
+        // Bounded so a bad schedule cannot loop forever
+        for (let i = 0; i < 24; i++) {
+            try {
+                const result = await runSchedule(id, { asOf });
+                if (!result) break;
+                summary.generated.push(result);
+            } catch (error) {
+                summary.failed.push({ schedule_id: id, error: error.message });
+                break;
+            }
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Dry run: the invoices every active schedule would generate up to a date,
+ * with totals, without writing anything.
+ */
+const previewSchedules = async (untilDate, scheduleId = null) => {
+    let query = `SELECT * FROM recurring_invoices WHERE status = 'active'`;
+    const params = [];
+
+    if (scheduleId) {
+        query += ` AND id = ?`;
+        params.push(scheduleId);
+    }
+
+    query += ` ORDER BY next_run_date ASC, id ASC`;
+
+    const [schedules] = await pool.query(query, params);
+    const runs = [];
+
+    for (const schedule of schedules) {
+        for (const runDate of getRunDatesUntil(schedule, untilDate)) {
+            const payload = buildInvoicePayload(schedule, runDate);
+            const totals = await calculateInvoiceTotals(pool, payload);
+
+            runs.push({
+                recurring_invoice_id: schedule.id,
+                name: schedule.name,
+                run_date: runDate,
+                customer_name: payload.customer_name,
+                customer_email: payload.customer_email,
+                status: payload.status,
+                item_count: totals.items.length,
+                subtotal: totals.subtotal,
+                tax_amount: totals.tax_amount,
+                total: totals.total
+            });
+        }
+    }
+
+    return {
+        until: toDateString(parseDate(untilDate)),
+        invoice_count: runs.length,
+        total_amount: runs.reduce((sum, run) => sum + run.total, 0),
+        runs
+    };
+};
+
+module.exports = {
+    FREQUENCIES,
+    parseDate,
+    parseTemplate,
+    getNextRunDate,
+    validateSchedule,
+    templateFromInvoice,
+    runSchedule,
+    runDueSchedules,
+    previewSchedules
+};
\ No newline at end of file
@@ -0,0 +1,413 @@
+// Receivables and sales reports.
+// Balances are rebuilt from payment and credit note history rather than read
+// from invoices.balance_due, so a report run for a past date shows what was
+// owed on that date. Amounts are converted to the base currency with each
+// invoice's rate snapshot.
+//
+// The quotation funnel counts each revision series once, by its latest
+// revision, from the date the first revision was created.
+
+const { BASE_CURRENCY } = require('./currencyService');
+const { roundMoney } = require('./taxService');
+const { parseDay, toDateString } = require('./dates');
+const { httpError } = require('./httpError');
+
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Current', from: null, to: 0 },
+    { key: 'days_1_30', label: '1-30 days', from: 1, to: 30 },
+    { key: 'days_31_60', label: '31-60 days', from: 31, to: 60 },
+    { key: 'days_61_90', label: '61-90 days', from: 61, to: 90 },
+    { key: 'days_over_90', label: '90+ days', from: 91, to: null }
+];
+
+const FUNNEL_GROUPS = ['month', 'category', 'assignee'];
+
+// Statuses counted as won and as lost in the funnel; anything else is open
+const WON_STATUSES = ['accepted', 'converted'];
+const LOST_STATUSES = ['declined', 'expired', 'cancelled'];
+
+/**
+ * Validate a report date (YYYY-MM-DD), defaulting to today.
+ */
+const parseReportDate = (value) => {
+    if (!value) return toDateString(new Date());
+
+    const date = parseDay(value);
+    if (isNaN(date.getTime()) || toDateString(date) !== value) {
+        throw httpError(400, 'Dates must be in YYYY-MM-DD format');
+    }
+    return value;
+};
+
+/**
+ * Aging bucket for a number of days past the due date.
+ */
+const getAgingBucket = (daysOverdue) => AGING_BUCKETS.find(bucket =>
+    (bucket.from === null || daysOverdue >= bucket.from) && (bucket.to === null || daysOverdue <= bucket.to)
+).key;
+
+// Helper function to start a row of bucket totals
+const emptyBuckets = () => ({
+    ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0])),
+    total: 0,
+    invoice_count: 0
+});
+
+/**
+ * Invoices with money outstanding on a date, with what was owed on each.
+ * Drafts, invoices issued later and invoices already voided are left out.
+ */
+const getOutstandingInvoices = async (connection, asOf, { customerId } = {}) => {
+    let query = `
+        SELECT
+            i.id, i.invoice_number, i.status, i.customer_id,
+            COALESCE(c.name, i.customer_name) as customer_name,
+            COALESCE(c.email, i.customer_email) as customer_email,
+            COALESCE(c.company_name, i.customer_company) as customer_company,
+            DATE_FORMAT(i.issue_date, '%Y-%m-%d') as issue_date,
+            DATE_FORMAT(i.due_date, '%Y-%m-%d') as due_date,
+            i.currency_code, i.exchange_rate, i.total,
+            COALESCE((
+                SELECT SUM(p.amount) FROM invoice_payments p
+                WHERE p.invoice_id = i.id AND DATE(p.payment_date) <= ?
+            ), 0) as paid_to_date,
+            COALESCE((
+                SELECT SUM(cn.total) FROM credit_notes cn
+                WHERE cn.invoice_id = i.id AND cn.status = 'issued' AND cn.issue_date <= ?
+            ), 0) as credited_to_date,
+            DATEDIFF(?, i.due_date) as days_overdue
+        FROM invoices i
+        LEFT JOIN customers c ON i.customer_id = c.id
+        WHERE i.status != 'draft'
+        AND i.issue_date <= ?
+        AND NOT (i.status = 'void' AND (i.voided_at IS NULL OR DATE(i.voided_at) <= ?))
+    `;
+    const params = [asOf, asOf, asOf, asOf, asOf];
+
+    if (customerId) {
+        query += ` AND i.customer_id = ?`;
+        params.push(customerId);
+    }
+
+    query += ` ORDER BY i.due_date ASC, i.id ASC`;
+
+    const [invoices] = await connection.query(query, params);
+
+    return invoices
+        .map(invoice => {
+            const balanceDue = roundMoney(
+                Number(invoice.total) - Number(invoice.paid_to_date) - Number(invoice.credited_to_date),
+                invoice.currency_code
+            );
+            return {
+                ...invoice,
+                total: Number(invoice.total),
+                exchange_rate: Number(invoice.exchange_rate),
+                paid_to_date: Number(invoice.paid_to_date),
+                credited_to_date: Number(invoice.credited_to_date),
+                days_overdue: Number(invoice.days_overdue),
+                balance_due: balanceDue,
+                base_balance_due: roundMoney(balanceDue * (Number(invoice.exchange_rate) || 1))
+            };
+        })
+        .filter(invoice => invoice.balance_due > 0);
+};
+
+/**
+ * Accounts receivable aging as of a date: outstanding balances by how far
+ * past due they were, per customer and overall, in the base currency.
+ */
+const getArAging = async (connection, { asOf, customerId } = {}) => {
+    const date = parseReportDate(asOf);
+    const invoices = await getOutstandingInvoices(connection, date, { customerId });
+
+    const totals = emptyBuckets();
+    const customers = new Map();
+
+    invoices.forEach(invoice => {
+        const bucket = getAgingBucket(invoice.days_overdue);
+        const key = invoice.customer_id || (invoice.customer_email || invoice.customer_name || '').toLowerCase();
+
+        if (!customers.has(key)) {
+            customers.set(key, {
+                customer_id: invoice.customer_id,
+                customer_name: invoice.customer_name,
+                customer_email: invoice.customer_email,
+                customer_company: invoice.customer_company,
+                ...emptyBuckets(),
+                invoices: []
+            });
+        }
+
+        const customer = customers.get(key);
+        [customer, totals].forEach(row => {
+            row[bucket] = roundMoney(row[bucket] + invoice.base_balance_due);
+            row.total = roundMoney(row.total + invoice.base_balance_due);
+            row.invoice_count += 1;
+        });
+
+        customer.invoices.push({
+            id: invoice.id,
+            invoice_number: invoice.invoice_number,
+            issue_date: invoice.issue_date,
+            due_date: invoice.due_date,
+            currency_code: invoice.currency_code,
+            total: invoice.total,
+            balance_due: invoice.balance_due,
+            base_balance_due: invoice.base_balance_due,
+            days_overdue: Math.max(invoice.days_overdue, 0),
+            bucket
+        });
+    });
+
+    return {
+        as_of: date,
+        base_currency: BASE_CURRENCY,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        totals,
+        customers: [...customers.values()].sort((a, b) => b.total - a.total)
+    };
+};
+
+// Helper function to start a row of funnel counts
+const emptyFunnel = (key, label) => ({
+    key,
+    label,
+    quotations: 0,
+    sent: 0,
+    accepted: 0,
+    converted: 0,
+    lost: 0,
+    open: 0,
+    quoted_value: 0,
+    converted_value: 0,
+    days_to_convert: []
+});
+
+// Helper function to turn collected counts into rates and averages
+const finishFunnel = (row) => {
+    const { days_to_convert: days, ...counts } = row;
+    const percent = (count, of) => (of > 0 ? Math.round((count / of) * 1000) / 10 : null);
+
+    return {
+        ...counts,
+        sent_rate: percent(row.sent, row.quotations),
+        conversion_rate: percent(row.converted, row.quotations),
+        // Share of decided quotations (converted or lost) that were won
+        win_rate: percent(row.converted, row.converted + row.lost),
+        avg_days_to_convert: days.length > 0
+            ? Math.round((days.reduce((sum, value) => sum + value, 0) / days.length) * 10) / 10
+            : null
+    };
+};
+
+/**
+ * Quotation funnel between two dates (by when each series was first
+ * created, default the last twelve months): how many quotations were sent,
+ * accepted, converted and lost, conversion and win rates, the average days
+ * from first revision to conversion, and quoted and converted values in the
+ * base currency. Grouped by month, line category or assignee. A quotation
+ * with lines in several categories counts once in each, valued at its
+ * included lines in that category; 'lost_reasons' breaks down lost
+ * quotations by the reason recorded.
+ */
+const getQuotationFunnel = async (connection, { from, to, groupBy = 'month' } = {}) => {
+    if (!FUNNEL_GROUPS.includes(groupBy)) {
+        throw httpError(400, `group_by must be one of: ${FUNNEL_GROUPS.join(', ')}`);
+    }
+
+    const toDate = parseReportDate(to);
+    let fromDate = from ? parseReportDate(from) : null;
+    if (!fromDate) {
+        const start = parseDay(toDate);
+        start.setMonth(start.getMonth() - 11, 1);
+        fromDate = toDateString(start);
+    }
+
+    if (fromDate > toDate) {
+        throw httpError(400, 'from must not be after to');
+    }
+
+    const [quotations] = await connection.query(`
+        SELECT
+            q.id, q.quotation_id, q.status, q.total, q.exchange_rate,
+            q.assigned_to, u.name as assigned_to_name,
+            q.lost_reason,
+            DATE_FORMAT(s.started_at, '%Y-%m') as month,
+            s.sent_count,
+            TIMESTAMPDIFF(SECOND, s.started_at, q.converted_at) / 86400 as days_to_convert
+        FROM quotations q
+        JOIN (
+            SELECT
+                base_reference,
+                MIN(created_at) as started_at,
+                SUM(sent_at IS NOT NULL) as sent_count
+            FROM quotations
+            GROUP BY base_reference
+        ) s ON s.base_reference = q.base_reference
+        LEFT JOIN admin_users u ON q.assigned_to = u.id
+        WHERE q.status != 'superseded'
+        AND DATE(s.started_at) BETWEEN ? AND ?
+        ORDER BY s.started_at ASC
+    `, [fromDate, toDate]);
+
+    // Included line totals per category, for grouping by category
+    const categories = new Map();
+    if (groupBy === 'category' && quotations.length > 0) {
+        const [lines] = await connection.query(`
+            SELECT quotation_id, category, SUM(total) as total
+            FROM quotation_items
+            WHERE quotation_id IN (?)
+            AND (is_optional = false OR is_selected = true)
+            GROUP BY quotation_id, category
+        `, [quotations.map(quotation => quotation.id)]);
+
+        lines.forEach(line => {
+            if (!categories.has(line.quotation_id)) categories.set(line.quotation_id, []);
+            categories.get(line.quotation_id).push(line);
+        });
+    }
+
+    // Helper function to list the groups a quotation falls in, with its value in each
+    const groupsOf = (quotation, value) => {
+        if (groupBy === 'month') {
+            return [{ key: quotation.month, label: quotation.month, value }];
+        }
+        if (groupBy === 'assignee') {
+            return [{
+                key: quotation.assigned_to ? String(quotation.assigned_to) : 'unassigned',
+                label: quotation.assigned_to_name || (quotation.assigned_to ? `User ${quotation.assigned_to}` : 'Unassigned'),
+                value
+            }];
+        }
+        const lines = categories.get(quotation.id) || [{ category: null, total: quotation.total }];
+        return lines.map(line => ({
+            key: line.category || 'uncategorised',
+            label: line.category || 'Uncategorised',
+            value: roundMoney(Number(line.total) * (Number(quotation.exchange_rate) || 1))
+        }));
+    };
+
+    const totals = emptyFunnel('total', 'Total');
+    const groups = new Map();
+    const lostReasons = {};
+
+    quotations.forEach(quotation => {
+        const value = roundMoney(Number(quotation.total) * (Number(quotation.exchange_rate) || 1));
+        const converted = quotation.status === 'converted';
+        const lost = LOST_STATUSES.includes(quotation.status);
+
+        if (lost) {
+            const reason = quotation.lost_reason || 'unspecified';
+            lostReasons[reason] = (lostReasons[reason] || 0) + 1;
+        }
+
+        const count = (row, rowValue) => {
+            row.quotations += 1;
+            if (Number(quotation.sent_count) > 0) row.sent += 1;
+            if (WON_STATUSES.includes(quotation.status)) row.accepted += 1;
+            if (lost) row.lost += 1;
+            if (!lost && !converted && quotation.status !== 'accepted') row.open += 1;
+            row.quoted_value = roundMoney(row.quoted_value + rowValue);
+            if (converted) {
+                row.converted += 1;
+                row.converted_value = roundMoney(row.converted_value + rowValue);
+                if (quotation.days_to_convert !== null) row.days_to_convert.push(Number(quotation.days_to_convert));
+            }
+        };
+
+        count(totals, value);
+        groupsOf(quotation, value).forEach(group => {
+            if (!groups.has(group.key)) groups.set(group.key, emptyFunnel(group.key, group.label));
+            count(groups.get(group.key), group.value);
+        });
+    });
+
+    const rows = [...groups.values()].map(finishFunnel);
+    if (groupBy !== 'month') {
+        rows.sort((a, b) => b.quotations - a.quotations || a.label.localeCompare(b.label));
+    }
+
+    return {
+        from: fromDate,
+        to: toDate,
+        group_by: groupBy,
+        base_currency: BASE_CURRENCY,
+        totals: finishFunnel(totals),
+        groups: rows,
+        lost_reasons: Object.entries(lostReasons)
+            .map(([reason, count]) => ({ reason, count }))
+            .sort((a, b) => b.count - a.count)
+    };
+};
+
+// Helper function to quote a CSV field when needed. Text a spreadsheet
+// would run as a formula (=, +, -, @, tab or CR first) is prefixed with a
+// quote; plain numbers such as -120.00 are left as numbers.
+const csvField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render rows (arrays of values) as CSV text.
+ */
+const toCsv = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Aging report as CSV: one row per customer and a total row.
+ */
+const arAgingToCsv = (report) => {
+    const amounts = (row) => [...AGING_BUCKETS.map(bucket => row[bucket.key].toFixed(2)), row.total.toFixed(2)];
+
+    return toCsv([
+        ['Customer', 'Company', 'Email', 'Invoices', ...AGING_BUCKETS.map(bucket => bucket.label), `Total (${report.base_currency})`],
+        ...report.customers.map(customer => [
+            customer.customer_name,
+            customer.customer_company,
+            customer.customer_email,
+            customer.invoice_count,
+            ...amounts(customer)
+        ]),
+        ['Total', '', '', report.totals.invoice_count, ...amounts(report.totals)]
+    ]);
+};
+
+/**
+ * Quotation funnel as CSV: one row per group and a total row.
+ */
+const quotationFunnelToCsv = (report) => {
+    const values = (row) => [
+        row.quotations, row.sent, row.accepted, row.converted, row.lost, row.open,
+        row.conversion_rate, row.win_rate, row.avg_days_to_convert,
+        row.quoted_value.toFixed(2), row.converted_value.toFixed(2)
+    ];
+
+    return toCsv([
+        [
+            report.group_by.charAt(0).toUpperCase() + report.group_by.slice(1),
+            'Quotations', 'Sent', 'Accepted', 'Converted', 'Lost', 'Open',
+            'Conversion rate (%)', 'Win rate (%)', 'Avg days to convert',
+            `Quoted (${report.base_currency})`, `Converted (${report.base_currency})`
+        ],
+        ...report.groups.map(row => [row.label, ...values(row)]),
+        ['Total', ...values(report.totals)]
+    ]);
+};
+
+module.exports = {
+    AGING_BUCKETS,
+    FUNNEL_GROUPS,
+    parseReportDate,
+    getAgingBucket,
+    getOutstandingInvoices,
+    getArAging,
+    getQuotationFunnel,
+    toCsv,
+    arAgingToCsv,
+    quotationFunnelToCsv
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+// Minimal in-process job scheduler.
+// Jobs are registered with an interval and run on timers inside the API
+// process. A job never overlaps with itself; if a run is still going when
+// the next tick fires, that tick is skipped. Every run is also written to
+// scheduled_job_runs so its history survives restarts.
+
+const pool = require('../config/database');
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a job. The handler receives no arguments and may return a
+ * summary object which is kept as the job's last result.
+ */
+const registerJob = (name, intervalMs, handler, { runOnStart = true } = {}) => {
+    if (jobs.has(name)) {
+        throw new Error(`Job '${name}' is already registered`);
+    }
+
+    jobs.set(name, {
+        name,
+        intervalMs,
+        handler,
+        runOnStart,
+        timer: null,
+        running: false,
+        lastRunAt: null,
+        lastFinishedAt: null,
+        lastResult: null,
+        lastError: null,
+        runCount: 0,
+        failureCount: 0
+    });
+};
+
+// Helper function to persist a finished run (best effort)
+const recordRun = async (job, status, startedAt, result, errorMessage) => {
+    try {
+        await pool.query(`
+            INSERT INTO scheduled_job_runs (
+                job_name, status, started_at, finished_at, result, error_message
+            ) VALUES (?, ?, ?, NOW(), ?, ?)
+        `, [
+            job.name,
+            status,
+            startedAt,
+            result === null || result === undefined ? null : JSON.stringify(result),
+            errorMessage || null
+        ]);
+    } catch (error) {
+        console.error(`❌ Could not record run of job ${job.name}:`, error.message);
+    }
+};
+
+/**
+ * Run a registered job now. Resolves with its result, or null when the
+ * job was already running.
+ */
+const runJob = async (name) => {
+    const job = jobs.get(name);
+
+    if (!job) {
+        throw new Error(`Job '${name}' is not registered`);
+    }
+
+    if (job.running) {
+        return null;
+    }
+
+    job.running = true;
+    job.lastRunAt = new Date();
+
+    try {
+        const result = await job.handler();
+        job.lastResult = result === undefined ? null : result;
+        job.lastError = null;
+        await recordRun(job, 'success', job.lastRunAt, job.lastResult);
+        return job.lastResult;
+    } catch (error) {
+        job.failureCount += 1;
+        job.lastError = error.message;
+        console.error(`❌ Job ${name} failed:`, error);
+        await recordRun(job, 'failed', job.lastRunAt, null, error.message);
+        throw error;
+    } finally {
+        job.running = false;
+        job.runCount += 1;
+        job.lastFinishedAt = new Date();
+    }
+};
+
+/**
+ * Start timers for every registered job.
+ */
+const startScheduler = () => {
+    if (started) return;
+    started = true;
+
+    jobs.forEach(job => {
+        const tick = () => runJob(job.name).catch(() => {});
+
+        job.timer = setInterval(tick, job.intervalMs);
+        // Do not keep the process alive just for background jobs
+        if (job.timer.unref) job.timer.unref();
+
+        if (job.runOnStart) {
+            setTimeout(tick, 5000).unref();
+        }
+    });
+
+    console.log(`⏰ Scheduler started with ${jobs.size} job(s)`);
+};
+
+/**
+ * Stop all job timers.
+ */
+const stopScheduler = () => {
+    jobs.forEach(job => {
+        if (job.timer) clearInterval(job.timer);
+        job.timer = null;
+    });
+    started = false;
+};
+
+/**
+ * Snapshot of every job's state for status endpoints.
+ */
+const getJobStatus = () => Array.from(jobs.values()).map(job => ({
+    name: job.name,
+    interval_ms: job.intervalMs,
+    running: job.running,
+    last_run_at: job.lastRunAt,
+    last_finished_at: job.lastFinishedAt,
+    last_result: job.lastResult,
+    last_error: job.lastError,
+    run_count: job.runCount,
+    failure_count: job.failureCount,
+    next_run_at: job.timer && job.lastRunAt
+        ? new Date(job.lastRunAt.getTime() + job.intervalMs)
+        : null
+}));
+
+/**
+ * Whether a job with this name is registered.
+ */
+const hasJob = (name) => jobs.has(name);
+
+module.exports = {
+    registerJob,
+    hasJob,
+    runJob,
+    startScheduler,
+    stopScheduler,
+    getJobStatus
+};
\ No newline at end of file
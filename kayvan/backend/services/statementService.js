@@ -0,0 +1,229 @@
+// Customer statements of account.
+// A statement lists every invoice, payment, refund, credit note and void
+// for one customer in one currency between two dates, with a running
+// balance. The opening balance is everything before the period, worked out
+// from the same history, so consecutive statements always join up.
+
+const { roundMoney } = require('./taxService');
+const { BASE_CURRENCY } = require('./currencyService');
+const { getCustomer, getDefaultAddress, formatAddress } = require('./customerService');
+const { parseReportDate, getAgingBucket, AGING_BUCKETS } = require('./reportService');
+const { httpError } = require('./httpError');
+
+// Order of entries dated the same day
+const ENTRY_ORDER = ['invoice', 'credit_note', 'payment', 'withholding', 'refund', 'void'];
+
+// Helper function to get the first day of a YYYY-MM-DD date's month
+const startOfMonth = (date) => `${date.slice(0, 8)}01`;
+
+// Helper function to build a statement entry
+const entry = (date, type, reference, description, amount, invoiceId) => ({
+    date,
+    type,
+    reference,
+    description,
+    invoice_id: invoiceId,
+    debit: amount > 0 ? roundMoney(amount) : 0,
+    credit: amount < 0 ? roundMoney(-amount) : 0,
+    amount: roundMoney(amount)
+});
+
+/**
+ * Statement of account for a customer between two dates.
+ * `to` defaults to today and `from` to the first of that month. Customers
+ * billed in several currencies get one statement per currency; by default
+ * the currency of their latest invoice.
+ */
+const getStatement = async (connection, customerId, { from, to, currency } = {}) => {
+    const periodTo = parseReportDate(to);
+    const periodFrom = from ? parseReportDate(from) : startOfMonth(periodTo);
+
+    if (periodFrom > periodTo) {
+        throw httpError(400, 'The statement start date must be before its end date');
+    }
+
+    const customer = await getCustomer(connection, customerId);
+
+    if (!customer) {
+        throw httpError(404, 'Customer not found');
+    }
+
+    // Legacy cancelled invoices were never owed, so they have no void date
+    const [allInvoices] = await connection.query(`
+        SELECT
+            id, invoice_number, status, total, currency_code, customer_address,
+            DATE_FORMAT(issue_date, '%Y-%m-%d') as issue_date,
+            DATE_FORMAT(due_date, '%Y-%m-%d') as due_date,
+            DATE_FORMAT(voided_at, '%Y-%m-%d') as voided_date,
+            void_reason
+        FROM invoices
+        WHERE customer_id = ?
+        AND status != 'draft'
+        AND NOT (status = 'void' AND voided_at IS NULL)
+        ORDER BY issue_date DESC, id DESC
+    `, [customer.id]);
+
+    const latest = allInvoices[0];
+    const currencies = [...new Set(allInvoices.map(invoice => invoice.currency_code))];
+    const statementCurrency = currency
+        ? String(currency).toUpperCase()
+        : latest?.currency_code || customer.currency_code || BASE_CURRENCY;
+
+    const invoices = allInvoices.filter(invoice =>
+        invoice.currency_code === statementCurrency && invoice.issue_date <= periodTo
+    );
+    const invoiceIds = invoices.map(invoice => invoice.id);
+
+    let payments = [];
+    let creditNotes = [];
+
+    if (invoiceIds.length > 0) {
+        [payments] = await connection.query(`
+            SELECT
+                id, invoice_id, amount, payment_method, reference_number,
+                DATE_FORMAT(payment_date, '%Y-%m-%d') as payment_date
+            FROM invoice_payments
+            WHERE invoice_id IN (?) AND DATE(payment_date) <= ?
+        `, [invoiceIds, periodTo]);
+
+        [creditNotes] = await connection.query(`
+            SELECT
+                id, invoice_id, credit_note_number, total, reason,
+                DATE_FORMAT(issue_date, '%Y-%m-%d') as issue_date
+            FROM credit_notes
+            WHERE invoice_id IN (?) AND status = 'issued' AND issue_date <= ?
+        `, [invoiceIds, periodTo]);
+    }
+
+    const invoicesById = new Map(invoices.map(invoice => [invoice.id, invoice]));
+    const entries = [];
+
+    invoices.forEach(invoice => {
+        entries.push(entry(
+            invoice.issue_date, 'invoice', invoice.invoice_number,
+            `Invoice, due ${invoice.due_date}`, Number(invoice.total), invoice.id
+        ));
+    });
+
+    creditNotes.forEach(creditNote => {
+        const invoice = invoicesById.get(creditNote.invoice_id);
+        entries.push(entry(
+            creditNote.issue_date, 'credit_note', creditNote.credit_note_number,
+            `Credit note against ${invoice.invoice_number}`, -Number(creditNote.total), invoice.id
+        ));
+    });
+
+    payments.forEach(payment => {
+        const invoice = invoicesById.get(payment.invoice_id);
+        const amount = Number(payment.amount);
+        let type = 'payment';
+        let description = `Payment for ${invoice.invoice_number}`;
+
+        if (payment.payment_method === 'withholding_vat') {
+            type = 'withholding';
+            description = `Withholding VAT on ${invoice.invoice_number}`;
+        } else if (amount < 0) {
+            type = 'refund';
+            description = `Refund on ${invoice.invoice_number}`;
+        }
+
+        entries.push(entry(
+            payment.payment_date, type, payment.reference_number || invoice.invoice_number,
+            description, -amount, invoice.id
+        ));
+    });
+
+    // A void cancels whatever was still owed on the invoice when it was voided
+    invoices
+        .filter(invoice => invoice.voided_date && invoice.voided_date <= periodTo)
+        .forEach(invoice => {
+            const owed = entries
+                .filter(row => row.invoice_id === invoice.id && row.date <= invoice.voided_date)
+                .reduce((sum, row) => sum + row.amount, 0);
+
+            if (roundMoney(owed) !== 0) {
+                entries.push(entry(
+                    invoice.voided_date, 'void', invoice.invoice_number,
+                    `Invoice voided${invoice.void_reason ? `: ${invoice.void_reason}` : ''}`, -owed, invoice.id
+                ));
+            }
+        });
+
+    entries.sort((a, b) => a.date.localeCompare(b.date)
+        || ENTRY_ORDER.indexOf(a.type) - ENTRY_ORDER.indexOf(b.type)
+        || a.invoice_id - b.invoice_id);
+
+    const openingBalance = roundMoney(entries
+        .filter(row => row.date < periodFrom)
+        .reduce((sum, row) => sum + row.amount, 0));
+
+    let balance = openingBalance;
+    const transactions = entries
+        .filter(row => row.date >= periodFrom)
+        .map(row => {
+            balance = roundMoney(balance + row.amount);
+            return { ...row, balance };
+        });
+
+    // What is still owed at the end of the period, by age
+    const aging = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    invoices.forEach(invoice => {
+        const outstanding = roundMoney(entries
+            .filter(row => row.invoice_id === invoice.id)
+            .reduce((sum, row) => sum + row.amount, 0));
+
+        if (outstanding > 0) {
+            const daysOverdue = Math.round((new Date(periodTo) - new Date(invoice.due_date)) / 86400000);
+            const bucket = getAgingBucket(daysOverdue);
+            aging[bucket] = roundMoney(aging[bucket] + outstanding);
+        }
+    });
+
+    return {
+        customer: {
+            id: customer.id,
+            name: customer.name,
+            email: customer.email,
+            company: customer.company_name,
+            phone: customer.phone,
+            address: formatAddress(getDefaultAddress(customer, 'billing')) || latest?.customer_address || null,
+            tax_id: customer.tax_id
+        },
+        currency: statementCurrency,
+        currencies,
+        from: periodFrom,
+        to: periodTo,
+        opening_balance: openingBalance,
+        transactions: transactions.map(({ amount, ...row }) => row),
+        total_debits: roundMoney(transactions.reduce((sum, row) => sum + row.debit, 0)),
+        total_credits: roundMoney(transactions.reduce((sum, row) => sum + row.credit, 0)),
+        closing_balance: balance,
+        aging: {
+            buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+            ...aging
+        }
+    };
+};
+
+/**
+ * Record a statement that is being sent, for the delivery history.
+ * Returns the new statement id.
+ */
+const recordStatement = async (connection, statement, userId = null) => {
+    const [result] = await connection.query(`
+        INSERT INTO customer_statements (
+            customer_id, customer_email, customer_name, currency_code,
+            period_from, period_to, opening_balance, closing_balance, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        statement.customer.id, statement.customer.email, statement.customer.name, statement.currency,
+        statement.from, statement.to, statement.opening_balance, statement.closing_balance, userId
+    ]);
+
+    return result.insertId;
+};
+
+module.exports = {
+    getStatement,
+    recordStatement
+};
\ No newline at end of file
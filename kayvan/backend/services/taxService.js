@@ -0,0 +1,265 @@
+// Tax engine shared by invoices, quotations and credit notes.
+// Every document total is worked out here so the numbers never differ
+// between creating, editing, duplicating or converting a document.
+//
+// - Lines carry a named tax code (S standard 16%, Z zero-rated, E exempt).
+// - Prices are tax exclusive unless the document says prices_include_tax.
+// - A customer with a valid exemption certificate has taxable lines exempted.
+// - Document discounts reduce the taxable amount of every line pro rata, so
+//   the tax summary (per code) is what VAT is charged on.
+// - Withholding VAT (2% of the taxable value) is worked out for customers
+//   who are withholding agents and deducted when payments are recorded.
+// - Amounts are rounded to the document currency's minor unit (whole
+//   shillings for UGX and RWF, cents otherwise).
+
+const { getDecimals } = require('./currencyService');
+const { toDateString } = require('./dates');
+const { httpError } = require('./httpError');
+
+const STANDARD_CODE = process.env.DEFAULT_TAX_CODE || 'S';
+const ZERO_RATED_CODE = 'Z';
+const EXEMPT_CODE = 'E';
+const WITHHOLDING_VAT_RATE = process.env.WITHHOLDING_VAT_RATE !== undefined
+    ? Number(process.env.WITHHOLDING_VAT_RATE)
+    : 2;
+
+// Used when the tax_codes table has not been populated
+const DEFAULT_TAX_CODES = [
+    { code: 'S', name: 'Standard rated', rate: 16, is_exempt: false },
+    { code: 'Z', name: 'Zero rated', rate: 0, is_exempt: false },
+    { code: 'E', name: 'Exempt', rate: 0, is_exempt: true }
+];
+
+/**
+ * Round an amount to the minor unit of a currency (cents when none is given).
+ */
+const roundMoney = (value, currency = null) => {
+    const factor = Math.pow(10, getDecimals(currency));
+    return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+/**
+ * Load active tax codes as a Map keyed by code.
+ */
+const loadTaxCodes = async (connection) => {
+    const [rows] = await connection.query(
+        'SELECT code, name, rate, is_exempt FROM tax_codes WHERE is_active = true'
+    );
+
+    const codes = rows.length > 0 ? rows : DEFAULT_TAX_CODES;
+    return new Map(codes.map(code => [code.code, {
+        code: code.code,
+        name: code.name,
+        rate: Number(code.rate),
+        is_exempt: !!code.is_exempt
+    }]));
+};
+
+/**
+ * Valid exemption certificate for a customer on a date, or null.
+ */
+const findExemption = async (connection, customerEmail, date = new Date()) => {
+    if (!customerEmail) return null;
+
+    const [exemptions] = await connection.query(`
+        SELECT * FROM tax_exemptions
+        WHERE customer_email = ?
+        AND valid_from <= ?
+        AND (valid_until IS NULL OR valid_until >= ?)
+        ORDER BY valid_from DESC
+        LIMIT 1
+    `, [customerEmail, toDateString(date), toDateString(date)]);
+
+    return exemptions[0] || null;
+};
+
+/**
+ * Tax code for a line. Lines without a code fall back to their tax_rate
+ * (older payloads and recurring templates), then to the document default.
+ */
+const resolveTaxCode = (item, document, taxCodes) => {
+    const code = item.tax_code || (item.tax_rate == null && document.tax_rate == null ? document.tax_code : null);
+
+    if (code) {
+        const taxCode = taxCodes.get(code);
+        if (!taxCode) {
+            throw httpError(400, `Unknown tax code '${code}'`);
+        }
+        return taxCode;
+    }
+
+    const rate = item.tax_rate != null ? Number(item.tax_rate) : (document.tax_rate != null ? Number(document.tax_rate) : null);
+
+    if (rate === null) {
+        return taxCodes.get(STANDARD_CODE);
+    }
+
+    if (rate === 0) {
+        return taxCodes.get(ZERO_RATED_CODE);
+    }
+
+    const match = [...taxCodes.values()].find(taxCode => !taxCode.is_exempt && taxCode.rate === rate);
+    return match || { code: null, name: `VAT ${rate}%`, rate, is_exempt: false };
+};
+
+/**
+ * Split a line amount into net and tax.
+ * With tax inclusive prices the amount already contains the tax.
+ */
+const splitAmount = (amount, rate, inclusive = false, currency = null) => {
+    const value = roundMoney(amount, currency);
+    const net = inclusive ? roundMoney(value / (1 + rate / 100), currency) : value;
+    const tax = inclusive ? roundMoney(value - net, currency) : roundMoney(net * rate / 100, currency);
+    return { net, tax };
+};
+
+/**
+ * Work out line and document totals, the tax summary and withholding VAT.
+ * Pure: pass the codes from loadTaxCodes and any exemption from findExemption.
+ * Amounts are rounded for `currency` (the document's currency_code by default).
+ */
+const calculateTaxes = (data, taxCodes, { exemption = null, currency = data.currency_code } = {}) => {
+    const {
+        items = [],
+        discount_type,
+        discount_value = 0,
+        shipping_amount = 0,
+        shipping_tax_code,
+        prices_include_tax = false,
+        withholding_vat = false
+    } = data;
+
+    const inclusive = !!prices_include_tax;
+    const exemptCode = taxCodes.get(EXEMPT_CODE) || DEFAULT_TAX_CODES[2];
+
+    // Exempt customers are not charged on lines that would otherwise be taxed
+    const applyExemption = (taxCode) => (exemption && taxCode.rate > 0 ? exemptCode : taxCode);
+
+    const lines = items.map(item => {
+        const taxCode = applyExemption(resolveTaxCode(item, data, taxCodes));
+        const quantity = Number(item.quantity) || 0;
+        const unitPrice = Number(item.unit_price) || 0;
+        const gross = roundMoney(quantity * unitPrice, currency);
+        const lineDiscount = Number(item.discount_amount)
+            ? roundMoney(item.discount_amount, currency)
+            : roundMoney(gross * (Number(item.discount_percent) || 0) / 100, currency);
+        const { net, tax } = splitAmount(gross - lineDiscount, taxCode.rate, inclusive, currency);
+
+        return {
+            ...item,
+            tax_code: taxCode.code,
+            tax_rate: taxCode.rate,
+            discount_amount: lineDiscount,
+            net_amount: net,
+            tax_amount: tax,
+            total: roundMoney(net + tax, currency)
+        };
+    });
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.net_amount, 0), currency);
+
+    // Document discount is applied to the net subtotal
+    let discountAmount = 0;
+    if (discount_type === 'percentage') {
+        discountAmount = roundMoney(subtotal * (Number(discount_value) || 0) / 100, currency);
+    } else if (discount_type === 'fixed') {
+        discountAmount = roundMoney(discount_value, currency);
+    }
+    discountAmount = Math.min(discountAmount, subtotal);
+
+    const discountFactor = subtotal > 0 ? (subtotal - discountAmount) / subtotal : 1;
+
+    // Taxable amount per code after the document discount
+    const summary = new Map();
+    const addToSummary = (taxCode, taxable) => {
+        const key = taxCode.code || `rate:${taxCode.rate}`;
+        const row = summary.get(key) || {
+            tax_code: taxCode.code,
+            name: taxCode.name,
+            rate: taxCode.rate,
+            taxable_amount: 0,
+            tax_amount: 0
+        };
+        row.taxable_amount += taxable;
+        summary.set(key, row);
+    };
+
+    lines.forEach(line => {
+        addToSummary(
+            { code: line.tax_code, name: resolveName(line, taxCodes), rate: line.tax_rate },
+            line.net_amount * discountFactor
+        );
+    });
+
+    // Delivery is entered net of tax and taxed like a standard rated supply
+    // unless coded otherwise
+    const shippingCode = applyExemption(taxCodes.get(shipping_tax_code || STANDARD_CODE) || taxCodes.get(STANDARD_CODE));
+    const shippingAmount = roundMoney(shipping_amount, currency);
+    if (shippingAmount > 0) {
+        addToSummary(shippingCode, shippingAmount);
+    }
+
+    const taxSummary = [...summary.values()].map(row => ({
+        ...row,
+        taxable_amount: roundMoney(row.taxable_amount, currency),
+        tax_amount: roundMoney(row.taxable_amount * row.rate / 100, currency)
+    }));
+
+    const taxAmount = roundMoney(taxSummary.reduce((sum, row) => sum + row.tax_amount, 0), currency);
+    const total = roundMoney(subtotal - discountAmount + shippingAmount + taxAmount, currency);
+
+    // Withholding VAT is charged on the value of taxed supplies
+    const taxedValue = taxSummary
+        .filter(row => row.rate > 0)
+        .reduce((sum, row) => sum + row.taxable_amount, 0);
+    const withholdingAmount = withholding_vat ? roundMoney(taxedValue * WITHHOLDING_VAT_RATE / 100, currency) : 0;
+
+    // Headline rate kept on the document for older reports
+    const headlineRate = taxSummary.reduce((max, row) => Math.max(max, row.rate), 0);
+
+    return {
+        subtotal,
+        discount_amount: discountAmount,
+        shipping_amount: shippingAmount,
+        tax_rate: headlineRate,
+        tax_amount: taxAmount,
+        total,
+        prices_include_tax: inclusive,
+        withholding_vat: !!withholding_vat,
+        withholding_vat_amount: withholdingAmount,
+        amount_payable: roundMoney(total - withholdingAmount, currency),
+        tax_exemption: exemption
+            ? { id: exemption.id, certificate_number: exemption.certificate_number }
+            : null,
+        tax_summary: taxSummary,
+        items: lines
+    };
+};
+
+// Helper function to name a line's tax code in the summary
+const resolveName = (line, taxCodes) => {
+    const taxCode = line.tax_code ? taxCodes.get(line.tax_code) : null;
+    return taxCode ? taxCode.name : `VAT ${line.tax_rate}%`;
+};
+
+/**
+ * Load codes and the customer's exemption, then calculate.
+ */
+const calculateDocumentTaxes = async (connection, data, { customerEmail = null, date = new Date(), currency = data.currency_code } = {}) => {
+    const taxCodes = await loadTaxCodes(connection);
+    const exemption = await findExemption(connection, customerEmail, date);
+    return calculateTaxes(data, taxCodes, { exemption, currency });
+};
+
+module.exports = {
+    STANDARD_CODE,
+    ZERO_RATED_CODE,
+    EXEMPT_CODE,
+    WITHHOLDING_VAT_RATE,
+    roundMoney,
+    loadTaxCodes,
+    findExemption,
+    splitAmount,
+    calculateTaxes,
+    calculateDocumentTaxes
+};
\ No newline at end of file
@@ -0,0 +1,197 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEtimsStub } = require('../../scripts/etimsStub');
+const etims = require('../../services/fiscal/etims');
+
+const invoice = {
+    id: 412,
+    invoice_number: 'INV-2026-00007',
+    issue_date: '2026-10-01',
+    exchange_rate: 1,
+    customer_name: 'Jane Wanjiku',
+    customer_company: 'Wanjiku Builders',
+    customer_tax_id: 'P051234567X',
+    tax_summary: [
+        { tax_code: 'S', rate: 16, taxable_amount: 1000, tax_amount: 160 },
+        { tax_code: 'E', rate: 0, taxable_amount: 200, tax_amount: 0 }
+    ],
+    items: [
+        { id: 1, product_id: 5, item_name: 'Roofing sheet', quantity: 10, unit_price: 100, discount_percent: 0, discount_amount: 0, tax_code: 'S', tax_rate: 16, tax_amount: 160, total: 1160 },
+        { id: 2, product_id: null, item_name: 'Delivery', quantity: 1, unit_price: 200, discount_percent: 0, discount_amount: 0, tax_code: 'E', tax_rate: 0, tax_amount: 0, total: 200 }
+    ]
+};
+
+const creditNote = {
+    credit_note_number: 'CN-2026-00002',
+    issue_date: '2026-10-05',
+    items: [
+        { invoice_item_id: 1, product_id: 5, item_name: 'Roofing sheet', quantity: 2, unit_price: 100, tax_rate: 16, tax_amount: 32, total: 232 }
+    ]
+};
+
+beforeEach(() => {
+    process.env.ETIMS_TIN = 'P000000001A';
+    process.env.ETIMS_CMC_KEY = 'cmc-key';
+    process.env.ETIMS_BRANCH_ID = '00';
+});
+
+describe('getTaxType', () => {
+    it('maps exempt, standard, reduced and zero rated lines', () => {
+        assert.equal(etims.getTaxType('E', 0), 'A');
+        assert.equal(etims.getTaxType('S', 16), 'B');
+        assert.equal(etims.getTaxType('Z', 0), 'C');
+        assert.equal(etims.getTaxType('R', 8), 'E');
+        assert.equal(etims.getTaxType('S', 14), 'D');
+    });
+});
+
+describe('buildPayload', () => {
+    it('numbers the sale with the fiscal number, not the invoice id', () => {
+        const payload = etims.buildPayload(invoice, { fiscalNumber: 3 });
+
+        assert.equal(payload.invcNo, 3);
+        assert.equal(payload.orgInvcNo, 0);
+        assert.equal(payload.rcptTyCd, 'S');
+        assert.equal(payload.remark, 'INV-2026-00007');
+    });
+
+    it('totals each tax type from the tax summary', () => {
+        const payload = etims.buildPayload(invoice, { fiscalNumber: 3 });
+
+        assert.equal(payload.taxblAmtB, 1000);
+        assert.equal(payload.taxAmtB, 160);
+        assert.equal(payload.taxblAmtA, 200);
+        assert.equal(payload.totTaxblAmt, 1200);
+        assert.equal(payload.totTaxAmt, 160);
+        assert.equal(payload.totAmt, 1360);
+        assert.equal(payload.totItemCnt, 2);
+        assert.deepEqual(payload.itemList.map(item => item.taxTyCd), ['B', 'A']);
+    });
+
+    it('converts other currencies to shillings at the invoice rate', () => {
+        const payload = etims.buildPayload({ ...invoice, exchange_rate: 129.5 }, { fiscalNumber: 3 });
+
+        assert.equal(payload.taxblAmtB, 129500);
+        assert.equal(payload.itemList[0].prc, 12950);
+    });
+
+    it('dates the sale from the issue date and confirmation time', () => {
+        const payload = etims.buildPayload(invoice, {
+            fiscalNumber: 3,
+            confirmedAt: new Date(2026, 9, 2, 14, 5, 9)
+        });
+
+        assert.equal(payload.salesDt, '20261001');
+        assert.equal(payload.cfmDt, '20261002140509');
+    });
+
+    it('refuses a missing fiscal number without retrying', () => {
+        assert.throws(() => etims.buildPayload(invoice), error => error.retryable === false);
+    });
+
+    it('refuses to build without credentials', () => {
+        delete process.env.ETIMS_CMC_KEY;
+        assert.throws(() => etims.buildPayload(invoice, { fiscalNumber: 3 }), { statusCode: 503 });
+    });
+});
+
+describe('buildRefundPayload', () => {
+    it('builds a refund receipt against the original fiscal number', () => {
+        const payload = etims.buildRefundPayload(invoice, creditNote, { fiscalNumber: 9, originalNumber: 3 });
+
+        assert.equal(payload.invcNo, 9);
+        assert.equal(payload.orgInvcNo, 3);
+        assert.equal(payload.rcptTyCd, 'R');
+        assert.equal(payload.remark, 'CN-2026-00002');
+        assert.equal(payload.salesDt, '20261005');
+    });
+
+    it('totals the credited lines with their invoice tax codes', () => {
+        const payload = etims.buildRefundPayload(invoice, creditNote, { fiscalNumber: 9, originalNumber: 3 });
+
+        assert.equal(payload.totItemCnt, 1);
+        assert.equal(payload.itemList[0].taxTyCd, 'B');
+        assert.equal(payload.taxblAmtB, 200);
+        assert.equal(payload.taxAmtB, 32);
+        assert.equal(payload.totAmt, 232);
+    });
+
+    it('refuses a refund of an invoice that was never numbered', () => {
+        assert.throws(
+            () => etims.buildRefundPayload(invoice, creditNote, { fiscalNumber: 9, originalNumber: null }),
+            error => error.retryable === false
+        );
+    });
+});
+
+describe('submitInvoice', () => {
+    let stub;
+
+    before(async () => {
+        stub = createEtimsStub({ tin: 'P000000001A', cmcKey: 'cmc-key' });
+        process.env.ETIMS_BASE_URL = await stub.listen();
+    });
+
+    after(async () => {
+        delete process.env.ETIMS_BASE_URL;
+        delete process.env.ETIMS_TIMEOUT_MS;
+        await stub.close();
+    });
+
+    it('returns the control unit signature of an accepted sale', async () => {
+        const result = await etims.submitInvoice(etims.buildPayload(invoice, { fiscalNumber: 1 }));
+
+        assert.equal(result.deviceSerial, 'KRACU0100000001');
+        assert.equal(result.cuInvoiceNumber, `KRACU0100000001/${result.receiptNumber}`);
+        assert.ok(result.signature);
+        assert.match(result.qrData, /Data=P000000001A00/);
+        assert.equal(stub.requests.at(-1).headers.cmckey, 'cmc-key');
+    });
+
+    it('registers a refund of an accepted sale', async () => {
+        const payload = etims.buildRefundPayload(invoice, creditNote, { fiscalNumber: 2, originalNumber: 1 });
+        const result = await etims.submitInvoice(payload);
+
+        assert.ok(result.signature);
+        assert.equal(stub.registered.get(2).payload.rcptTyCd, 'R');
+    });
+
+    it('marks a refused sale as not worth retrying', async () => {
+        // Number 1 has already been registered
+        await assert.rejects(
+            etims.submitInvoice(etims.buildPayload(invoice, { fiscalNumber: 1 })),
+            error => error.statusCode === 422 && error.retryable === false
+        );
+    });
+
+    it('retries server errors', async () => {
+        stub.respondWith({ status: 503, body: { resultMsg: 'Service unavailable' } });
+
+        await assert.rejects(
+            etims.submitInvoice(etims.buildPayload(invoice, { fiscalNumber: 5 })),
+            error => error.statusCode === 502 && error.retryable === true
+        );
+    });
+
+    it('does not retry client errors', async () => {
+        stub.respondWith({ status: 400, body: { resultMsg: 'Bad request' } });
+
+        await assert.rejects(
+            etims.submitInvoice(etims.buildPayload(invoice, { fiscalNumber: 5 })),
+            error => error.retryable === false
+        );
+    });
+
+    it('gives up on a slow reply and retries it later', async () => {
+        process.env.ETIMS_TIMEOUT_MS = '50';
+        stub.respondWith({ delayMs: 500 });
+
+        await assert.rejects(
+            etims.submitInvoice(etims.buildPayload(invoice, { fiscalNumber: 6 })),
+            error => error.statusCode === 502 && error.retryable === true
+        );
+
+        delete process.env.ETIMS_TIMEOUT_MS;
+    });
+});
\ No newline at end of file
@@ -0,0 +1,217 @@
+const { describe, it, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.FISCAL_PROVIDER = 'etims';
+process.env.FISCAL_MAX_ATTEMPTS = '3';
+process.env.FISCAL_RETRY_BASE_MS = '60000';
+process.env.ETIMS_TIN = 'P000000001A';
+process.env.ETIMS_CMC_KEY = 'cmc-key';
+
+const { pool, applySet, usePool } = require('../helpers/fakeDatabase');
+const { createEtimsStub } = require('../../scripts/etimsStub');
+const {
+    submitInvoice,
+    submitCreditNote,
+    processQueue,
+    retrySubmission
+} = require('../../services/fiscalService');
+
+// In-memory stand-in for the tables a submission touches
+const createDatabase = () => {
+    const db = {
+        submissions: [],
+        sequence: { id: 1, series: 'fiscal', pattern: '{seq}', reset_period: 'never', current_period: 'all', next_number: 1 },
+        invoice: {
+            id: 7, invoice_number: 'INV-2026-00007', status: 'issued', issue_date: '2026-10-01',
+            exchange_rate: 1, credited_amount: 0, customer_name: 'Jane Wanjiku',
+            tax_summary: JSON.stringify([{ tax_code: 'S', rate: 16, taxable_amount: 100, tax_amount: 16 }])
+        },
+        items: [
+            { id: 1, item_name: 'Roofing sheet', quantity: 1, unit_price: 100, discount_amount: 0, tax_code: 'S', tax_rate: 16, tax_amount: 16, total: 116 }
+        ],
+        creditNote: { id: 3, invoice_id: 7, status: 'issued', credit_note_number: 'CN-2026-00001', issue_date: '2026-10-05' },
+        creditItems: [
+            { invoice_item_id: 1, item_name: 'Roofing sheet', quantity: 1, unit_price: 100, tax_rate: 16, tax_amount: 16, total: 116 }
+        ]
+    };
+
+    const query = async (sql, params = []) => {
+        const find = (predicate) => db.submissions.filter(predicate).map(row => ({ ...row }));
+
+        if (/^\s*UPDATE fiscal_submissions/.test(sql)) {
+            applySet(db.submissions.find(row => row.id === params.at(-1)), sql, params);
+            return [{ affectedRows: 1 }];
+        }
+        if (/UPDATE document_sequences/.test(sql)) {
+            db.sequence.next_number = params[0];
+            return [{ affectedRows: 1 }];
+        }
+        if (/FROM fiscal_submissions\s+WHERE status = 'pending'/.test(sql)) {
+            return [find(row => row.status === 'pending' && row.next_attempt_at <= new Date())
+                .sort((a, b) => Number(Boolean(a.credit_note_id)) - Number(Boolean(b.credit_note_id)))];
+        }
+        if (/FROM fiscal_submissions WHERE id = \?/.test(sql)) {
+            return [find(row => row.id === params[0])];
+        }
+        if (/FROM fiscal_submissions WHERE invoice_id = \? AND credit_note_id IS NULL/.test(sql)) {
+            return [find(row => row.invoice_id === Number(params[0]) && !row.credit_note_id)];
+        }
+        if (/FROM fiscal_submissions WHERE credit_note_id = \?/.test(sql)) {
+            return [find(row => row.credit_note_id === Number(params[0]))];
+        }
+        if (/FROM document_sequences/.test(sql)) return [[{ ...db.sequence }]];
+        if (/FROM invoices i\s/.test(sql)) return [[{ ...db.invoice }]];
+        if (/FROM invoice_items/.test(sql)) return [db.items];
+        if (/FROM credit_notes cn/.test(sql)) return [[{ ...db.creditNote }]];
+        if (/FROM credit_note_items/.test(sql)) return [db.creditItems];
+        return [[]];
+    };
+
+    db.queue = (row) => {
+        const submission = {
+            id: db.submissions.length + 1, credit_note_id: null, provider: 'etims', fiscal_number: null,
+            status: 'pending', attempts: 0, next_attempt_at: new Date(0), last_error: null, ...row
+        };
+        db.submissions.push(submission);
+        return submission;
+    };
+
+    db.query = query;
+    return db;
+};
+
+describe('fiscal submissions', () => {
+    let stub;
+    let db;
+
+    after(async () => {
+        await pool.end();
+    });
+
+    // A fresh stub per test, since it remembers the numbers it registered
+    beforeEach(async () => {
+        stub = createEtimsStub({ tin: 'P000000001A', cmcKey: 'cmc-key' });
+        process.env.ETIMS_BASE_URL = await stub.listen();
+
+        db = createDatabase();
+        usePool(db.query);
+    });
+
+    afterEach(() => stub.close());
+
+    it('registers a queued invoice under the next fiscal number', async () => {
+        db.sequence.next_number = 41;
+        db.queue({ invoice_id: 7 });
+
+        const submission = await submitInvoice(7);
+
+        assert.equal(submission.status, 'submitted');
+        assert.equal(submission.fiscal_number, 41);
+        assert.equal(submission.attempts, 1);
+        assert.ok(submission.signature);
+        assert.equal(db.sequence.next_number, 42);
+        assert.equal(stub.requests.at(-1).payload.invcNo, 41);
+    });
+
+    it('keeps a failed invoice queued with an increasing delay', async () => {
+        db.queue({ invoice_id: 7 });
+        stub.respondWith({ status: 503 });
+
+        const before = Date.now();
+        const submission = await submitInvoice(7);
+
+        assert.equal(submission.status, 'pending');
+        assert.equal(submission.attempts, 1);
+        assert.match(submission.last_error, /eTIMS error/);
+        assert.ok(submission.next_attempt_at.getTime() >= before + 60000);
+    });
+
+    it('resends the same fiscal number on a retry', async () => {
+        db.queue({ invoice_id: 7 });
+        stub.respondWith({ status: 503 });
+
+        const failed = await submitInvoice(7);
+        db.submissions[0].next_attempt_at = new Date(0);
+        const retried = await submitInvoice(7);
+
+        assert.equal(retried.status, 'submitted');
+        assert.equal(retried.fiscal_number, failed.fiscal_number);
+        assert.equal(db.sequence.next_number, failed.fiscal_number + 1);
+    });
+
+    it('stops retrying once the attempts run out', async () => {
+        db.queue({ invoice_id: 7, attempts: 2 });
+        stub.respondWith({ status: 503 });
+
+        const submission = await submitInvoice(7);
+
+        assert.equal(submission.status, 'failed');
+        assert.equal(submission.attempts, 3);
+        assert.equal(submission.next_attempt_at, null);
+    });
+
+    it('stops retrying an invoice eTIMS refused', async () => {
+        db.queue({ invoice_id: 7 });
+        stub.respondWith({ body: { resultCd: '910', resultMsg: 'Invalid customer PIN' } });
+
+        const submission = await submitInvoice(7);
+
+        assert.equal(submission.status, 'failed');
+        assert.match(submission.last_error, /Invalid customer PIN/);
+    });
+
+    it('does not register a voided invoice or give it a number', async () => {
+        db.invoice.status = 'void';
+        db.queue({ invoice_id: 7 });
+
+        const submission = await submitInvoice(7);
+
+        assert.equal(submission.status, 'failed');
+        assert.equal(submission.fiscal_number, null);
+        assert.equal(db.sequence.next_number, 1);
+    });
+
+    it('retries a failed invoice from the start on request', async () => {
+        db.queue({ invoice_id: 7, status: 'failed', attempts: 3, last_error: 'eTIMS error' });
+
+        const submission = await retrySubmission(7);
+
+        assert.equal(submission.status, 'submitted');
+        assert.equal(submission.attempts, 1);
+    });
+
+    it('refuses to retry an invoice that is already registered', async () => {
+        db.queue({ invoice_id: 7, status: 'submitted', fiscal_number: 1 });
+
+        await assert.rejects(retrySubmission(7), { statusCode: 400 });
+    });
+
+    it('holds a credit note back until its invoice is registered', async () => {
+        db.queue({ invoice_id: 7 });
+        db.queue({ invoice_id: 7, credit_note_id: 3 });
+        stub.respondWith({ status: 503 });
+        await submitInvoice(7);
+
+        const waiting = await submitCreditNote(3);
+
+        assert.equal(waiting.status, 'pending');
+        assert.equal(waiting.fiscal_number, null);
+        assert.match(waiting.last_error, /not been registered/);
+    });
+
+    it('registers the invoice before its credit note in the queue', async () => {
+        db.queue({ invoice_id: 7, credit_note_id: 3 });
+        db.queue({ invoice_id: 7 });
+
+        const summary = await processQueue();
+
+        assert.deepEqual(summary.failed, []);
+        assert.equal(summary.submitted.length, 2);
+
+        const [invoice, refund] = stub.requests.slice(-2).map(request => request.payload);
+        assert.equal(invoice.rcptTyCd, 'S');
+        assert.equal(refund.rcptTyCd, 'R');
+        assert.equal(refund.orgInvcNo, invoice.invcNo);
+        assert.equal(refund.invcNo, invoice.invcNo + 1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+// Pieces for in-memory stand-ins of the database in service tests. Each
+// test file answers the queries its service makes; these helpers apply
+// UPDATE ... SET clauses and patch the shared pool to use the fake.
+
+const pool = require('../../config/database');
+
+const ASSIGNMENT = /(\w+) = (COALESCE\(\?, \w+\)|\?|NULL|NOW\(\)|true|false|'[^']*'|\d+)/g;
+
+/**
+ * Apply the SET clause of an UPDATE to a row, consuming params in order.
+ */
+const applySet = (row, sql, params) => {
+    const set = /SET([\s\S]*?)WHERE/.exec(sql)[1];
+    let index = 0;
+
+    for (const [, column, value] of set.matchAll(ASSIGNMENT)) {
+        if (value === '?') row[column] = params[index++];
+        else if (value.startsWith('COALESCE')) row[column] = params[index++] ?? row[column];
+        else if (value === 'NULL') row[column] = null;
+        else if (value === 'NOW()') row[column] = new Date();
+        else if (value === 'true' || value === 'false') row[column] = value === 'true';
+        else if (/^\d+$/.test(value)) row[column] = Number(value);
+        else row[column] = value.slice(1, -1);
+    }
+
+    return row;
+};
+
+/**
+ * Route pool.query and pool.getConnection to a fake query function.
+ */
+const usePool = (query) => {
+    const connection = {
+        query,
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => {}
+    };
+
+    pool.query = query;
+    pool.getConnection = async () => connection;
+    return connection;
+};
+
+module.exports = {
+    pool,
+    applySet,
+    usePool
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDarajaStub } = require('../../scripts/darajaStub');
+const mpesa = require('../../services/payments/mpesa');
+
+describe('normalisePhone', () => {
+    it('accepts local, short and international formats', () => {
+        assert.equal(mpesa.normalisePhone('0712 345 678'), '254712345678');
+        assert.equal(mpesa.normalisePhone('712345678'), '254712345678');
+        assert.equal(mpesa.normalisePhone('+254 110 345 678'), '254110345678');
+    });
+
+    it('rejects numbers that are not Kenyan mobiles', () => {
+        assert.equal(mpesa.normalisePhone('020 123 4567'), null);
+        assert.equal(mpesa.normalisePhone('25471234'), null);
+        assert.equal(mpesa.normalisePhone(null), null);
+    });
+});
+
+describe('chargeAmount', () => {
+    it('rounds up to whole shillings', () => {
+        assert.equal(mpesa.chargeAmount(1160.2), 1161);
+        assert.equal(mpesa.chargeAmount(1160), 1160);
+    });
+});
+
+describe('STK push', () => {
+    let stub;
+
+    before(async () => {
+        stub = createDarajaStub();
+        process.env.MPESA_BASE_URL = await stub.listen();
+        process.env.MPESA_CONSUMER_KEY = 'key';
+        process.env.MPESA_CONSUMER_SECRET = 'secret';
+        process.env.MPESA_SHORTCODE = '174379';
+        process.env.MPESA_PASSKEY = 'passkey';
+        process.env.MPESA_CALLBACK_URL = 'https://example.com/api/payments/mpesa/callback';
+    });
+
+    after(async () => {
+        delete process.env.MPESA_BASE_URL;
+        await stub.close();
+    });
+
+    const initiate = () => mpesa.initiatePayment({
+        phone: '254712345678',
+        amount: 1160.2,
+        reference: 'INV-2026-00007',
+        description: 'Invoice INV-2026-00007'
+    });
+
+    it('sends a prompt for the whole shilling amount', async () => {
+        const result = await initiate();
+
+        assert.match(result.checkoutRequestId, /^ws_CO_/);
+        assert.ok(result.merchantRequestId);
+
+        const sent = stub.requests.at(-1).body;
+        assert.equal(sent.Amount, 1161);
+        assert.equal(sent.AccountReference, 'INV-2026-000');
+        assert.equal(
+            Buffer.from(sent.Password, 'base64').toString(),
+            `174379passkey${sent.Timestamp}`
+        );
+    });
+
+    it('reports a prompt the customer has not answered as still processing', async () => {
+        const { checkoutRequestId } = await initiate();
+
+        await assert.rejects(mpesa.confirmPayment(checkoutRequestId), { statusCode: 502 });
+    });
+
+    it('confirms a completed payment without a receipt', async () => {
+        const { checkoutRequestId } = await initiate();
+        await stub.complete(checkoutRequestId);
+
+        const confirmed = await mpesa.confirmPayment(checkoutRequestId);
+
+        assert.equal(confirmed.success, true);
+        assert.equal(confirmed.resultCode, '0');
+        assert.equal(confirmed.receipt, null);
+        assert.equal(confirmed.amount, null);
+    });
+
+    it('confirms a cancelled prompt', async () => {
+        const { checkoutRequestId } = await initiate();
+        await stub.complete(checkoutRequestId, { resultCode: 1032 });
+
+        const confirmed = await mpesa.confirmPayment(checkoutRequestId);
+
+        assert.equal(confirmed.success, false);
+        assert.equal(confirmed.resultCode, '1032');
+    });
+
+    it('reads the callback M-Pesa posts', async () => {
+        const { checkoutRequestId } = await initiate();
+        const body = await stub.complete(checkoutRequestId, { receipt: 'SGR7ABC123' });
+
+        const callback = mpesa.parseCallback(body);
+
+        assert.equal(callback.requestId, checkoutRequestId);
+        assert.equal(callback.success, true);
+        assert.equal(callback.amount, 1161);
+        assert.equal(callback.receipt, 'SGR7ABC123');
+        assert.equal(callback.phone, '254712345678');
+    });
+
+    it('ignores bodies that are not STK callbacks', () => {
+        assert.equal(mpesa.parseCallback({ hello: 'world' }), null);
+    });
+});
\ No newline at end of file
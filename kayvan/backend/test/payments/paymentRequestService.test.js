@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYMENT_REQUEST_STALE_MS = '60000';
+process.env.PAYMENT_REQUEST_EXPIRY_MS = '3600000';
+process.env.MPESA_CONSUMER_KEY = 'key';
+process.env.MPESA_CONSUMER_SECRET = 'secret';
+process.env.MPESA_SHORTCODE = '174379';
+process.env.MPESA_PASSKEY = 'passkey';
+process.env.MPESA_CALLBACK_URL = 'https://example.com/api/payments/mpesa/callback';
+
+const { pool, applySet, usePool } = require('../helpers/fakeDatabase');
+const { createDarajaStub } = require('../../scripts/darajaStub');
+const {
+    requestPayment,
+    handleCallback,
+    checkPendingRequests
+} = require('../../services/paymentRequestService');
+
+// In-memory stand-in for the invoice, its payments and payment_requests
+const createDatabase = () => {
+    const db = {
+        invoice: {
+            id: 7, invoice_number: 'INV-2026-00007', status: 'issued', currency_code: 'KES',
+            customer_phone: '0712345678', total: 1160, amount_paid: 0, credited_amount: 0,
+            balance_due: 1160, withholding_vat_amount: 0, due_date: '2026-11-01'
+        },
+        requests: [],
+        payments: []
+    };
+
+    const query = async (sql, params = []) => {
+        const find = (predicate) => db.requests.filter(predicate).map(row => ({ ...row }));
+
+        if (/^\s*INSERT INTO payment_requests/.test(sql)) {
+            const [invoice_id, provider, phone, amount, account_reference, merchant_request_id, checkout_request_id, requested_by] = params;
+            db.requests.push({
+                id: db.requests.length + 1, invoice_id, provider, phone, amount, account_reference,
+                merchant_request_id, checkout_request_id, requested_by,
+                status: 'pending', receipt_number: null, payment_id: null, callback_payload: null,
+                created_at: new Date()
+            });
+            return [{ insertId: db.requests.length }];
+        }
+        if (/^\s*UPDATE payment_requests/.test(sql)) {
+            const row = db.requests.find(request => request.id === params.at(-1));
+            if (!/status = 'pending'/.test(sql) || row.status === 'pending') applySet(row, sql, params);
+            return [{ affectedRows: 1 }];
+        }
+        if (/FROM payment_requests\s+WHERE status = 'pending'/.test(sql)) {
+            return [find(row => row.status === 'pending' && row.created_at <= params[0])];
+        }
+        if (/FROM payment_requests\s+WHERE provider = \? AND checkout_request_id = \?/.test(sql)) {
+            return [find(row => row.provider === params[0] && row.checkout_request_id === params[1])];
+        }
+        if (/FROM payment_requests WHERE id = \?/.test(sql)) {
+            return [find(row => row.id === params[0])];
+        }
+        if (/^\s*INSERT INTO invoice_payments/.test(sql)) {
+            db.payments.push({ id: db.payments.length + 1, amount: params[2], reference_number: params[4] });
+            return [{ insertId: db.payments.length }];
+        }
+        if (/^\s*UPDATE invoices/.test(sql)) {
+            db.invoice.balance_due -= db.payments.at(-1)?.amount || 0;
+            return [{ affectedRows: 1 }];
+        }
+        if (/^\s*(INSERT|UPDATE)/.test(sql)) return [{ insertId: 1, affectedRows: 1 }];
+        if (/FROM invoices WHERE id = \?/.test(sql)) return [[{ ...db.invoice }]];
+        return [[]];
+    };
+
+    db.query = query;
+    return db;
+};
+
+describe('payment requests', () => {
+    let stub;
+    let db;
+
+    before(async () => {
+        stub = createDarajaStub();
+        process.env.MPESA_BASE_URL = await stub.listen();
+    });
+
+    after(async () => {
+        await stub.close();
+        await pool.end();
+    });
+
+    beforeEach(() => {
+        db = createDatabase();
+        usePool(db.query);
+    });
+
+    // Helper to send a prompt, optionally backdating it
+    const sendPrompt = async ({ ageMs = 0 } = {}) => {
+        const request = await requestPayment(7, { phone: '0712345678' });
+        db.requests.find(row => row.id === request.id).created_at = new Date(Date.now() - ageMs);
+        return request;
+    };
+
+    it('records a pending request for the balance due', async () => {
+        const request = await sendPrompt();
+
+        assert.equal(request.status, 'pending');
+        assert.equal(request.amount, 1160);
+        assert.equal(request.phone, '254712345678');
+        assert.match(request.checkout_request_id, /^ws_CO_/);
+    });
+
+    it('records a confirmed payment under the provider request id, not the callback receipt', async () => {
+        const request = await sendPrompt();
+        await stub.complete(request.checkout_request_id, { receipt: 'SGR7ABC123' });
+
+        // A callback body claiming a different receipt is not taken at its word
+        const body = await stub.complete(request.checkout_request_id, { receipt: 'FORGED0001' });
+        const result = await handleCallback('mpesa', body);
+
+        assert.equal(result.outcome, 'completed');
+        assert.equal(db.payments.length, 1);
+        assert.equal(db.payments[0].amount, 1160);
+        assert.equal(db.payments[0].reference_number, request.checkout_request_id);
+        assert.equal(db.requests[0].receipt_number, null);
+        assert.ok(db.requests[0].callback_payload);
+    });
+
+    it('ignores a forged success for a prompt M-Pesa reports cancelled', async () => {
+        const request = await sendPrompt();
+        const forged = await stub.complete(request.checkout_request_id, { receipt: 'FORGED0001' });
+        await stub.complete(request.checkout_request_id, { resultCode: 1032 });
+
+        const result = await handleCallback('mpesa', forged);
+
+        assert.equal(result.outcome, 'cancelled');
+        assert.equal(db.payments.length, 0);
+    });
+
+    it('leaves a request pending while M-Pesa is still processing it', async () => {
+        const request = await sendPrompt();
+        const early = {
+            Body: { stkCallback: { CheckoutRequestID: request.checkout_request_id, ResultCode: 0, ResultDesc: 'ok' } }
+        };
+
+        await assert.rejects(handleCallback('mpesa', early), { statusCode: 502 });
+        assert.equal(db.requests[0].status, 'pending');
+    });
+
+    it('settles a request only once', async () => {
+        const request = await sendPrompt();
+        const body = await stub.complete(request.checkout_request_id);
+
+        await handleCallback('mpesa', body);
+        const repeat = await handleCallback('mpesa', body);
+
+        assert.equal(repeat.outcome, 'duplicate');
+        assert.equal(db.payments.length, 1);
+    });
+
+    it('settles stale requests whose callback never arrived', async () => {
+        const request = await sendPrompt({ ageMs: 5 * 60 * 1000 });
+        await stub.complete(request.checkout_request_id);
+
+        const summary = await checkPendingRequests();
+
+        assert.deepEqual(summary.settled, [{ payment_request_id: request.id, outcome: 'completed' }]);
+        assert.equal(db.requests[0].status, 'completed');
+        assert.equal(db.payments.length, 1);
+    });
+
+    it('leaves recent and still processing requests alone', async () => {
+        await sendPrompt();
+        const processing = await sendPrompt({ ageMs: 5 * 60 * 1000 });
+
+        const summary = await checkPendingRequests();
+
+        assert.equal(summary.checked, 1);
+        assert.equal(summary.pending[0].payment_request_id, processing.id);
+        assert.ok(db.requests.every(row => row.status === 'pending'));
+    });
+
+    it('gives up on requests with no result after the expiry', async () => {
+        const request = await sendPrompt({ ageMs: 2 * 60 * 60 * 1000 });
+
+        const summary = await checkPendingRequests();
+
+        assert.deepEqual(summary.expired, [request.id]);
+        assert.equal(db.requests[0].status, 'failed');
+        assert.match(db.requests[0].result_description, /No result from the provider/);
+    });
+});
\ No newline at end of file